@@ -0,0 +1,108 @@
+/**
+ * accountAssignment.js
+ * Which Discord account works in which channel. A channel's "accounts" entry in channels.json lists
+ * accounts in order of preference, e.g. "T2,T1" (T<n> = n-th token in DISCORD_TOKENS) or Discord user IDs.
+ * The first one that works is used; when it loses access (401/403) the channel fails over to the next.
+ * Channels without an entry get one account round-robin.
+ */
+
+const ACCOUNT_REF = /^(T[1-9]\d*|\d+)$/i;
+
+/**
+ * Parses an "accounts" entry.
+ * @param {string} text - Comma-separated account references.
+ * @returns {string[]} References in order of preference (T refs upper-cased).
+ * @throws {Error} If the list is empty, has duplicates or an entry is not a reference.
+ */
+function parseAccountList(text) {
+    const refs = text.split(',').map(ref => ref.trim()).filter(Boolean).map(ref => (/^t/i.test(ref) ? ref.toUpperCase() : ref));
+    if (refs.length === 0) {
+        throw new Error('lists no accounts');
+    }
+    const invalid = refs.find(ref => !ACCOUNT_REF.test(ref));
+    if (invalid) {
+        throw new Error(`has "${invalid}", which is not an account (T1, T2... or a Discord user ID)`);
+    }
+    const duplicate = refs.find((ref, index) => refs.indexOf(ref) !== index);
+    if (duplicate) {
+        throw new Error(`lists ${duplicate} twice`);
+    }
+    return refs;
+}
+
+/**
+ * Finds the token an account reference stands for.
+ * @param {string} ref - T<n> or a Discord user ID.
+ * @param {string[]} discordTokens - DISCORD_TOKENS in order.
+ * @param {object} botInfos - Loaded accounts { token: { id } }.
+ * @returns {string|null} The token, or null if no loaded account matches.
+ */
+function resolveAccount(ref, discordTokens, botInfos) {
+    if (/^T\d+$/.test(ref)) {
+        const token = discordTokens[Number(ref.slice(1)) - 1];
+        return token && botInfos[token] ? token : null;
+    }
+    return Object.keys(botInfos).find(token => botInfos[token].id === ref) || null;
+}
+
+class ChannelAccounts {
+    constructor() {
+        this.channels = new Map(); // channelId -> { tokens: [token] (preferred first), failed: Map<token, reason> }
+    }
+
+    /**
+     * Sets the accounts of a channel, preferred first.
+     * @param {string} channelId
+     * @param {string[]} tokens
+     */
+    assign(channelId, tokens) {
+        this.channels.set(channelId, { tokens: [...tokens], failed: new Map() });
+    }
+
+    /**
+     * @param {string} channelId
+     * @returns {boolean} Whether the channel has accounts assigned (it may have run out of working ones).
+     */
+    has(channelId) {
+        return this.channels.has(channelId);
+    }
+
+    /**
+     * @param {string} channelId
+     * @returns {string|null} The account currently working in the channel, or null if none is left.
+     */
+    getActive(channelId) {
+        const entry = this.channels.get(channelId);
+        return entry?.tokens.find(token => !entry.failed.has(token)) ?? null;
+    }
+
+    /**
+     * Takes an account out of a channel after it lost access.
+     * @param {string} channelId
+     * @param {string} token - The account that failed.
+     * @param {string} reason - For the status box.
+     * @returns {boolean} False if the account was not the active one (e.g. another request already failed over).
+     */
+    markFailed(channelId, token, reason) {
+        const entry = this.channels.get(channelId);
+        if (!entry || this.getActive(channelId) !== token) return false;
+        entry.failed.set(token, reason);
+        return true;
+    }
+
+    /**
+     * @returns {Object<string, {active: string|null, accounts: Array<{token: string, failed: string|null}>}>}
+     */
+    snapshot() {
+        return Object.fromEntries([...this.channels].map(([channelId, entry]) => [channelId, {
+            active: this.getActive(channelId),
+            accounts: entry.tokens.map(token => ({ token, failed: entry.failed.get(token) ?? null }))
+        }]));
+    }
+}
+
+module.exports = {
+    parseAccountList,
+    resolveAccount,
+    ChannelAccounts
+};
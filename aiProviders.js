@@ -0,0 +1,86 @@
+/**
+ * aiProviders.js
+ * Registry of AI backends BotLogic.generateReply can use for replies.
+ * Each provider exposes the same contract so key rotation and cooldowns work the same everywhere.
+ */
+
+const apiClient = require('./apiClient');
+
+/**
+ * @typedef {object} AiProvider
+ * @property {string} name - Identifier used in AI_PROVIDER.
+ * @property {string} label - Human readable name for logs and the TUI.
+ * @property {string} keysEnv - Env var holding the comma-separated API keys.
+ * @property {boolean} requiresApiKey - Whether at least one key must be configured.
+ * @property {number} cooldownSeconds - How long a key stays benched after a rate limit.
+ * @property {string} modelSetting - Setting (config.js) naming the model; its per-channel value is sent as request.model.
+ * @property {function(string, string): Promise<object|null>|null} validateKey - (apiKey, model) => key status
+ *   ({ state: 'healthy' | 'backoff' | 'exhausted' | 'invalid', retryAfterSeconds, reason }, null if unchecked),
+ *   used at startup; null for providers whose keys are not checked.
+ * @property {boolean} supportsGenerationOptions - Whether request.generationConfig and the fallback model are used
+ *   (GEMINI_TEMPERATURE and friends; see generationOptions.js).
+ * @property {function(object, string): Promise<string|null>} generate - (request, apiKey) => text, 'RATE_LIMITED',
+ *   'MODEL_UNAVAILABLE' (Gemini: unknown or unsupported model) or null.
+ *   request: { prompt, conversation, safetyThreshold, model, generationConfig } (prompt: see promptTemplates.renderPrompt;
+ *   conversation: see apiClient.buildChatTurns; safetyThreshold: GEMINI_SAFETY_THRESHOLD, used by Gemini only).
+ */
+
+/** @type {Object<string, AiProvider>} */
+const providers = {
+    gemini: {
+        name: 'gemini',
+        label: 'Google Gemini',
+        keysEnv: 'GOOGLE_API_KEYS',
+        requiresApiKey: true,
+        cooldownSeconds: 24 * 60 * 60, // Daily quota, so bench the key for 24 hours
+        modelSetting: 'geminiModel',
+        supportsGenerationOptions: true,
+        validateKey: (apiKey, model) => apiClient.validateGeminiKey(apiKey, model),
+        generate: (request, apiKey) => apiClient.generateGeminiReply(request.prompt, apiKey, request.conversation,
+            { safetyThreshold: request.safetyThreshold, model: request.model, generationConfig: request.generationConfig })
+    },
+    openai: {
+        name: 'openai',
+        label: 'OpenAI-compatible',
+        keysEnv: 'OPENAI_API_KEYS',
+        requiresApiKey: false, // Self-hosted servers (llama.cpp, vLLM...) often run without auth
+        cooldownSeconds: 60,
+        modelSetting: 'openAiModel',
+        supportsGenerationOptions: false,
+        validateKey: null,
+        generate: (request, apiKey) => apiClient.generateOpenAiReply(request.prompt, apiKey, request.model, request.conversation)
+    },
+    ollama: {
+        name: 'ollama',
+        label: 'Ollama',
+        keysEnv: 'OLLAMA_API_KEYS',
+        requiresApiKey: false,
+        cooldownSeconds: 30, // A busy local server recovers quickly
+        modelSetting: 'ollamaModel',
+        supportsGenerationOptions: false,
+        validateKey: null,
+        generate: (request, apiKey) => apiClient.generateOllamaReply(request.prompt, apiKey, request.model, request.conversation)
+    }
+};
+
+/**
+ * Looks up a provider by name.
+ * @param {string} name - Provider name (case-insensitive).
+ * @returns {AiProvider|null} The provider or null if unknown.
+ */
+function getProvider(name) {
+    return providers[(name || '').toLowerCase()] || null;
+}
+
+/**
+ * Lists the registered provider names.
+ * @returns {string[]}
+ */
+function getProviderNames() {
+    return Object.keys(providers);
+}
+
+module.exports = {
+    getProvider,
+    getProviderNames
+};
@@ -1,15 +1,149 @@
 /**
  * apiClient.js
- * Handles interactions with external APIs (Discord, Google Generative Language).
+ * Handles interactions with external APIs (Discord, Google Generative Language,
+ * OpenAI-compatible chat completions and local Ollama servers).
  * Created by crypto with shashi
  */
 
 const axios = require('axios');
+const { DiscordRateLimiter } = require('./rateLimiter');
 
-// Base URL for Discord API
-const DISCORD_API_BASE = 'https://discord.com/api/v9';
-// Base URL for Google Generative Language API
-const GOOGLE_API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent';
+// Default base URL for Discord API
+const DEFAULT_DISCORD_API_BASE = 'https://discord.com/api/v9';
+// Default base URL for Google Generative Language API
+const DEFAULT_GOOGLE_API_BASE = 'https://generativelanguage.googleapis.com/v1beta';
+// Default base URL for OpenAI-compatible chat completions (also llama.cpp, vLLM, LM Studio...)
+const DEFAULT_OPENAI_API_BASE = 'https://api.openai.com/v1';
+// Default base URL for a local Ollama server
+const DEFAULT_OLLAMA_API_BASE = 'http://127.0.0.1:11434';
+// Gemini model used when the caller names none (GEMINI_MODEL)
+const DEFAULT_GEMINI_MODEL = 'gemini-1.5-flash-latest';
+// Harm categories GEMINI_SAFETY_THRESHOLD applies to
+const GEMINI_HARM_CATEGORIES = ['HARM_CATEGORY_HARASSMENT', 'HARM_CATEGORY_HATE_SPEECH', 'HARM_CATEGORY_SEXUALLY_EXPLICIT', 'HARM_CATEGORY_DANGEROUS_CONTENT'];
+
+// Base URLs set at runtime via setApiBaseUrls (e.g. by tests pointing at the local mock server)
+const apiBaseOverrides = { discord: null, google: null, openai: null, ollama: null };
+
+/**
+ * Overrides the API base URLs. Pass null for a field to go back to the env/default value.
+ * @param {object} bases - { discord, google, openai, ollama } base URLs (without trailing slash).
+ */
+function setApiBaseUrls(bases = {}) {
+    for (const name of Object.keys(apiBaseOverrides)) {
+        if (bases[name] !== undefined) apiBaseOverrides[name] = bases[name];
+    }
+}
+
+/**
+ * Resolves the Discord API base URL (override > DISCORD_API_BASE env > default).
+ * Read lazily so .env values loaded after this module is required still apply.
+ * @returns {string}
+ */
+const getDiscordApiBase = () => apiBaseOverrides.discord || process.env.DISCORD_API_BASE || DEFAULT_DISCORD_API_BASE;
+
+/**
+ * Resolves the Google API base URL (override > GOOGLE_API_BASE env > default).
+ * @returns {string}
+ */
+const getGoogleApiBase = () => apiBaseOverrides.google || process.env.GOOGLE_API_BASE || DEFAULT_GOOGLE_API_BASE;
+
+/**
+ * Resolves the OpenAI-compatible API base URL (override > OPENAI_API_BASE env > default).
+ * @returns {string}
+ */
+const getOpenAiApiBase = () => apiBaseOverrides.openai || process.env.OPENAI_API_BASE || DEFAULT_OPENAI_API_BASE;
+
+/**
+ * Resolves the Ollama API base URL (override > OLLAMA_API_BASE env > default).
+ * @returns {string}
+ */
+const getOllamaApiBase = () => apiBaseOverrides.ollama || process.env.OLLAMA_API_BASE || DEFAULT_OLLAMA_API_BASE;
+
+// Receives every apiClient log entry (errors, warnings, rate-limit waits); BotLogic routes them into
+// its log, which redacts secrets and writes the log files
+let logHandler = (level, message) => console.warn(`[API ${level}] ${message}`);
+
+/**
+ * Sets the function that receives apiClient log entries.
+ * @param {function(string, string): void} handler - Called with (level, message).
+ */
+function setLogHandler(handler) {
+    logHandler = handler;
+}
+
+// Receives what a Gemini call learned about its key (throttled, quota used up, invalid); BotLogic keeps
+// the key health (see keyHealth.js)
+let keyStatusHandler = () => {};
+
+/**
+ * Sets the function that receives key status reports.
+ * @param {function(string, object): void} handler - Called with (apiKey, { state, retryAfterSeconds, reason }).
+ */
+function setKeyStatusHandler(handler) {
+    keyStatusHandler = handler;
+}
+
+/**
+ * Describes a response body for a log line (JSON for objects).
+ * @param {*} data - Response body.
+ * @returns {string}
+ */
+const describePayload = (data) => typeof data === 'string' ? data : JSON.stringify(data);
+
+/**
+ * Describes a failed request for a log line: the error body Discord/the AI API returned, or the error message.
+ * @param {Error} error - The caught (axios) error.
+ * @returns {string}
+ */
+const describeError = (error) => error.response?.data ? describePayload(error.response.data) : error.message;
+
+// Receives 401/403 answers to channel requests (the account lost access); BotLogic fails the channel
+// over to its next account (see accountAssignment.js)
+let accessErrorHandler = () => {};
+
+/**
+ * Sets the function that receives access errors.
+ * @param {function(string, string, number, string): void} handler - Called with (channelId, token, status, description).
+ */
+function setAccessErrorHandler(handler) {
+    accessErrorHandler = handler;
+}
+
+/**
+ * Reports a 401/403 answer to a channel request to the access error handler.
+ * @param {string} channelId - The channel.
+ * @param {string} token - The account that made the request.
+ * @param {Error} error - The caught (axios) error.
+ */
+function reportAccessError(channelId, token, error) {
+    const status = error.response?.status;
+    if (status === 401 || status === 403) {
+        accessErrorHandler(channelId, token, status, describeError(error));
+    }
+}
+
+// Aborted by BotLogic.stop() to cancel in-flight and queued requests
+let abortSignal = null;
+
+/**
+ * Sets the signal every subsequent request is tied to (null to detach).
+ * @param {AbortSignal|null} signal - Signal from an AbortController.
+ */
+function setAbortSignal(signal) {
+    abortSignal = signal;
+}
+
+/**
+ * Whether a request failed because it was cancelled through the abort signal.
+ * @param {Error} error - The caught error.
+ * @returns {boolean}
+ */
+const isAbortError = (error) => axios.isCancel(error) || error?.name === 'AbortError';
+
+// Per-token, per-route Discord bucket tracking; waits are surfaced as WAIT log entries
+const discordRateLimiter = new DiscordRateLimiter({
+    onWait: (message) => logHandler('WAIT', `[Rate Limit] ${message}`)
+});
 
 /**
  * Creates standard headers for Discord API requests.
@@ -31,19 +165,89 @@ const createGoogleHeaders = () => ({
 });
 
 /**
- * Fetches messages from a specific Discord channel.
+ * Creates headers for OpenAI-compatible / Ollama requests.
+ * @param {string} [apiKey] - Bearer key; omitted for servers that run without auth.
+ * @returns {object} Headers object.
+ */
+const createBearerHeaders = (apiKey) => ({
+    'Content-Type': 'application/json',
+    ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+});
+
+/**
+ * Formats a conversation entry as a chat line: "name (replying to x: "...")": text".
+ * @param {object} entry - { author, content, replyTo: { author, content } | null }.
+ * @returns {string}
+ */
+function formatConversationLine(entry) {
+    const replyNote = entry.replyTo
+        ? ` (replying to ${entry.replyTo.author}: "${entry.replyTo.content.length > 100 ? `${entry.replyTo.content.substring(0, 100)}...` : entry.replyTo.content}")`
+        : '';
+    return `${entry.author}${replyNote}: ${entry.content}`;
+}
+
+/**
+ * Builds the chat turns for a reply: the system instruction, earlier channel messages, then the message
+ * to reply to with the prompt. The bot's own messages become 'assistant' turns; consecutive turns of the
+ * same role are merged.
+ * @param {{system: string|null, text: string}} prompt - Rendered prompt (see promptTemplates.renderPrompt).
+ * @param {Array<object>} conversation - Earlier messages, oldest first:
+ *   { author, content, isSelf, replyTo: { author, content } | null }. The message to reply to is
+ *   passed as the last entry with isTarget: true.
+ * @returns {Array<{role: string, text: string}>} Turns ('system' | 'user' | 'assistant').
+ */
+function buildChatTurns(prompt, conversation = []) {
+    const context = conversation.filter(entry => !entry.isTarget);
+    const target = conversation.find(entry => entry.isTarget);
+
+    const turns = [];
+    const pushTurn = (role, text) => {
+        const last = turns[turns.length - 1];
+        if (last && last.role === role) {
+            last.text += `\n${text}`;
+        } else {
+            turns.push({ role, text });
+        }
+    };
+
+    if (prompt.system) {
+        turns.push({ role: 'system', text: prompt.system });
+    }
+    context.forEach(entry => pushTurn(entry.isSelf ? 'assistant' : 'user', entry.isSelf ? entry.content : formatConversationLine(entry)));
+    pushTurn('user', context.length > 0 && target ? `${formatConversationLine(target)}\n\n${prompt.text}` : prompt.text);
+    return turns;
+}
+
+/**
+ * Performs a Discord API request through the rate limiter.
+ * @param {string} method - HTTP method.
+ * @param {string} path - Path below the API base (may include a query string).
+ * @param {string} token - The Discord bot token.
+ * @param {object} [data] - JSON body.
+ * @returns {Promise<object>} The axios response; rejects with the axios error once retries are exhausted.
+ */
+function discordRequest(method, path, token, data = undefined) {
+    const url = `${getDiscordApiBase()}${path}`;
+    const headers = createDiscordHeaders(token);
+    const signal = abortSignal;
+    return discordRateLimiter.schedule(token, method, path, () => axios({ method, url, headers, data, signal: signal || undefined }), signal);
+}
+
+/**
+ * Fetches messages from a specific Discord channel (newest first).
  * @param {string} channelId - The ID of the Discord channel.
  * @param {string} token - The Discord bot token.
+ * @param {number} [limit=5] - How many recent messages to fetch (1-100).
  * @returns {Promise<Array|null>} A promise resolving to an array of messages or null on error.
  */
-async function fetchMessages(channelId, token) {
-    const url = `${DISCORD_API_BASE}/channels/${channelId}/messages?limit=5`; // Fetch last 5 messages
-    const headers = createDiscordHeaders(token);
+async function fetchMessages(channelId, token, limit = 5) {
     try {
-        const response = await axios.get(url, { headers });
+        const response = await discordRequest('GET', `/channels/${channelId}/messages?limit=${limit}`, token);
         return response.data;
     } catch (error) {
-        console.error(`[API Error] Failed to fetch messages for channel ${channelId}:`, error.response?.data || error.message);
+        if (isAbortError(error)) return null; // Cancelled by shutdown
+        logHandler('ERROR', `[Channel ${channelId}] [API] Failed to fetch messages: ${describeError(error)}`);
+        reportAccessError(channelId, token, error);
         return null;
     }
 }
@@ -57,22 +261,21 @@ async function fetchMessages(channelId, token) {
  * @returns {Promise<object|null>} A promise resolving to the sent message data or null on error.
  */
 async function sendMessage(channelId, content, token, replyToMessageId = null) {
-    const url = `${DISCORD_API_BASE}/channels/${channelId}/messages`;
-    const headers = createDiscordHeaders(token);
     const payload = { content };
     if (replyToMessageId) {
         payload.message_reference = { message_id: replyToMessageId };
     }
     try {
-        const response = await axios.post(url, payload, { headers });
+        const response = await discordRequest('POST', `/channels/${channelId}/messages`, token, payload);
         return response.data;
     } catch (error) {
-        console.error(`[API Error] Failed to send message to channel ${channelId}:`, error.response?.data || error.message);
-        // Specific handling for slow mode might be needed based on error code/message
+        if (isAbortError(error)) return null; // Cancelled by shutdown
+        logHandler('ERROR', `[Channel ${channelId}] [API] Failed to send message: ${describeError(error)}`);
+        // The rate limiter already retried short waits; only long ones (e.g. slow mode) end up here
         if (error.response?.data?.retry_after) {
-             console.warn(`[API Warn] Hit rate limit/slow mode in channel ${channelId}. Retry after: ${error.response.data.retry_after}s`);
-             // The botLogic should handle this delay
+             logHandler('WARNING', `[Channel ${channelId}] [API] Hit rate limit/slow mode. Retry after: ${error.response.data.retry_after}s`);
         }
+        reportAccessError(channelId, token, error);
         return null;
     }
 }
@@ -85,13 +288,12 @@ async function sendMessage(channelId, content, token, replyToMessageId = null) {
  * @returns {Promise<boolean>} A promise resolving to true on success, false otherwise.
  */
 async function deleteMessage(channelId, messageId, token) {
-    const url = `${DISCORD_API_BASE}/channels/${channelId}/messages/${messageId}`;
-    const headers = createDiscordHeaders(token);
     try {
-        await axios.delete(url, { headers });
+        await discordRequest('DELETE', `/channels/${channelId}/messages/${messageId}`, token);
         return true;
     } catch (error) {
-        console.error(`[API Error] Failed to delete message ${messageId} in channel ${channelId}:`, error.response?.data || error.message);
+        if (isAbortError(error)) return false; // Cancelled by shutdown
+        logHandler('ERROR', `[Channel ${channelId}] [API] Failed to delete message ${messageId}: ${describeError(error)}`);
         return false;
     }
 }
@@ -102,13 +304,28 @@ async function deleteMessage(channelId, messageId, token) {
  * @returns {Promise<object|null>} A promise resolving to the user data or null on error.
  */
 async function getBotInfo(token) {
-    const url = `${DISCORD_API_BASE}/users/@me`;
-    const headers = createDiscordHeaders(token);
     try {
-        const response = await axios.get(url, { headers });
+        const response = await discordRequest('GET', '/users/@me', token);
         return response.data;
     } catch (error) {
-        console.error(`[API Error] Failed to fetch bot info for token ${token.substring(0, 5)}...:`, error.response?.data || error.message);
+        if (isAbortError(error)) return null; // Cancelled by shutdown
+        logHandler('ERROR', `[API] Failed to fetch bot info: ${describeError(error)}`);
+        return null;
+    }
+}
+
+/**
+ * Fetches the gateway WebSocket URL (USE_GATEWAY).
+ * @param {string} token - The Discord bot token.
+ * @returns {Promise<string|null>} A promise resolving to the URL or null on error.
+ */
+async function getGatewayUrl(token) {
+    try {
+        const response = await discordRequest('GET', '/gateway', token);
+        return response.data.url || null;
+    } catch (error) {
+        if (isAbortError(error)) return null; // Cancelled by shutdown
+        logHandler('ERROR', `[API] Failed to fetch the gateway URL: ${describeError(error)}`);
         return null;
     }
 }
@@ -120,18 +337,16 @@ async function getBotInfo(token) {
  * @returns {Promise<object|null>} A promise resolving to channel data or null on error.
  */
 async function getChannelInfo(channelId, token) {
-    const url = `${DISCORD_API_BASE}/channels/${channelId}`;
-    const headers = createDiscordHeaders(token);
     try {
-        const response = await axios.get(url, { headers });
+        const response = await discordRequest('GET', `/channels/${channelId}`, token);
         // Fetch guild info if it's a guild channel
         if (response.data.guild_id) {
-             const guildUrl = `${DISCORD_API_BASE}/guilds/${response.data.guild_id}`;
              try {
-                 const guildResponse = await axios.get(guildUrl, { headers });
+                 const guildResponse = await discordRequest('GET', `/guilds/${response.data.guild_id}`, token);
                  response.data.guild_name = guildResponse.data.name || 'Unknown Server';
              } catch (guildError) {
-                 console.error(`[API Error] Failed to fetch guild info for channel ${channelId}:`, guildError.response?.data || guildError.message);
+                 if (isAbortError(guildError)) throw guildError;
+                 logHandler('ERROR', `[Channel ${channelId}] [API] Failed to fetch guild info: ${describeError(guildError)}`);
                  response.data.guild_name = 'Unknown Server (Error)';
              }
         } else {
@@ -139,77 +354,267 @@ async function getChannelInfo(channelId, token) {
         }
         return response.data; // Includes name, rate_limit_per_user (slow mode), guild_id, guild_name
     } catch (error) {
-        console.error(`[API Error] Failed to fetch channel info for ${channelId}:`, error.response?.data || error.message);
+        if (isAbortError(error)) return null; // Cancelled by shutdown
+        logHandler('ERROR', `[Channel ${channelId}] [API] Failed to fetch channel info: ${describeError(error)}`);
+        reportAccessError(channelId, token, error);
         return null;
     }
 }
 
 
+/**
+ * Parses a Google retry delay such as "34s" or "1.5s".
+ * @param {string|undefined} delay - RetryInfo.retryDelay.
+ * @returns {number|null} Whole seconds, or null if absent or malformed.
+ */
+function parseRetryDelay(delay) {
+    const match = typeof delay === 'string' ? delay.match(/^(\d+(?:\.\d+)?)s$/) : null;
+    return match ? Math.ceil(Number(match[1])) : null;
+}
+
+/**
+ * Reads what a failed Gemini request says about the API key, from the status and the error body's details
+ * (QuotaFailure, RetryInfo, ErrorInfo).
+ * @param {Error} error - The caught (axios) error.
+ * @param {string|null} [model] - Model of the request; named as the result's model when a per-model quota was hit.
+ * @returns {{state: string, retryAfterSeconds: number|null, reason: string, model?: string|null}|null} 'backoff'
+ *   (throttled), 'exhausted' (daily quota used up) or 'invalid' (key rejected); null when the key is not at fault.
+ */
+function classifyGeminiError(error, model = null) {
+    const status = error.response?.status;
+    const body = error.response?.data?.error || {};
+    const details = Array.isArray(body.details) ? body.details : [];
+    const message = body.message || `HTTP ${status}`;
+
+    if (status === 429) {
+        const violations = details.filter(detail => detail['@type']?.endsWith('QuotaFailure')).flatMap(detail => detail.violations || []);
+        const quotaIds = violations.map(violation => violation.quotaId || violation.quotaMetric).filter(Boolean);
+        const daily = violations.some(violation => /PerDay|per_day/i.test(`${violation.quotaId || ''} ${violation.quotaMetric || ''}`)) ||
+            /per day|daily/i.test(message);
+        const quotaNote = quotaIds.length > 0 ? ` (${quotaIds.join(', ')})` : '';
+        const quotaModel = violations.length > 0 && violations.every(violation => /PerModel/i.test(violation.quotaId || '') || violation.quotaDimensions?.model)
+            ? model : null;
+        if (daily) {
+            return { state: 'exhausted', retryAfterSeconds: null, reason: `daily quota exhausted${quotaNote}`, model: quotaModel };
+        }
+        const retryInfo = details.find(detail => detail['@type']?.endsWith('RetryInfo'));
+        return { state: 'backoff', retryAfterSeconds: parseRetryDelay(retryInfo?.retryDelay), reason: `rate limited${quotaNote}`, model: quotaModel };
+    }
+    if ((status === 400 || status === 403) && isGeminiKeyRejected(error)) {
+        return { state: 'invalid', retryAfterSeconds: null, reason: `${status} ${body.status || ''}: ${message}`.replace(/ :/, ':') };
+    }
+    return null;
+}
+
+/**
+ * Whether a failed Gemini request blames the API key itself (an API_KEY_* reason or an "API key" message).
+ * A 403 without this is about the model or the caller's region, not the key.
+ * @param {Error} error - The caught (axios) error.
+ * @returns {boolean}
+ */
+function isGeminiKeyRejected(error) {
+    const body = error.response?.data?.error || {};
+    const details = Array.isArray(body.details) ? body.details : [];
+    return details.some(detail => /^API_KEY_/.test(detail.reason || '')) || /API key/i.test(body.message || '');
+}
+
+/**
+ * Whether a failed Gemini request was refused because of the model (unknown, not supported for generateContent,
+ * or not open to this key).
+ * @param {Error} error - The caught (axios) error.
+ * @returns {boolean}
+ */
+function isGeminiModelError(error) {
+    const status = error.response?.status;
+    const message = error.response?.data?.error?.message || '';
+    return status === 404 ||
+        (status === 400 && /model/i.test(message) && /not (found|supported)/i.test(message)) ||
+        (status === 403 && /model/i.test(message) && !isGeminiKeyRejected(error));
+}
+
+/**
+ * Checks a Google API key without using generation quota, by looking up the model.
+ * @param {string} apiKey - The Google API Key.
+ * @param {string} [model] - Model to look up (default gemini-1.5-flash-latest).
+ * @returns {Promise<object|null>} { state: 'healthy' } or a classifyGeminiError result; null if the check
+ *   itself failed (network, unknown model...).
+ */
+async function validateGeminiKey(apiKey, model = DEFAULT_GEMINI_MODEL) {
+    const url = `${getGoogleApiBase()}/models/${model}?key=${apiKey}`;
+    try {
+        await axios.get(url, { headers: createGoogleHeaders(), signal: abortSignal || undefined });
+        return { state: 'healthy', retryAfterSeconds: null, reason: null };
+    } catch (error) {
+        if (isAbortError(error)) return null; // Cancelled by shutdown
+        const keyStatus = classifyGeminiError(error, model);
+        if (!keyStatus) {
+            logHandler('WARNING', `[API] Could not check Google API key ${apiKey.substring(0, 5)}...: ${describeError(error)}`);
+        }
+        return keyStatus;
+    }
+}
+
 /**
  * Generates a reply using the Google Generative Language API (Gemini).
- * @param {string} userMessage - The user's message to reply to.
+ * @param {{system: string|null, text: string}} prompt - Rendered prompt (see promptTemplates.renderPrompt);
+ *   the system part is sent as systemInstruction.
  * @param {string} apiKey - The Google API Key.
- * @param {string} promptLanguage - 'en' or 'id'.
- * @returns {Promise<string|null>} A promise resolving to the generated text or null on error/rate limit.
+ * @param {Array<object>} [conversation] - Recent channel messages for context (see buildChatTurns).
+ * @param {object} [options]
+ * @param {string} [options.safetyThreshold] - Threshold for every harm category (e.g. 'block_medium_and_above');
+ *   omitted to use Google's defaults.
+ * @param {string} [options.model] - Model name (default gemini-1.5-flash-latest).
+ * @param {object} [options.generationConfig] - temperature, topP, maxOutputTokens, stopSequences, candidateCount
+ *   (see generationOptions.js); with several candidates the first one with text is used.
+ * @returns {Promise<string|null>} A promise resolving to the generated text, 'RATE_LIMITED' (throttled or quota
+ *   used up), 'MODEL_UNAVAILABLE' (unknown or unsupported model), or null on other errors. What the error says
+ *   about the key goes to the key status handler first.
  */
-async function generateGeminiReply(userMessage, apiKey, promptLanguage = 'id') {
-    const url = `${GOOGLE_API_BASE}?key=${apiKey}`;
+async function generateGeminiReply(prompt, apiKey, conversation = [], options = {}) {
+    const model = options.model || DEFAULT_GEMINI_MODEL;
+    const url = `${getGoogleApiBase()}/models/${model}:generateContent?key=${apiKey}`;
     const headers = createGoogleHeaders();
 
-    let basePrompt;
-    if (promptLanguage === 'id') {
-        basePrompt = `Balas pesan berikut dalam bahasa Indonesia: "${userMessage}"`;
-    } else if (promptLanguage === 'en') {
-        basePrompt = `Reply to the following message in English: "${userMessage}"`;
-    } else {
-        console.error(`[API Error] Invalid prompt language: ${promptLanguage}`);
-        return null; // Invalid language
+    const turns = buildChatTurns(prompt, conversation).filter(turn => turn.role !== 'system');
+    // Gemini expects the conversation to open with a user turn
+    while (turns.length > 1 && turns[0].role === 'assistant') {
+        turns.shift();
     }
 
-    // Refine the prompt for a conversational, single-sentence reply
-    const refinedPrompt = `${basePrompt}\n\nBuatlah menjadi 1 kalimat menggunakan bahasa sehari-hari manusia.`;
-
     const data = {
-        contents: [{
-            parts: [{ text: refinedPrompt }]
-        }],
-        // Optional: Add safety settings if needed
-        // safetySettings: [
-        //   { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_MEDIUM_AND_ABOVE" }
-        // ],
-        // generationConfig: { // Optional: Control generation parameters
-        //   temperature: 0.7,
-        //   maxOutputTokens: 100
-        // }
+        systemInstruction: prompt.system ? { parts: [{ text: prompt.system }] } : undefined,
+        contents: turns.map(turn => ({
+            role: turn.role === 'assistant' ? 'model' : 'user',
+            parts: [{ text: turn.text }]
+        })),
+        safetySettings: options.safetyThreshold
+            ? GEMINI_HARM_CATEGORIES.map(category => ({ category, threshold: options.safetyThreshold.toUpperCase() }))
+            : undefined,
+        generationConfig: options.generationConfig && Object.keys(options.generationConfig).length > 0 ? options.generationConfig : undefined
     };
 
     try {
-        const response = await axios.post(url, data, { headers });
-        if (response.data.candidates && response.data.candidates.length > 0 &&
-            response.data.candidates[0].content && response.data.candidates[0].content.parts &&
-            response.data.candidates[0].content.parts.length > 0) {
-            return response.data.candidates[0].content.parts[0].text.trim();
+        const response = await axios.post(url, data, { headers, signal: abortSignal || undefined });
+        const candidate = (response.data.candidates || []).find(c => c.content && c.content.parts && c.content.parts.length > 0);
+        if (candidate) {
+            return candidate.content.parts[0].text.trim();
         } else {
             // Handle cases where the response structure is unexpected or content is blocked
-             console.warn('[API Warn] Gemini response structure unexpected or content missing/blocked:', response.data);
+             const finishReason = response.data.candidates?.[0]?.finishReason;
+             if (finishReason === 'SAFETY') {
+                 const flagged = (response.data.candidates[0].safetyRatings || []).filter(rating => rating.blocked || ['MEDIUM', 'HIGH'].includes(rating.probability));
+                 logHandler('WARNING', `[API] Gemini reply blocked by the safety settings${flagged.length > 0 ? ` (${flagged.map(rating => rating.category).join(', ')})` : ''}.`);
+                 return null;
+             }
+             logHandler('WARNING', `[API] Gemini response structure unexpected or content missing/blocked: ${describePayload(response.data)}`);
              if (response.data.promptFeedback?.blockReason) {
-                 console.warn(`[API Warn] Gemini prompt blocked due to: ${response.data.promptFeedback.blockReason}`);
+                 logHandler('WARNING', `[API] Gemini prompt blocked due to: ${response.data.promptFeedback.blockReason}`);
              }
              return null; // Indicate an issue with the response content
         }
     } catch (error) {
+        if (isAbortError(error)) return null; // Cancelled by shutdown
+        const keyStatus = classifyGeminiError(error, model);
+        if (keyStatus) {
+            keyStatusHandler(apiKey, keyStatus);
+        }
         if (error.response && error.response.status === 429) {
             // Specific handling for rate limits
-            console.warn(`[API Warn] Google API key rate limited (429). Key: ${apiKey.substring(0, 5)}...`);
+            logHandler('WARNING', `[API] Google API key rate limited (429, ${keyStatus.reason}). Key: ${apiKey.substring(0, 5)}...`);
             return 'RATE_LIMITED'; // Special return value for rate limit
+        } else if (keyStatus) {
+            logHandler('ERROR', `[API] Google API key rejected (${keyStatus.reason}). Key: ${apiKey.substring(0, 5)}...`);
+            return null;
+        } else if (isGeminiModelError(error)) {
+            logHandler('ERROR', `[API] Gemini model ${model} is not available: ${describeError(error)}`);
+            return 'MODEL_UNAVAILABLE';
         } else {
             // General error handling
-            console.error('[API Error] Failed to generate Gemini reply:', error.response?.data || error.message);
+            logHandler('ERROR', `[API] Failed to generate Gemini reply with ${model}: ${describeError(error)}`);
             return null; // Indicate a general error
         }
     }
 }
 
+/**
+ * Generates a reply using an OpenAI-compatible chat-completions endpoint
+ * (OpenAI, llama.cpp server, vLLM, LM Studio, ...).
+ * @param {{system: string|null, text: string}} prompt - Rendered prompt (see promptTemplates.renderPrompt).
+ * @param {string} apiKey - Bearer key, or '' for servers without auth.
+ * @param {string} model - Model name to request.
+ * @param {Array<object>} [conversation] - Recent channel messages for context (see buildChatTurns).
+ * @returns {Promise<string|null>} The generated text, 'RATE_LIMITED', or null on error.
+ */
+async function generateOpenAiReply(prompt, apiKey, model, conversation = []) {
+    const url = `${getOpenAiApiBase()}/chat/completions`;
+    const headers = createBearerHeaders(apiKey);
+
+    const turns = buildChatTurns(prompt, conversation);
+
+    const data = {
+        model,
+        messages: turns.map(turn => ({ role: turn.role, content: turn.text }))
+    };
+
+    try {
+        const response = await axios.post(url, data, { headers, signal: abortSignal || undefined });
+        const text = response.data.choices?.[0]?.message?.content;
+        if (typeof text === 'string' && text.trim().length > 0) {
+            return text.trim();
+        }
+        logHandler('WARNING', `[API] Chat completion response structure unexpected or content missing: ${describePayload(response.data)}`);
+        return null;
+    } catch (error) {
+        if (isAbortError(error)) return null; // Cancelled by shutdown
+        if (error.response && error.response.status === 429) {
+            logHandler('WARNING', `[API] OpenAI-compatible endpoint rate limited (429). Key: ${apiKey ? `${apiKey.substring(0, 5)}...` : '(none)'}`);
+            return 'RATE_LIMITED';
+        }
+        logHandler('ERROR', `[API] Failed to generate chat completion reply: ${describeError(error)}`);
+        return null;
+    }
+}
+
+/**
+ * Generates a reply using a local Ollama server's /api/chat endpoint.
+ * @param {{system: string|null, text: string}} prompt - Rendered prompt (see promptTemplates.renderPrompt).
+ * @param {string} apiKey - Bearer key for servers behind an auth proxy, or ''.
+ * @param {string} model - Model name to request (must be pulled on the server).
+ * @param {Array<object>} [conversation] - Recent channel messages for context (see buildChatTurns).
+ * @returns {Promise<string|null>} The generated text, 'RATE_LIMITED', or null on error.
+ */
+async function generateOllamaReply(prompt, apiKey, model, conversation = []) {
+    const url = `${getOllamaApiBase()}/api/chat`;
+    const headers = createBearerHeaders(apiKey);
+
+    const turns = buildChatTurns(prompt, conversation);
+
+    const data = {
+        model,
+        messages: turns.map(turn => ({ role: turn.role, content: turn.text })),
+        stream: false
+    };
+
+    try {
+        const response = await axios.post(url, data, { headers, signal: abortSignal || undefined });
+        const text = response.data.message?.content;
+        if (typeof text === 'string' && text.trim().length > 0) {
+            return text.trim();
+        }
+        logHandler('WARNING', `[API] Ollama response structure unexpected or content missing: ${describePayload(response.data)}`);
+        return null;
+    } catch (error) {
+        if (isAbortError(error)) return null; // Cancelled by shutdown
+        // Ollama answers 503 when its request queue is full; treat it like a rate limit
+        if (error.response && (error.response.status === 429 || error.response.status === 503)) {
+            logHandler('WARNING', `[API] Ollama server busy (${error.response.status}).`);
+            return 'RATE_LIMITED';
+        }
+        logHandler('ERROR', `[API] Failed to generate Ollama reply: ${describeError(error)}`);
+        return null;
+    }
+}
+
 
 module.exports = {
     fetchMessages,
@@ -217,5 +622,17 @@ module.exports = {
     deleteMessage,
     getBotInfo,
     getChannelInfo,
-    generateGeminiReply
+    getGatewayUrl,
+    generateGeminiReply,
+    validateGeminiKey,
+    classifyGeminiError,
+    generateOpenAiReply,
+    generateOllamaReply,
+    buildChatTurns,
+    setApiBaseUrls,
+    setLogHandler,
+    setKeyStatusHandler,
+    setAccessErrorHandler,
+    setAbortSignal
 };
+
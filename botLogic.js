@@ -9,69 +9,153 @@ const fs = require('fs').promises; // Use promises for async file operations
 const path = require('path'); // <--- CORRECTED THIS LINE
 const EventEmitter = require('events');
 const apiClient = require('./apiClient');
+const channelConfig = require('./channelConfig');
+const { loadConfig } = require('./config');
+const { StateStore, fingerprintKey } = require('./stateStore');
+const { MetricsRegistry } = require('./metrics');
+const { RotatingLogFile, createRedactor } = require('./logger');
+const { MessageCycle, parseMessageFile, renderTemplate } = require('./messageTemplates');
+const schedule = require('./schedule');
+const triggers = require('./triggers');
+const moderation = require('./moderation');
+const { GatewayConnection } = require('./gateway');
+const { DryRunRecorder } = require('./dryRun');
+const { ReviewQueue } = require('./reviewQueue');
+const promptTemplates = require('./promptTemplates');
+const generationOptions = require('./generationOptions');
+const { KeyHealthTracker, nextQuotaReset } = require('./keyHealth');
+const { ChannelAccounts, resolveAccount } = require('./accountAssignment');
 require('dotenv').config(); // Load .env variables
 
-// --- Configuration Loading ---
-const discordTokens = (process.env.DISCORD_TOKENS || '').split(',').map(t => t.trim()).filter(Boolean);
-const googleApiKeys = (process.env.GOOGLE_API_KEYS || '').split(',').map(k => k.trim()).filter(Boolean);
-const channelIds = (process.env.CHANNEL_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
-
-// Default settings (can be overridden by .env or potentially a config file/channel-specific settings later)
-// NOTE: The original Python script prompted for these per channel.
-// For simplicity in this Node.js version, we use global settings from .env
-// or defaults here. Modify this section if channel-specific settings are needed.
-const config = {
-    useGeminiAi: (process.env.USE_GEMINI_AI || 'true').toLowerCase() === 'true',
-    promptLanguage: (process.env.PROMPT_LANGUAGE || 'id').toLowerCase(),
-    readDelaySeconds: parseInt(process.env.READ_DELAY_SECONDS || '5', 10),
-    intervalSeconds: parseInt(process.env.INTERVAL_SECONDS || '60', 10),
-    useSlowMode: (process.env.USE_SLOW_MODE || 'true').toLowerCase() === 'true',
-    useReply: (process.env.USE_REPLY || 'true').toLowerCase() === 'true',
-    deleteMessageDelay: process.env.DELETE_MESSAGE_DELAY === 'null' ? null : parseInt(process.env.DELETE_MESSAGE_DELAY || 'null', 10),
-    deleteImmediately: (process.env.DELETE_IMMEDIATELY || 'false').toLowerCase() === 'true',
-    infoFilePath: path.join(__dirname, 'info.txt'), // Path to info.txt
-    googleApiCooldownSeconds: 24 * 60 * 60, // 24 hours cooldown for rate-limited keys
-};
-
-// --- Input Validation ---
-if (discordTokens.length === 0) {
-    console.error("FATAL ERROR: No Discord tokens found in .env (DISCORD_TOKENS). Exiting.");
-    process.exit(1);
-}
-if (config.useGeminiAi && googleApiKeys.length === 0) {
-    console.error("FATAL ERROR: Gemini AI is enabled, but no Google API keys found in .env (GOOGLE_API_KEYS). Exiting.");
-    process.exit(1);
-}
-if (channelIds.length === 0) {
-    console.error("FATAL ERROR: No Channel IDs found in .env (CHANNEL_IDS). Exiting.");
-    process.exit(1);
-}
-if (config.promptLanguage !== 'en' && config.promptLanguage !== 'id') {
-    console.warn(`Invalid PROMPT_LANGUAGE "${config.promptLanguage}". Defaulting to "id".`);
-    config.promptLanguage = 'id';
-}
-
+// --- Configuration ---
+// Loaded and validated by config.js when BotLogic is constructed (a ConfigError is thrown on problems).
+let discordTokens = [];
+let googleApiKeys = [];
+let channelIds = [];
+let aiProvider = null; // Backend used for AI replies (see aiProviders.js)
+let aiApiKeys = [];
+let config = {}; // Global settings from .env; channels can override some of them in channels.json
+let configWarnings = []; // Non-fatal findings from validation, logged on start
 
 // --- Bot State ---
-const processedMessageIds = new Set(); // Tracks processed messages to avoid duplicates
-const rateLimitedApiKeys = new Map(); // Tracks rate-limited Google API keys and their cooldown expiry time
+// processedMessageIds, benched keys (keyHealth), lastGeneratedText and pendingDeletions are persisted to the state file.
+const processedMessageIds = new Set(); // Tracks processed messages to avoid duplicates (oldest first, bounded)
+let keyHealth = new KeyHealthTracker([]); // State and selection weight of each AI API key (see keyHealth.js)
 let lastGeneratedText = null; // Stores the last text generated by AI to avoid repetition
-let infoFileLines = []; // Cache for lines from info.txt
+const pendingDeletions = new Map(); // Scheduled deletions { messageId: { channelId, accountId, deleteAt, timer } }
+let stateStore = null; // Reads/writes the state file (see stateStore.js)
+let logFile = null; // Rotating log files (LOG_DIR; null when disabled)
+let dryRunRecorder = null; // Receives the would-be sends and deletes in DRY_RUN mode
+let redactSecrets = (text) => text; // Removes tokens and API keys from log messages (see logger.js)
+let stateDirty = false; // Whether the state changed since the last save
+let botPaused = false; // Whole bot paused (cycles keep ticking but skip their work)
+const pausedChannels = new Set(); // Individually paused channel IDs
+const aiModeOverrides = new Map(); // Runtime AI on/off switches from the TUI { channelId: useGeminiAi } (not persisted)
+const channelActivity = new Map(); // Dashboard details { channelId: { account, lastRepliedTo, lastSentAt } } (counters live in metrics)
+const channelSends = new Map(); // Send times of the last 24h for the quotas { channelId: [epochMs, ...] } (oldest first)
+const accountSends = new Map(); // Same, per bot account { accountId: [epochMs, ...] }
+const gateways = new Map(); // Gateway connections (USE_GATEWAY) { token: GatewayConnection }
+const gatewayStarts = new Set(); // Tokens whose gateway URL is being looked up
+const messageCaches = new Map(); // Recent messages kept current by the gateway, newest first { channelId: [message] }
+const MESSAGE_CACHE_SIZE = 100; // Highest CONTEXT_MESSAGES
+const FAILOVER_RETRY_MS = 1000; // First cycle of a channel after it failed over to another account
+
+// --- Metrics (served by the control API's /metrics) ---
+const metrics = new MetricsRegistry();
+metrics.define('discord_bot_messages_fetched_total', 'counter', 'Messages read from Discord channels.');
+metrics.define('discord_bot_messages_sent_total', 'counter', 'Messages sent successfully.');
+metrics.define('discord_bot_messages_failed_total', 'counter', 'Messages that could not be sent.');
+metrics.define('discord_bot_messages_rejected_total', 'counter', 'Outgoing messages rejected by moderation, per rule.');
+metrics.define('discord_bot_messages_deleted_total', 'counter', 'Sent messages deleted again.');
+metrics.define('discord_bot_triggers_total', 'counter', 'New messages picked for an AI reply, per trigger rule that fired.');
+metrics.define('discord_bot_ai_requests_total', 'counter', 'AI generation calls per provider, key and result (success, rate_limited, error).');
+metrics.define('discord_bot_cycle_duration_seconds', 'histogram', 'Duration of a channel processing cycle.');
+metrics.define('discord_bot_channel_paused', 'gauge', 'Whether a channel is paused (1) or not (0), including a whole-bot pause.');
+const infoFileCache = new Map(); // Parsed message files { filePath: { entries, mtimeMs } } (see messageTemplates.js)
+const messageCycles = new Map(); // Shuffled draw order per channel { channelId: MessageCycle }
+let channelOverrides = {}; // Per-channel settings from channels.json { channelId: { setting: value } }
+let promptTemplateFiles = {}; // Parsed PROMPT_TEMPLATE / promptTemplate files { fileName: template } (see promptTemplates.js)
 let botInfos = {}; // Store info about each bot account { token: { id, username, discriminator } }
 let channelDetails = {}; // Store details about each channel { channelId: { name, guild_name, slowModeDelay } }
-let googleApiKeyIndex = 0; // For round-robin key usage
+let aiKeyPool = []; // Keys to rotate through; keyless providers get a single '' slot so rate limits still cool down
+
+/**
+ * Installs a validated configuration as the module's active settings.
+ * @param {object} loaded - Result of config.loadConfig().
+ */
+function applyConfig(loaded) {
+    ({ discordTokens, googleApiKeys, channelIds, aiProvider, aiApiKeys, channelOverrides } = loaded);
+    promptTemplateFiles = loaded.promptTemplates;
+    config = loaded.settings;
+    configWarnings = loaded.warnings;
+    aiKeyPool = aiApiKeys.length > 0 ? aiApiKeys : (!aiProvider.requiresApiKey ? [''] : []);
+    keyHealth = new KeyHealthTracker(aiKeyPool);
+    stateStore = new StateStore(config.statePath);
+    logFile = config.logPath ? new RotatingLogFile({ dir: config.logPath, maxSizeBytes: config.logMaxSizeMb * 1024 * 1024, maxFiles: config.logMaxFiles }) : null;
+    dryRunRecorder = config.dryRun ? new DryRunRecorder(config.dryRunPath) : null;
+    redactSecrets = createRedactor([...discordTokens, ...googleApiKeys, ...aiApiKeys]);
+}
+
+/**
+ * Shortens an AI API key for logging.
+ * @param {string} key - The key ('' for keyless providers).
+ * @returns {string}
+ */
+const maskApiKey = (key) => key ? `${key.substring(0, 5)}...` : '(no key)';
+
+/**
+ * Names an AI API key by its position in the configured list (K1, K2…, as the status pane shows).
+ * Used as a metrics label: masked keys share their prefix (every Google key starts with "AIzaSy").
+ * @param {string} key - The key ('' for keyless providers).
+ * @returns {string}
+ */
+const apiKeyRef = (key) => {
+    const index = aiApiKeys.indexOf(key);
+    return index === -1 ? 'none' : `K${index + 1}`;
+};
 
 // --- EventEmitter for TUI Communication ---
 class BotLogic extends EventEmitter {
+    /**
+     * Loads the configuration from the environment (.env) and channels.json.
+     * @throws {ConfigError} If the configuration is invalid; every problem is listed on the error.
+     */
     constructor() {
         super();
+        applyConfig(loadConfig(process.env, __dirname));
+        apiClient.setLogHandler((level, message) => this.log(level, message)); // Rate-limit waits etc.
+        apiClient.setKeyStatusHandler((apiKey, status) => this.updateKeyHealth(apiKey, status)); // Parsed Gemini key errors
+        apiClient.setAccessErrorHandler((channelId, token, status, description) => this.handleAccessError(channelId, token, status, description));
         this.isRunning = false;
-        this.timers = []; // Store interval timers to clear them on stop
+        this.timers = new Set(); // Scheduled cycles and the state flush interval, cleared on stop
+        this.scheduledCycles = new Map(); // Next cycle per channel { channelId: { timerId, token, botInfo, dueAt } }
+        this.activeCycles = new Map(); // Running cycles { channelId: { controller, skipSend } }
+        this.cycleStarts = new Map(); // When each channel's last cycle started { channelId: timestamp }, for gateway wake-ups
+        this.channelTokens = new Map(); // Account currently working in each channel { channelId: token }
+        this.channelAccounts = new ChannelAccounts(); // Each channel's accounts in order of preference, for failover
+        this.inFlight = new Set(); // Running cycles and deletions stop() waits for
+        this.reviewQueue = new ReviewQueue(); // AI replies waiting for approval (REVIEW_REPLIES)
+        this.reviewQueue.on('expired', (item) => {
+            this.log('WARNING', `[Channel ${item.channelId} | Bot: ${item.botInfo.username}] Queued reply #${item.id} expired without review.`);
+            this.emit('statusUpdate');
+        });
+        this.stopController = null; // Aborted when stop() begins: cuts delays short
+        this.requestController = null; // Aborted once the drain times out: cancels HTTP requests
     }
 
     // --- Logging Helper ---
+    /**
+     * Emits a log entry: ('log', level, formattedLine, record), and appends it to the log file.
+     * Tokens and API keys are redacted first. The record carries the structured fields;
+     * channel/account come from the "[Channel id | Bot: name]" (or "[Gateway | Bot: name]") prefix.
+     * @param {string} level - SUCCESS, ERROR, WARNING, WAIT, DEBUG, INFO or FATAL.
+     * @param {string} message - The message.
+     */
     log(level, message) {
+        message = redactSecrets(message);
         const timestamp = new Date().toISOString();
+        const scope = message.match(/^\[(?:Channel (\d+)|Gateway)(?: \| Bot: ([^\]]+))?\]/);
+        const record = { timestamp, level, channel: scope?.[1] ?? null, account: scope?.[2] ?? null, message };
         let icon = 'ℹ️';
         if (level === 'SUCCESS') icon = '✅';
         else if (level === 'ERROR') icon = '🚨';
@@ -81,8 +165,17 @@ class BotLogic extends EventEmitter {
 
         const logMessage = `[${timestamp}] ${icon} ${message}`;
 
-        // Emit event for TUI
-        this.emit('log', level, logMessage);
+        // Emit event for TUI (and the headless JSON-lines writer)
+        this.emit('log', level, logMessage, record);
+
+        if (logFile) {
+            try {
+                logFile.write(`[${timestamp}] ${level.padEnd(7)} ${message}`);
+            } catch (error) {
+                logFile = null; // Keep running without the file rather than failing every log call
+                this.emit('log', 'ERROR', `[${timestamp}] 🚨 Log file disabled: ${error.message}`, { ...record, level: 'ERROR', message: `Log file disabled: ${error.message}` });
+            }
+        }
 
         // Also log to console (optional, good for debugging)
         // console.log(logMessage);
@@ -93,127 +186,397 @@ class BotLogic extends EventEmitter {
     /**
      * Delays execution for a specified number of milliseconds.
      * @param {number} ms - Milliseconds to wait.
+     * @param {AbortSignal} [cycleSignal] - Also ends the wait early (a skipped send).
      * @returns {Promise<void>}
      */
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    delay(ms, cycleSignal = null) {
+        const signals = [this.stopController?.signal, cycleSignal].filter(Boolean);
+        const signal = signals.length > 1 ? AbortSignal.any(signals) : signals[0];
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) return reject(signal.reason);
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal.reason); // AbortError; the cycle ends early
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
     }
 
     /**
-     * Loads lines from the info.txt file.
+     * Registers work stop() should wait for.
+     * @param {Promise} promise - The running task.
+     * @returns {Promise} The same promise.
      */
-    async loadInfoFile() {
+    track(promise) {
+        this.inFlight.add(promise);
+        promise.finally(() => this.inFlight.delete(promise)).catch(() => {});
+        return promise;
+    }
+
+    /**
+     * Schedules the next processing cycle of a channel.
+     * @param {string} channelId - The channel.
+     * @param {string} token - The Discord token assigned to it.
+     * @param {object} botInfo - The account behind the token.
+     * @param {number} delayMs - Delay before the cycle starts.
+     */
+    scheduleCycle(channelId, token, botInfo, delayMs) {
+        const timerId = setTimeout(() => {
+            this.timers.delete(timerId);
+            this.scheduledCycles.delete(channelId);
+            // The channel may have failed over to another account since (e.g. a 401 seen in another channel)
+            const activeToken = this.channelAccounts.has(channelId) ? this.channelAccounts.getActive(channelId) : token;
+            if (activeToken === null) return;
+            this.track(this.processChannel(channelId, activeToken, activeToken === token ? botInfo : botInfos[activeToken]));
+        }, delayMs);
+        this.timers.add(timerId);
+        this.scheduledCycles.set(channelId, { timerId, token, botInfo, dueAt: Date.now() + delayMs });
+    }
+
+    /**
+     * Loads and parses a message source file (info.txt by default) into the cache.
+     * @param {string} [filePath] - Absolute path of the file to load.
+     */
+    async loadInfoFile(filePath = config.infoFilePath) {
+        const fileName = path.basename(filePath);
         try {
-            const data = await fs.readFile(config.infoFilePath, 'utf-8');
-            infoFileLines = data.split('\n').map(line => line.trim()).filter(Boolean);
-            if (infoFileLines.length === 0) {
-                this.log('WARNING', `info.txt file is empty or not found at ${config.infoFilePath}. Fallback messages unavailable.`);
+            const { mtimeMs } = await fs.stat(filePath);
+            const entries = parseMessageFile(await fs.readFile(filePath, 'utf-8'));
+            infoFileCache.set(filePath, { entries, mtimeMs });
+            if (entries.length === 0) {
+                this.log('WARNING', `${fileName} file is empty or not found at ${filePath}. Fallback messages unavailable.`);
             } else {
-                this.log('INFO', `Loaded ${infoFileLines.length} lines from info.txt.`);
+                this.log('INFO', `Loaded ${entries.length} messages from ${fileName}.`);
             }
         } catch (error) {
-            this.log('ERROR', `Failed to read info.txt: ${error.message}. Fallback messages unavailable.`);
-            infoFileLines = [];
+            this.log('ERROR', `Failed to read ${fileName}: ${error.message}. Fallback messages unavailable.`);
+            infoFileCache.set(filePath, { entries: [], mtimeMs: null });
         }
     }
 
     /**
-     * Gets a random line from the cached info.txt lines.
-     * @returns {string} A random message or a default fallback.
+     * Reloads a message source file if it is not cached yet or changed on disk since it was loaded.
+     * @param {string} filePath - Absolute path of the file.
      */
-    getRandomInfoMessage() {
-        if (infoFileLines.length === 0) {
+    async refreshInfoFile(filePath) {
+        const cached = infoFileCache.get(filePath);
+        if (cached) {
+            const mtimeMs = await fs.stat(filePath).then(stats => stats.mtimeMs, () => null);
+            if (mtimeMs === cached.mtimeMs) {
+                return;
+            }
+            this.log('INFO', `${path.basename(filePath)} changed on disk. Reloading.`);
+        }
+        await this.loadInfoFile(filePath);
+    }
+
+    /**
+     * Draws the channel's next message from its message file and fills in the template variables.
+     * @param {string} channelId - The channel.
+     * @param {object} settings - The channel's effective settings.
+     * @param {object} [botInfo] - The account sending it ({username}).
+     * @returns {string} The message, or a default fallback if the file has none.
+     */
+    nextInfoMessage(channelId, settings, botInfo = null) {
+        const { entries = [] } = infoFileCache.get(settings.infoFilePath) || {};
+        let cycle = messageCycles.get(channelId);
+        if (!cycle || cycle.entries !== entries) { // First draw, or the file was (re)loaded
+            cycle = new MessageCycle(entries);
+            messageCycles.set(channelId, cycle);
+        }
+        const template = cycle.next();
+        if (template === null) {
             return "Default fallback message: Bot is active."; // Default if file is empty/missing
         }
-        return infoFileLines[Math.floor(Math.random() * infoFileLines.length)];
+        const details = channelDetails[channelId];
+        return renderTemplate(template, { channel: details?.name, server: details?.guild_name, username: botInfo?.username });
     }
 
     /**
-     * Selects the next available Google API key, handling rate limits and cooldowns.
-     * @returns {string|null} An API key or null if all are on cooldown.
+     * Preloads the message files referenced by each channel's settings (info.txt by default).
      */
-    getNextApiKey() {
-        if (googleApiKeys.length === 0) return null;
+    async loadChannelMessageFiles() {
+        for (const channelId of channelIds) {
+            const { infoFilePath } = this.getChannelConfig(channelId);
+            if (!infoFileCache.has(infoFilePath)) {
+                await this.loadInfoFile(infoFilePath);
+            }
+        }
+    }
 
-        const now = Date.now();
-        let attempts = 0;
+    /**
+     * Resolves the effective settings for a channel (global .env settings + channels.json overrides).
+     * @param {string} channelId - The channel ID.
+     * @returns {object} Settings object with the same keys as the global config.
+     */
+    getChannelConfig(channelId) {
+        const settings = channelConfig.resolveChannelConfig(config, channelOverrides[channelId], __dirname);
+        if (aiModeOverrides.has(channelId)) {
+            settings.useGeminiAi = aiModeOverrides.get(channelId);
+        }
+        return settings;
+    }
 
-        while (attempts < googleApiKeys.length) {
-            const key = googleApiKeys[googleApiKeyIndex];
-            const cooldownExpiry = rateLimitedApiKeys.get(key);
+    /**
+     * Selects the next AI API key: a weighted round-robin over the usable keys that favours keys whose
+     * recent calls succeeded (see keyHealth.js). Benched keys whose time is up are re-enabled first.
+     * @param {...string} models - Models the call may use, in order of preference (e.g. the channel's model and
+     *   its fallback); a key benched for a model's quota is only picked for the next one.
+     * @returns {string|null} An API key ('' for keyless providers) or null if none is usable.
+     */
+    getNextApiKey(...models) {
+        if (aiKeyPool.length === 0) return null;
 
-            if (!cooldownExpiry || now >= cooldownExpiry) {
-                // Key is not rate-limited or cooldown has expired
-                if (cooldownExpiry) {
-                    rateLimitedApiKeys.delete(key); // Remove from rate limit map
-                    this.log('INFO', `Google API Key ${key.substring(0, 5)}... cooldown expired. Re-enabling.`);
-                }
-                googleApiKeyIndex = (googleApiKeyIndex + 1) % googleApiKeys.length; // Move to next key for next time
+        const now = Date.now();
+        keyHealth.releaseExpired(now).forEach(key => {
+            this.log('INFO', `${aiProvider.label} API Key ${maskApiKey(key)} cooldown expired. Re-enabling.`);
+            stateDirty = true;
+        });
+        const candidates = models.length > 0 ? models : [null]; // null: any key that is not benched as a whole
+        for (const model of candidates) {
+            const key = keyHealth.pick(model);
+            if (key !== null) {
                 return key;
             }
-
-            // Key is still on cooldown, try the next one
-            googleApiKeyIndex = (googleApiKeyIndex + 1) % googleApiKeys.length;
-            attempts++;
         }
 
-        // If we loop through all keys and all are on cooldown
-        this.log('ERROR', 'All Google API keys are currently rate-limited. Waiting for cooldown.');
-        // Find the earliest expiry time to potentially wait for
-        let earliestExpiry = Infinity;
-        rateLimitedApiKeys.forEach(expiry => {
-            earliestExpiry = Math.min(earliestExpiry, expiry);
-        });
-        const waitTimeMs = earliestExpiry - now;
-        if (waitTimeMs > 0) {
-             this.log('WAIT', `Next key available in ~${Math.ceil(waitTimeMs / 1000 / 60)} minutes.`);
+        // Every key is benched or invalid
+        const states = [...keyHealth.snapshot().values()].map(entry => entry.state);
+        const invalid = states.filter(state => state === 'invalid').length;
+        this.log('ERROR', `All ${aiProvider.label} API keys are currently unusable (${states.length - invalid} rate-limited, ${invalid} invalid).${invalid < states.length ? ' Waiting for cooldown.' : ''}`);
+        const nextAt = Math.min(...candidates.map(model => keyHealth.nextAvailableAt(model) ?? Infinity));
+        if (Number.isFinite(nextAt) && nextAt > now) {
+             this.log('WAIT', `Next key available in ~${Math.ceil((nextAt - now) / 1000 / 60)} minutes.`);
         }
         return null;
     }
 
     /**
-     * Marks an API key as rate-limited.
+     * Benches an API key for the active provider's cooldown period. Used when the provider gives no details
+     * (Gemini reports what its errors mean through updateKeyHealth instead).
      * @param {string} apiKey - The API key that was rate-limited.
      */
     markApiKeyRateLimited(apiKey) {
-        const expiryTime = Date.now() + config.googleApiCooldownSeconds * 1000;
-        rateLimitedApiKeys.set(apiKey, expiryTime);
-        this.log('WARNING', `Google API Key ${apiKey.substring(0, 5)}... marked as rate-limited. Cooldown: ${config.googleApiCooldownSeconds / 3600} hours.`);
+        keyHealth.markBackoff(apiKey, config.aiKeyCooldownSeconds, 'rate limited', Date.now());
+        stateDirty = true;
+        const cooldownLabel = config.aiKeyCooldownSeconds >= 3600 ? `${config.aiKeyCooldownSeconds / 3600} hours` : `${config.aiKeyCooldownSeconds}s`;
+        this.log('WARNING', `${aiProvider.label} API Key ${maskApiKey(apiKey)} marked as rate-limited. Cooldown: ${cooldownLabel}.`);
     }
 
+    /**
+     * Applies what an API error said about a key: a short backoff, a bench until the daily quota resets,
+     * or removal as invalid.
+     * @param {string} apiKey - The key.
+     * @param {object} status - { state: 'healthy' | 'backoff' | 'exhausted' | 'invalid', retryAfterSeconds, reason, model }
+     *   (model: set when only that model's quota was hit; the bench is then for that model on the key).
+     */
+    updateKeyHealth(apiKey, status) {
+        const now = Date.now();
+        const label = `${aiProvider.label} API Key ${maskApiKey(apiKey)}${status.model ? ` (model ${status.model})` : ''}`;
+        if (status.state === 'backoff') {
+            const until = keyHealth.markBackoff(apiKey, status.retryAfterSeconds, status.reason, now, status.model ?? null);
+            this.log('WARNING', `${label} ${status.reason}. Backing off for ${Math.ceil((until - now) / 1000)}s.`);
+        } else if (status.state === 'exhausted') {
+            const until = nextQuotaReset(now);
+            keyHealth.markExhausted(apiKey, until, status.reason, status.model ?? null);
+            this.log('WARNING', `${label} ${status.reason}. Benched until the quota resets (${new Date(until).toLocaleString()}).`);
+        } else if (status.state === 'invalid') {
+            keyHealth.markInvalid(apiKey, status.reason);
+            this.log('ERROR', `${label} is invalid or revoked (${status.reason}). It will not be used until restart.`);
+        } else {
+            keyHealth.markValidated(apiKey);
+        }
+        stateDirty = true;
+        this.emit('statusUpdate');
+    }
+
+    /**
+     * Checks every AI API key with the provider (where supported) so invalid keys drop out before the first reply.
+     * @returns {Promise<void>}
+     */
+    async validateApiKeys() {
+        if (!aiProvider.validateKey || aiApiKeys.length === 0) return;
+        this.log('INFO', `Checking ${aiApiKeys.length} ${aiProvider.label} API key(s)...`);
+        for (const key of aiApiKeys) {
+            const status = await aiProvider.validateKey(key, config.geminiModel);
+            if (status === null) {
+                continue; // Could not check (logged by apiClient); the key stays in rotation
+            }
+            if (status.state === 'healthy') {
+                keyHealth.markValidated(key);
+                this.log('SUCCESS', `${aiProvider.label} API Key ${maskApiKey(key)} is valid.`);
+            } else {
+                this.updateKeyHealth(key, status);
+            }
+        }
+        if ([...keyHealth.snapshot().values()].every(entry => entry.state === 'invalid')) {
+            this.log('ERROR', `No valid ${aiProvider.label} API key. AI replies will fail until the keys are fixed.`);
+        }
+    }
 
     /**
-     * Generates a reply, either using Gemini AI or fallback text.
+     * Counts an AI generation call for the metrics and the key's health.
+     * @param {string} apiKey - Key used ('' for keyless providers).
+     * @param {string|null} result - Generated text, 'RATE_LIMITED', 'MODEL_UNAVAILABLE' or null.
+     * @param {string} [model] - Model the call used (a success only clears a bench for this model or the whole key).
+     */
+    recordAiCall(apiKey, result, model = null) {
+        const outcome = result === 'RATE_LIMITED' ? 'rate_limited' : (result === null || result === 'MODEL_UNAVAILABLE' ? 'error' : 'success');
+        keyHealth.recordOutcome(apiKey, outcome === 'success', model); // Failures lower the key's selection weight
+        metrics.inc('discord_bot_ai_requests_total', { provider: aiProvider.name, key: apiKeyRef(apiKey), result: outcome });
+    }
+
+    /**
+     * Builds the conversation sent to the AI: up to `size` messages ending with the target, oldest first.
+     * @param {Array<object>} messages - Fetched Discord messages (newest first).
+     * @param {object} target - The message being replied to.
+     * @param {object} botInfo - The bot account ({id, username}), to flag its own messages.
+     * @param {number} size - Context window, including the target.
+     * @returns {Array<object>} Entries { author, content, isSelf, isTarget, replyTo: { author, content } | null }.
+     */
+    buildConversation(messages, target, botInfo, size) {
+        const targetIndex = messages.findIndex(message => message.id === target.id);
+        const recent = messages.slice(targetIndex, targetIndex + size)
+            .filter(message => message.id === target.id || (message.content && message.content.trim().length > 0 && message.type !== 8));
+        const authorName = (author) => author.global_name || author.username;
+
+        return recent.reverse().map(message => {
+            // Discord includes the replied-to message; fall back to the fetched history if it was omitted
+            const referenced = message.referenced_message ||
+                (message.message_reference && messages.find(m => m.id === message.message_reference.message_id));
+            return {
+                author: authorName(message.author),
+                content: message.content.trim(),
+                isSelf: message.author.id === botInfo.id,
+                isTarget: message.id === target.id,
+                replyTo: referenced && referenced.author ? { author: authorName(referenced.author), content: (referenced.content || '').trim() } : null
+            };
+        });
+    }
+
+    /**
+     * Returns the prompt template a channel uses: its template file, or the built-in one for its language.
+     * @param {object} settings - The channel's settings (getChannelConfig).
+     * @returns {object} Template (see promptTemplates.js).
+     */
+    getPromptTemplate(settings) {
+        return settings.promptTemplate !== null && promptTemplateFiles[settings.promptTemplate]
+            ? promptTemplateFiles[settings.promptTemplate]
+            : promptTemplates.getBuiltInTemplate(settings.promptLanguage);
+    }
+
+    /**
+     * Renders the channel's prompt template for a message.
+     * @param {string} userMessage - The message to reply to.
+     * @param {string} channelId - Channel ID ({channel} and {server}).
+     * @param {object} settings - The channel's settings.
+     * @param {Array<object>} conversation - Recent messages; the target entry names the {author}.
+     * @returns {{system: string|null, text: string}}
+     */
+    buildPrompt(userMessage, channelId, settings, conversation) {
+        const details = channelDetails[channelId] || {};
+        const target = conversation.find(entry => entry.isTarget);
+        return promptTemplates.renderPrompt(this.getPromptTemplate(settings), {
+            message: userMessage,
+            author: target ? target.author : '',
+            channel: details.name,
+            server: details.guild_name,
+            languageCode: settings.promptLanguage
+        }, conversation.some(entry => !entry.isTarget));
+    }
+
+    /**
+     * Sends one generation request, retrying once on the fallback model when the failure is the model's:
+     * it is unknown or unsupported, or its own quota is used up. A key already benched for the model's quota
+     * goes straight to the fallback model. Other errors (including a rejected key) are returned as they are.
+     * Logs the model and generationConfig used at DEBUG level.
+     * @param {object} request - Provider request (see aiProviders.js).
+     * @param {string} apiKey - Key to use.
+     * @param {string} channelId - Channel ID for context logging.
+     * @param {string|null} fallbackModel - GEMINI_FALLBACK_MODEL, or null for no retry.
+     * @returns {Promise<string|null>} Text, 'RATE_LIMITED' or null (an unavailable model counts as an error).
+     */
+    async generateWithFallback(request, apiKey, channelId, fallbackModel) {
+        const skipPrimary = Boolean(fallbackModel) && keyHealth.isModelBenched(apiKey, request.model, Date.now());
+        let result = 'RATE_LIMITED';
+        if (!skipPrimary) {
+            if (aiProvider.supportsGenerationOptions) {
+                this.log('DEBUG', `[Channel ${channelId}] Generation settings: ${generationOptions.describeGenerationOptions(request.model, request.generationConfig)}`);
+            }
+            result = await aiProvider.generate(request, apiKey);
+            this.recordAiCall(apiKey, result, request.model);
+        }
+        const modelQuotaHit = result === 'RATE_LIMITED' && keyHealth.get(apiKey)?.models.has(request.model); // Set by this call, even with a 0s retry delay
+        if (!fallbackModel || (result !== 'MODEL_UNAVAILABLE' && !modelQuotaHit)) {
+            return result === 'MODEL_UNAVAILABLE' ? null : result;
+        }
+
+        this.log(skipPrimary ? 'DEBUG' : 'WARNING', `[Channel ${channelId}] Model ${request.model} ${result === 'MODEL_UNAVAILABLE' ? 'is not available' : 'is over its quota'}${skipPrimary ? ' on this key; using' : '; retrying with'} the fallback model ${fallbackModel}.`);
+        const fallbackRequest = { ...request, model: fallbackModel };
+        this.log('DEBUG', `[Channel ${channelId}] Generation settings: ${generationOptions.describeGenerationOptions(fallbackRequest.model, fallbackRequest.generationConfig)}`);
+        const fallbackResult = await aiProvider.generate(fallbackRequest, apiKey);
+        this.recordAiCall(apiKey, fallbackResult, fallbackModel); // A success here leaves the primary model's bench in place
+        return fallbackResult === 'MODEL_UNAVAILABLE' ? null : fallbackResult;
+    }
+
+    /**
+     * Generates a reply, either using the configured AI provider or fallback text.
      * Handles API key rotation and rate limiting.
      * @param {string} userMessage - The message to reply to (used by AI).
      * @param {string} channelId - Channel ID for context logging.
+     * @param {Array<object>} [conversation] - Recent messages for context (see buildConversation).
+     * @param {object} [botInfo] - The account replying ({username}), for the message file's {username}.
      * @returns {Promise<string|null>} The generated reply or null if unable to generate.
      */
-    async generateReply(userMessage, channelId) {
-        if (config.useGeminiAi) {
+    async generateReply(userMessage, channelId, conversation = [], botInfo = null) {
+        const settings = this.getChannelConfig(channelId);
+        if (settings.useGeminiAi) {
             let generatedText = null;
             let attempts = 0;
-            const maxAttempts = googleApiKeys.length || 1; // Try each key once if available
+            const maxAttempts = aiKeyPool.length || 1; // Try each key once if available
+            let model = settings[aiProvider.modelSetting];
+            let fallbackModel = null;
+            let generationConfig;
+            if (aiProvider.supportsGenerationOptions) {
+                ({ model, fallbackModel, generationConfig } = generationOptions.createGenerationOptions(settings));
+            }
 
             while (attempts < maxAttempts) {
-                const apiKey = this.getNextApiKey();
-                if (!apiKey) {
-                    this.log('ERROR', `[Channel ${channelId}] Cannot generate AI reply: All API keys are rate-limited.`);
+                const apiKey = this.getNextApiKey(...[model, fallbackModel].filter(Boolean));
+                if (apiKey === null) {
+                    this.log('ERROR', `[Channel ${channelId}] Cannot generate AI reply: No usable API key (rate-limited or invalid).`);
                     return null; // All keys are cooling down
                 }
 
-                this.log('DEBUG', `[Channel ${channelId}] Attempting AI generation with key ${apiKey.substring(0,5)}...`);
-                const result = await apiClient.generateGeminiReply(userMessage, apiKey, config.promptLanguage);
+                this.log('DEBUG', `[Channel ${channelId}] Attempting AI generation via ${aiProvider.label} with key ${maskApiKey(apiKey)}`);
+                const request = {
+                    prompt: this.buildPrompt(userMessage, channelId, settings, conversation), conversation,
+                    safetyThreshold: settings.geminiSafetyThreshold, model, generationConfig
+                };
+                const result = await this.generateWithFallback(request, apiKey, channelId, fallbackModel);
 
                 if (result === 'RATE_LIMITED') {
-                    this.markApiKeyRateLimited(apiKey);
+                    // Benches the provider reported during the call count even with a 0s retry delay
+                    const health = keyHealth.get(apiKey);
+                    const reported = health?.state === 'backoff' || health?.state === 'exhausted' || [model, fallbackModel].some(name => health?.models.has(name));
+                    if (!reported) {
+                        this.markApiKeyRateLimited(apiKey); // No details from the provider
+                    }
                     attempts++;
                     this.log('WAIT', `[Channel ${channelId}] API key rate limited, trying next key (${attempts}/${maxAttempts})...`);
                     await this.delay(1000); // Small delay before trying next key
                     continue; // Try the next key
+                } else if (result === null && keyHealth.get(apiKey)?.state === 'invalid') {
+                    attempts++;
+                    this.log('WARNING', `[Channel ${channelId}] API key rejected, trying next key (${attempts}/${maxAttempts})...`);
+                    continue;
                 } else if (result === null) {
                     // General API error or blocked content, don't retry immediately with same prompt
-                    this.log('ERROR', `[Channel ${channelId}] Failed to generate AI reply with key ${apiKey.substring(0,5)}... (Check API logs).`);
+                    this.log('ERROR', `[Channel ${channelId}] Failed to generate AI reply with key ${maskApiKey(apiKey)} (Check API logs).`);
                      // Consider if we should try another key here or just fail for this message
                      // For now, we'll fail for this message attempt if a non-rate-limit error occurs.
                      return null;
@@ -224,7 +587,7 @@ class BotLogic extends EventEmitter {
                         // We could potentially add a small modification to the prompt here if needed
                         await this.delay(500); // Small delay before retrying
                         // Retry with the *same* key as it worked, just got duplicate content
-                        const retryResult = await apiClient.generateGeminiReply(userMessage, apiKey, config.promptLanguage);
+                        const retryResult = await this.generateWithFallback(request, apiKey, channelId, fallbackModel);
                         if (retryResult && retryResult !== 'RATE_LIMITED' && retryResult !== lastGeneratedText) {
                              generatedText = retryResult;
                         } else {
@@ -237,6 +600,7 @@ class BotLogic extends EventEmitter {
                     }
 
                     lastGeneratedText = generatedText; // Store the successfully generated text
+                    stateDirty = true;
                     return generatedText;
                 }
             }
@@ -245,11 +609,294 @@ class BotLogic extends EventEmitter {
              return null;
 
         } else {
-            // Use fallback message from info.txt
-            return this.getRandomInfoMessage();
+            // Use fallback message from the channel's message file
+            await this.refreshInfoFile(settings.infoFilePath);
+            return this.nextInfoMessage(channelId, settings, botInfo);
+        }
+    }
+
+    /**
+     * Runs an outgoing message through the channel's moderation rules (see moderation.js).
+     * @param {string} text - The message to send.
+     * @param {string} channelId - Target channel.
+     * @param {object} settings - Effective channel settings.
+     * @param {string} channelLogPrefix - Prefix for log lines.
+     * @returns {string|null} The text to send (invites/links removed), or null if it was rejected.
+     */
+    moderateOutgoing(text, channelId, settings, channelLogPrefix) {
+        const result = moderation.moderateMessage(text, moderation.createModerationRules(settings));
+        if (result.rejection) {
+            this.log('WARNING', `${channelLogPrefix} Message rejected by moderation: it ${result.rejection.reason}.`);
+            metrics.inc('discord_bot_messages_rejected_total', { channel: channelId, rule: result.rejection.rule });
+            return null;
+        }
+        if (result.removedLinks > 0) {
+            this.log('INFO', `${channelLogPrefix} Removed ${result.removedLinks} link(s) from the message.`);
+        }
+        return result.text;
+    }
+
+    // --- Review queue (REVIEW_REPLIES) ---
+
+    /**
+     * Lists the replies waiting for approval.
+     * @returns {object[]} { id, channelId, account, author, message, reply, expiresAt, busy }, oldest first.
+     */
+    getReviewQueue() {
+        return this.reviewQueue.list().map(item => ({
+            id: item.id,
+            channelId: item.channelId,
+            account: item.botInfo.username,
+            author: item.message.author,
+            message: item.message.content,
+            reply: item.text,
+            expiresAt: item.expiresAt,
+            busy: item.busy
+        }));
+    }
+
+    /**
+     * Sends a queued reply as a reply to the original message. The item stays queued if the
+     * schedule, a quota or moderation blocks it, or if sending fails.
+     * @param {number} id - Queue item ID.
+     * @returns {Promise<boolean>} Whether the reply was sent.
+     */
+    async approveReply(id) {
+        const item = this.reviewQueue.get(id);
+        if (!item || item.busy) {
+            return false;
+        }
+        // Send with the channel's current account: it may have failed over since the reply was queued
+        const token = this.channelAccounts.has(item.channelId) ? this.channelAccounts.getActive(item.channelId) : item.token;
+        if (token === null) {
+            this.log('WARNING', `[Channel ${item.channelId}] Reply #${id} not sent: no account with access left.`);
+            return false;
+        }
+        const botInfo = token === item.token ? item.botInfo : botInfos[token];
+        const channelLogPrefix = `[Channel ${item.channelId} | Bot: ${botInfo.username}]`;
+        const settings = this.getChannelConfig(item.channelId);
+        const block = this.getSendBlock(item.channelId, botInfo, settings);
+        if (block) {
+            this.log('WARNING', `${channelLogPrefix} Reply #${id} not sent: ${block.reason}`);
+            return false;
+        }
+        const text = this.moderateOutgoing(item.text, item.channelId, settings, channelLogPrefix);
+        if (text === null) {
+            return false;
+        }
+
+        item.busy = true;
+        this.emit('statusUpdate');
+        try {
+            this.log('INFO', `${channelLogPrefix} Sending approved reply #${id}: "${text}"`);
+            const replyToId = settings.useReply ? item.message.id : null;
+            const sentMessage = await this.track(this.sendMessage(item.channelId, text, token, botInfo, replyToId));
+            if (!sentMessage) {
+                this.log('ERROR', `${channelLogPrefix} Failed to send message.`);
+                metrics.inc('discord_bot_messages_failed_total', { channel: item.channelId });
+                return false;
+            }
+            this.reviewQueue.remove(id);
+            this.log('SUCCESS', `${channelLogPrefix} Message sent (ID: ${sentMessage.id}).`);
+            this.recordSent(item.channelId, botInfo, { author: item.message.author, content: item.message.content });
+            this.scheduleDeletion(item.channelId, sentMessage, token, botInfo, settings, channelLogPrefix);
+            return true;
+        } catch (error) {
+            if (error.name !== 'AbortError') throw error;
+            this.log('WARNING', `${channelLogPrefix} Reply #${id} not sent: the bot is stopping.`);
+            return false;
+        } finally {
+            item.busy = false;
+            this.emit('statusUpdate');
+        }
+    }
+
+    /**
+     * Replaces the text of a queued reply (the operator's edit).
+     * @param {number} id - Queue item ID.
+     * @param {string} text - New reply text.
+     * @returns {boolean} False if the item is gone or busy, or the text is empty.
+     */
+    editReply(id, text) {
+        const item = this.reviewQueue.get(id);
+        if (!item || item.busy || !text || text.trim().length === 0) {
+            return false;
+        }
+        item.text = text.trim();
+        this.log('INFO', `[Channel ${item.channelId} | Bot: ${item.botInfo.username}] Reply #${id} edited: "${item.text}"`);
+        this.emit('statusUpdate');
+        return true;
+    }
+
+    /**
+     * Asks the AI for a new reply to a queued item's message. The old text is kept if that fails.
+     * @param {number} id - Queue item ID.
+     * @returns {Promise<boolean>} Whether the text was replaced.
+     */
+    async regenerateReply(id) {
+        const item = this.reviewQueue.get(id);
+        if (!item || item.busy) {
+            return false;
+        }
+        const channelLogPrefix = `[Channel ${item.channelId} | Bot: ${item.botInfo.username}]`;
+        item.busy = true;
+        this.emit('statusUpdate');
+        try {
+            this.log('INFO', `${channelLogPrefix} Regenerating reply #${id}...`);
+            let generatedText = null;
+            try {
+                generatedText = await this.track(this.generateReply(item.message.content, item.channelId, item.conversation, item.botInfo));
+            } catch (error) {
+                if (error.name !== 'AbortError') throw error; // A key cooldown or retry wait cut short by stop()
+            }
+            const replyText = generatedText ? this.moderateOutgoing(generatedText, item.channelId, this.getChannelConfig(item.channelId), channelLogPrefix) : null;
+            if (replyText) {
+                item.text = replyText;
+                this.log('INFO', `${channelLogPrefix} Reply #${id} regenerated: "${replyText}"`);
+            } else {
+                this.log('WARNING', `${channelLogPrefix} Could not regenerate reply #${id}; keeping the previous text.`);
+            }
+            return Boolean(replyText);
+        } finally {
+            item.busy = false;
+            this.emit('statusUpdate');
+        }
+    }
+
+    /**
+     * Drops a queued reply without sending it.
+     * @param {number} id - Queue item ID.
+     * @returns {boolean} False if the item is gone or busy.
+     */
+    rejectReply(id) {
+        const item = this.reviewQueue.get(id);
+        if (!item || item.busy) {
+            return false;
+        }
+        this.reviewQueue.remove(id);
+        this.log('INFO', `[Channel ${item.channelId} | Bot: ${item.botInfo.username}] Reply #${id} rejected.`);
+        this.emit('statusUpdate');
+        return true;
+    }
+
+    /**
+     * Sends a message, or only records it in DRY_RUN mode.
+     * @param {string} channelId - Target channel.
+     * @param {string} content - Message text.
+     * @param {string} token - Token of the sending account.
+     * @param {object} botInfo - That account ({id, username}).
+     * @param {string|null} replyToId - Message to reply to.
+     * @returns {Promise<object|null>} The sent message (a "dry-run-N" stand-in in dry-run mode), or null on failure.
+     */
+    async sendMessage(channelId, content, token, botInfo, replyToId) {
+        if (!dryRunRecorder) {
+            return apiClient.sendMessage(channelId, content, token, replyToId);
+        }
+        const message = dryRunRecorder.createMessage(channelId, content, botInfo, replyToId);
+        const recorded = this.recordDryRun(`[Channel ${channelId} | Bot: ${botInfo.username}]`, 'sendMessage', {
+            channelId, account: botInfo.username, messageId: message.id,
+            payload: { content, message_reference: message.message_reference }
+        });
+        return recorded ? message : null;
+    }
+
+    /**
+     * Deletes a message, or only records it in DRY_RUN mode.
+     * @param {string} channelId - The channel.
+     * @param {string} messageId - The message.
+     * @param {string} token - Token of the account that sent it.
+     * @returns {Promise<boolean>} Whether the message was deleted (recorded in dry-run mode).
+     */
+    async deleteMessage(channelId, messageId, token) {
+        if (!dryRunRecorder) {
+            return apiClient.deleteMessage(channelId, messageId, token);
+        }
+        const account = Object.values(botInfos).find(info => info.tokenRef === token)?.username || null;
+        return this.recordDryRun(`[Channel ${channelId}]`, 'deleteMessage', { channelId, account, messageId });
+    }
+
+    /**
+     * Writes a would-be request to the dry-run file.
+     * @param {string} logPrefix - Prefix for log lines.
+     * @param {string} action - 'sendMessage' or 'deleteMessage'.
+     * @param {object} details - Entry fields (see DryRunRecorder.record).
+     * @returns {boolean} False if the file could not be written.
+     */
+    recordDryRun(logPrefix, action, details) {
+        try {
+            dryRunRecorder.record(action, details);
+        } catch (error) {
+            this.log('ERROR', `${logPrefix} [Dry run] Failed to write ${path.basename(config.dryRunPath)}: ${error.message}`);
+            return false;
+        }
+        this.log('INFO', `${logPrefix} [Dry run] ${action} not executed; recorded in ${path.basename(config.dryRunPath)}.`);
+        return true;
+    }
+
+    /**
+     * Deletes a sent message according to the channel's deletion settings.
+     * Delayed deletions are recorded in the state so they survive a restart.
+     * @param {string} channelId - Channel the message was sent to.
+     * @param {object} sentMessage - The message returned by sendMessage.
+     * @param {string} token - Token of the account that sent it.
+     * @param {object} botInfo - That account ({id, username}).
+     * @param {object} settings - Effective channel settings.
+     * @param {string} channelLogPrefix - Prefix for log lines.
+     */
+    scheduleDeletion(channelId, sentMessage, token, botInfo, settings, channelLogPrefix) {
+        if (settings.deleteMessageDelay === null || !sentMessage.id) {
+            return;
+        }
+        if (settings.deleteImmediately || settings.deleteMessageDelay === 0) {
+            this.log('WAIT', `${channelLogPrefix} Deleting message ${sentMessage.id} immediately...`);
+            // No need to await deletion, let it run in background
+            this.track(this.deleteMessage(channelId, sentMessage.id, token)
+                .then(deleted => {
+                    if (deleted) this.recordDeletion(channelId, sentMessage.id, channelLogPrefix);
+                    // else: Error already logged by apiClient
+                }));
+        } else {
+            this.log('WAIT', `${channelLogPrefix} Scheduling message ${sentMessage.id} deletion in ${settings.deleteMessageDelay}s...`);
+            this.startDeletionTimer({
+                messageId: sentMessage.id,
+                channelId,
+                accountId: botInfo.id,
+                deleteAt: Date.now() + settings.deleteMessageDelay * 1000
+            }, token, channelLogPrefix);
         }
     }
 
+    /**
+     * Logs and counts a successful deletion.
+     * @param {string} channelId - The channel.
+     * @param {string} messageId - The deleted message.
+     * @param {string} channelLogPrefix - Prefix for log lines.
+     */
+    recordDeletion(channelId, messageId, channelLogPrefix) {
+        this.log('SUCCESS', `${channelLogPrefix} Message ${messageId} deleted.`);
+        metrics.inc('discord_bot_messages_deleted_total', { channel: channelId });
+    }
+
+    /**
+     * Starts (or resumes) the timer of a pending deletion and tracks it until it runs.
+     * @param {object} entry - { messageId, channelId, accountId, deleteAt }.
+     * @param {string} token - Token of the account that sent the message.
+     * @param {string} channelLogPrefix - Prefix for log lines.
+     */
+    startDeletionTimer(entry, token, channelLogPrefix) {
+        const timer = setTimeout(() => this.track((async () => {
+            this.log('WAIT', `${channelLogPrefix} Deleting message ${entry.messageId} now...`);
+            const deleted = await this.deleteMessage(entry.channelId, entry.messageId, token);
+            if (deleted) this.recordDeletion(entry.channelId, entry.messageId, channelLogPrefix);
+            if (deleted || this.isRunning) { // A deletion aborted by shutdown stays pending for the next start
+                pendingDeletions.delete(entry.messageId);
+                stateDirty = true;
+            }
+        })()), Math.max(0, entry.deleteAt - Date.now()));
+        pendingDeletions.set(entry.messageId, { ...entry, timer });
+        stateDirty = true;
+    }
+
     /**
      * Processes a single channel: fetches messages, generates replies/sends messages.
      * @param {string} channelId - The ID of the channel to process.
@@ -258,14 +905,38 @@ class BotLogic extends EventEmitter {
      */
     async processChannel(channelId, token, botInfo) {
         const channelLogPrefix = `[Channel ${channelId} | Bot: ${botInfo.username}]`;
-        this.log('DEBUG', `${channelLogPrefix} Starting processing cycle.`);
-
-        let effectiveDelay = config.intervalSeconds * 1000; // Base delay
+        const settings = this.getChannelConfig(channelId); // Effective settings for this channel
+
+        let effectiveDelay = settings.intervalSeconds * 1000; // Base delay
+        const cycleStartedAt = Date.now();
+        this.cycleStarts.set(channelId, cycleStartedAt);
+        const paused = this.isChannelPaused(channelId);
+        const cycle = { controller: new AbortController(), skipSend: false }; // See skipPendingSend()
+        const cycleSignal = cycle.controller.signal;
+        this.activeCycles.set(channelId, cycle);
+
+        // Outside the active hours or over a quota: log it and sleep until sending is allowed again
+        const checkSendAllowed = () => {
+            const block = this.getSendBlock(channelId, botInfo, settings);
+            if (!block) return true;
+            effectiveDelay = block.resumeAt === null ? effectiveDelay : Math.max(1000, block.resumeAt - Date.now());
+            this.log('WAIT', `${channelLogPrefix} ${block.reason} Sleeping until ${block.resumeAt === null ? 'the schedule allows sending' : new Date(block.resumeAt).toLocaleString()}.`);
+            return false;
+        };
 
         try {
+            if (paused) {
+                this.log('DEBUG', `${channelLogPrefix} Paused; skipping this cycle.`);
+                return;
+            }
+            if (!checkSendAllowed()) {
+                return;
+            }
+            this.log('DEBUG', `${channelLogPrefix} Starting processing cycle.`);
+
             // --- Get Channel Info (including potential slow mode) ---
-            // Cache channel info to avoid repeated API calls unless necessary
-            if (!channelDetails[channelId] || config.useSlowMode) {
+            // Cache channel info to avoid repeated API calls unless necessary (the gateway keeps it current)
+            if (!channelDetails[channelId] || (settings.useSlowMode && !this.isGatewayReady(token))) {
                  const fetchedChannelInfo = await apiClient.getChannelInfo(channelId, token);
                  if (fetchedChannelInfo) {
                      channelDetails[channelId] = {
@@ -284,25 +955,28 @@ class BotLogic extends EventEmitter {
             const currentChannelInfo = channelDetails[channelId];
 
             // --- Handle Gemini AI Reply Logic ---
-            if (config.useGeminiAi) {
-                this.log('WAIT', `${channelLogPrefix} Waiting ${config.readDelaySeconds}s before reading messages...`);
-                await this.delay(config.readDelaySeconds * 1000);
+            if (settings.useGeminiAi) {
+                this.log('WAIT', `${channelLogPrefix} Waiting ${settings.readDelaySeconds}s before reading messages...`);
+                await this.delay(settings.readDelaySeconds * 1000, cycleSignal);
 
                 this.log('INFO', `${channelLogPrefix} Fetching recent messages...`);
-                const messages = await apiClient.fetchMessages(channelId, token);
+                const messages = await this.getRecentMessages(channelId, token, settings.contextMessages);
 
                 if (!messages) {
                     this.log('ERROR', `${channelLogPrefix} Failed to fetch messages. Skipping reply generation.`);
                     return;
                 }
+                metrics.inc('discord_bot_messages_fetched_total', { channel: channelId }, messages.length);
 
                 if (messages.length === 0) {
                     this.log('INFO', `${channelLogPrefix} No new messages found.`);
                     return; // Nothing to process
                 }
 
-                // Process the *most recent* message that hasn't been processed and isn't from the bot itself
+                // Process the *most recent* message that hasn't been processed, isn't from the bot itself and fires a trigger
+                const triggerRules = triggers.createTriggerRules(settings);
                 let messageToProcess = null;
+                let trigger = null;
                 for (const message of messages) {
                      // Check if message is valid (not bot, not processed, has content or specific types if needed)
                      // Type 8 is thread created - ignore for now. Add other types if needed.
@@ -313,11 +987,18 @@ class BotLogic extends EventEmitter {
                      if (!isBotMessage && !alreadyProcessed && !isIgnoredType) {
                          // Check if message has actual text content (ignore attachment-only messages for AI)
                          if (message.content && message.content.trim().length > 0) {
-                             messageToProcess = message;
-                             break; // Found the latest valid message to process
+                             const ignoreReason = triggers.getIgnoreReason(message, triggerRules);
+                             trigger = ignoreReason ? null : triggers.findTrigger(message, triggerRules, botInfo);
+                             if (trigger) {
+                                 messageToProcess = message;
+                                 break; // Found the latest valid message to process
+                             }
+                             // Marked so a random trigger is not rolled again for the same message
+                             this.log('INFO', `${channelLogPrefix} Skipping message ${message.id} from ${message.author.username} (${ignoreReason || 'no trigger matched'}).`);
+                             this.markMessageProcessed(message.id);
                          } else {
                              this.log('INFO', `${channelLogPrefix} Skipping message ${message.id} (no text content or attachment only).`);
-                             processedMessageIds.add(message.id); // Mark as processed to avoid re-checking
+                             this.markMessageProcessed(message.id); // Mark as processed to avoid re-checking
                          }
                      } else if (isBotMessage) {
                         // Optional: Mark bot's own messages as processed if needed, though deletion logic handles them
@@ -326,64 +1007,72 @@ class BotLogic extends EventEmitter {
                          // this.log('DEBUG', `${channelLogPrefix} Skipping already processed message ${message.id}.`);
                      } else if (isIgnoredType) {
                          this.log('INFO', `${channelLogPrefix} Skipping message ${message.id} (type ${message.type}).`);
-                         processedMessageIds.add(message.id);
+                         this.markMessageProcessed(message.id);
                      }
                 }
 
 
                 if (messageToProcess) {
-                    processedMessageIds.add(messageToProcess.id); // Mark as processed
+                    this.markMessageProcessed(messageToProcess.id); // Mark as processed
                     const userMessageContent = messageToProcess.content.trim();
-                    this.log('INFO', `${channelLogPrefix} New message from ${messageToProcess.author.username}: "${userMessageContent}"`);
+                    this.log('INFO', `${channelLogPrefix} New message from ${messageToProcess.author.username} (trigger: ${trigger.description}): "${userMessageContent}"`);
+                    metrics.inc('discord_bot_triggers_total', { channel: channelId, trigger: trigger.name });
 
                     // --- Apply Slow Mode Delay (if enabled) ---
-                    if (config.useSlowMode && currentChannelInfo.slowModeDelay > 0) {
+                    if (settings.useSlowMode && currentChannelInfo.slowModeDelay > 0) {
                         this.log('WAIT', `${channelLogPrefix} Channel slow mode active (${currentChannelInfo.slowModeDelay}s). Waiting...`);
-                        await this.delay(currentChannelInfo.slowModeDelay * 1000);
+                        await this.delay(currentChannelInfo.slowModeDelay * 1000, cycleSignal);
                         // Adjust overall interval delay if slow mode is longer
                         effectiveDelay = Math.max(effectiveDelay, (currentChannelInfo.slowModeDelay + 5) * 1000); // Add buffer
                     }
 
                     // --- Generate Reply ---
                     this.log('INFO', `${channelLogPrefix} Generating reply...`);
-                    const replyText = await this.generateReply(userMessageContent, channelId);
+                    const conversation = this.buildConversation(messages, messageToProcess, botInfo, settings.contextMessages);
+                    let generatedText = await this.generateReply(userMessageContent, channelId, conversation, botInfo);
+                    let replyText = generatedText ? this.moderateOutgoing(generatedText, channelId, settings, channelLogPrefix) : null;
+                    if (generatedText && replyText === null && settings.regenerateRejected) {
+                        this.log('INFO', `${channelLogPrefix} Generating another reply...`);
+                        generatedText = await this.generateReply(userMessageContent, channelId, conversation, botInfo);
+                        replyText = generatedText ? this.moderateOutgoing(generatedText, channelId, settings, channelLogPrefix) : null;
+                    }
 
                     if (replyText) {
                         if (replyText.trim().toLowerCase() === userMessageContent.toLowerCase()) {
                              this.log('WARNING', `${channelLogPrefix} Generated reply is identical to the original message. Skipping send.`);
+                        } else if (settings.reviewReplies) {
+                            // --- Queue for operator approval (sent by approveReply) ---
+                            const item = this.reviewQueue.add({
+                                channelId, token, botInfo, conversation,
+                                message: { id: messageToProcess.id, author: messageToProcess.author.username, content: userMessageContent },
+                                text: replyText
+                            }, settings.reviewTimeoutSeconds * 1000);
+                            this.log('INFO', `${channelLogPrefix} Reply #${item.id} queued for review: "${replyText}"`);
+                            this.emit('statusUpdate');
                         } else {
                             // --- Send Reply ---
+                            cycleSignal.throwIfAborted(); // Skipped while the reply was generated
+                            if (!checkSendAllowed()) { // Window closed or quota used up meanwhile
+                                return;
+                            }
                             this.log('INFO', `${channelLogPrefix} Sending reply: "${replyText}"`);
-                            const replyToId = config.useReply ? messageToProcess.id : null;
-                            const sentMessage = await apiClient.sendMessage(channelId, replyText, token, replyToId);
+                            const replyToId = settings.useReply ? messageToProcess.id : null;
+                            const sentMessage = await this.sendMessage(channelId, replyText, token, botInfo, replyToId);
 
                             if (sentMessage) {
                                 this.log('SUCCESS', `${channelLogPrefix} Message sent (ID: ${sentMessage.id}).`);
+                                this.recordSent(channelId, botInfo, { author: messageToProcess.author.username, content: userMessageContent });
                                 // --- Handle Message Deletion ---
-                                if (config.deleteMessageDelay !== null && sentMessage.id) {
-                                    if (config.deleteImmediately || config.deleteMessageDelay === 0) {
-                                        this.log('WAIT', `${channelLogPrefix} Deleting message ${sentMessage.id} immediately...`);
-                                        // No need to await deletion, let it run in background
-                                        apiClient.deleteMessage(channelId, sentMessage.id, token)
-                                            .then(deleted => {
-                                                if (deleted) this.log('SUCCESS', `${channelLogPrefix} Message ${sentMessage.id} deleted.`);
-                                                // else: Error already logged by apiClient
-                                            });
-                                    } else if (config.deleteMessageDelay > 0) {
-                                        this.log('WAIT', `${channelLogPrefix} Scheduling message ${sentMessage.id} deletion in ${config.deleteMessageDelay}s...`);
-                                        setTimeout(async () => {
-                                            this.log('WAIT', `${channelLogPrefix} Deleting message ${sentMessage.id} now...`);
-                                            const deleted = await apiClient.deleteMessage(channelId, sentMessage.id, token);
-                                            if (deleted) this.log('SUCCESS', `${channelLogPrefix} Message ${sentMessage.id} deleted.`);
-                                        }, config.deleteMessageDelay * 1000);
-                                    }
-                                }
+                                this.scheduleDeletion(channelId, sentMessage, token, botInfo, settings, channelLogPrefix);
                             } else {
                                 this.log('ERROR', `${channelLogPrefix} Failed to send message.`);
+                                metrics.inc('discord_bot_messages_failed_total', { channel: channelId });
                                 // Handle potential rate limit error from sending
                                 // The apiClient might log specific errors (like 429)
                             }
                         }
+                    } else if (generatedText) {
+                        this.log('WARNING', `${channelLogPrefix} No reply passed moderation. Skipping send.`);
                     } else {
                         this.log('WARNING', `${channelLogPrefix} Could not generate a reply for the message.`);
                     }
@@ -393,56 +1082,594 @@ class BotLogic extends EventEmitter {
 
             } else {
                 // --- Handle Sending Message from File (Gemini AI Disabled) ---
-                this.log('INFO', `${channelLogPrefix} Gemini AI disabled. Sending message from info.txt.`);
+                const infoFileName = path.basename(settings.infoFilePath);
+                this.log('INFO', `${channelLogPrefix} Gemini AI disabled. Sending message from ${infoFileName}.`);
+                await this.refreshInfoFile(settings.infoFilePath); // Picks up edits without a restart
 
                  // --- Apply Slow Mode Delay (if enabled and applicable) ---
                  // Usually less critical here, but can be added if needed
-                 if (config.useSlowMode && currentChannelInfo.slowModeDelay > 0) {
+                 if (settings.useSlowMode && currentChannelInfo.slowModeDelay > 0) {
                      this.log('WAIT', `${channelLogPrefix} Channel slow mode active (${currentChannelInfo.slowModeDelay}s). Waiting before sending...`);
-                     await this.delay(currentChannelInfo.slowModeDelay * 1000);
+                     await this.delay(currentChannelInfo.slowModeDelay * 1000, cycleSignal);
                      effectiveDelay = Math.max(effectiveDelay, (currentChannelInfo.slowModeDelay + 5) * 1000);
                  }
 
-                const messageText = this.getRandomInfoMessage();
+                const messageText = this.moderateOutgoing(this.nextInfoMessage(channelId, settings, botInfo), channelId, settings, channelLogPrefix);
+                if (messageText === null) {
+                    return;
+                }
+                cycleSignal.throwIfAborted();
+                if (!checkSendAllowed()) {
+                    return;
+                }
                 this.log('INFO', `${channelLogPrefix} Sending message: "${messageText}"`);
                 // No reply context when sending from file
-                const sentMessage = await apiClient.sendMessage(channelId, messageText, token, null);
+                const sentMessage = await this.sendMessage(channelId, messageText, token, botInfo, null);
 
                 if (sentMessage) {
                     this.log('SUCCESS', `${channelLogPrefix} Message sent (ID: ${sentMessage.id}).`);
+                    this.recordSent(channelId, botInfo);
                     // --- Handle Message Deletion ---
-                     if (config.deleteMessageDelay !== null && sentMessage.id) {
-                         if (config.deleteImmediately || config.deleteMessageDelay === 0) {
-                             this.log('WAIT', `${channelLogPrefix} Deleting message ${sentMessage.id} immediately...`);
-                             apiClient.deleteMessage(channelId, sentMessage.id, token)
-                                 .then(deleted => {
-                                     if (deleted) this.log('SUCCESS', `${channelLogPrefix} Message ${sentMessage.id} deleted.`);
-                                 });
-                         } else if (config.deleteMessageDelay > 0) {
-                             this.log('WAIT', `${channelLogPrefix} Scheduling message ${sentMessage.id} deletion in ${config.deleteMessageDelay}s...`);
-                             setTimeout(async () => {
-                                 this.log('WAIT', `${channelLogPrefix} Deleting message ${sentMessage.id} now...`);
-                                 const deleted = await apiClient.deleteMessage(channelId, sentMessage.id, token);
-                                 if (deleted) this.log('SUCCESS', `${channelLogPrefix} Message ${sentMessage.id} deleted.`);
-                             }, config.deleteMessageDelay * 1000);
-                         }
-                     }
+                    this.scheduleDeletion(channelId, sentMessage, token, botInfo, settings, channelLogPrefix);
                 } else {
                     this.log('ERROR', `${channelLogPrefix} Failed to send message.`);
+                    metrics.inc('discord_bot_messages_failed_total', { channel: channelId });
                 }
             }
 
         } catch (error) {
-            this.log('ERROR', `${channelLogPrefix} Unhandled error during processing cycle: ${error.message}\n${error.stack}`);
+            if (error.name === 'AbortError' && !this.isRunning) {
+                this.log('DEBUG', `${channelLogPrefix} Cycle cancelled by shutdown.`);
+            } else if (error.name === 'AbortError' && cycle.skipSend) {
+                this.log('INFO', `${channelLogPrefix} Pending send skipped.`);
+            } else {
+                this.log('ERROR', `${channelLogPrefix} Unhandled error during processing cycle: ${error.message}\n${error.stack}`);
+            }
         } finally {
-             // Schedule the next run for this specific channel/token combo
-             this.log('WAIT', `${channelLogPrefix} Next check in ${Math.round(effectiveDelay / 1000)}s...`);
-             const timerId = setTimeout(() => this.processChannel(channelId, token, botInfo), effectiveDelay);
-             // Store timer ID if needed for cleanup on stop
-             // this.timers.push(timerId); // Be careful managing this if channels/tokens change dynamically
+             this.activeCycles.delete(channelId);
+             if (!paused) {
+                 metrics.observe('discord_bot_cycle_duration_seconds', { channel: channelId }, (Date.now() - cycleStartedAt) / 1000);
+             }
+             // Only keep looping while the bot is running (cycles invoked directly, e.g. by tests, run once)
+             if (!this.isRunning) {
+                 return;
+             }
+             // Schedule the next run with the channel's account (another one if it failed over during this cycle)
+             const nextToken = this.channelAccounts.has(channelId) ? this.channelAccounts.getActive(channelId) : token;
+             if (nextToken === null) {
+                 this.log('ERROR', `${channelLogPrefix} No account with access left. Bot will not monitor this channel.`);
+                 return;
+             }
+             const nextBotInfo = botInfos[nextToken] || botInfo;
+             if (nextToken !== token) {
+                 effectiveDelay = Math.min(effectiveDelay, FAILOVER_RETRY_MS); // Try the new account right away
+             }
+             this.log('WAIT', `[Channel ${channelId} | Bot: ${nextBotInfo.username}] Next check in ${Math.round(effectiveDelay / 1000)}s...`);
+             this.scheduleCycle(channelId, nextToken, nextBotInfo, effectiveDelay);
+        }
+    }
+
+
+    /**
+     * Returns a channel's recent messages, newest first. While the account's gateway is connected they
+     * come from the cache its events keep current (filled by one REST fetch); otherwise from REST.
+     * @param {string} channelId - The channel.
+     * @param {string} token - The Discord token assigned to it.
+     * @param {number} limit - How many messages.
+     * @returns {Promise<Array|null>} The messages, or null if fetching failed.
+     */
+    async getRecentMessages(channelId, token, limit) {
+        if (!this.isGatewayReady(token)) {
+            return apiClient.fetchMessages(channelId, token, limit);
+        }
+        if (!messageCaches.has(channelId)) {
+            const fetched = await apiClient.fetchMessages(channelId, token, limit);
+            if (!fetched) return null;
+            messageCaches.set(channelId, fetched.slice(0, MESSAGE_CACHE_SIZE));
+        }
+        return messageCaches.get(channelId).slice(0, limit);
+    }
+
+    /**
+     * Counts a sent message, remembers it for the channel dashboard and adds it to the quotas.
+     * @param {string} channelId - The channel.
+     * @param {object} botInfo - The account that sent it.
+     * @param {object|null} [repliedTo] - { author, content } of the message answered (AI mode).
+     */
+    recordSent(channelId, botInfo, repliedTo = null) {
+        const now = Date.now();
+        metrics.inc('discord_bot_messages_sent_total', { channel: channelId });
+        const activity = channelActivity.get(channelId) || {};
+        channelActivity.set(channelId, { ...activity, lastRepliedTo: repliedTo || activity.lastRepliedTo || null, lastSentAt: now });
+        [[channelSends, channelId], [accountSends, botInfo.id]].forEach(([sends, key]) => {
+            sends.set(key, [...(sends.get(key) || []).filter(time => time > now - schedule.DAY_MS), now]);
+        });
+        stateDirty = true;
+    }
+
+    /**
+     * Checks a channel's active hours and the channel and account quotas.
+     * @param {string} channelId - The channel.
+     * @param {object} botInfo - The account sending to it.
+     * @param {object} settings - Effective channel settings.
+     * @param {number} [now] - Epoch milliseconds.
+     * @returns {{reason: string, resumeAt: number|null}|null} Why sending is not allowed and when it
+     *   is again (null if the schedule never opens), or null if sending is allowed now.
+     */
+    getSendBlock(channelId, botInfo, settings, now = Date.now()) {
+        const channelLimits = { perHour: settings.maxMessagesPerHour, perDay: settings.maxMessagesPerDay };
+        const accountLimits = { perHour: config.accountMaxMessagesPerHour, perDay: config.accountMaxMessagesPerDay };
+        const channelQuota = schedule.checkQuota(channelSends.get(channelId) || [], channelLimits, now);
+        const accountQuota = schedule.checkQuota(accountSends.get(botInfo.id) || [], accountLimits, now);
+        const describeQuota = (quota, limits, owner) => (quota.hourRemaining === 0
+            ? `${owner} hourly quota reached (${limits.perHour} message(s)).`
+            : `${owner} daily quota reached (${limits.perDay} message(s)).`);
+
+        let reason = null;
+        if (channelQuota.availableAt > now) reason = describeQuota(channelQuota, channelLimits, 'Channel');
+        else if (accountQuota.availableAt > now) reason = describeQuota(accountQuota, accountLimits, `Account ${botInfo.username}`);
+        const resumeAt = schedule.nextActiveTime(schedule.createSchedule(settings), Math.max(channelQuota.availableAt, accountQuota.availableAt));
+        if (reason === null && resumeAt === now) {
+            return null;
+        }
+        return { reason: reason || 'Outside active hours.', resumeAt };
+    }
+
+    /**
+     * Records a message as handled, dropping the oldest IDs beyond the retention limit.
+     * @param {string} messageId - The Discord message ID.
+     */
+    markMessageProcessed(messageId) {
+        processedMessageIds.delete(messageId); // Re-insert so it counts as the newest
+        processedMessageIds.add(messageId);
+        while (processedMessageIds.size > config.maxProcessedIds) {
+            processedMessageIds.delete(processedMessageIds.values().next().value);
         }
+        stateDirty = true;
     }
 
+    // --- State Persistence ---
+
+    /**
+     * Restores the persisted state from the state file.
+     * @returns {Array<object>} Pending deletions to resume once the bot accounts are known.
+     */
+    loadState() {
+        const { state, warning } = stateStore.load();
+        if (warning) {
+            this.log('WARNING', `[State] ${warning}`);
+        }
+        if (!state) {
+            this.log('INFO', `[State] No saved state at ${path.basename(config.statePath)}; starting fresh.`);
+            return [];
+        }
+
+        (state.processedMessageIds || []).forEach(id => this.markMessageProcessed(id));
+
+        // Cooldowns are stored by key fingerprint; keys no longer configured are dropped
+        const now = Date.now();
+        const keysByFingerprint = new Map(aiKeyPool.map(key => [fingerprintKey(`${aiProvider.name}:${key}`), key]));
+        let restoredCooldowns = 0;
+        Object.entries(state.rateLimitedKeys || {}).forEach(([fingerprint, expiry]) => {
+            const key = keysByFingerprint.get(fingerprint);
+            if (key !== undefined && expiry > now) {
+                const { state: keyState = 'exhausted', reason = 'rate limited' } = state.keyStates?.[fingerprint] || {}; // Older files: 24h cooldowns
+                if (keyState === 'backoff') keyHealth.markBackoff(key, Math.ceil((expiry - now) / 1000), reason, now);
+                else keyHealth.markExhausted(key, expiry, reason);
+                restoredCooldowns++;
+            }
+        });
+        Object.entries(state.modelBenches || {}).forEach(([fingerprint, models]) => {
+            const key = keysByFingerprint.get(fingerprint);
+            if (key === undefined) return;
+            Object.entries(models).forEach(([model, { state: benchState, until, reason }]) => {
+                if (!(until > now)) return;
+                if (benchState === 'backoff') keyHealth.markBackoff(key, Math.ceil((until - now) / 1000), reason, now, model);
+                else keyHealth.markExhausted(key, until, reason, model);
+                restoredCooldowns++;
+            });
+        });
+
+        if (typeof state.lastGeneratedText === 'string') {
+            lastGeneratedText = state.lastGeneratedText;
+        }
+        // Send times keep the quotas across restarts; anything older than a day no longer counts
+        [[channelSends, state.sendHistory?.channels], [accountSends, state.sendHistory?.accounts]].forEach(([sends, saved]) => {
+            Object.entries(saved || {}).forEach(([key, times]) => {
+                const recent = Array.isArray(times) ? times.filter(time => Number.isFinite(time) && time > now - schedule.DAY_MS) : [];
+                if (recent.length > 0) sends.set(key, recent.sort((a, b) => a - b));
+            });
+        });
+        const deletions = Array.isArray(state.pendingDeletions) ? state.pendingDeletions : [];
+        stateDirty = false;
+
+        this.log('INFO', `[State] Restored ${processedMessageIds.size} processed message ID(s), ${restoredCooldowns} key cooldown(s) and ${deletions.length} pending deletion(s).`);
+        return deletions;
+    }
+
+    /**
+     * Restarts deletion timers saved by a previous run. Overdue deletions run right away.
+     * @param {Array<object>} deletions - Entries { messageId, channelId, accountId, deleteAt }.
+     */
+    resumePendingDeletions(deletions) {
+        for (const entry of deletions) {
+            const token = Object.keys(botInfos).find(t => botInfos[t].id === entry.accountId);
+            if (!token) {
+                this.log('WARNING', `[State] Cannot delete message ${entry.messageId} in channel ${entry.channelId}: account ${entry.accountId} is not loaded.`);
+                stateDirty = true;
+                continue;
+            }
+            const channelLogPrefix = `[Channel ${entry.channelId} | Bot: ${botInfos[token].username}]`;
+            const remainingSeconds = Math.max(0, Math.round((entry.deleteAt - Date.now()) / 1000));
+            this.log('WAIT', `${channelLogPrefix} Resuming deletion of message ${entry.messageId} in ${remainingSeconds}s...`);
+            this.startDeletionTimer(entry, token, channelLogPrefix);
+        }
+    }
+
+    /**
+     * Builds the serializable state. API keys are stored as fingerprints and tokens as account IDs.
+     * @returns {object}
+     */
+    getStateSnapshot() {
+        const rateLimitedKeys = {}; // Fingerprint -> end of the bench
+        const keyStates = {}; // Fingerprint -> { state, reason } of the benched keys
+        const modelBenches = {}; // Fingerprint -> { model: { state, until, reason } } of the keys' benched models
+        keyHealth.snapshot().forEach((entry, key) => {
+            const fingerprint = fingerprintKey(`${aiProvider.name}:${key}`);
+            if (Object.keys(entry.models).length > 0) modelBenches[fingerprint] = entry.models;
+            if (entry.until === null) return;
+            rateLimitedKeys[fingerprint] = entry.until;
+            keyStates[fingerprint] = { state: entry.state, reason: entry.reason };
+        });
+        return {
+            processedMessageIds: [...processedMessageIds],
+            rateLimitedKeys,
+            keyStates,
+            modelBenches,
+            lastGeneratedText,
+            pendingDeletions: [...pendingDeletions.values()].map(({ timer, ...entry }) => entry),
+            sendHistory: {
+                channels: Object.fromEntries(channelSends),
+                accounts: Object.fromEntries(accountSends)
+            }
+        };
+    }
+
+    /**
+     * Writes the state file if anything changed since the last save.
+     * @returns {Promise<void>}
+     */
+    async saveState() {
+        if (!stateDirty || config.dryRun) { // A dry run must not mark messages as answered for real runs
+            return;
+        }
+        stateDirty = false;
+        try {
+            await stateStore.save(this.getStateSnapshot());
+        } catch (error) {
+            stateDirty = true; // Retry on the next flush
+            this.log('ERROR', `[State] Failed to save ${path.basename(config.statePath)}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Writes the state file synchronously (used on shutdown).
+     */
+    saveStateSync() {
+        if (config.dryRun) {
+            return;
+        }
+        try {
+            stateStore.saveSync(this.getStateSnapshot());
+            stateDirty = false;
+        } catch (error) {
+            this.log('ERROR', `[State] Failed to save ${path.basename(config.statePath)}: ${error.message}`);
+        }
+    }
+
+    // --- Pause / Resume ---
+
+    /**
+     * Pauses one channel, or the whole bot when no channel is given.
+     * Cycles keep their schedule but skip their work until resumed.
+     * @param {string|null} [channelId] - Channel to pause; null for every channel.
+     * @returns {boolean} False if the channel is not monitored.
+     */
+    pause(channelId = null) {
+        if (channelId !== null && !channelIds.includes(channelId)) {
+            return false;
+        }
+        if (channelId === null) {
+            botPaused = true;
+            this.log('WARNING', 'Bot paused. Channels skip their cycles until resumed.');
+        } else {
+            pausedChannels.add(channelId);
+            this.log('WARNING', `[Channel ${channelId}] Paused.`);
+        }
+        this.updatePausedMetrics();
+        this.emit('statusUpdate');
+        return true;
+    }
+
+    /**
+     * Resumes one channel, or the whole bot when no channel is given.
+     * Resuming the bot keeps individually paused channels paused.
+     * @param {string|null} [channelId] - Channel to resume; null for the bot.
+     * @returns {boolean} False if the channel is not monitored.
+     */
+    resume(channelId = null) {
+        if (channelId !== null && !channelIds.includes(channelId)) {
+            return false;
+        }
+        if (channelId === null) {
+            botPaused = false;
+            this.log('SUCCESS', 'Bot resumed.');
+        } else {
+            pausedChannels.delete(channelId);
+            this.log('SUCCESS', `[Channel ${channelId}] Resumed.`);
+        }
+        this.updatePausedMetrics();
+        this.emit('statusUpdate');
+        return true;
+    }
+
+    /**
+     * Whether a channel currently skips its cycles (paused itself or the whole bot is paused).
+     * @param {string} channelId - The channel.
+     * @returns {boolean}
+     */
+    isChannelPaused(channelId) {
+        return botPaused || pausedChannels.has(channelId);
+    }
+
+    updatePausedMetrics() {
+        channelIds.forEach(id => metrics.set('discord_bot_channel_paused', { channel: id }, this.isChannelPaused(id) ? 1 : 0));
+    }
+
+    // --- Runtime Controls (TUI) ---
+
+    /**
+     * Switches a channel between AI replies and info.txt messages until the bot restarts.
+     * Takes effect from the channel's next cycle.
+     * @param {string} channelId - The channel.
+     * @param {boolean} enabled - True for AI replies, false for messages from the info file.
+     * @returns {boolean} False if the channel is not monitored.
+     */
+    setAiEnabled(channelId, enabled) {
+        if (!channelIds.includes(channelId)) {
+            return false;
+        }
+        aiModeOverrides.set(channelId, enabled);
+        this.log('INFO', `[Channel ${channelId}] ${enabled ? 'AI replies enabled' : `AI disabled; sending messages from ${path.basename(this.getChannelConfig(channelId).infoFilePath)}`} (until restart).`);
+        this.emit('statusUpdate');
+        return true;
+    }
+
+    /**
+     * Whether a channel currently replies with AI (channels.json and runtime switches applied).
+     * @param {string} channelId - The channel.
+     * @returns {boolean}
+     */
+    isAiEnabled(channelId) {
+        return this.getChannelConfig(channelId).useGeminiAi;
+    }
+
+    /**
+     * Starts a channel's next cycle right away instead of waiting for its timer.
+     * @param {string} channelId - The channel.
+     * @returns {boolean} False if no cycle is scheduled (bot stopped, channel failed to initialize or a cycle is running).
+     */
+    runCycleNow(channelId) {
+        if (this.activeCycles.has(channelId)) {
+            this.log('INFO', `[Channel ${channelId}] A cycle is already running.`);
+            return false;
+        }
+        const scheduled = this.scheduledCycles.get(channelId);
+        if (!scheduled) {
+            this.log('WARNING', `[Channel ${channelId}] No cycle is scheduled for this channel.`);
+            return false;
+        }
+        this.log('INFO', `[Channel ${channelId}] Running the next cycle now.`);
+        this.reschedule(channelId, scheduled, 0);
+        return true;
+    }
+
+    /**
+     * Replaces a channel's scheduled cycle with one that starts after the given delay.
+     * @param {string} channelId - The channel.
+     * @param {object} scheduled - Its entry in scheduledCycles.
+     * @param {number} delayMs - Delay before the cycle starts.
+     */
+    reschedule(channelId, scheduled, delayMs) {
+        clearTimeout(scheduled.timerId);
+        this.timers.delete(scheduled.timerId);
+        this.scheduleCycle(channelId, scheduled.token, scheduled.botInfo, delayMs);
+    }
+
+    /**
+     * Cancels the send of a channel's running cycle (waiting on the read or slow mode delay,
+     * or generating a reply). The message being answered stays processed; the next cycle is scheduled as usual.
+     * @param {string} channelId - The channel.
+     * @returns {boolean} False if no cycle is running for the channel.
+     */
+    skipPendingSend(channelId) {
+        const cycle = this.activeCycles.get(channelId);
+        if (!cycle) {
+            this.log('INFO', `[Channel ${channelId}] No send pending.`);
+            return false;
+        }
+        cycle.skipSend = true;
+        cycle.controller.abort();
+        return true;
+    }
+
+    // --- Account failover ---
+
+    /**
+     * Handles a 401/403 answer to a channel request. A 403 concerns that channel only; a 401 means the
+     * token itself stopped working, so every channel the account works in fails over.
+     * @param {string} channelId - Channel of the request.
+     * @param {string} token - The account that made it.
+     * @param {number} status - 401 or 403.
+     * @param {string} description - Error body, for the log.
+     */
+    handleAccessError(channelId, token, status, description) {
+        const affected = status === 401
+            ? [...this.channelTokens].filter(([, channelToken]) => channelToken === token).map(([id]) => id)
+            : [channelId];
+        affected.forEach(id => this.failoverChannel(id, token, `${status} ${description}`));
+    }
+
+    /**
+     * Moves a channel from an account that lost access to its next account, if it has one.
+     * @param {string} channelId - The channel.
+     * @param {string} token - The account that failed.
+     * @param {string} reason - What Discord answered.
+     * @returns {string|null} The account now working in the channel, or null if none is left.
+     */
+    failoverChannel(channelId, token, reason) {
+        if (!this.channelAccounts.markFailed(channelId, token, reason)) {
+            return this.channelAccounts.getActive(channelId); // Not assigned, or already failed over
+        }
+        const failedName = botInfos[token]?.fullUsername || 'unknown account';
+        const nextToken = this.channelAccounts.getActive(channelId);
+        if (nextToken === null) {
+            this.channelTokens.delete(channelId);
+            this.log('ERROR', `[Channel ${channelId}] Account ${failedName} lost access (${reason}) and no backup account is left.`);
+        } else {
+            this.channelTokens.set(channelId, nextToken);
+            messageCaches.delete(channelId); // Filled again through the new account
+            channelActivity.set(channelId, { ...channelActivity.get(channelId), account: botInfos[nextToken].fullUsername });
+            this.log('WARNING', `[Channel ${channelId}] Account ${failedName} lost access (${reason}). Failing over to ${botInfos[nextToken].fullUsername}.`);
+            if (config.useGateway && this.isRunning) {
+                this.track(this.startGateway(nextToken)); // The backup account may not have a connection yet
+            }
+        }
+        this.emit('statusUpdate');
+        return nextToken;
+    }
+
+    // --- Gateway (USE_GATEWAY) ---
+
+    /**
+     * Connects the gateway of every account that has channels.
+     */
+    async startGateways() {
+        for (const token of new Set(this.channelTokens.values())) {
+            await this.startGateway(token);
+        }
+    }
+
+    /**
+     * Connects an account's gateway, unless it is connected or connecting already.
+     * @param {string} token - The Discord token.
+     */
+    async startGateway(token) {
+        if (gateways.has(token) || gatewayStarts.has(token)) {
+            return;
+        }
+        const botInfo = botInfos[token];
+        const gatewayLogPrefix = `[Gateway | Bot: ${botInfo.username}]`;
+        gatewayStarts.add(token);
+        let url;
+        try {
+            url = await apiClient.getGatewayUrl(token);
+        } finally {
+            gatewayStarts.delete(token);
+        }
+        if (!this.isRunning) {
+            return; // Stopped while looking up the URL
+        }
+        if (!url) {
+            this.log('WARNING', `${gatewayLogPrefix} No gateway URL; polling with REST instead.`);
+            return;
+        }
+        const gateway = new GatewayConnection({ token, url, log: (level, message) => this.log(level, `${gatewayLogPrefix} ${message}`) });
+        gateway.on('ready', ({ resumed }) => {
+            if (!resumed) {
+                // A new session may have missed events; the next cycles fill the caches again
+                this.channelTokens.forEach((channelToken, channelId) => {
+                    if (channelToken === token) messageCaches.delete(channelId);
+                });
+            }
+            this.log('SUCCESS', `${gatewayLogPrefix} Connected to the gateway${resumed ? ' (session resumed)' : ''}.`);
+        });
+        gateway.on('disconnected', () => this.log('WARNING', `${gatewayLogPrefix} Gateway disconnected; polling with REST until it reconnects.`));
+        gateway.on('dispatch', (type, data) => this.handleGatewayEvent(token, type, data));
+        gateway.on('fatal', () => {
+            gateways.delete(token);
+            this.log('WARNING', `${gatewayLogPrefix} Polling with REST instead.`);
+        });
+        gateways.set(token, gateway);
+        gateway.connect();
+    }
+
+    /**
+     * Whether an account's gateway connection is up (its events keep the caches current).
+     * @param {string} token - The Discord token.
+     * @returns {boolean}
+     */
+    isGatewayReady(token) {
+        return gateways.get(token)?.ready === true;
+    }
+
+    /**
+     * Applies a gateway event for one of the account's channels.
+     * @param {string} token - The account that received it.
+     * @param {string} type - Event name.
+     * @param {object} data - Event data.
+     */
+    handleGatewayEvent(token, type, data) {
+        const channelId = type === 'CHANNEL_UPDATE' ? data.id : data.channel_id;
+        if (this.channelTokens.get(channelId) !== token) {
+            return; // Not a channel this account works in
+        }
+        const cache = messageCaches.get(channelId);
+
+        if (type === 'MESSAGE_CREATE') {
+            if (cache) {
+                cache.unshift(data);
+                cache.length = Math.min(cache.length, MESSAGE_CACHE_SIZE);
+            }
+            if (data.author?.id !== botInfos[token].id) {
+                this.wakeChannel(channelId);
+            }
+        } else if (type === 'MESSAGE_UPDATE') {
+            const index = cache ? cache.findIndex(message => message.id === data.id) : -1;
+            if (index !== -1) cache[index] = { ...cache[index], ...data }; // Updates may carry only the changed fields
+        } else if (type === 'MESSAGE_DELETE') {
+            const index = cache ? cache.findIndex(message => message.id === data.id) : -1;
+            if (index !== -1) cache.splice(index, 1);
+        } else if (type === 'CHANNEL_UPDATE' && channelDetails[channelId] && !channelDetails[channelId].error) {
+            channelDetails[channelId] = {
+                ...channelDetails[channelId],
+                name: data.name || channelDetails[channelId].name,
+                slowModeDelay: data.rate_limit_per_user || 0
+            };
+            this.log('INFO', `[Channel ${channelId}] Channel updated: "${channelDetails[channelId].name}". Slow mode: ${channelDetails[channelId].slowModeDelay}s.`);
+            this.emit('statusUpdate');
+        }
+    }
+
+    /**
+     * Moves an AI channel's next cycle forward when a new message arrives, to INTERVAL_SECONDS after
+     * the last cycle started (right away if that has passed), unless a cycle is running or the channel
+     * is paused, outside its active hours or over a quota.
+     * @param {string} channelId - The channel.
+     */
+    wakeChannel(channelId) {
+        const scheduled = this.scheduledCycles.get(channelId);
+        const settings = this.getChannelConfig(channelId);
+        if (!scheduled || !settings.useGeminiAi || this.isChannelPaused(channelId) ||
+            this.getSendBlock(channelId, scheduled.botInfo, settings)) {
+            return;
+        }
+        const wakeAt = (this.cycleStarts.get(channelId) ?? 0) + settings.intervalSeconds * 1000;
+        if (scheduled.dueAt <= wakeAt) {
+            return; // Due by then anyway
+        }
+        this.reschedule(channelId, scheduled, Math.max(0, wakeAt - Date.now()));
+    }
 
     /**
      * Initializes bot info, loads files, and starts the processing loops for each channel.
@@ -453,10 +1680,32 @@ class BotLogic extends EventEmitter {
             return;
         }
         this.isRunning = true;
+        this.stopController = new AbortController();
+        this.requestController = new AbortController();
+        apiClient.setAbortSignal(this.requestController.signal);
         this.log('INFO', 'Starting Bot Logic...');
 
-        // --- Load info.txt ---
+        // --- Report configuration notes and per-channel settings ---
+        configWarnings.forEach(warning => this.log('WARNING', `[Config] ${warning}`));
+        const overriddenCount = Object.keys(channelOverrides).filter(id => channelIds.includes(id)).length;
+        if (overriddenCount > 0) {
+            this.log('INFO', `Using per-channel settings for ${overriddenCount} channel(s) from ${path.basename(config.channelConfigPath)}.`);
+        }
+
+        if (config.dryRun) {
+            this.log('WARNING', `Dry run: nothing is sent or deleted on Discord. Would-be requests are written to ${path.basename(config.dryRunPath)} and the state file is not updated.`);
+        }
+
+        // --- Restore state from the previous run and flush it periodically ---
+        const savedDeletions = this.loadState();
+        this.timers.add(setInterval(() => this.track(this.saveState()), config.stateFlushSeconds * 1000));
+
+        // --- Check the AI API keys so invalid ones are not used ---
+        await this.validateApiKeys();
+
+        // --- Load info.txt and per-channel message files ---
         await this.loadInfoFile();
+        await this.loadChannelMessageFiles();
 
         // --- Get Bot Account Info ---
         this.log('INFO', 'Fetching bot account details...');
@@ -474,7 +1723,7 @@ class BotLogic extends EventEmitter {
                 this.log('SUCCESS', `Bot Account Loaded: ${botInfos[token].fullUsername} (ID: ${info.id})`);
                 activeTokens++;
             } else {
-                this.log('ERROR', `Failed to validate token: ${token.substring(0, 5)}... Skipping this token.`);
+                this.log('ERROR', `Failed to validate token T${discordTokens.indexOf(token) + 1}. Skipping this token.`);
             }
         }
 
@@ -485,6 +1734,7 @@ class BotLogic extends EventEmitter {
              return;
         }
         this.emit('statusUpdate'); // Update TUI
+        this.resumePendingDeletions(savedDeletions);
 
         // --- Fetch Initial Channel Info & Start Processing Loops ---
         this.log('INFO', `Initializing ${channelIds.length} channel(s)...`);
@@ -499,13 +1749,34 @@ class BotLogic extends EventEmitter {
 
 
         for (const channelId of channelIds) {
-            // Assign valid tokens round-robin to channels
-            const token = validTokens[tokenIndex % validTokens.length];
-            const botInfo = botInfos[token]; // We know this exists because we filtered
-            tokenIndex++;
-
-            // Fetch initial info for the channel (will be cached)
-            const fetchedChannelInfo = await apiClient.getChannelInfo(channelId, token);
+            // Accounts from channels.json in order of preference; otherwise one valid token, round-robin
+            const refs = channelOverrides[channelId]?.accounts?.split(',') || null;
+            let tokens;
+            if (refs) {
+                tokens = refs.map(ref => resolveAccount(ref, discordTokens, botInfos));
+                refs.filter((ref, index) => tokens[index] === null)
+                    .forEach(ref => this.log('WARNING', `[Channel ${channelId}] Account ${ref} is not loaded; skipping it.`));
+                tokens = tokens.filter(Boolean);
+            } else {
+                tokens = [validTokens[tokenIndex % validTokens.length]];
+                tokenIndex++;
+            }
+            this.channelAccounts.assign(channelId, tokens);
+
+            // Fetch initial info for the channel (will be cached); an account without access fails over to the next
+            let token = this.channelAccounts.getActive(channelId);
+            let fetchedChannelInfo = null;
+            while (token !== null) {
+                this.channelTokens.set(channelId, token);
+                fetchedChannelInfo = await apiClient.getChannelInfo(channelId, token);
+                const nextToken = this.channelAccounts.getActive(channelId);
+                if (fetchedChannelInfo || nextToken === token) break;
+                token = nextToken;
+            }
+            const botInfo = botInfos[token];
+            if (botInfo) {
+                channelActivity.set(channelId, { ...channelActivity.get(channelId), account: botInfo.fullUsername });
+            }
             if (fetchedChannelInfo) {
                  channelDetails[channelId] = {
                      name: fetchedChannelInfo.name || 'Unknown Channel',
@@ -515,9 +1786,9 @@ class BotLogic extends EventEmitter {
                   this.log('SUCCESS', `[Channel ${channelId}] Initialized. Name: "${channelDetails[channelId].name}", Server: "${channelDetails[channelId].guild_name}". Bot: ${botInfo.fullUsername}`);
                  // Start the processing loop for this channel immediately
                  // Use setTimeout to avoid blocking the loop, allowing all channels to start concurrently
-                 setTimeout(() => this.processChannel(channelId, token, botInfo), 100); // Start almost immediately
+                 this.scheduleCycle(channelId, token, botInfo, 100); // Start almost immediately
             } else {
-                 this.log('ERROR', `[Channel ${channelId}] Failed to get initial info. Bot will not monitor this channel.`);
+                 this.log('ERROR', `[Channel ${channelId}] ${token === null ? 'No account with access.' : 'Failed to get initial info.'} Bot will not monitor this channel.`);
                  // Add placeholder to channelDetails to indicate failure?
                  channelDetails[channelId] = { name: 'Failed to Initialize', guild_name: 'Error', slowModeDelay: 0, error: true };
             }
@@ -525,27 +1796,58 @@ class BotLogic extends EventEmitter {
              await this.delay(500); // Small delay between initializing channels to avoid initial burst of API calls
         }
 
+        if (config.useGateway) {
+            await this.startGateways();
+        }
         this.log('SUCCESS', 'Bot logic initialized and running for configured channels.');
         this.emit('statusUpdate'); // Final status update
     }
 
     /**
-     * Stops all running timers and shuts down the bot logic.
+     * Stops the bot: cancels scheduled cycles, cuts running delays short, waits up to
+     * SHUTDOWN_TIMEOUT_SECONDS for running cycles and deletions, then aborts the HTTP requests
+     * still in flight and saves the state. Scheduled deletions are persisted and resumed on the next start.
+     * @returns {Promise<void>} Resolves once everything has settled; emits 'stopped'.
      */
-    stop() {
+    async stop() {
         if (!this.isRunning) {
             return;
         }
         this.log('INFO', 'Stopping bot logic...');
         this.isRunning = false;
-        // Clear any stored timers (important if processChannel uses setTimeout recursively)
-        // This needs refinement if processChannel schedules itself indefinitely
-        // A better approach might be a flag check within processChannel
         this.timers.forEach(timerId => clearTimeout(timerId));
-        this.timers = [];
-        // Add any other cleanup needed
+        this.timers.clear();
+        this.scheduledCycles.clear();
+        pendingDeletions.forEach(entry => clearTimeout(entry.timer));
+        const discardedReviews = this.reviewQueue.clear();
+        if (discardedReviews > 0) {
+            this.log('INFO', `Discarded ${discardedReviews} reply(ies) waiting for review.`);
+        }
+        this.stopController?.abort();
+        await Promise.all([...gateways.values()].map(gateway => gateway.close()));
+        gateways.clear();
+
+        if (this.inFlight.size > 0) {
+            this.log('WAIT', `Waiting up to ${config.shutdownTimeoutSeconds}s for ${this.inFlight.size} running task(s) to finish...`);
+            let drainTimer;
+            const drained = await Promise.race([
+                Promise.allSettled([...this.inFlight]).then(() => true),
+                new Promise(resolve => { drainTimer = setTimeout(() => resolve(false), config.shutdownTimeoutSeconds * 1000); })
+            ]);
+            clearTimeout(drainTimer);
+            if (!drained) {
+                this.log('WARNING', `${this.inFlight.size} task(s) still running after ${config.shutdownTimeoutSeconds}s. Aborting in-flight requests.`);
+            }
+        }
+        this.requestController?.abort();
+        await Promise.allSettled([...this.inFlight]); // Aborted requests settle right away
+        apiClient.setAbortSignal(null);
+
+        // Persist processed IDs, cooldowns and pending deletions for the next start
+        await stateStore.pendingWrite; // A periodic save still running must not land after this one
+        this.saveStateSync();
         this.log('INFO', 'Bot logic stopped.');
-        this.emit('shutdown');
+        this.emit('stopped');
     }
 
     // --- Getters for TUI status ---
@@ -553,8 +1855,69 @@ class BotLogic extends EventEmitter {
     getChannelDetails() { return channelDetails; }
     getDiscordTokens() { return discordTokens; } // Returns original list from .env
     getGoogleApiKeys() { return googleApiKeys; }
+    getAiApiKeys() { return aiKeyPool; } // Keys of the active provider ('' = keyless)
+    getAiProviderLabel() { return aiProvider.label; }
+    isDryRun() { return config.dryRun; }
     getChannelIds() { return channelIds; }
-    getRateLimitedKeys() { return rateLimitedApiKeys; }
+    getChannelOverrides() { return channelOverrides; }
+    getRateLimitedKeys() { // { key: end of its bench } for keys in backoff or with their daily quota used up
+        const now = Date.now();
+        return new Map([...keyHealth.snapshot()].filter(([key]) => keyHealth.isBenched(key, now)).map(([key, entry]) => [key, entry.until]));
+    }
+    getKeyHealth() { return keyHealth.snapshot(); } // { key: { state, until, reason, weight, models } }
+    getAccountAssignments() { return this.channelAccounts.snapshot(); } // { channelId: { active, accounts: [{ token, failed }] } }
+    getPausedChannels() { return [...pausedChannels]; }
+    getCycleStates() { // { channelId: { running, nextCycleAt } }
+        return Object.fromEntries(channelIds.map(id => [id, {
+            running: this.activeCycles.has(id),
+            nextCycleAt: this.scheduledCycles.get(id)?.dueAt ?? null
+        }]));
+    }
+    getChannelStats() { // { channelId: { account, sent, failed, deleted, lastRepliedTo, lastSentAt } }
+        return Object.fromEntries(channelIds.map(id => {
+            const { account = null, lastRepliedTo = null, lastSentAt = null } = channelActivity.get(id) || {};
+            return [id, {
+                account,
+                sent: metrics.get('discord_bot_messages_sent_total', { channel: id }),
+                failed: metrics.get('discord_bot_messages_failed_total', { channel: id }),
+                deleted: metrics.get('discord_bot_messages_deleted_total', { channel: id }),
+                lastRepliedTo,
+                lastSentAt
+            }];
+        }));
+    }
+    getPromptInfo() { // { channelId: { template, language } } (template: file name or 'built-in')
+        return Object.fromEntries(channelIds.map(id => {
+            const settings = this.getChannelConfig(id);
+            return [id, { template: this.getPromptTemplate(settings).name, language: settings.promptLanguage }];
+        }));
+    }
+    getScheduleStatus() { // { channels: { id: { scheduled, active, nextWindowAt, hourRemaining, dayRemaining } }, accounts: { id: { name, ... } } }
+        const now = Date.now();
+        const channels = Object.fromEntries(channelIds.map(id => {
+            const settings = this.getChannelConfig(id);
+            const channelSchedule = schedule.createSchedule(settings);
+            const nextWindowAt = schedule.nextActiveTime(channelSchedule, now);
+            const { hourRemaining, dayRemaining } = schedule.checkQuota(channelSends.get(id) || [],
+                { perHour: settings.maxMessagesPerHour, perDay: settings.maxMessagesPerDay }, now);
+            return [id, {
+                scheduled: channelSchedule !== null,
+                active: nextWindowAt === now,
+                nextWindowAt: nextWindowAt === now ? null : nextWindowAt,
+                hourRemaining,
+                dayRemaining
+            }];
+        }));
+        const accounts = Object.fromEntries(Object.values(botInfos).map(info => {
+            const { hourRemaining, dayRemaining } = schedule.checkQuota(accountSends.get(info.id) || [],
+                { perHour: config.accountMaxMessagesPerHour, perDay: config.accountMaxMessagesPerDay }, now);
+            return [info.id, { name: info.fullUsername, hourRemaining, dayRemaining }];
+        }));
+        return { channels, accounts };
+    }
+    isPaused() { return botPaused; }
+    getMetrics() { return metrics; }
+    getSettings() { return config; } // Global settings (.env)
     isRunningStatus() { return this.isRunning; }
 
 }
@@ -0,0 +1,60 @@
+/**
+ * channelConfig.js
+ * Reads the per-channel settings file (channels.json) and resolves the effective
+ * settings for a channel on top of the global .env configuration.
+ * Validation of the entries lives in config.js alongside the rest of the schema.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Reads and parses the per-channel configuration file.
+ * Expected shape: { "channels": { "<channelId>": { "intervalSeconds": 120, ... } } }
+ * @param {string} filePath - Absolute path to channels.json.
+ * @returns {object|null} The parsed file, or null if it does not exist.
+ * @throws {Error} If the file cannot be read or is not a JSON object.
+ */
+function readChannelConfigFile(filePath) {
+    let raw;
+    try {
+        raw = fs.readFileSync(filePath, 'utf-8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw new Error(`cannot be read (${error.message})`);
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(raw);
+    } catch (error) {
+        throw new Error(`is not valid JSON (${error.message})`);
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('must contain a JSON object');
+    }
+    return parsed;
+}
+
+/**
+ * Merges a channel's overrides on top of the global configuration.
+ * @param {object} baseConfig - The global config object.
+ * @param {object} [overrides] - The channel's overrides.
+ * @param {string} baseDir - Folder relative infoFile paths are resolved against.
+ * @returns {object} The effective settings for the channel.
+ */
+function resolveChannelConfig(baseConfig, overrides = {}, baseDir) {
+    const { infoFile, ...rest } = overrides;
+    const resolved = { ...baseConfig, ...rest };
+    if (infoFile) {
+        resolved.infoFilePath = path.resolve(baseDir, infoFile);
+    }
+    return resolved;
+}
+
+module.exports = {
+    readChannelConfigFile,
+    resolveChannelConfig
+};
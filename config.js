@@ -0,0 +1,383 @@
+/**
+ * config.js
+ * Declared configuration schema and loader.
+ * Reads the .env values and channels.json, checks types, ranges, enums and cross-field rules,
+ * and reports every problem at once through a ConfigError instead of exiting the process.
+ */
+
+const path = require('path');
+const aiProviders = require('./aiProviders');
+const channelConfig = require('./channelConfig');
+const schedule = require('./schedule');
+const triggers = require('./triggers');
+const moderation = require('./moderation');
+const promptTemplates = require('./promptTemplates');
+const generationOptions = require('./generationOptions');
+const accountAssignment = require('./accountAssignment');
+
+/**
+ * Thrown when the configuration is invalid. Carries every problem found so the UI can list them.
+ */
+class ConfigError extends Error {
+    /**
+     * @param {string[]} problems - One message per problem, each naming the offending variable.
+     */
+    constructor(problems) {
+        super(`Invalid configuration (${problems.length} problem${problems.length === 1 ? '' : 's'}):\n${problems.map(p => ` - ${p}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Builds a rule check that accepts values the parser accepts.
+ * @param {function(string): *} parse - Throws an Error describing the problem on bad input.
+ * @returns {function(string): (string|null)}
+ */
+function checkParses(parse) {
+    return (value) => {
+        try {
+            parse(value);
+            return null;
+        } catch (error) {
+            return `is invalid: ${error.message}`;
+        }
+    };
+}
+
+/**
+ * Global settings read from .env. `perChannel` marks settings channels.json may override.
+ * Rule fields: type ('boolean' | 'integer' | 'number' | 'enum' | 'string'), default, min, max, values, nullable,
+ * check (extra check of a well-typed value, returning a problem or null), normalize (turns a valid value into
+ * the stored form).
+ */
+const SETTINGS_SCHEMA = {
+    useGeminiAi: { env: 'USE_GEMINI_AI', type: 'boolean', default: true, perChannel: true },
+    promptLanguage: { env: 'PROMPT_LANGUAGE', type: 'string', default: 'id', perChannel: true, check: checkParses(promptTemplates.parseLanguageCode), normalize: promptTemplates.parseLanguageCode },
+    promptTemplate: { env: 'PROMPT_TEMPLATE', type: 'string', nullable: true, default: null, perChannel: true }, // Template file (see promptTemplates.js); null = built-in
+    readDelaySeconds: { env: 'READ_DELAY_SECONDS', type: 'integer', min: 0, max: 3600, default: 5, perChannel: true },
+    intervalSeconds: { env: 'INTERVAL_SECONDS', type: 'integer', min: 1, max: 86400, default: 60, perChannel: true },
+    contextMessages: { env: 'CONTEXT_MESSAGES', type: 'integer', min: 1, max: 100, default: 5, perChannel: true },
+    useSlowMode: { env: 'USE_SLOW_MODE', type: 'boolean', default: true },
+    useGateway: { env: 'USE_GATEWAY', type: 'boolean', default: false }, // Gateway events instead of polling (REST stays the fallback)
+    useReply: { env: 'USE_REPLY', type: 'boolean', default: true, perChannel: true },
+    deleteMessageDelay: { env: 'DELETE_MESSAGE_DELAY', type: 'integer', min: 0, max: 86400, nullable: true, default: null, perChannel: true },
+    deleteImmediately: { env: 'DELETE_IMMEDIATELY', type: 'boolean', default: false },
+    // Sending schedule and quotas (see schedule.js)
+    activeHours: { env: 'ACTIVE_HOURS', type: 'string', nullable: true, default: null, perChannel: true, check: checkParses(schedule.parseActiveHours) },
+    activeDays: { env: 'ACTIVE_DAYS', type: 'string', nullable: true, default: null, perChannel: true, check: checkParses(schedule.parseActiveDays) },
+    timezone: { env: 'SCHEDULE_TIMEZONE', type: 'string', nullable: true, default: null, perChannel: true, check: value => (schedule.isValidTimeZone(value) ? null : `is not a known time zone (got "${value}")`) },
+    maxMessagesPerHour: { env: 'MAX_MESSAGES_PER_HOUR', type: 'integer', min: 1, max: 10000, nullable: true, default: null, perChannel: true },
+    maxMessagesPerDay: { env: 'MAX_MESSAGES_PER_DAY', type: 'integer', min: 1, max: 100000, nullable: true, default: null, perChannel: true },
+    accountMaxMessagesPerHour: { env: 'ACCOUNT_MAX_MESSAGES_PER_HOUR', type: 'integer', min: 1, max: 10000, nullable: true, default: null },
+    accountMaxMessagesPerDay: { env: 'ACCOUNT_MAX_MESSAGES_PER_DAY', type: 'integer', min: 1, max: 100000, nullable: true, default: null },
+    // Which messages get an AI reply (see triggers.js)
+    replyTriggers: { env: 'REPLY_TRIGGERS', type: 'string', default: 'any', perChannel: true, check: checkParses(triggers.parseTriggerList) },
+    triggerKeywords: { env: 'TRIGGER_KEYWORDS', type: 'string', nullable: true, default: null, perChannel: true },
+    triggerRegex: { env: 'TRIGGER_REGEX', type: 'string', nullable: true, default: null, perChannel: true, check: checkParses(triggers.compilePattern) },
+    triggerChancePercent: { env: 'TRIGGER_CHANCE_PERCENT', type: 'integer', min: 1, max: 100, default: 10, perChannel: true },
+    ignoreBots: { env: 'IGNORE_BOTS', type: 'boolean', default: true, perChannel: true },
+    ignoreWebhooks: { env: 'IGNORE_WEBHOOKS', type: 'boolean', default: true, perChannel: true },
+    ignoreUserIds: { env: 'IGNORE_USER_IDS', type: 'string', nullable: true, default: null, perChannel: true, check: checkParses(triggers.parseUserIds) },
+    // Checks of outgoing messages (see moderation.js)
+    moderationBlocklist: { env: 'MODERATION_BLOCKLIST', type: 'string', nullable: true, default: null, perChannel: true, check: checkParses(moderation.parseBlocklist) },
+    moderationDenyPattern: { env: 'MODERATION_DENY_PATTERN', type: 'string', nullable: true, default: null, perChannel: true, check: checkParses(moderation.compileDenyPattern) },
+    maxReplyLength: { env: 'MAX_REPLY_LENGTH', type: 'integer', min: 1, max: 2000, default: 2000, perChannel: true },
+    stripLinks: { env: 'STRIP_LINKS', type: 'boolean', default: false, perChannel: true },
+    stripInvites: { env: 'STRIP_INVITES', type: 'boolean', default: false, perChannel: true },
+    regenerateRejected: { env: 'REGENERATE_REJECTED', type: 'boolean', default: true, perChannel: true }, // Ask the AI once more after a rejection
+    geminiSafetyThreshold: { env: 'GEMINI_SAFETY_THRESHOLD', type: 'enum', values: ['block_none', 'block_only_high', 'block_medium_and_above', 'block_low_and_above'], default: 'block_medium_and_above', perChannel: true },
+    // Gemini model and generationConfig (see generationOptions.js); null leaves Google's default
+    geminiModel: { env: 'GEMINI_MODEL', type: 'string', default: 'gemini-1.5-flash-latest', perChannel: true, check: checkParses(generationOptions.parseModelName), normalize: generationOptions.parseModelName },
+    geminiFallbackModel: { env: 'GEMINI_FALLBACK_MODEL', type: 'string', nullable: true, default: null, perChannel: true, check: checkParses(generationOptions.parseModelName), normalize: generationOptions.parseModelName }, // Retried when the model fails
+    geminiTemperature: { env: 'GEMINI_TEMPERATURE', type: 'number', min: 0, max: 2, nullable: true, default: null, perChannel: true },
+    geminiTopP: { env: 'GEMINI_TOP_P', type: 'number', min: 0, max: 1, nullable: true, default: null, perChannel: true },
+    geminiMaxOutputTokens: { env: 'GEMINI_MAX_OUTPUT_TOKENS', type: 'integer', min: 1, max: 65536, nullable: true, default: null, perChannel: true },
+    geminiStopSequences: { env: 'GEMINI_STOP_SEQUENCES', type: 'string', nullable: true, default: null, perChannel: true, check: checkParses(generationOptions.parseStopSequences) },
+    geminiCandidateCount: { env: 'GEMINI_CANDIDATE_COUNT', type: 'integer', min: 1, max: 8, nullable: true, default: null, perChannel: true },
+    // Models of the other providers (see aiProviders.js)
+    openAiModel: { env: 'OPENAI_MODEL', type: 'string', default: 'gpt-4o-mini', perChannel: true },
+    ollamaModel: { env: 'OLLAMA_MODEL', type: 'string', default: 'llama3', perChannel: true },
+    reviewReplies: { env: 'REVIEW_REPLIES', type: 'boolean', default: false, perChannel: true }, // AI replies wait for approval in the TUI
+    reviewTimeoutSeconds: { env: 'REVIEW_TIMEOUT_SECONDS', type: 'integer', min: 10, max: 86400, default: 900, perChannel: true },
+    dryRun: { env: 'DRY_RUN', type: 'boolean', default: false }, // Generate as usual but only record sends/deletes
+    dryRunFile: { env: 'DRY_RUN_FILE', type: 'string', default: 'dry-run.jsonl' },
+    aiProviderName: { env: 'AI_PROVIDER', type: 'enum', values: aiProviders.getProviderNames(), default: 'gemini' },
+    channelConfigFile: { env: 'CHANNEL_CONFIG_FILE', type: 'string', default: 'channels.json' },
+    stateFile: { env: 'STATE_FILE', type: 'string', default: 'bot-state.json' },
+    stateFlushSeconds: { env: 'STATE_FLUSH_SECONDS', type: 'integer', min: 1, max: 3600, default: 30 },
+    maxProcessedIds: { env: 'STATE_MAX_PROCESSED_IDS', type: 'integer', min: 100, max: 1000000, default: 5000 },
+    shutdownTimeoutSeconds: { env: 'SHUTDOWN_TIMEOUT_SECONDS', type: 'integer', min: 0, max: 300, default: 10 },
+    logDir: { env: 'LOG_DIR', type: 'string', nullable: true, default: 'logs' },
+    logMaxSizeMb: { env: 'LOG_MAX_SIZE_MB', type: 'integer', min: 1, max: 1024, default: 10 },
+    logMaxFiles: { env: 'LOG_MAX_FILES', type: 'integer', min: 1, max: 1000, default: 14 },
+    // Read by index.js before the bot is created (see headless.js); listed here so they are validated too
+    headless: { env: 'HEADLESS', type: 'boolean', default: false },
+    headlessLogFile: { env: 'HEADLESS_LOG_FILE', type: 'string', nullable: true, default: null },
+    statusIntervalSeconds: { env: 'STATUS_INTERVAL_SECONDS', type: 'integer', min: 5, max: 86400, default: 60 },
+    controlApiPort: { env: 'CONTROL_API_PORT', type: 'integer', min: 1, max: 65535, nullable: true, default: null }
+};
+
+// Channel-only settings (no .env equivalent)
+const CHANNEL_ONLY_SCHEMA = {
+    infoFile: { type: 'string' }, // Message source file, relative to the project folder
+    accounts: { type: 'string', check: checkParses(accountAssignment.parseAccountList), normalize: text => accountAssignment.parseAccountList(text).join(',') } // Accounts in order of preference (see accountAssignment.js)
+};
+
+// Every key a channels.json entry may set
+const CHANNEL_OVERRIDE_KEYS = [
+    ...Object.keys(SETTINGS_SCHEMA).filter(key => SETTINGS_SCHEMA[key].perChannel),
+    ...Object.keys(CHANNEL_ONLY_SCHEMA)
+];
+
+// Comma-separated lists read from .env
+const LIST_SCHEMA = {
+    discordTokens: { env: 'DISCORD_TOKENS', required: true },
+    googleApiKeys: { env: 'GOOGLE_API_KEYS' },
+    channelIds: { env: 'CHANNEL_IDS', required: true, pattern: /^\d+$/, patternHint: 'numeric Discord IDs' }
+};
+
+const BOOLEAN_STRINGS = { true: true, yes: true, 1: true, false: false, no: false, 0: false };
+
+/**
+ * Describes what a rule accepts, for error messages.
+ * @param {object} rule - Schema rule.
+ * @returns {string}
+ */
+function describeRule(rule) {
+    let text;
+    if (rule.type === 'boolean') text = 'true or false';
+    else if (rule.type === 'enum') text = `one of ${rule.values.join(', ')}`;
+    else if (rule.type === 'integer' || rule.type === 'number') {
+        text = rule.type === 'integer' ? 'a whole number' : 'a number';
+        if (rule.min !== undefined && rule.max !== undefined) text += ` between ${rule.min} and ${rule.max}`;
+        else if (rule.min !== undefined) text += ` >= ${rule.min}`;
+    } else text = 'a non-empty string';
+    return rule.nullable ? `${text} (or null)` : text;
+}
+
+/**
+ * Checks an already-typed value (e.g. from JSON) against a rule.
+ * @param {object} rule - Schema rule.
+ * @param {*} value - Value to check.
+ * @returns {string|null} Problem description, or null if valid.
+ */
+function checkValue(rule, value) {
+    if (value === null && rule.nullable) return null;
+    let valid;
+    switch (rule.type) {
+        case 'boolean': valid = typeof value === 'boolean'; break;
+        case 'enum': valid = rule.values.includes(value); break;
+        case 'integer':
+        case 'number':
+            valid = (rule.type === 'integer' ? Number.isInteger(value) : Number.isFinite(value)) &&
+                (rule.min === undefined || value >= rule.min) &&
+                (rule.max === undefined || value <= rule.max);
+            break;
+        default: valid = typeof value === 'string' && value.trim().length > 0;
+    }
+    if (!valid) return `must be ${describeRule(rule)} (got ${JSON.stringify(value)})`;
+    return rule.check ? rule.check(value) : null;
+}
+
+/**
+ * Parses a raw .env string according to a rule. Empty/unset values fall back to the default.
+ * @param {object} rule - Schema rule.
+ * @param {string|undefined} raw - Raw env value.
+ * @returns {{value: *, problem: string|null}}
+ */
+function parseEnvValue(rule, raw) {
+    const text = (raw || '').trim();
+    if (text === '') return { value: rule.default, problem: null };
+
+    let value = text;
+    if (rule.nullable && text.toLowerCase() === 'null') {
+        value = null;
+    } else if (rule.type === 'boolean') {
+        value = BOOLEAN_STRINGS[text.toLowerCase()];
+        if (value === undefined) return { value: rule.default, problem: `must be ${describeRule(rule)} (got "${text}")` };
+    } else if (rule.type === 'integer') {
+        if (!/^-?\d+$/.test(text)) return { value: rule.default, problem: `must be ${describeRule(rule)} (got "${text}")` };
+        value = parseInt(text, 10);
+    } else if (rule.type === 'number') {
+        if (!/^-?(\d+\.?\d*|\.\d+)$/.test(text)) return { value: rule.default, problem: `must be ${describeRule(rule)} (got "${text}")` };
+        value = parseFloat(text);
+    } else if (rule.type === 'enum') {
+        value = text.toLowerCase();
+    }
+
+    const problem = checkValue(rule, value);
+    if (problem) return { value: rule.default, problem: problem.replace(/\(got .*\)$/, `(got "${text}")`) };
+    return { value: rule.normalize && value !== null ? rule.normalize(value) : value, problem: null };
+}
+
+/**
+ * Validates one channel's entry from channels.json.
+ * @param {string} channelId - Channel ID (the entry's key).
+ * @param {*} entry - The raw entry.
+ * @param {string} fileLabel - File name used in messages.
+ * @param {string[]} problems - Problems are appended here.
+ * @returns {object} The valid overrides.
+ */
+function validateChannelEntry(channelId, entry, fileLabel, problems) {
+    const overrides = {};
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        problems.push(`${fileLabel}: channels.${channelId} must be an object`);
+        return overrides;
+    }
+    for (const [key, value] of Object.entries(entry)) {
+        const rule = CHANNEL_ONLY_SCHEMA[key] || (SETTINGS_SCHEMA[key]?.perChannel ? SETTINGS_SCHEMA[key] : null);
+        if (!rule) {
+            problems.push(`${fileLabel}: channels.${channelId}.${key} is not a per-channel setting (allowed: ${CHANNEL_OVERRIDE_KEYS.join(', ')})`);
+            continue;
+        }
+        const normalized = rule.type === 'enum' && typeof value === 'string' ? value.toLowerCase() : value;
+        const problem = checkValue(rule, normalized);
+        if (problem) {
+            problems.push(`${fileLabel}: channels.${channelId}.${key} ${problem}`);
+        } else {
+            overrides[key] = rule.normalize && normalized !== null ? rule.normalize(normalized) : normalized;
+        }
+    }
+    return overrides;
+}
+
+/**
+ * Loads and validates the whole configuration.
+ * @param {object} [env=process.env] - Environment to read.
+ * @param {string} [baseDir] - Folder relative paths are resolved against.
+ * @returns {object} { discordTokens, googleApiKeys, channelIds, aiProvider, aiApiKeys, settings, channelOverrides,
+ *   promptTemplates, warnings } (promptTemplates: parsed template files keyed by the configured file name)
+ * @throws {ConfigError} When any problem is found.
+ */
+function loadConfig(env = process.env, baseDir = __dirname) {
+    const problems = [];
+    const warnings = [];
+
+    // --- Lists ---
+    const lists = {};
+    for (const [key, rule] of Object.entries(LIST_SCHEMA)) {
+        lists[key] = (env[rule.env] || '').split(',').map(item => item.trim()).filter(Boolean);
+        if (rule.required && lists[key].length === 0) {
+            problems.push(`${rule.env} is required (comma-separated list)`);
+        }
+        if (rule.pattern) {
+            lists[key].filter(item => !rule.pattern.test(item))
+                .forEach(item => problems.push(`${rule.env} contains "${item}"; expected ${rule.patternHint}`));
+        }
+    }
+
+    // --- Scalar settings ---
+    const settings = {};
+    for (const [key, rule] of Object.entries(SETTINGS_SCHEMA)) {
+        const { value, problem } = parseEnvValue(rule, env[rule.env]);
+        settings[key] = value;
+        if (problem) problems.push(`${rule.env} ${problem}`);
+    }
+
+    const aiProvider = aiProviders.getProvider(settings.aiProviderName);
+    const aiApiKeys = aiProvider ? (env[aiProvider.keysEnv] || '').split(',').map(k => k.trim()).filter(Boolean) : [];
+    settings.infoFilePath = path.join(baseDir, 'info.txt');
+    settings.channelConfigPath = path.resolve(baseDir, settings.channelConfigFile);
+    settings.statePath = path.resolve(baseDir, settings.stateFile);
+    settings.logPath = settings.logDir === null ? null : path.resolve(baseDir, settings.logDir);
+    settings.dryRunPath = path.resolve(baseDir, settings.dryRunFile);
+    settings.aiKeyCooldownSeconds = aiProvider ? aiProvider.cooldownSeconds : 0;
+
+    // --- channels.json ---
+    const channelOverrides = {};
+    const fileLabel = path.basename(settings.channelConfigPath);
+    let parsedFile = null;
+    try {
+        parsedFile = channelConfig.readChannelConfigFile(settings.channelConfigPath);
+    } catch (error) {
+        problems.push(`${fileLabel}: ${error.message}`);
+    }
+    if (parsedFile) {
+        const channels = parsedFile.channels;
+        if (channels !== undefined && (typeof channels !== 'object' || channels === null || Array.isArray(channels))) {
+            problems.push(`${fileLabel}: "channels" must be an object keyed by channel ID`);
+        } else {
+            for (const [channelId, entry] of Object.entries(channels || {})) {
+                channelOverrides[channelId] = validateChannelEntry(channelId, entry, fileLabel, problems);
+                if (!lists.channelIds.includes(channelId)) {
+                    warnings.push(`${fileLabel}: channel ${channelId} is not in CHANNEL_IDS; its settings are unused.`);
+                }
+            }
+        }
+    }
+
+    // --- Cross-field rules ---
+    if (aiProvider && aiProvider.requiresApiKey && aiApiKeys.length === 0) {
+        const aiChannels = lists.channelIds.filter(id => (channelOverrides[id]?.useGeminiAi ?? settings.useGeminiAi));
+        if (aiChannels.length > 0) {
+            const reason = settings.useGeminiAi ? 'USE_GEMINI_AI=true' : `channels.json enables AI for ${aiChannels.join(', ')}`;
+            problems.push(`${aiProvider.keysEnv} is required because AI replies are enabled (${reason}) with AI_PROVIDER=${aiProvider.name}`);
+        }
+    }
+    // Keyword and regex triggers need something to match, in every channel that uses them
+    for (const [trigger, key] of [['keyword', 'triggerKeywords'], ['regex', 'triggerRegex']]) {
+        const missing = lists.channelIds.filter(id => {
+            const overrides = channelOverrides[id] || {};
+            const names = (overrides.replyTriggers ?? settings.replyTriggers).toLowerCase().split(',').map(name => name.trim());
+            return names.includes(trigger) && (key in overrides ? overrides[key] : settings[key]) === null;
+        });
+        if (missing.length > 0) {
+            problems.push(`${SETTINGS_SCHEMA[key].env} is required because REPLY_TRIGGERS includes "${trigger}" (channels ${missing.join(', ')})`);
+        }
+    }
+    // Prompt templates are read once here, so a broken file stops the bot before it starts
+    const loadedTemplates = {};
+    const templateUsers = {}; // File -> where it is configured
+    if (settings.promptTemplate !== null) {
+        templateUsers[settings.promptTemplate] = ['PROMPT_TEMPLATE'];
+    }
+    for (const id of lists.channelIds) {
+        const file = channelOverrides[id]?.promptTemplate;
+        if (file) {
+            (templateUsers[file] = templateUsers[file] || []).push(`channels.${id}.promptTemplate`);
+        }
+    }
+    for (const [file, users] of Object.entries(templateUsers)) {
+        try {
+            loadedTemplates[file] = promptTemplates.loadPromptTemplate(path.resolve(baseDir, file));
+        } catch (error) {
+            problems.push(`Prompt template ${file} (${users.join(', ')}) ${error.message}`);
+        }
+    }
+    // Account lists may only name tokens that exist
+    for (const id of lists.channelIds) {
+        const accounts = channelOverrides[id]?.accounts;
+        const missing = accounts ? accounts.split(',').filter(ref => /^T\d+$/.test(ref) && Number(ref.slice(1)) > lists.discordTokens.length) : [];
+        if (missing.length > 0) {
+            problems.push(`${fileLabel}: channels.${id}.accounts names ${missing.join(', ')}, but DISCORD_TOKENS has ${lists.discordTokens.length} token(s)`);
+        }
+    }
+    if (settings.deleteImmediately && settings.deleteMessageDelay === null) {
+        warnings.push('DELETE_IMMEDIATELY=true has no effect while DELETE_MESSAGE_DELAY=null.');
+    }
+
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+
+    return {
+        discordTokens: lists.discordTokens,
+        googleApiKeys: lists.googleApiKeys,
+        channelIds: lists.channelIds,
+        aiProvider,
+        aiApiKeys,
+        settings,
+        channelOverrides,
+        promptTemplates: loadedTemplates,
+        warnings
+    };
+}
+
+module.exports = {
+    ConfigError,
+    SETTINGS_SCHEMA,
+    CHANNEL_OVERRIDE_KEYS,
+    parseEnvValue,
+    loadConfig
+};
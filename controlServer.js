@@ -0,0 +1,122 @@
+/**
+ * controlServer.js
+ * Optional local HTTP API (CONTROL_API_PORT) for inspecting and controlling a running bot.
+ * Binds to 127.0.0.1 only. Requests with an Origin header or a non-local Host header are refused,
+ * so web pages opened in a browser on the same machine cannot drive it.
+ *
+ *   GET  /health                    { ok, running, paused }
+ *   GET  /status                    Full status snapshot (accounts, AI keys, channels; secrets masked)
+ *   GET  /accounts | /channels | /keys
+ *   GET  /metrics                   Prometheus text format
+ *   POST /pause | /resume           Whole bot
+ *   POST /channels/:id/pause | /channels/:id/resume
+ */
+
+const http = require('http');
+const { buildStatusSnapshot } = require('./statusSnapshot');
+
+const LOCAL_HOSTNAMES = ['127.0.0.1', 'localhost', '[::1]'];
+
+class ControlServer {
+    /**
+     * @param {object} options
+     * @param {BotLogic} options.botLogic - The bot to control.
+     * @param {function(): object} options.getStatusData - Returns the status data (same shape as TUI.updateStatus receives).
+     * @param {number} options.port - Port to listen on (0 picks a free one).
+     */
+    constructor({ botLogic, getStatusData, port }) {
+        this.botLogic = botLogic;
+        this.getStatusData = getStatusData;
+        this.port = port;
+        this.server = null;
+    }
+
+    /**
+     * Starts listening on 127.0.0.1.
+     * @returns {Promise<number>} The bound port.
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this.handle(req, res));
+            this.server.once('error', reject);
+            this.server.listen(this.port, '127.0.0.1', () => {
+                this.port = this.server.address().port;
+                resolve(this.port);
+            });
+        });
+    }
+
+    /**
+     * Stops the server and closes open connections.
+     * @returns {Promise<void>}
+     */
+    stop() {
+        return new Promise(resolve => {
+            if (!this.server) return resolve();
+            this.server.closeAllConnections?.();
+            this.server.close(() => resolve());
+            this.server = null;
+        });
+    }
+
+    /**
+     * Routes a request.
+     */
+    handle(req, res) {
+        const send = (status, payload) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(payload));
+        };
+
+        const hostname = (req.headers.host || '').replace(/:\d+$/, '');
+        if (req.headers.origin || !LOCAL_HOSTNAMES.includes(hostname)) {
+            return send(403, { error: 'Only local, non-browser clients may use the control API' });
+        }
+
+        const { pathname } = new URL(req.url, 'http://127.0.0.1');
+        const channelMatch = pathname.match(/^\/channels\/(\d+)\/(pause|resume)$/);
+        const isPost = req.method === 'POST';
+
+        try {
+            if (req.method === 'GET') {
+                switch (pathname) {
+                    case '/health':
+                        return send(200, { ok: true, running: this.botLogic.isRunningStatus(), paused: this.botLogic.isPaused() });
+                    case '/status':
+                        return send(200, this.snapshot());
+                    case '/accounts':
+                        return send(200, this.snapshot().accounts);
+                    case '/channels':
+                        return send(200, this.snapshot().channels);
+                    case '/keys': {
+                        const { aiProvider, aiKeys } = this.snapshot();
+                        return send(200, { provider: aiProvider, keys: aiKeys });
+                    }
+                    case '/metrics':
+                        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+                        return res.end(this.botLogic.getMetrics().render());
+                }
+            } else if (isPost && (pathname === '/pause' || pathname === '/resume')) {
+                this.botLogic[pathname.slice(1)]();
+                return send(200, { ok: true, paused: this.botLogic.isPaused() });
+            } else if (isPost && channelMatch) {
+                const [, channelId, action] = channelMatch;
+                if (!this.botLogic[action](channelId)) {
+                    return send(404, { error: `Channel ${channelId} is not monitored` });
+                }
+                return send(200, { ok: true, channel: channelId, paused: this.botLogic.isChannelPaused(channelId) });
+            }
+
+            const knownPath = ['/health', '/status', '/accounts', '/channels', '/keys', '/metrics', '/pause', '/resume'].includes(pathname) || channelMatch;
+            return knownPath ? send(405, { error: `${req.method} not allowed on ${pathname}` }) : send(404, { error: 'Not found' });
+        } catch (error) {
+            return send(500, { error: error.message });
+        }
+    }
+
+    snapshot() {
+        return buildStatusSnapshot(this.getStatusData());
+    }
+}
+
+module.exports = ControlServer;
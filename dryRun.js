@@ -0,0 +1,56 @@
+/**
+ * dryRun.js
+ * Records the Discord writes BotLogic would make in DRY_RUN mode (sendMessage, deleteMessage),
+ * one JSON object per line, so prompts and channel setups can be checked without posting anything.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class DryRunRecorder {
+    /**
+     * @param {string} filePath - File the would-be requests are appended to.
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.nextId = 1;
+    }
+
+    /**
+     * Appends one would-be request.
+     * @param {string} action - 'sendMessage' or 'deleteMessage'.
+     * @param {object} details - { channelId, account, ... } plus the request payload.
+     * @returns {object} The written entry.
+     * @throws {Error} When the file cannot be written.
+     */
+    record(action, details) {
+        const entry = { timestamp: new Date().toISOString(), action, ...details };
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        // Synchronous so the file matches the log order even when the process exits right away
+        fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+        return entry;
+    }
+
+    /**
+     * Builds the message Discord would have returned, so the rest of the cycle runs as usual.
+     * @param {string} channelId - Target channel.
+     * @param {string} content - Message text.
+     * @param {object} botInfo - Sending account ({id, username}).
+     * @param {string|null} replyToId - Message replied to.
+     * @returns {object} Message with a "dry-run-N" ID.
+     */
+    createMessage(channelId, content, botInfo, replyToId) {
+        return {
+            id: `dry-run-${this.nextId++}`,
+            channel_id: channelId,
+            content,
+            author: { id: botInfo.id, username: botInfo.username },
+            timestamp: new Date().toISOString(),
+            message_reference: replyToId ? { channel_id: channelId, message_id: replyToId } : undefined
+        };
+    }
+}
+
+module.exports = {
+    DryRunRecorder
+};
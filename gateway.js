@@ -0,0 +1,289 @@
+/**
+ * gateway.js
+ * Discord gateway connection for one account (USE_GATEWAY): identifies, keeps the heartbeat,
+ * resumes the session after a dropped connection and reconnects with exponential backoff.
+ *
+ * Events: ('ready', { resumed }) once the session is usable, ('disconnected') when a ready connection
+ * drops, ('dispatch', type, data) for every gateway event (MESSAGE_CREATE, CHANNEL_UPDATE, ...) and
+ * ('fatal', code, reason) when Discord refuses the connection for good (e.g. an invalid token).
+ */
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+const GATEWAY_VERSION = '9';
+const OPCODES = { DISPATCH: 0, HEARTBEAT: 1, IDENTIFY: 2, RESUME: 6, RECONNECT: 7, INVALID_SESSION: 9, HELLO: 10, HEARTBEAT_ACK: 11 };
+const INTENTS = (1 << 0) | (1 << 9) | (1 << 15); // GUILDS | GUILD_MESSAGES | MESSAGE_CONTENT
+// Close codes after which reconnecting cannot help (authentication failed, invalid intents, ...)
+const FATAL_CLOSE_CODES = new Set([4004, 4010, 4011, 4012, 4013, 4014]);
+// Close codes after which the session cannot be resumed: reconnect and identify again
+// (not authenticated, invalid sequence, session timed out)
+const NEW_SESSION_CLOSE_CODES = new Set([4003, 4007, 4009]);
+const RECONNECT_CLOSE_CODE = 4000; // Any code other than 1000/1001 keeps the session resumable
+const MAX_RECONNECT_DELAY_MS = 60 * 1000;
+const HANDSHAKE_TIMEOUT_MS = 10 * 1000;
+const MAX_PAYLOAD_BYTES = 8 * 1024 * 1024; // Larger messages close the connection with 1009 (message too big)
+
+class GatewayConnection extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {string} options.token - Discord token of the account.
+     * @param {string} options.url - Gateway URL (from GET /gateway).
+     * @param {function(string, string): void} [options.log] - Receives (level, message) log entries.
+     * @param {number} [options.reconnectBaseMs=1000] - First reconnect delay; doubles per failed attempt.
+     */
+    constructor({ token, url, log = () => {}, reconnectBaseMs = 1000 }) {
+        super();
+        this.token = token;
+        this.url = url;
+        this.log = log;
+        this.reconnectBaseMs = reconnectBaseMs;
+        this.socket = null;
+        this.ready = false; // READY/RESUMED received on the current connection
+        this.closing = false; // close() was called; do not reconnect
+        this.sessionId = null;
+        this.resumeUrl = null;
+        this.sequence = null; // Last dispatch sequence number, sent with heartbeats and RESUME
+        this.heartbeatTimer = null;
+        this.heartbeatAcked = true;
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+    }
+
+    /** Opens the connection (reconnects by itself until close()). */
+    connect() {
+        this.closing = false;
+        this.open(this.url);
+    }
+
+    /**
+     * Closes the connection for good.
+     * @returns {Promise<void>} Resolves once the socket is closed.
+     */
+    close() {
+        this.closing = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        const socket = this.socket;
+        this.detach();
+        if (!socket || socket.readyState === WebSocket.CLOSED) return Promise.resolve();
+        return new Promise(resolve => {
+            socket.once('close', () => resolve());
+            socket.close(1000, 'Shutting down');
+        });
+    }
+
+    /**
+     * Connects to a gateway URL and wires the socket.
+     * @param {string} url - Gateway or resume URL.
+     */
+    open(url) {
+        const target = new URL(url);
+        target.searchParams.set('v', GATEWAY_VERSION);
+        target.searchParams.set('encoding', 'json');
+        const socket = new WebSocket(target.toString(), { handshakeTimeout: HANDSHAKE_TIMEOUT_MS, maxPayload: MAX_PAYLOAD_BYTES, perMessageDeflate: false });
+        let opened = false;
+        socket.on('open', () => {
+            opened = true;
+            if (this.closing) {
+                socket.close(1000);
+                return;
+            }
+            this.socket = socket;
+        });
+        // Listeners are attached right away: HELLO can arrive together with the handshake response
+        socket.on('message', data => {
+            if (socket === this.socket) this.handlePayload(data.toString());
+        });
+        socket.on('error', error => { // Followed by 'close'
+            if (opened) {
+                this.log('DEBUG', `Gateway socket error: ${error.message}`);
+            } else if (!this.closing) {
+                this.log('WARNING', `Gateway connection failed: ${error.message}`);
+            }
+        });
+        socket.on('close', (code, reason) => {
+            if (opened) {
+                this.handleClose(socket, code, reason.toString());
+            } else if (!this.closing) {
+                this.scheduleReconnect();
+            }
+        });
+    }
+
+    /**
+     * Handles one gateway payload.
+     * @param {string} text - JSON payload { op, d, s, t }.
+     */
+    handlePayload(text) {
+        let payload;
+        try {
+            payload = JSON.parse(text);
+        } catch (error) {
+            this.log('WARNING', 'Ignoring a malformed gateway payload.');
+            return;
+        }
+        const { op, d, s, t } = payload;
+        if (typeof s === 'number') this.sequence = s;
+
+        switch (op) {
+            case OPCODES.HELLO:
+                this.startHeartbeat(d.heartbeat_interval);
+                this.identifyOrResume();
+                break;
+            case OPCODES.HEARTBEAT_ACK:
+                this.heartbeatAcked = true;
+                break;
+            case OPCODES.HEARTBEAT: // Discord asks for a heartbeat right away
+                this.send({ op: OPCODES.HEARTBEAT, d: this.sequence });
+                break;
+            case OPCODES.RECONNECT:
+                this.log('INFO', 'Gateway asked for a reconnect.');
+                this.reconnect(true);
+                break;
+            case OPCODES.INVALID_SESSION:
+                this.log('WARNING', `Gateway session invalidated; ${d ? 'resuming' : 'identifying again'}.`);
+                this.reconnect(Boolean(d));
+                break;
+            case OPCODES.DISPATCH:
+                if (t === 'READY') {
+                    this.sessionId = d.session_id;
+                    this.resumeUrl = d.resume_gateway_url || null;
+                    this.markReady(false);
+                } else if (t === 'RESUMED') {
+                    this.markReady(true);
+                }
+                this.emit('dispatch', t, d);
+                break;
+            default:
+                break;
+        }
+    }
+
+    /** Sends RESUME when there is a session to continue, IDENTIFY otherwise. */
+    identifyOrResume() {
+        if (this.sessionId && this.sequence !== null) {
+            this.send({ op: OPCODES.RESUME, d: { token: this.token, session_id: this.sessionId, seq: this.sequence } });
+            return;
+        }
+        this.send({
+            op: OPCODES.IDENTIFY,
+            d: {
+                token: this.token,
+                intents: INTENTS,
+                properties: { os: process.platform, browser: 'discord-auto-chat', device: 'discord-auto-chat' }
+            }
+        });
+    }
+
+    /**
+     * Starts heartbeating. A heartbeat that is still unacknowledged when the next one is due
+     * means the connection is dead: it is dropped and resumed.
+     * @param {number} intervalMs - heartbeat_interval from HELLO.
+     */
+    startHeartbeat(intervalMs) {
+        this.stopHeartbeat();
+        this.heartbeatAcked = true;
+        const beat = () => {
+            if (!this.heartbeatAcked) {
+                this.log('WARNING', 'Gateway heartbeat was not acknowledged; reconnecting.');
+                this.reconnect(true);
+                return;
+            }
+            this.heartbeatAcked = false;
+            this.send({ op: OPCODES.HEARTBEAT, d: this.sequence });
+        };
+        // The first heartbeat goes out after a random part of the interval, as Discord asks
+        this.heartbeatTimer = setTimeout(() => {
+            beat();
+            this.heartbeatTimer = setInterval(beat, intervalMs);
+        }, Math.floor(Math.random() * intervalMs));
+    }
+
+    stopHeartbeat() {
+        clearTimeout(this.heartbeatTimer); // Also clears the interval
+        this.heartbeatTimer = null;
+    }
+
+    /**
+     * @param {object} payload - Gateway payload.
+     */
+    send(payload) {
+        this.socket?.send(JSON.stringify(payload));
+    }
+
+    /**
+     * @param {boolean} resumed - Whether the previous session was resumed (no events were missed).
+     */
+    markReady(resumed) {
+        this.ready = true;
+        this.reconnectAttempts = 0;
+        this.emit('ready', { resumed });
+    }
+
+    /**
+     * Drops the current connection and connects again.
+     * @param {boolean} resumable - Keep the session so missed events are replayed.
+     */
+    reconnect(resumable) {
+        if (!resumable) {
+            this.sessionId = null;
+            this.sequence = null;
+        }
+        const socket = this.socket;
+        this.detach();
+        socket?.close(RECONNECT_CLOSE_CODE, 'Reconnecting');
+        this.scheduleReconnect();
+    }
+
+    /**
+     * @param {object} socket - The socket that closed.
+     * @param {number} code - Close code.
+     * @param {string} reason - Close reason.
+     */
+    handleClose(socket, code, reason) {
+        if (socket !== this.socket) return; // Replaced already (reconnect/close)
+        this.detach();
+        if (this.closing) return;
+        if (FATAL_CLOSE_CODES.has(code)) {
+            this.log('ERROR', `Gateway closed the connection (${code}${reason ? ` ${reason}` : ''}); not reconnecting.`);
+            this.emit('fatal', code, reason);
+            return;
+        }
+        if (NEW_SESSION_CLOSE_CODES.has(code)) {
+            this.sessionId = null;
+            this.sequence = null;
+            this.log('WARNING', `Gateway connection closed (${code}${reason ? ` ${reason}` : ''}); starting a new session.`);
+        } else {
+            this.log('WARNING', `Gateway connection closed (${code}${reason ? ` ${reason}` : ''}).`);
+        }
+        this.scheduleReconnect();
+    }
+
+    /** Forgets the current socket and stops heartbeating. */
+    detach() {
+        this.stopHeartbeat();
+        this.socket = null;
+        if (this.ready) {
+            this.ready = false;
+            if (!this.closing) this.emit('disconnected');
+        }
+    }
+
+    /** Connects again after the backoff delay (resume URL when a session can be resumed). */
+    scheduleReconnect() {
+        if (this.closing || this.reconnectTimer) return;
+        const delayMs = Math.min(this.reconnectBaseMs * 2 ** this.reconnectAttempts, MAX_RECONNECT_DELAY_MS);
+        this.reconnectAttempts++;
+        this.log('WAIT', `Reconnecting to the gateway in ${Math.round(delayMs / 100) / 10}s...`);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.open(this.sessionId && this.resumeUrl ? this.resumeUrl : this.url);
+        }, delayMs);
+    }
+}
+
+module.exports = {
+    GatewayConnection,
+    INTENTS
+};
@@ -0,0 +1,75 @@
+/**
+ * generationOptions.js
+ * Gemini model and generationConfig per channel (GEMINI_MODEL, GEMINI_FALLBACK_MODEL, GEMINI_TEMPERATURE,
+ * GEMINI_TOP_P, GEMINI_MAX_OUTPUT_TOKENS, GEMINI_STOP_SEQUENCES, GEMINI_CANDIDATE_COUNT). Unset values are
+ * left out of the request so Google's defaults apply.
+ */
+
+const MODEL_NAME = /^[a-z0-9][\w.-]*$/i;
+const MAX_STOP_SEQUENCES = 5; // Gemini's limit
+
+/**
+ * Checks a model name such as "gemini-1.5-flash-latest" (without the "models/" prefix).
+ * @param {string} name - Model name.
+ * @returns {string}
+ * @throws {Error} If it cannot be a model name.
+ */
+function parseModelName(name) {
+    const trimmed = name.trim().replace(/^models\//, '');
+    if (!MODEL_NAME.test(trimmed)) {
+        throw new Error(`"${name}" is not a model name (e.g. gemini-1.5-flash-latest)`);
+    }
+    return trimmed;
+}
+
+/**
+ * Parses GEMINI_STOP_SEQUENCES: comma-separated, at most five.
+ * @param {string} text - The setting.
+ * @returns {string[]}
+ * @throws {Error} If none or too many are given.
+ */
+function parseStopSequences(text) {
+    const sequences = text.split(',').map(sequence => sequence.trim()).filter(Boolean);
+    if (sequences.length === 0) {
+        throw new Error('no stop sequences given');
+    }
+    if (sequences.length > MAX_STOP_SEQUENCES) {
+        throw new Error(`${sequences.length} stop sequences given; at most ${MAX_STOP_SEQUENCES} are allowed`);
+    }
+    return sequences;
+}
+
+/**
+ * Builds the model choice and generationConfig from a channel's settings.
+ * @param {object} settings - Effective settings of the channel (config.js schema).
+ * @returns {{model: string, fallbackModel: string|null, generationConfig: object}}
+ */
+function createGenerationOptions(settings) {
+    const generationConfig = {};
+    if (settings.geminiTemperature !== null) generationConfig.temperature = settings.geminiTemperature;
+    if (settings.geminiTopP !== null) generationConfig.topP = settings.geminiTopP;
+    if (settings.geminiMaxOutputTokens !== null) generationConfig.maxOutputTokens = settings.geminiMaxOutputTokens;
+    if (settings.geminiStopSequences !== null) generationConfig.stopSequences = parseStopSequences(settings.geminiStopSequences);
+    if (settings.geminiCandidateCount !== null) generationConfig.candidateCount = settings.geminiCandidateCount;
+    const model = parseModelName(settings.geminiModel);
+    const fallbackModel = settings.geminiFallbackModel !== null ? parseModelName(settings.geminiFallbackModel) : null;
+    return { model, fallbackModel: fallbackModel === model ? null : fallbackModel, generationConfig };
+}
+
+/**
+ * Describes the options for the debug log.
+ * @param {string} model - Model the request goes to.
+ * @param {object} generationConfig - From createGenerationOptions.
+ * @returns {string} E.g. 'model gemini-1.5-flash-latest, temperature 0.7, stopSequences ["END"]'.
+ */
+function describeGenerationOptions(model, generationConfig) {
+    const parts = Object.entries(generationConfig).map(([key, value]) => `${key} ${Array.isArray(value) ? JSON.stringify(value) : value}`);
+    return [`model ${model}`, ...(parts.length > 0 ? parts : ['default generationConfig'])].join(', ');
+}
+
+module.exports = {
+    parseModelName,
+    parseStopSequences,
+    createGenerationOptions,
+    describeGenerationOptions
+};
@@ -0,0 +1,147 @@
+/**
+ * headless.js
+ * Stand-in for the TUI when running under systemd, Docker or nohup (`--headless` / HEADLESS=true).
+ * Writes every log entry and status snapshot as one JSON object per line to stdout or a file.
+ * Exposes the same methods index.js uses on the TUI (addLog, updateStatus, showConfigError, render, destroy).
+ */
+
+const fs = require('fs');
+const EventEmitter = require('events');
+const { SETTINGS_SCHEMA, ConfigError, parseEnvValue } = require('./config');
+const { buildStatusSnapshot } = require('./statusSnapshot');
+
+/**
+ * Resolves the headless options from the command line (which wins) and the environment.
+ * Flags: --headless, --log-file=<path>, --status-interval=<seconds>.
+ * @param {string[]} argv - Command-line arguments (without node and the script).
+ * @param {object} env - Environment variables.
+ * @returns {{headless: boolean, logFile: string|null, statusIntervalSeconds: number}}
+ */
+function getHeadlessOptions(argv, env) {
+    const flag = (name) => {
+        const arg = argv.find(a => a === `--${name}` || a.startsWith(`--${name}=`));
+        if (!arg) return undefined;
+        return arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : 'true';
+    };
+    const read = (key, flagName) => parseEnvValue(SETTINGS_SCHEMA[key], flag(flagName) ?? env[SETTINGS_SCHEMA[key].env]).value;
+    return {
+        headless: read('headless', 'headless'),
+        logFile: read('headlessLogFile', 'log-file'),
+        statusIntervalSeconds: read('statusIntervalSeconds', 'status-interval')
+    };
+}
+
+/**
+ * Removes blessed style tags ({red-fg}...{/red-fg}) from messages written for the TUI.
+ * @param {string} text - Tagged text.
+ * @returns {string}
+ */
+const stripTags = (text) => String(text).replace(/\{\/?[a-z-]*\}/g, '');
+
+class HeadlessReporter extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {string|null} [options.logFile] - Append to this file instead of writing to stdout.
+     * @param {number} [options.statusIntervalSeconds=60] - How often startStatusReports writes a snapshot.
+     * @throws {ConfigError} If the log file cannot be opened.
+     */
+    constructor({ logFile = null, statusIntervalSeconds = 60 } = {}) {
+        super();
+        // Synchronous writes so nothing is lost when the process exits right after a line
+        try {
+            this.fd = logFile ? fs.openSync(logFile, 'a') : process.stdout.fd;
+        } catch (error) {
+            throw new ConfigError([`HEADLESS_LOG_FILE / --log-file cannot be opened for writing (${error.message})`]);
+        }
+        this.ownsFd = Boolean(logFile);
+        this.statusIntervalSeconds = statusIntervalSeconds;
+        this.statusTimer = null;
+        this.lastStatusJson = null;
+    }
+
+    /**
+     * Writes one JSON line.
+     * @param {object} record - The entry.
+     */
+    write(record) {
+        try {
+            fs.writeSync(this.fd, `${JSON.stringify(record)}\n`);
+        } catch (e) {
+            // stdout closed or disk full; there is nowhere left to report it
+        }
+    }
+
+    /**
+     * Writes a log entry.
+     * @param {string} level - Log level.
+     * @param {string} message - Formatted message (used when no record is given, e.g. index.js notices).
+     * @param {object} [record] - Structured entry from BotLogic.log { timestamp, level, channel, account, message }.
+     */
+    addLog(level, message, record = null) {
+        this.write(record || { timestamp: new Date().toISOString(), level, channel: null, account: null, message: stripTags(message) });
+    }
+
+    /**
+     * Writes a status snapshot when it differs from the last one written.
+     * @param {object} statusData - Same shape as TUI.updateStatus receives.
+     */
+    updateStatus(statusData) {
+        const snapshot = buildStatusSnapshot(statusData);
+        const json = JSON.stringify(snapshot);
+        if (json === this.lastStatusJson) {
+            return;
+        }
+        this.writeStatus(snapshot, json);
+    }
+
+    /**
+     * Writes a status snapshot line.
+     * @param {object} snapshot - From buildStatusSnapshot.
+     * @param {string} [json] - Its serialized form, remembered to skip unchanged updates.
+     */
+    writeStatus(snapshot, json = JSON.stringify(snapshot)) {
+        this.lastStatusJson = json;
+        this.write({ timestamp: new Date().toISOString(), level: 'STATUS', channel: null, account: null, message: 'Status snapshot', status: snapshot });
+    }
+
+    /**
+     * Writes a status snapshot every statusIntervalSeconds, whether or not it changed.
+     * @param {function(): object} getStatusData - Returns the current status data.
+     */
+    startStatusReports(getStatusData) {
+        clearInterval(this.statusTimer);
+        this.statusTimer = setInterval(() => this.writeStatus(buildStatusSnapshot(getStatusData())), this.statusIntervalSeconds * 1000);
+    }
+
+    /**
+     * Reports configuration problems as a single FATAL line.
+     * @param {ConfigError} error - Error carrying a `problems` array.
+     */
+    showConfigError(error) {
+        const problems = error.problems || [error.message];
+        this.write({
+            timestamp: new Date().toISOString(), level: 'FATAL', channel: null, account: null,
+            message: `Configuration is invalid (${problems.length} problem${problems.length === 1 ? '' : 's'}). The bot was not started.`,
+            problems
+        });
+    }
+
+    /** No screen to draw; kept for parity with the TUI. */
+    render() {}
+
+    /** Stops the status reports and closes the log file. */
+    destroy() {
+        clearInterval(this.statusTimer);
+        this.statusTimer = null;
+        if (this.ownsFd) {
+            fs.closeSync(this.fd);
+            this.ownsFd = false;
+            this.fd = process.stdout.fd;
+        }
+    }
+}
+
+module.exports = {
+    HeadlessReporter,
+    getHeadlessOptions
+};
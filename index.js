@@ -1,84 +1,183 @@
 /**
  * index.js
  * Main entry point for the Node.js Discord Bot TUI Monitor.
- * Initializes the UI and Bot Logic, and connects them.
+ * Initializes the UI (or the headless JSON-lines reporter) and Bot Logic, and connects them.
  */
 
 const TUI = require('./ui');
 const BotLogic = require('./botLogic');
+const { ConfigError } = require('./config');
+const { HeadlessReporter, getHeadlessOptions } = require('./headless');
+const ControlServer = require('./controlServer');
 require('dotenv').config(); // Ensure .env is loaded
 
 // --- Initialization ---
-const ui = new TUI();
-const botLogic = new BotLogic();
-
-// --- Event Wiring ---
-
-// Connect BotLogic logs to UI display
-botLogic.on('log', (level, message) => {
-    ui.addLog(level, message);
-});
+// --headless / HEADLESS=true skips the TUI (systemd, Docker, nohup) and writes JSON lines instead
+const headlessOptions = getHeadlessOptions(process.argv.slice(2), process.env);
+let ui = null;
+let botLogic = null;
+let controlServer = null; // Local HTTP control/metrics API, when CONTROL_API_PORT is set
+try {
+    ui = headlessOptions.headless ? new HeadlessReporter(headlessOptions) : new TUI(); // Opens the headless log file
+    botLogic = new BotLogic(); // Validates .env and channels.json
+} catch (error) {
+    if (!(error instanceof ConfigError)) {
+        throw error;
+    }
+    ui = ui || new HeadlessReporter(); // The headless log file could not be opened: report on stdout
+    // Show every configuration problem in the TUI and wait for the user to exit
+    ui.showConfigError(error);
+    if (headlessOptions.headless) {
+        // Nobody is there to press a key; fail so the service manager notices
+        ui.destroy();
+        process.exit(1);
+    }
+}
 
-// Connect BotLogic status updates to UI display
-botLogic.on('statusUpdate', () => {
-    // Gather data needed for the status box
-    const statusData = {
+/**
+ * Gathers the data needed for the status box from BotLogic.
+ * @returns {object} Status data for TUI.updateStatus.
+ */
+function buildStatusData() {
+    return {
         botInfos: botLogic.getBotInfos(),
         channelDetails: botLogic.getChannelDetails(),
         discordTokens: botLogic.getDiscordTokens(),
-        googleApiKeys: botLogic.getGoogleApiKeys(),
+        aiApiKeys: botLogic.getAiApiKeys(),
+        aiProviderLabel: botLogic.getAiProviderLabel(),
         channelIds: botLogic.getChannelIds(),
-        rateLimitedKeys: botLogic.getRateLimitedKeys(),
-        isRunning: botLogic.isRunningStatus()
+        channelOverrides: botLogic.getChannelOverrides(),
+        keyHealth: botLogic.getKeyHealth(),
+        accountAssignments: botLogic.getAccountAssignments(),
+        isRunning: botLogic.isRunningStatus(),
+        dryRun: botLogic.isDryRun(),
+        isPaused: botLogic.isPaused(),
+        pausedChannels: botLogic.getPausedChannels(),
+        aiChannels: botLogic.getChannelIds().filter(id => botLogic.isAiEnabled(id)),
+        cycleStates: botLogic.getCycleStates(),
+        channelStats: botLogic.getChannelStats(),
+        schedules: botLogic.getScheduleStatus(),
+        prompts: botLogic.getPromptInfo(),
+        reviewQueue: botLogic.getReviewQueue()
     };
-    ui.updateStatus(statusData);
-});
+}
 
-// Handle shutdown signal from UI (e.g., Ctrl+C)
-ui.on('shutdown', () => {
-    botLogic.log('INFO', 'Shutdown signal received from UI. Stopping bot logic...');
-    botLogic.stop(); // Gracefully stop the bot logic
-    // Allow some time for cleanup if needed, then exit
-    setTimeout(() => process.exit(0), 500);
-});
+/**
+ * Wires BotLogic events to the UI and starts it.
+ */
+function runBot() {
+    // --- Event Wiring ---
 
-// Handle shutdown signal from BotLogic (e.g., fatal error)
-botLogic.on('shutdown', () => {
-     // Log directly to console as UI might be part of the issue or shutting down
-     console.log('Shutdown signal received from BotLogic. Exiting application.');
-     // Ensure the process exits cleanly
-     process.exit(1); // Use exit code 1 for errors
-});
+    // Connect BotLogic logs to UI display
+    botLogic.on('log', (level, message, record) => {
+        ui.addLog(level, message, record);
+    });
+
+    // Connect BotLogic status updates to UI display
+    botLogic.on('statusUpdate', () => {
+        ui.updateStatus(buildStatusData());
+    });
 
+    // Handle shutdown signal from BotLogic (fatal error, e.g. no valid tokens)
+    botLogic.on('shutdown', () => {
+         shutdown(1, 'Shutdown signal received from BotLogic (fatal error).');
+    });
 
-// --- Application Start ---
-
-// Initial rendering of the UI
-ui.render();
-ui.addLog('INFO', '{cyan-fg}Initializing Application...{/cyan-fg}');
-
-// Start the bot logic (this is asynchronous)
-botLogic.start()
-    .then(() => {
-        ui.addLog('SUCCESS', '{green-fg}Bot Logic started successfully.{/green-fg}');
-        // Initial status update after start
-         const statusData = {
-            botInfos: botLogic.getBotInfos(),
-            channelDetails: botLogic.getChannelDetails(),
-            discordTokens: botLogic.getDiscordTokens(),
-            googleApiKeys: botLogic.getGoogleApiKeys(),
-            channelIds: botLogic.getChannelIds(),
-            rateLimitedKeys: botLogic.getRateLimitedKeys(),
-            isRunning: botLogic.isRunningStatus()
-        };
-        ui.updateStatus(statusData);
-    })
-    .catch(error => {
-        ui.addLog('ERROR', `{red-fg}FATAL ERROR during Bot Logic startup: ${error.message}{/red-fg}`);
-        console.error("FATAL STARTUP ERROR:", error); // Also log detailed error to console
-        // Consider attempting a clean shutdown or just exiting
-        process.exit(1);
+    // Connect TUI channel controls to BotLogic (a null channel means the whole bot)
+    ui.on('togglePause', (channelId, pause) => {
+        if (pause) botLogic.pause(channelId);
+        else botLogic.resume(channelId);
     });
+    ui.on('toggleAi', (channelId, enabled) => botLogic.setAiEnabled(channelId, enabled));
+    ui.on('runNow', (channelId) => botLogic.runCycleNow(channelId));
+    ui.on('skipSend', (channelId) => botLogic.skipPendingSend(channelId));
+    ui.on('reviewApprove', (id) => botLogic.approveReply(id)
+        .catch(error => botLogic.log('ERROR', `Approving reply #${id} failed: ${error.message}`)));
+    ui.on('reviewEdit', (id, text) => botLogic.editReply(id, text));
+    ui.on('reviewRegenerate', (id) => botLogic.regenerateReply(id)
+        .catch(error => botLogic.log('ERROR', `Regenerating reply #${id} failed: ${error.message}`)));
+    ui.on('reviewReject', (id) => botLogic.rejectReply(id));
+
+    // --- Application Start ---
+
+    // Initial rendering of the UI
+    ui.render();
+    ui.addLog('INFO', '{cyan-fg}Initializing Application...{/cyan-fg}');
+    if (headlessOptions.headless) {
+        ui.startStatusReports(buildStatusData); // Periodic snapshot in place of the status box
+        if (botLogic.getChannelIds().some(id => botLogic.getChannelConfig(id).reviewReplies)) {
+            ui.addLog('WARNING', 'REVIEW_REPLIES is on, but replies can only be approved in the TUI; in headless mode they expire unsent.');
+        }
+    } else {
+        ui.startDashboardRefresh(buildStatusData); // Live counters and countdowns
+    }
+
+    // Optional local control/metrics API
+    const { controlApiPort } = botLogic.getSettings();
+    if (controlApiPort !== null) {
+        controlServer = new ControlServer({ botLogic, getStatusData: buildStatusData, port: controlApiPort });
+        controlServer.start()
+            .then(port => ui.addLog('INFO', `Control API listening on http://127.0.0.1:${port} (/status, /metrics, POST /pause, /resume).`))
+            .catch(error => {
+                ui.addLog('ERROR', `{red-fg}Control API could not start on port ${controlApiPort}: ${error.message}{/red-fg}`);
+                controlServer = null;
+            });
+    }
+
+    // Start the bot logic (this is asynchronous)
+    botLogic.start()
+        .then(() => {
+            ui.addLog('SUCCESS', '{green-fg}Bot Logic started successfully.{/green-fg}');
+            // Initial status update after start
+            ui.updateStatus(buildStatusData());
+        })
+        .catch(error => {
+            ui.addLog('ERROR', `{red-fg}FATAL ERROR during Bot Logic startup: ${error.message}{/red-fg}`);
+            ui.destroy(); // Restore the terminal before printing
+            console.error("FATAL STARTUP ERROR:", error); // Also log detailed error to console
+            process.exit(1);
+        });
+}
+
+let shuttingDown = false;
+
+/**
+ * Stops the bot (draining running cycles and saving state), restores the terminal and exits.
+ * A second request while stopping exits immediately.
+ * @param {number} exitCode - Process exit code.
+ * @param {string} reason - Logged before stopping.
+ */
+async function shutdown(exitCode, reason) {
+    if (shuttingDown) {
+        ui.destroy();
+        console.log('Forced exit before the bot finished stopping.');
+        process.exit(exitCode || 1);
+    }
+    shuttingDown = true;
+    if (controlServer) {
+        await controlServer.stop();
+    }
+    if (botLogic) {
+        botLogic.log('INFO', `${reason} Stopping bot logic... (repeat to force exit)`);
+        try {
+            await botLogic.stop();
+        } catch (error) {
+            console.error('Error while stopping the bot:', error);
+            exitCode = 1;
+        }
+    }
+    ui.destroy();
+    process.exit(exitCode);
+}
+
+// Handle shutdown signal from UI (e.g., Ctrl+C) and from the OS
+ui.on('shutdown', () => shutdown(botLogic ? 0 : 1, 'Shutdown signal received from UI.')); // No bot = invalid configuration
+process.on('SIGTERM', () => shutdown(0, 'SIGTERM received.'));
+process.on('SIGINT', () => shutdown(0, 'SIGINT received.'));
+
+if (botLogic) {
+    runBot();
+}
 
 // Handle unhandled promise rejections and uncaught exceptions
 process.on('unhandledRejection', (reason, promise) => {
@@ -90,6 +189,7 @@ process.on('unhandledRejection', (reason, promise) => {
 
 process.on('uncaughtException', (error) => {
   ui.addLog('ERROR', `{red-fg}Uncaught Exception: ${error.stack || error}{/red-fg}`);
+  ui.destroy(); // Restore the terminal so the error is readable
   console.error('Uncaught Exception:', error);
   // It's generally recommended to exit after an uncaught exception
   process.exit(1);
@@ -0,0 +1,263 @@
+/**
+ * keyHealth.js
+ * Health of the AI API keys. Each key is in one of these states:
+ *
+ *   unknown    Not checked yet (usable).
+ *   healthy    Validated or recently used successfully (usable).
+ *   backoff    Throttled (per-minute limits, overloaded); benched until its retry time.
+ *   exhausted  Daily quota used up; benched until the quota resets.
+ *   invalid    Rejected as invalid or revoked (400/403); not used again until restart.
+ *
+ * A throttle or used-up quota that names one model (Gemini's per-model quotas) benches only that model on
+ * the key, with its own backoff or reset time; the key keeps serving the other models.
+ *
+ * Usable keys are picked by smooth weighted round-robin: every key gets its turn, but keys whose recent
+ * calls failed get proportionally fewer. With equal weights this is plain round-robin in key order.
+ */
+
+const KEY_STATES = ['unknown', 'healthy', 'backoff', 'exhausted', 'invalid'];
+const MAX_WEIGHT = 10;
+const OUTCOME_WINDOW = 20; // Recent call outcomes the weight is based on
+const BACKOFF_BASE_SECONDS = 30; // First backoff without a retry hint; doubles per consecutive throttle
+const BACKOFF_MAX_SECONDS = 15 * 60;
+const QUOTA_TIME_ZONE = 'America/Los_Angeles'; // Gemini daily quotas reset at midnight Pacific time
+
+/**
+ * Reads the wall-clock date and time in the quota time zone.
+ * @param {number} time - Epoch ms.
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function quotaZoneParts(time) {
+    return Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: QUOTA_TIME_ZONE, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(new Date(time)).filter(part => part.type !== 'literal').map(part => [part.type, Number(part.value)]));
+}
+
+/**
+ * Computes when a daily quota resets: midnight Pacific time of the next calendar day. Days are 23 or
+ * 25 hours long when daylight saving time starts or ends, so the offset is read for the reset itself.
+ * @param {number} now - Current time (ms).
+ * @returns {number} Epoch ms.
+ */
+function nextQuotaReset(now) {
+    const { year, month, day } = quotaZoneParts(now);
+    const midnightUtc = Date.UTC(year, month - 1, day + 1); // Next day's midnight as if the zone were UTC
+    const offsetAt = (time) => {
+        const parts = quotaZoneParts(time);
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - time;
+    };
+    const guess = midnightUtc - offsetAt(midnightUtc);
+    return midnightUtc - offsetAt(guess); // Again with the offset at the guess, in case it crossed a change
+}
+
+class KeyHealthTracker {
+    /**
+     * @param {string[]} keys - The keys, in configured order ('' for keyless providers).
+     */
+    constructor(keys) {
+        this.entries = new Map(keys.map(key => [key, {
+            state: 'unknown',
+            until: null, // End of backoff/exhausted
+            reason: null, // Why the key is benched or invalid
+            models: new Map(), // Model -> { state, until, reason, throttles }: benches of per-model quotas, the key still serves other models
+            outcomes: [], // Recent results, true = success (oldest first)
+            throttles: 0, // Consecutive backoffs, for the exponential delay
+            currentWeight: 0 // Smooth weighted round-robin counter
+        }]));
+    }
+
+    /**
+     * @param {string} key
+     * @returns {object|undefined} The key's entry.
+     */
+    get(key) {
+        return this.entries.get(key);
+    }
+
+    /**
+     * Whether a key is benched (backoff or exhausted) at the given time.
+     * @param {string} key
+     * @param {number} now - Current time (ms).
+     * @param {string|null} [model] - Also count a bench of this model's quota on the key.
+     * @returns {boolean}
+     */
+    isBenched(key, now, model = null) {
+        const entry = this.entries.get(key);
+        if (!entry) return false;
+        return ((entry.state === 'backoff' || entry.state === 'exhausted') && entry.until > now) || this.isModelBenched(key, model, now);
+    }
+
+    /**
+     * Whether one model's quota is benched on a key, leaving the key's other models aside.
+     * @param {string} key
+     * @param {string|null} model
+     * @param {number} now - Current time (ms).
+     * @returns {boolean}
+     */
+    isModelBenched(key, model, now) {
+        const bench = model !== null ? this.entries.get(key)?.models.get(model) : undefined;
+        return Boolean(bench && bench.until > now);
+    }
+
+    /**
+     * Returns benched keys whose time is up to service. Model benches whose time is up are dropped too.
+     * @param {number} now - Current time (ms).
+     * @returns {string[]} Keys that became usable again.
+     */
+    releaseExpired(now) {
+        const released = [];
+        this.entries.forEach((entry, key) => {
+            entry.models.forEach((bench, model) => {
+                if (bench.until <= now) entry.models.delete(model);
+            });
+            if ((entry.state === 'backoff' || entry.state === 'exhausted') && entry.until <= now) {
+                Object.assign(entry, { state: 'healthy', until: null, reason: null });
+                released.push(key);
+            }
+        });
+        return released;
+    }
+
+    /**
+     * Selection weight of a usable key, from its recent success rate (1 to MAX_WEIGHT).
+     * @param {string} key
+     * @param {string|null} [model] - Model the call is for; a key benched for it cannot be used.
+     * @returns {number} 0 for keys that cannot be used right now.
+     */
+    getWeight(key, model = null) {
+        const entry = this.entries.get(key);
+        if (!entry || entry.state === 'invalid' || entry.state === 'backoff' || entry.state === 'exhausted') return 0;
+        if (model !== null && entry.models.has(model)) return 0;
+        const successes = entry.outcomes.filter(Boolean).length;
+        return Math.max(1, Math.round(MAX_WEIGHT * (successes + 1) / (entry.outcomes.length + 1)));
+    }
+
+    /**
+     * Picks the next key by smooth weighted round-robin over the usable keys.
+     * Call releaseExpired first so keys whose backoff ended take part.
+     * @param {string|null} [model] - Model the call is for; keys benched for it are skipped.
+     * @returns {string|null} A key, or null if none is usable.
+     */
+    pick(model = null) {
+        let total = 0;
+        let best = null;
+        this.entries.forEach((entry, key) => {
+            const weight = this.getWeight(key, model);
+            if (weight === 0) return;
+            entry.currentWeight += weight;
+            total += weight;
+            if (best === null || entry.currentWeight > this.entries.get(best).currentWeight) best = key;
+        });
+        if (best !== null) {
+            this.entries.get(best).currentWeight -= total;
+        }
+        return best;
+    }
+
+    /**
+     * Records the outcome of a call that reached the provider. A success also clears the key's bench
+     * and the bench of the model it used; other models' benches stay (e.g. after a success on the fallback model).
+     * @param {string} key
+     * @param {boolean} success - Whether a reply came back (false for errors other than rate limits).
+     * @param {string|null} [model] - Model the call used.
+     */
+    recordOutcome(key, success, model = null) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+        entry.outcomes.push(success);
+        if (entry.outcomes.length > OUTCOME_WINDOW) entry.outcomes.shift();
+        if (success) {
+            Object.assign(entry, { state: 'healthy', until: null, reason: null, throttles: 0 });
+            if (model !== null) entry.models.delete(model);
+        }
+    }
+
+    /**
+     * Benches a key after a throttle, or only one model on it when the throttle is that model's quota.
+     * @param {string} key
+     * @param {number|null} retryAfterSeconds - Retry hint from the provider; null backs off exponentially.
+     * @param {string} reason - For the status pane.
+     * @param {number} now - Current time (ms).
+     * @param {string|null} [model] - Model whose quota was hit, for per-model quotas.
+     * @returns {number} When the key (or the model on it) is usable again (epoch ms).
+     */
+    markBackoff(key, retryAfterSeconds, reason, now, model = null) {
+        const entry = this.entries.get(key);
+        if (!entry) return now;
+        const target = model !== null ? (entry.models.get(model) || { throttles: 0 }) : entry;
+        const seconds = retryAfterSeconds !== null
+            ? retryAfterSeconds
+            : Math.min(BACKOFF_BASE_SECONDS * 2 ** target.throttles, BACKOFF_MAX_SECONDS);
+        target.throttles++;
+        Object.assign(target, { state: 'backoff', until: now + seconds * 1000, reason });
+        if (model !== null) entry.models.set(model, target);
+        return target.until;
+    }
+
+    /**
+     * Benches a key, or only one model on it, until the daily quota resets.
+     * @param {string} key
+     * @param {number} until - Reset time (epoch ms), e.g. from nextQuotaReset.
+     * @param {string} reason - For the status pane.
+     * @param {string|null} [model] - Model whose quota was used up, for per-model quotas.
+     */
+    markExhausted(key, until, reason, model = null) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+        if (model !== null) {
+            entry.models.set(model, { state: 'exhausted', until, reason, throttles: entry.models.get(model)?.throttles ?? 0 });
+        } else {
+            Object.assign(entry, { state: 'exhausted', until, reason });
+        }
+    }
+
+    /**
+     * Takes a key out of rotation until restart.
+     * @param {string} key
+     * @param {string} reason - For the status pane.
+     */
+    markInvalid(key, reason) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+        Object.assign(entry, { state: 'invalid', until: null, reason });
+        entry.models.clear();
+    }
+
+    /**
+     * Marks a key as checked and working, unless it is benched or invalid.
+     * @param {string} key
+     */
+    markValidated(key) {
+        const entry = this.entries.get(key);
+        if (entry && entry.state === 'unknown') entry.state = 'healthy';
+    }
+
+    /**
+     * @param {string|null} [model] - Model the call is for; its benches count as well.
+     * @returns {number|null} Earliest time a benched key becomes usable (invalid keys never do).
+     */
+    nextAvailableAt(model = null) {
+        const times = [...this.entries.values()]
+            .map(entry => Math.max(entry.until ?? 0, (model !== null && entry.models.get(model)?.until) || 0))
+            .filter(time => time > 0);
+        return times.length > 0 ? Math.min(...times) : null;
+    }
+
+    /**
+     * @returns {Map<string, {state: string, until: number|null, reason: string|null, weight: number,
+     *   models: Object<string, {state: string, until: number, reason: string}>}>} models: the key's benched models.
+     */
+    snapshot() {
+        return new Map([...this.entries].map(([key, entry]) => [key, {
+            state: entry.state, until: entry.until, reason: entry.reason, weight: this.getWeight(key),
+            models: Object.fromEntries([...entry.models].map(([model, { state, until, reason }]) => [model, { state, until, reason }]))
+        }]));
+    }
+}
+
+module.exports = {
+    KEY_STATES,
+    KeyHealthTracker,
+    nextQuotaReset
+};
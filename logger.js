@@ -0,0 +1,120 @@
+/**
+ * logger.js
+ * Log file output and secret redaction for BotLogic.log, which every bot and apiClient message goes through.
+ * Files are named bot-YYYY-MM-DD.log; a file that grows past the size limit continues in
+ * bot-YYYY-MM-DD.1.log, .2.log, ... and only the newest LOG_MAX_FILES files are kept.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LOG_FILE_PATTERN = /^bot-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.log$/;
+
+// Secrets that are not in the configuration but still must not reach a log
+const DISCORD_TOKEN_PATTERN = /[\w-]{24,}\.[\w-]{6}\.[\w-]{27,}/g;
+const GOOGLE_API_KEY_PATTERN = /AIza[\w-]{35}/g;
+const REDACTED = '[REDACTED]';
+
+/**
+ * Builds a function that replaces the given secrets, and anything shaped like a Discord token
+ * or Google API key, with [REDACTED].
+ * @param {string[]} secrets - Known tokens and API keys (empty values are ignored).
+ * @returns {function(string): string}
+ */
+function createRedactor(secrets) {
+    const known = [...new Set(secrets.filter(Boolean))].sort((a, b) => b.length - a.length); // Longest first
+    return (text) => {
+        let redacted = String(text);
+        known.forEach(secret => { redacted = redacted.split(secret).join(REDACTED); });
+        return redacted.replace(DISCORD_TOKEN_PATTERN, REDACTED).replace(GOOGLE_API_KEY_PATTERN, REDACTED);
+    };
+}
+
+class RotatingLogFile {
+    /**
+     * @param {object} options
+     * @param {string} options.dir - Folder for the log files (created if missing).
+     * @param {number} options.maxSizeBytes - Size after which the day's log continues in a new file.
+     * @param {number} options.maxFiles - Number of log files kept; older ones are deleted.
+     */
+    constructor({ dir, maxSizeBytes, maxFiles }) {
+        this.dir = dir;
+        this.maxSizeBytes = maxSizeBytes;
+        this.maxFiles = maxFiles;
+        this.fd = null;
+        this.date = null; // Date (YYYY-MM-DD) of the open file
+        this.index = 0; // Rollover number of the open file within its date
+        this.size = 0;
+    }
+
+    /**
+     * Appends one line, rotating first when the date changed or the file is full.
+     * Writes are synchronous so nothing is lost when the process exits right after.
+     * @param {string} line - The text (without trailing newline).
+     */
+    write(line) {
+        const data = `${line}\n`;
+        const date = new Date().toISOString().substring(0, 10);
+        if (this.fd === null || date !== this.date) {
+            this.open(date);
+        }
+        if (this.size > 0 && this.size + Buffer.byteLength(data) > this.maxSizeBytes) {
+            this.open(date, this.index + 1);
+        }
+        fs.writeSync(this.fd, data);
+        this.size += Buffer.byteLength(data);
+    }
+
+    /**
+     * Opens the log file for a date, continuing the newest existing file of that date unless an index is given.
+     * @param {string} date - YYYY-MM-DD.
+     * @param {number} [index] - Rollover number to open.
+     */
+    open(date, index = null) {
+        this.close();
+        fs.mkdirSync(this.dir, { recursive: true });
+        if (index === null) {
+            const existing = this.listFiles().filter(file => file.date === date);
+            index = existing.length > 0 ? existing[existing.length - 1].index : 0;
+        }
+        const filePath = path.join(this.dir, index === 0 ? `bot-${date}.log` : `bot-${date}.${index}.log`);
+        this.fd = fs.openSync(filePath, 'a');
+        this.size = fs.fstatSync(this.fd).size;
+        this.date = date;
+        this.index = index;
+        this.prune();
+    }
+
+    /**
+     * Lists the log files in the folder, oldest first.
+     * @returns {{name: string, date: string, index: number}[]}
+     */
+    listFiles() {
+        return fs.readdirSync(this.dir)
+            .map(name => {
+                const match = name.match(LOG_FILE_PATTERN);
+                return match ? { name, date: match[1], index: Number(match[2] || 0) } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.date.localeCompare(b.date) || a.index - b.index);
+    }
+
+    /** Deletes the oldest log files beyond the retention limit. */
+    prune() {
+        const files = this.listFiles();
+        files.slice(0, Math.max(0, files.length - this.maxFiles))
+            .forEach(file => fs.rmSync(path.join(this.dir, file.name), { force: true }));
+    }
+
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+module.exports = {
+    RotatingLogFile,
+    createRedactor
+};
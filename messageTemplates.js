@@ -0,0 +1,114 @@
+/**
+ * messageTemplates.js
+ * Template format of the message files (info.txt and per-channel infoFile):
+ *
+ *   - One message per line. If the file contains a line that is only "---", messages are instead
+ *     the blocks between those lines, so they can span several lines.
+ *   - "[weight=3] text" makes a message come up three times as often (1-100, default 1).
+ *   - Variables: {channel}, {server}, {username}, {time}, {date}, {weekday}, {timeOfDay}
+ *     (morning, afternoon, evening or night). Unknown {names} are left as written.
+ *
+ * Messages are drawn per channel in shuffled cycles: each message is used (weight) times per cycle
+ * and the same message is not sent twice in a row while there is another to pick.
+ */
+
+const BLOCK_SEPARATOR = /^---\s*$/m;
+const WEIGHT_PREFIX = /^\[weight=(\d+)\]\s*/;
+const MAX_WEIGHT = 100;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Parses a message file into template entries.
+ * @param {string} text - File contents.
+ * @returns {{text: string, weight: number}[]}
+ */
+function parseMessageFile(text) {
+    const normalized = text.replace(/\r\n/g, '\n');
+    const chunks = BLOCK_SEPARATOR.test(normalized)
+        ? normalized.split(/^---\s*$/m).map(block => block.split('\n').map(line => line.trimEnd()).join('\n').trim())
+        : normalized.split('\n').map(line => line.trim());
+
+    return chunks.filter(Boolean).map(chunk => {
+        const match = chunk.match(WEIGHT_PREFIX);
+        if (!match) {
+            return { text: chunk, weight: 1 };
+        }
+        const weight = Math.min(Math.max(Number(match[1]), 1), MAX_WEIGHT);
+        return { text: chunk.slice(match[0].length), weight };
+    }).filter(entry => entry.text.length > 0);
+}
+
+/**
+ * Names the part of the day for {timeOfDay}.
+ * @param {Date} date - The moment.
+ * @returns {string}
+ */
+function getTimeOfDay(date) {
+    const hour = date.getHours();
+    if (hour >= 5 && hour < 12) return 'morning';
+    if (hour >= 12 && hour < 17) return 'afternoon';
+    if (hour >= 17 && hour < 21) return 'evening';
+    return 'night';
+}
+
+/**
+ * Fills in the variables of a template.
+ * @param {string} template - Message text with {variables}.
+ * @param {object} context - { channel, server, username } (missing values render as '').
+ * @param {Date} [now] - Time used for the time variables.
+ * @returns {string}
+ */
+function renderTemplate(template, context, now = new Date()) {
+    const values = {
+        channel: context.channel || '',
+        server: context.server || '',
+        username: context.username || '',
+        time: `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`,
+        date: `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`,
+        weekday: WEEKDAYS[now.getDay()],
+        timeOfDay: getTimeOfDay(now)
+    };
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? values[name] : placeholder));
+}
+
+class MessageCycle {
+    /**
+     * @param {{text: string, weight: number}[]} entries - Parsed message file.
+     */
+    constructor(entries) {
+        this.entries = entries;
+        this.bag = []; // Entry indices left in the current cycle
+        this.lastIndex = null;
+    }
+
+    /**
+     * Draws the next message of the cycle, starting a new shuffled cycle when the current one is used up.
+     * @returns {string|null} The template text, or null if there are no entries.
+     */
+    next() {
+        if (this.entries.length === 0) return null;
+        if (this.bag.length === 0) {
+            this.bag = this.entries.flatMap((entry, index) => Array(entry.weight).fill(index));
+            for (let i = this.bag.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [this.bag[i], this.bag[j]] = [this.bag[j], this.bag[i]];
+            }
+        }
+        // Avoid a back-to-back repeat when another message is left in the cycle
+        let position = this.bag.length - 1;
+        if (this.bag[position] === this.lastIndex) {
+            const other = this.bag.findIndex(index => index !== this.lastIndex);
+            if (other !== -1) position = other;
+        }
+        const [index] = this.bag.splice(position, 1);
+        this.lastIndex = index;
+        return this.entries[index].text;
+    }
+}
+
+module.exports = {
+    MessageCycle,
+    parseMessageFile,
+    renderTemplate,
+    getTimeOfDay
+};
@@ -0,0 +1,135 @@
+/**
+ * metrics.js
+ * Minimal Prometheus-style metrics registry (counters, gauges, histograms) rendered in the
+ * text exposition format for the control API's /metrics endpoint.
+ */
+
+const DEFAULT_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+/**
+ * Escapes a label value for the exposition format.
+ * @param {*} value - Label value.
+ * @returns {string}
+ */
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+/**
+ * Formats a label set: {a="1",b="2"} (empty string when there are none).
+ * @param {object} labels - Label names and values.
+ * @returns {string}
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    return entries.length === 0 ? '' : `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map(); // name -> { type, help, buckets, series: Map(labelKey -> { labels, value | counts/sum/count }) }
+    }
+
+    /**
+     * Declares a metric (idempotent).
+     * @param {string} name - Metric name.
+     * @param {'counter'|'gauge'|'histogram'} type - Metric type.
+     * @param {string} help - HELP text.
+     * @param {number[]} [buckets] - Histogram bucket upper bounds.
+     */
+    define(name, type, help, buckets = DEFAULT_BUCKETS) {
+        if (!this.metrics.has(name)) {
+            this.metrics.set(name, { type, help, buckets, series: new Map() });
+        }
+    }
+
+    /**
+     * Returns the series of a metric for a label set, creating it on first use.
+     */
+    getSeries(name, labels) {
+        const metric = this.metrics.get(name);
+        if (!metric) {
+            throw new Error(`Unknown metric ${name}`);
+        }
+        const key = formatLabels(labels);
+        if (!metric.series.has(key)) {
+            metric.series.set(key, metric.type === 'histogram'
+                ? { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 }
+                : { labels, value: 0 });
+        }
+        return metric.series.get(key);
+    }
+
+    /**
+     * Increments a counter (or gauge).
+     * @param {string} name - Metric name.
+     * @param {object} [labels] - Label set.
+     * @param {number} [amount=1] - Increment.
+     */
+    inc(name, labels = {}, amount = 1) {
+        this.getSeries(name, labels).value += amount;
+    }
+
+    /**
+     * Sets a gauge.
+     * @param {string} name - Metric name.
+     * @param {object} labels - Label set.
+     * @param {number} value - New value.
+     */
+    set(name, labels, value) {
+        this.getSeries(name, labels).value = value;
+    }
+
+    /**
+     * Records a histogram observation.
+     * @param {string} name - Metric name.
+     * @param {object} labels - Label set.
+     * @param {number} value - Observed value.
+     */
+    observe(name, labels, value) {
+        const metric = this.metrics.get(name);
+        const series = this.getSeries(name, labels);
+        metric.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * Reads the current value of a counter or gauge (0 if never touched).
+     * @param {string} name - Metric name.
+     * @param {object} [labels] - Label set.
+     * @returns {number}
+     */
+    get(name, labels = {}) {
+        return this.metrics.get(name)?.series.get(formatLabels(labels))?.value ?? 0;
+    }
+
+    /**
+     * Renders every metric in the Prometheus text exposition format (version 0.0.4).
+     * @returns {string}
+     */
+    render() {
+        const lines = [];
+        for (const [name, metric] of this.metrics) {
+            lines.push(`# HELP ${name} ${metric.help}`);
+            lines.push(`# TYPE ${name} ${metric.type}`);
+            for (const series of metric.series.values()) {
+                if (metric.type === 'histogram') {
+                    metric.buckets.forEach((bound, index) => {
+                        lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+                    });
+                    lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+                    lines.push(`${name}_sum${formatLabels(series.labels)} ${series.sum}`);
+                    lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+                } else {
+                    lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+                }
+            }
+        }
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+module.exports = {
+    MetricsRegistry
+};
@@ -0,0 +1,101 @@
+/**
+ * moderation.js
+ * Checks outgoing messages before they are sent: optionally strips Discord invites and other links,
+ * then rejects text that contains a blocklisted word, matches the deny pattern or is too long.
+ *
+ *   STRIP_INVITES              remove Discord invite links (off by default)
+ *   STRIP_LINKS                remove all other links (off by default)
+ *   MODERATION_BLOCKLIST       "word,another phrase"; whole words, case-insensitive
+ *   MODERATION_DENY_PATTERN    regular expression, case-insensitive ("a|b" for several rules)
+ *   MAX_REPLY_LENGTH           characters after stripping (Discord allows 2000)
+ */
+
+const { compileWholeWord } = require('./textMatch');
+
+const INVITE_PATTERN = /(?:https?:\/\/)?(?:www\.)?(?:discord\.gg|discord(?:app)?\.com\/invite)\/[\w-]+\/?/gi;
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+/**
+ * Parses a MODERATION_BLOCKLIST value.
+ * @param {string} text - Comma-separated words or phrases.
+ * @returns {{word: string, pattern: RegExp}[]}
+ * @throws {Error} When the list is empty.
+ */
+function parseBlocklist(text) {
+    const words = [...new Set(text.split(',').map(word => word.trim().toLowerCase()).filter(Boolean))];
+    if (words.length === 0) {
+        throw new Error('no words given');
+    }
+    return words.map(word => ({ word, pattern: compileWholeWord(word) }));
+}
+
+/**
+ * Compiles a MODERATION_DENY_PATTERN value.
+ * @param {string} pattern - Regular expression source, without slashes.
+ * @returns {RegExp}
+ * @throws {SyntaxError} On an invalid pattern.
+ */
+function compileDenyPattern(pattern) {
+    return new RegExp(pattern, 'i');
+}
+
+/**
+ * Builds the moderation rules of a channel from its effective settings.
+ * @param {object} settings - Channel settings (moderationBlocklist, moderationDenyPattern, maxReplyLength, ...).
+ * @returns {object} { blocklist, denyPattern, maxLength, stripLinks, stripInvites }
+ */
+function createModerationRules(settings) {
+    return {
+        blocklist: settings.moderationBlocklist ? parseBlocklist(settings.moderationBlocklist) : [],
+        denyPattern: settings.moderationDenyPattern ? compileDenyPattern(settings.moderationDenyPattern) : null,
+        maxLength: settings.maxReplyLength,
+        stripLinks: settings.stripLinks,
+        stripInvites: settings.stripInvites
+    };
+}
+
+/**
+ * Cleans and checks one outgoing message.
+ * @param {string} text - The message to send.
+ * @param {object} rules - From createModerationRules.
+ * @returns {{text: string, removedLinks: number, rejection: ({rule: string, reason: string}|null)}}
+ *   The cleaned text, how many invites/links were removed, and why it must not be sent (null if it may).
+ */
+function moderateMessage(text, rules) {
+    let cleaned = text;
+    let removedLinks = 0;
+    const strip = (pattern) => {
+        cleaned = cleaned.replace(pattern, () => {
+            removedLinks++;
+            return '';
+        });
+    };
+    if (rules.stripInvites) strip(INVITE_PATTERN);
+    if (rules.stripLinks) strip(LINK_PATTERN);
+    if (removedLinks > 0) {
+        cleaned = cleaned.replace(/[ \t]{2,}/g, ' ').replace(/ +([.,!?;:])/g, '$1').trim();
+    }
+
+    const reject = (rule, reason) => ({ text: cleaned, removedLinks, rejection: { rule, reason } });
+    if (cleaned.length === 0) {
+        return reject('empty', 'is empty after removing links');
+    }
+    const blocked = rules.blocklist.find(entry => entry.pattern.test(cleaned));
+    if (blocked) {
+        return reject('blocklist', `contains the blocked word "${blocked.word}"`);
+    }
+    if (rules.denyPattern && rules.denyPattern.test(cleaned)) {
+        return reject('deny_pattern', `matches the deny pattern ${rules.denyPattern}`);
+    }
+    if (cleaned.length > rules.maxLength) {
+        return reject('max_length', `is ${cleaned.length} characters long (limit ${rules.maxLength})`);
+    }
+    return { text: cleaned, removedLinks, rejection: null };
+}
+
+module.exports = {
+    parseBlocklist,
+    compileDenyPattern,
+    createModerationRules,
+    moderateMessage
+};
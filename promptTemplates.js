@@ -0,0 +1,194 @@
+/**
+ * promptTemplates.js
+ * Prompt templates for AI replies (PROMPT_TEMPLATE and per-channel promptTemplate). A template file
+ * is split into sections by lines holding only a section name in brackets:
+ *
+ *   [system]   Optional persona / system instruction, sent as the provider's system prompt.
+ *   [prompt]   Required. The instruction sent with the message to reply to.
+ *   [context]  Optional. Put in place of {context} when earlier channel messages are included.
+ *
+ * Placeholders: {message}, {author}, {channel}, {server}, {language} (the language's English name,
+ * e.g. "French"), {languageCode} (as configured, e.g. "fr") and {context} ([prompt] only).
+ * A line holding only {context} is dropped when there is no context. Unknown placeholders are
+ * rejected when the template is loaded, so typos show up at startup.
+ *
+ * Without a template file the built-in one for the channel's PROMPT_LANGUAGE is used.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SECTION_HEADER = /^\[(\w+)\]\s*$/;
+const SECTION_NAMES = ['system', 'prompt', 'context'];
+const PLACEHOLDER = /\{(\w+)\}/g;
+const PLACEHOLDER_NAMES = ['message', 'author', 'channel', 'server', 'language', 'languageCode', 'context'];
+const LANGUAGE_CODE = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+const BUILT_IN_NAME = 'built-in';
+
+// Built-in templates: Indonesian has its own wording, every other language gets the English one
+const BUILT_IN_TEMPLATES = {
+    id: {
+        system: null,
+        prompt: 'Balas pesan berikut dalam bahasa Indonesia: "{message}"\n{context}\n\nBuatlah menjadi 1 kalimat menggunakan bahasa sehari-hari manusia.',
+        context: 'Gunakan pesan-pesan sebelumnya dalam percakapan ini sebagai konteks.'
+    },
+    default: {
+        system: null,
+        prompt: 'Reply to the following message in {language}: "{message}"\n{context}\n\nKeep it to one sentence in casual, everyday {language}.',
+        context: 'Use the earlier messages in this conversation as context.'
+    }
+};
+
+/**
+ * Checks a PROMPT_LANGUAGE value: any BCP 47 language code such as en, id, fr or pt-BR.
+ * @param {string} code - The language code.
+ * @returns {string} The canonical code (e.g. "pt-BR").
+ * @throws {Error} If it is not a language code.
+ */
+function parseLanguageCode(code) {
+    const trimmed = code.trim();
+    let canonical = null;
+    if (LANGUAGE_CODE.test(trimmed)) {
+        try {
+            [canonical] = Intl.getCanonicalLocales(trimmed);
+        } catch (error) {
+            canonical = null; // Well-formed letters but not a valid tag
+        }
+    }
+    if (!canonical) {
+        throw new Error(`"${code}" is not a language code (e.g. en, id, fr, pt-BR)`);
+    }
+    return canonical;
+}
+
+/**
+ * Names a language in English for {language}.
+ * @param {string} code - Language code.
+ * @returns {string} E.g. "French", or the code itself when the name is unknown.
+ */
+function describeLanguage(code) {
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'language', fallback: 'code' }).of(code);
+    } catch (error) {
+        return code;
+    }
+}
+
+/**
+ * Parses the text of a template file.
+ * @param {string} text - File contents.
+ * @returns {{system: string|null, prompt: string, context: string|null}}
+ * @throws {Error} Describing the first problem (missing [prompt], unknown section or placeholder...).
+ */
+function parsePromptTemplate(text) {
+    const sections = {};
+    let current = null;
+    text.replace(/\r\n/g, '\n').split('\n').forEach((line, index) => {
+        const header = line.match(SECTION_HEADER);
+        if (header) {
+            const name = header[1].toLowerCase();
+            if (!SECTION_NAMES.includes(name)) {
+                throw new Error(`line ${index + 1}: unknown section [${header[1]}] (use ${SECTION_NAMES.map(s => `[${s}]`).join(', ')})`);
+            }
+            if (name in sections) {
+                throw new Error(`line ${index + 1}: section [${name}] appears twice`);
+            }
+            current = name;
+            sections[name] = [];
+        } else if (current) {
+            sections[current].push(line);
+        } else if (line.trim()) {
+            throw new Error(`line ${index + 1}: text before the first section (start with [system] or [prompt])`);
+        }
+    });
+
+    const template = {};
+    for (const name of SECTION_NAMES) {
+        const body = sections[name] ? sections[name].join('\n').trim() : '';
+        template[name] = body || null;
+    }
+    if (!template.prompt) {
+        throw new Error('has no [prompt] section (or it is empty)');
+    }
+    for (const name of SECTION_NAMES) {
+        for (const [, placeholder] of (template[name] || '').matchAll(PLACEHOLDER)) {
+            if (!PLACEHOLDER_NAMES.includes(placeholder) || (placeholder === 'context' && name !== 'prompt')) {
+                throw new Error(`[${name}] uses unknown placeholder {${placeholder}} (use ${PLACEHOLDER_NAMES.filter(p => name === 'prompt' || p !== 'context').map(p => `{${p}}`).join(', ')})`);
+            }
+        }
+    }
+    if (!template.prompt.includes('{message}')) {
+        throw new Error('[prompt] must contain {message}');
+    }
+    if (template.context && !template.prompt.includes('{context}')) {
+        throw new Error('[context] is only used through a {context} placeholder in [prompt]');
+    }
+    return template;
+}
+
+/**
+ * Reads and parses a template file.
+ * @param {string} filePath - Absolute path.
+ * @returns {{name: string, system: string|null, prompt: string, context: string|null}} Name is the file's base name.
+ * @throws {Error} If the file cannot be read or is not a valid template.
+ */
+function loadPromptTemplate(filePath) {
+    let text;
+    try {
+        text = fs.readFileSync(filePath, 'utf-8');
+    } catch (error) {
+        throw new Error(`cannot be read (${error.code === 'ENOENT' ? 'file not found' : error.message})`);
+    }
+    return { name: path.basename(filePath), ...parsePromptTemplate(text) };
+}
+
+/**
+ * Returns the built-in template for a language.
+ * @param {string} languageCode - PROMPT_LANGUAGE.
+ * @returns {{name: string, system: null, prompt: string, context: string}}
+ */
+function getBuiltInTemplate(languageCode) {
+    const language = languageCode.toLowerCase().split('-')[0];
+    return { name: BUILT_IN_NAME, ...(BUILT_IN_TEMPLATES[language] || BUILT_IN_TEMPLATES.default) };
+}
+
+/**
+ * Fills in a template.
+ * @param {object} template - From loadPromptTemplate or getBuiltInTemplate.
+ * @param {object} values - { message, author, channel, server, languageCode } (missing values render as '').
+ * @param {boolean} [hasContext=false] - Whether earlier conversation turns precede the prompt.
+ * @returns {{system: string|null, text: string}} The system instruction and the prompt.
+ */
+function renderPrompt(template, values, hasContext = false) {
+    const languageCode = values.languageCode || '';
+    const filled = {
+        message: values.message || '',
+        author: values.author || '',
+        channel: values.channel || '',
+        server: values.server || '',
+        language: languageCode ? describeLanguage(languageCode) : '',
+        languageCode
+    };
+    const fill = (text) => text.replace(PLACEHOLDER, (placeholder, name) => (name in filled ? filled[name] : placeholder));
+
+    const context = hasContext && template.context ? fill(template.context) : '';
+    const prompt = template.prompt
+        .split('\n')
+        .filter(line => context || line.trim() !== '{context}')
+        .join('\n')
+        .replace(PLACEHOLDER, (placeholder, name) => (name === 'context' ? context : fill(placeholder)));
+    return {
+        system: template.system ? fill(template.system) : null,
+        text: prompt
+    };
+}
+
+module.exports = {
+    BUILT_IN_NAME,
+    parseLanguageCode,
+    describeLanguage,
+    parsePromptTemplate,
+    loadPromptTemplate,
+    getBuiltInTemplate,
+    renderPrompt
+};
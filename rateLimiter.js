@@ -0,0 +1,195 @@
+/**
+ * rateLimiter.js
+ * Discord rate-limit handling for apiClient.
+ * Tracks buckets per token and per route from the X-RateLimit-* headers, queues requests
+ * until their bucket resets, honours global limits and retries 429s after the indicated delay.
+ */
+
+/**
+ * Splits an API path into a route key (IDs other than the major parameter replaced) and its major parameter.
+ * Discord scopes buckets by channel/guild/webhook ID, so those stay part of the key.
+ * @param {string} method - HTTP method.
+ * @param {string} path - Request path, e.g. /channels/123/messages/456?limit=5.
+ * @returns {{route: string, major: string}}
+ */
+function parseRoute(method, path) {
+    const cleanPath = path.split('?')[0];
+    const majorMatch = cleanPath.match(/^\/(channels|guilds|webhooks)\/(\d+)/);
+    const major = majorMatch ? majorMatch[2] : 'global';
+    const route = cleanPath
+        .replace(/\/(\d{2,})/g, (segment, id, offset) => (majorMatch && offset === majorMatch[1].length + 1 ? segment : '/:id'));
+    return { route: `${method.toUpperCase()} ${route}`, major };
+}
+
+class DiscordRateLimiter {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxRetries=3] - How many times a 429 is retried.
+     * @param {number} [options.maxRetryWaitMs=60000] - 429s asking for a longer wait fail instead (e.g. long slow mode).
+     * @param {function(string, number): void} [options.onWait] - Called with (message, waitMs) whenever a request has to wait.
+     */
+    constructor({ maxRetries = 3, maxRetryWaitMs = 60000, onWait = null } = {}) {
+        this.maxRetries = maxRetries;
+        this.maxRetryWaitMs = maxRetryWaitMs;
+        this.onWait = onWait;
+        this.routeBuckets = new Map(); // "token|route" -> bucket hash from X-RateLimit-Bucket
+        this.buckets = new Map(); // bucket state key -> { remaining, resetAt }
+        this.globalResetAt = new Map(); // token -> timestamp until which every request of that token waits
+        this.queues = new Map(); // "token|route|major" -> tail promise, so one route runs one request at a time
+    }
+
+    /**
+     * Runs a request through the limiter.
+     * @param {string} token - Discord token (limits are tracked per account).
+     * @param {string} method - HTTP method.
+     * @param {string} path - API path (used to derive the route).
+     * @param {function(): Promise<object>} execute - Performs the request; resolves to an axios-style response
+     *   or rejects with an axios-style error (error.response.status / headers / data).
+     * @param {AbortSignal} [signal] - Cancels queued requests and rate-limit waits (rejects with an AbortError).
+     * @returns {Promise<object>} The response of the (possibly retried) request.
+     */
+    schedule(token, method, path, execute, signal = null) {
+        const { route, major } = parseRoute(method, path);
+        const queueKey = `${token}|${route}|${major}`;
+        const previous = this.queues.get(queueKey) || Promise.resolve();
+        const run = previous.then(() => this.runWithLimits(token, route, major, execute, signal));
+        const tail = run.then(() => {}, () => {}); // Next request waits for this one, whatever its outcome
+        this.queues.set(queueKey, tail);
+        tail.then(() => {
+            if (this.queues.get(queueKey) === tail) this.queues.delete(queueKey);
+        });
+        return run;
+    }
+
+    /**
+     * Waits for capacity, executes, records the rate-limit headers and retries 429s.
+     */
+    async runWithLimits(token, route, major, execute, signal) {
+        for (let attempt = 0; ; attempt++) {
+            signal?.throwIfAborted();
+            await this.waitForCapacity(token, route, major, signal);
+            try {
+                const response = await execute();
+                this.updateFromHeaders(token, route, major, response.headers);
+                return response;
+            } catch (error) {
+                const response = error.response;
+                if (response) {
+                    this.updateFromHeaders(token, route, major, response.headers);
+                }
+                if (!response || response.status !== 429) {
+                    throw error;
+                }
+
+                const retryAfterMs = this.getRetryAfterMs(response);
+                const isGlobal = response.data?.global === true || getHeader(response.headers, 'x-ratelimit-global') === 'true';
+                if (isGlobal) {
+                    this.globalResetAt.set(token, Date.now() + retryAfterMs);
+                } else {
+                    this.buckets.set(this.getBucketKey(token, route, major), { remaining: 0, resetAt: Date.now() + retryAfterMs });
+                }
+
+                if (attempt >= this.maxRetries || retryAfterMs > this.maxRetryWaitMs) {
+                    throw error; // Give up; the caller reports the failure
+                }
+            }
+        }
+    }
+
+    /**
+     * Sleeps until neither the global limit nor the route's bucket blocks the request.
+     */
+    async waitForCapacity(token, route, major, signal) {
+        const globalWait = (this.globalResetAt.get(token) || 0) - Date.now();
+        if (globalWait > 0) {
+            this.notifyWait(`Global Discord rate limit hit. Waiting ${formatSeconds(globalWait)} before ${route}...`, globalWait);
+            await sleep(globalWait, signal);
+        }
+
+        const bucket = this.buckets.get(this.getBucketKey(token, route, major));
+        if (bucket && bucket.remaining <= 0) {
+            const bucketWait = bucket.resetAt - Date.now();
+            if (bucketWait > 0) {
+                this.notifyWait(`Rate limit bucket for ${route} exhausted. Waiting ${formatSeconds(bucketWait)}...`, bucketWait);
+                await sleep(bucketWait, signal);
+            }
+        }
+    }
+
+    /**
+     * Records bucket state from X-RateLimit-* response headers.
+     */
+    updateFromHeaders(token, route, major, headers) {
+        const bucketHash = getHeader(headers, 'x-ratelimit-bucket');
+        if (bucketHash) {
+            this.routeBuckets.set(`${token}|${route}`, bucketHash);
+        }
+        const remaining = getHeader(headers, 'x-ratelimit-remaining');
+        const resetAfter = getHeader(headers, 'x-ratelimit-reset-after');
+        if (remaining === undefined || resetAfter === undefined) {
+            return;
+        }
+        this.buckets.set(this.getBucketKey(token, route, major), {
+            remaining: parseInt(remaining, 10),
+            resetAt: Date.now() + parseFloat(resetAfter) * 1000
+        });
+    }
+
+    /**
+     * Key under which bucket state is stored: routes sharing a bucket hash share state per major parameter.
+     */
+    getBucketKey(token, route, major) {
+        const bucketHash = this.routeBuckets.get(`${token}|${route}`);
+        return bucketHash ? `${token}|${bucketHash}|${major}` : `${token}|${route}|${major}`;
+    }
+
+    /**
+     * Reads the retry delay of a 429 (body retry_after, then Retry-After / X-RateLimit-Reset-After headers).
+     * @returns {number} Milliseconds to wait.
+     */
+    getRetryAfterMs(response) {
+        const seconds = response.data?.retry_after ??
+            getHeader(response.headers, 'retry-after') ??
+            getHeader(response.headers, 'x-ratelimit-reset-after') ?? 1;
+        return Math.max(0, Math.ceil(parseFloat(seconds) * 1000));
+    }
+
+    notifyWait(message, waitMs) {
+        if (this.onWait) {
+            this.onWait(message, waitMs);
+        }
+    }
+}
+
+/**
+ * Reads a header case-insensitively from a plain object or AxiosHeaders.
+ */
+function getHeader(headers, name) {
+    if (!headers) return undefined;
+    const value = typeof headers.get === 'function' ? headers.get(name) : headers[name] ?? headers[name.toLowerCase()];
+    return value === null || value === undefined ? undefined : String(value);
+}
+
+/**
+ * Waits for ms milliseconds; rejects with the signal's AbortError if it is aborted first.
+ */
+function sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(ms < 10000 ? 1 : 0)}s`;
+
+module.exports = {
+    DiscordRateLimiter,
+    parseRoute
+};
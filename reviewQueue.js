@@ -0,0 +1,82 @@
+/**
+ * reviewQueue.js
+ * Replies waiting for operator approval (REVIEW_REPLIES). Each item expires after its timeout;
+ * BotLogic sends, edits, regenerates or drops items on the operator's request.
+ *
+ * Events: ('expired', item) when an item times out unreviewed.
+ */
+
+const EventEmitter = require('events');
+
+class ReviewQueue extends EventEmitter {
+    constructor() {
+        super();
+        this.items = new Map(); // id -> item, in the order they were queued
+        this.nextId = 1;
+    }
+
+    /**
+     * Queues a reply.
+     * @param {object} item - { channelId, token, botInfo, message, conversation, text }.
+     * @param {number} timeoutMs - How long the item waits for a decision.
+     * @returns {object} The queued item, with its id, createdAt and expiresAt.
+     */
+    add(item, timeoutMs) {
+        const now = Date.now();
+        const queued = { ...item, id: this.nextId++, createdAt: now, expiresAt: now + timeoutMs, busy: false, timer: null };
+        const expire = () => {
+            if (queued.busy) { // Being sent or regenerated; decide once that finishes
+                queued.timer = setTimeout(expire, 1000);
+                return;
+            }
+            this.items.delete(queued.id);
+            this.emit('expired', queued);
+        };
+        queued.timer = setTimeout(expire, timeoutMs);
+        this.items.set(queued.id, queued);
+        return queued;
+    }
+
+    /**
+     * @param {number} id - Item ID.
+     * @returns {object|null}
+     */
+    get(id) {
+        return this.items.get(id) || null;
+    }
+
+    /**
+     * @returns {object[]} Queued items, oldest first.
+     */
+    list() {
+        return [...this.items.values()];
+    }
+
+    /**
+     * Removes an item and stops its expiry timer.
+     * @param {number} id - Item ID.
+     * @returns {object|null} The removed item.
+     */
+    remove(id) {
+        const item = this.items.get(id);
+        if (!item) return null;
+        clearTimeout(item.timer);
+        this.items.delete(id);
+        return item;
+    }
+
+    /**
+     * Drops every item.
+     * @returns {number} How many items were dropped.
+     */
+    clear() {
+        const count = this.items.size;
+        this.items.forEach(item => clearTimeout(item.timer));
+        this.items.clear();
+        return count;
+    }
+}
+
+module.exports = {
+    ReviewQueue
+};
@@ -0,0 +1,190 @@
+/**
+ * schedule.js
+ * Active-hours schedules (ACTIVE_HOURS, ACTIVE_DAYS, SCHEDULE_TIMEZONE) and rolling send quotas.
+ *
+ *   ACTIVE_HOURS  "09:00-12:00,18:00-23:30"; a window may cross midnight ("22:00-02:00")
+ *   ACTIVE_DAYS   "mon-fri", "sat,sun" or "fri-mon" (ranges wrap around the week)
+ *
+ * A moment is active when its weekday is allowed and its time of day falls in any window,
+ * both read in the schedule's time zone (the system zone when none is set). Days are checked for the
+ * moment itself, so with ACTIVE_DAYS=fri a 22:00-02:00 window covers Friday 00:00-02:00 and 22:00-24:00.
+ */
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MINUTES_PER_DAY = 24 * 60;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Parses an ACTIVE_HOURS value.
+ * @param {string} text - Comma-separated HH:MM-HH:MM windows.
+ * @returns {{start: number, end: number}[]} Windows in minutes after midnight.
+ * @throws {Error} On malformed windows.
+ */
+function parseActiveHours(text) {
+    const windows = text.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+        const match = part.match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+        if (!match) {
+            throw new Error(`"${part}" is not HH:MM-HH:MM`);
+        }
+        const [start, end] = [[match[1], match[2]], [match[3], match[4]]].map(([hours, minutes]) => {
+            if (Number(hours) > 24 || Number(minutes) > 59 || (Number(hours) === 24 && Number(minutes) > 0)) {
+                throw new Error(`"${part}" has an invalid time`);
+            }
+            return Number(hours) * 60 + Number(minutes);
+        });
+        if (start === end) {
+            throw new Error(`"${part}" is empty`);
+        }
+        return { start, end };
+    });
+    if (windows.length === 0) {
+        throw new Error('no time windows given');
+    }
+    return windows;
+}
+
+/**
+ * Parses an ACTIVE_DAYS value.
+ * @param {string} text - Comma-separated day names (mon, tue, ...) or ranges (mon-fri).
+ * @returns {Set<number>} Allowed weekdays (0 = Sunday).
+ * @throws {Error} On unknown day names.
+ */
+function parseActiveDays(text) {
+    const days = new Set();
+    const dayIndex = (name) => {
+        const index = DAY_NAMES.indexOf(name.trim().toLowerCase().substring(0, 3));
+        if (index === -1 || name.trim().length < 3) {
+            throw new Error(`"${name.trim()}" is not a day (use mon, tue, ...)`);
+        }
+        return index;
+    };
+    text.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const [from, to = from] = part.split('-').map(dayIndex);
+        for (let day = from; ; day = (day + 1) % 7) {
+            days.add(day);
+            if (day === to) break;
+        }
+    });
+    if (days.size === 0) {
+        throw new Error('no days given');
+    }
+    return days;
+}
+
+/**
+ * Whether a time zone name is known to the runtime (e.g. "Asia/Jakarta").
+ * @param {string} timeZone - IANA time zone name.
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Builds a schedule from a channel's settings.
+ * @param {object} settings - Effective channel settings ({ activeHours, activeDays, timezone }).
+ * @returns {object|null} { windows, days, timeZone }, or null when the channel runs around the clock.
+ */
+function createSchedule(settings) {
+    if (settings.activeHours === null && settings.activeDays === null) {
+        return null;
+    }
+    return {
+        windows: settings.activeHours === null ? [{ start: 0, end: MINUTES_PER_DAY }] : parseActiveHours(settings.activeHours),
+        days: settings.activeDays === null ? new Set([0, 1, 2, 3, 4, 5, 6]) : parseActiveDays(settings.activeDays),
+        timeZone: settings.timezone || undefined
+    };
+}
+
+/**
+ * Reads the weekday and minute of the day of a moment in a time zone.
+ * @param {number} time - Epoch milliseconds.
+ * @param {string} [timeZone] - IANA time zone (system zone if undefined).
+ * @returns {{weekday: number, minutes: number}}
+ */
+function getLocalTime(time, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+        .formatToParts(new Date(time));
+    const value = (type) => parts.find(part => part.type === type).value;
+    return {
+        weekday: DAY_NAMES.indexOf(value('weekday').toLowerCase()),
+        minutes: Number(value('hour')) * 60 + Number(value('minute'))
+    };
+}
+
+/**
+ * Whether the schedule allows sending at a moment.
+ * @param {object|null} schedule - From createSchedule (null = always).
+ * @param {number} time - Epoch milliseconds.
+ * @returns {boolean}
+ */
+function isActive(schedule, time) {
+    if (!schedule) return true;
+    const { weekday, minutes } = getLocalTime(time, schedule.timeZone);
+    return schedule.days.has(weekday) && schedule.windows.some(({ start, end }) => (start < end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end)); // Window crossing midnight
+}
+
+/**
+ * Finds when the schedule next allows sending.
+ * @param {object|null} schedule - From createSchedule.
+ * @param {number} now - Epoch milliseconds.
+ * @returns {number|null} Epoch milliseconds (now if active), or null if the schedule never opens.
+ */
+function nextActiveTime(schedule, now) {
+    if (isActive(schedule, now)) return now;
+    let time = Math.ceil(now / 60000) * 60000; // Whole minutes from here on
+    const limit = now + 8 * DAY_MS;
+    while (time <= limit) {
+        if (isActive(schedule, time)) return time;
+        const { weekday, minutes } = getLocalTime(time, schedule.timeZone);
+        // Jump to the next window start today, or to midnight; the loop re-checks after DST shifts
+        const startsLater = schedule.days.has(weekday)
+            ? schedule.windows.map(window => window.start).filter(start => start > minutes)
+            : [];
+        const target = startsLater.length > 0 ? Math.min(...startsLater) : MINUTES_PER_DAY;
+        time += Math.max(1, target - minutes) * 60000;
+    }
+    return null;
+}
+
+/**
+ * Checks rolling hourly and daily quotas against a list of send times.
+ * @param {number[]} sends - Epoch milliseconds of earlier sends (oldest first).
+ * @param {{perHour: number|null, perDay: number|null}} limits - Maximums (null = unlimited).
+ * @param {number} now - Epoch milliseconds.
+ * @returns {{hourRemaining: number|null, dayRemaining: number|null, availableAt: number}} Remaining sends
+ *   (null = unlimited) and when the next send is allowed (now if it is).
+ */
+function checkQuota(sends, limits, now) {
+    const result = { hourRemaining: null, dayRemaining: null, availableAt: now };
+    [['perHour', 'hourRemaining', HOUR_MS], ['perDay', 'dayRemaining', DAY_MS]].forEach(([limitKey, remainingKey, windowMs]) => {
+        const limit = limits[limitKey];
+        if (limit === null || limit === undefined) return;
+        const inWindow = sends.filter(time => time > now - windowMs);
+        result[remainingKey] = Math.max(0, limit - inWindow.length);
+        if (inWindow.length >= limit) {
+            // A slot frees up once enough of the oldest sends have left the window
+            result.availableAt = Math.max(result.availableAt, inWindow[inWindow.length - limit] + windowMs);
+        }
+    });
+    return result;
+}
+
+module.exports = {
+    DAY_MS,
+    parseActiveHours,
+    parseActiveDays,
+    isValidTimeZone,
+    createSchedule,
+    isActive,
+    nextActiveTime,
+    checkQuota
+};
@@ -0,0 +1,121 @@
+/**
+ * stateStore.js
+ * Persists the bot's runtime state (processed message IDs, AI key cooldowns, last generated text,
+ * pending deletions, recent send times for the quotas) to a JSON file so restarts pick up where the bot left off.
+ * Writes go to a temporary file of their own that is renamed over the old one, so a crash mid-write never
+ * leaves a truncated state file behind.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const STATE_VERSION = 1;
+
+/**
+ * Fingerprints an API key so cooldowns can be persisted without writing the key itself to disk.
+ * @param {string} key - The API key ('' for keyless providers).
+ * @returns {string}
+ */
+function fingerprintKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').substring(0, 16);
+}
+
+class StateStore {
+    /**
+     * @param {string} filePath - Absolute path of the state file.
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.tempCount = 0;
+        this.pendingWrite = Promise.resolve(); // Serializes async saves so renames never interleave
+    }
+
+    /**
+     * Names a temporary file for one write, so an async save and saveSync() never share one.
+     * @returns {string}
+     */
+    nextTempPath() {
+        this.tempCount += 1;
+        return `${this.filePath}.${process.pid}.${this.tempCount}.tmp`;
+    }
+
+    /**
+     * Reads the state file.
+     * A corrupt file is moved aside (<file>.corrupt) so the bot can start with a clean state.
+     * @returns {{state: object|null, warning: string|null}} The parsed state (null if missing or unusable).
+     */
+    load() {
+        let raw;
+        try {
+            raw = fs.readFileSync(this.filePath, 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { state: null, warning: null };
+            }
+            return { state: null, warning: `State file cannot be read (${error.message}). Starting with empty state.` };
+        }
+
+        try {
+            const state = JSON.parse(raw);
+            if (!state || typeof state !== 'object' || Array.isArray(state)) {
+                throw new Error('not a JSON object');
+            }
+            if (state.version !== STATE_VERSION) {
+                return { state: null, warning: `State file has unsupported version ${state.version}. Starting with empty state.` };
+            }
+            return { state, warning: null };
+        } catch (error) {
+            const corruptPath = `${this.filePath}.corrupt`;
+            try {
+                fs.renameSync(this.filePath, corruptPath);
+            } catch (renameError) {
+                // Leave it in place; the next save overwrites it
+            }
+            return { state: null, warning: `State file is invalid (${error.message}); moved to ${corruptPath}. Starting with empty state.` };
+        }
+    }
+
+    /**
+     * Writes the state atomically (temp file + rename).
+     * @param {object} state - Serializable state snapshot.
+     * @returns {Promise<void>} Rejects if the write fails.
+     */
+    save(state) {
+        const data = JSON.stringify({ version: STATE_VERSION, savedAt: new Date().toISOString(), ...state }, null, 2);
+        const write = this.pendingWrite.then(async () => {
+            const tempPath = this.nextTempPath();
+            try {
+                await fs.promises.writeFile(tempPath, data, 'utf-8');
+                await fs.promises.rename(tempPath, this.filePath);
+            } catch (error) {
+                await fs.promises.rm(tempPath, { force: true });
+                throw error;
+            }
+        });
+        this.pendingWrite = write.catch(() => {}); // A failed write must not block later ones
+        return write;
+    }
+
+    /**
+     * Synchronous variant of save() for use during shutdown, when the event loop may not get another turn.
+     * Await pendingWrite first: an async save finishing afterwards would put its older state back.
+     * @param {object} state - Serializable state snapshot.
+     * @throws {Error} If the write fails.
+     */
+    saveSync(state) {
+        const data = JSON.stringify({ version: STATE_VERSION, savedAt: new Date().toISOString(), ...state }, null, 2);
+        const tempPath = this.nextTempPath();
+        try {
+            fs.writeFileSync(tempPath, data, 'utf-8');
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            fs.rmSync(tempPath, { force: true });
+            throw error;
+        }
+    }
+}
+
+module.exports = {
+    StateStore,
+    fingerprintKey
+};
@@ -0,0 +1,94 @@
+/**
+ * statusSnapshot.js
+ * Turns the status data index.js gathers from BotLogic into a plain, JSON-friendly object.
+ * It carries the same information as the TUI status box (TUI.formatStatusContent), with secrets masked.
+ */
+
+/**
+ * Masks a token or API key the way the status box does (first 5 and last 4 characters).
+ * @param {string} secret - The secret ('' for keyless providers).
+ * @returns {string}
+ */
+const maskSecret = (secret) => secret ? `${secret.substring(0, 5)}...${secret.substring(secret.length - 4)}` : '(no key)';
+
+/**
+ * Builds the status snapshot.
+ * @param {object} statusData - Same shape as TUI.updateStatus receives.
+ * @returns {object} { running, paused, dryRun, accounts, aiProvider, aiKeys, channels, reviewQueue } (accounts and channels include their quotas and schedule;
+ *   channels also name their prompt template and accounts; aiKeys carry their health state, selection weight and benched models)
+ */
+function buildStatusSnapshot(statusData) {
+    const {
+        botInfos = {}, channelDetails = {}, discordTokens = [], aiApiKeys = [], aiProviderLabel = 'AI', channelIds = [],
+        channelOverrides = {}, keyHealth = new Map(), isRunning = false, isPaused = false, dryRun = false, pausedChannels = [],
+        schedules = { channels: {}, accounts: {} }, prompts = {}, reviewQueue = [], accountAssignments = {}
+    } = statusData;
+    const now = Date.now();
+
+    return {
+        running: isRunning,
+        paused: isPaused,
+        dryRun,
+        accounts: discordTokens.map((token, index) => {
+            const info = Object.values(botInfos).find(bInfo => bInfo.tokenRef === token);
+            return {
+                ref: `T${index + 1}`,
+                token: maskSecret(token),
+                loaded: Boolean(info),
+                username: info ? info.fullUsername : null,
+                id: info ? info.id : null,
+                quota: {
+                    hourRemaining: schedules.accounts[info?.id]?.hourRemaining ?? null,
+                    dayRemaining: schedules.accounts[info?.id]?.dayRemaining ?? null
+                }
+            };
+        }),
+        aiProvider: aiProviderLabel,
+        aiKeys: aiApiKeys.map((key, index) => {
+            const health = keyHealth.get(key) || { state: 'unknown', until: null, reason: null, weight: 0, models: {} };
+            return {
+                ref: `K${index + 1}`,
+                key: maskSecret(key),
+                state: health.state, // unknown, healthy, backoff, exhausted or invalid (see keyHealth.js)
+                cooldownSeconds: health.until && health.until > now ? Math.ceil((health.until - now) / 1000) : 0,
+                weight: health.weight,
+                reason: health.reason,
+                benchedModels: Object.entries(health.models || {}).filter(([, bench]) => bench.until > now).map(([model, bench]) => ({
+                    model, state: bench.state, cooldownSeconds: Math.ceil((bench.until - now) / 1000), reason: bench.reason
+                })) // Models benched on this key by their own quota; the key still serves the others
+            };
+        }),
+        channels: channelIds.map(id => {
+            const details = channelDetails[id];
+            const channelSchedule = schedules.channels[id];
+            return {
+                id,
+                name: details?.name || null,
+                guild: details?.guild_name || null,
+                state: details ? (details.error ? 'fail' : 'ok') : 'init',
+                paused: isPaused || pausedChannels.includes(id),
+                slowModeSeconds: details?.slowModeDelay || 0,
+                overrides: channelOverrides[id] || {},
+                prompt: prompts[id] || null,
+                accounts: (accountAssignments[id]?.accounts || []).map(({ token, failed }) => ({ // In order of preference
+                    ref: `T${discordTokens.indexOf(token) + 1}`,
+                    username: botInfos[token]?.fullUsername || null,
+                    state: failed ? 'failed' : (token === accountAssignments[id].active ? 'active' : 'standby'),
+                    reason: failed
+                })),
+                schedule: {
+                    active: channelSchedule ? channelSchedule.active : true,
+                    nextWindowAt: channelSchedule?.nextWindowAt ? new Date(channelSchedule.nextWindowAt).toISOString() : null,
+                    hourRemaining: channelSchedule?.hourRemaining ?? null,
+                    dayRemaining: channelSchedule?.dayRemaining ?? null
+                }
+            };
+        }),
+        reviewQueue: reviewQueue.map(item => ({ ...item, expiresAt: new Date(item.expiresAt).toISOString() }))
+    };
+}
+
+module.exports = {
+    buildStatusSnapshot,
+    maskSecret
+};
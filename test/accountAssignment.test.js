@@ -0,0 +1,45 @@
+/**
+ * test/accountAssignment.test.js
+ * Account lists from channels.json and the failover order of a channel's accounts.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAccountList, resolveAccount, ChannelAccounts } = require('../accountAssignment');
+
+describe('parseAccountList', () => {
+    it('reads account references in order of preference', () => {
+        assert.deepEqual(parseAccountList(' t2, T1 ,42'), ['T2', 'T1', '42']);
+        assert.throws(() => parseAccountList(' , '), /lists no accounts/);
+        assert.throws(() => parseAccountList('T0'), /"T0", which is not an account/);
+        assert.throws(() => parseAccountList('T1,t1'), /lists T1 twice/);
+    });
+
+    it('resolves references to loaded accounts only', () => {
+        const botInfos = { 'token-a': { id: '42' }, 'token-b': { id: '43' } };
+        const tokens = ['token-a', 'token-b', 'token-c'];
+        assert.equal(resolveAccount('T2', tokens, botInfos), 'token-b');
+        assert.equal(resolveAccount('42', tokens, botInfos), 'token-a');
+        assert.equal(resolveAccount('T3', tokens, botInfos), null); // Not loaded
+        assert.equal(resolveAccount('T4', tokens, botInfos), null);
+    });
+});
+
+describe('ChannelAccounts', () => {
+    it('fails over in order and ignores repeated failures', () => {
+        const accounts = new ChannelAccounts();
+        accounts.assign('100', ['token-b', 'token-a']);
+        assert.equal(accounts.getActive('100'), 'token-b');
+        assert.equal(accounts.markFailed('100', 'token-a', '403'), false); // Not the active account
+        assert.equal(accounts.markFailed('100', 'token-b', '403 Missing Access'), true);
+        assert.equal(accounts.getActive('100'), 'token-a');
+        assert.equal(accounts.markFailed('100', 'token-b', '403'), false);
+        assert.equal(accounts.markFailed('100', 'token-a', '401'), true);
+        assert.equal(accounts.getActive('100'), null);
+        assert.deepEqual(accounts.snapshot(), {
+            '100': { active: null, accounts: [{ token: 'token-b', failed: '403 Missing Access' }, { token: 'token-a', failed: '401' }] }
+        });
+        assert.ok(!accounts.has('200'));
+        assert.equal(accounts.getActive('200'), null);
+    });
+});
@@ -0,0 +1,242 @@
+/**
+ * test/apiClient.test.js
+ * Exercises apiClient against the local mock server.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const MockApiServer = require('./mockServer');
+const apiClient = require('../apiClient');
+const promptTemplates = require('../promptTemplates');
+
+describe('apiClient', () => {
+    const mock = new MockApiServer();
+    const prompt = { system: null, text: 'Reply to: "hi"' };
+
+    before(async () => {
+        apiClient.setApiBaseUrls(await mock.start());
+    });
+
+    after(async () => {
+        apiClient.setApiBaseUrls({ discord: null, google: null });
+        await mock.stop();
+    });
+
+    beforeEach(() => {
+        mock.reset();
+        mock.addUser('token-a', { id: '1', username: 'alpha' });
+        mock.addGuild({ id: '10', name: 'Test Guild' });
+        mock.addChannel({ id: '100', name: 'general', guild_id: '10', rate_limit_per_user: 7 });
+        mock.setGoogleKey('key-ok', 'valid');
+    });
+
+    it('fetches the bot user', async () => {
+        const info = await apiClient.getBotInfo('token-a');
+        assert.equal(info.username, 'alpha');
+        assert.equal(await apiClient.getBotInfo('bad-token'), null);
+    });
+
+    it('fetches channel info with the guild name and slow mode', async () => {
+        const info = await apiClient.getChannelInfo('100', 'token-a');
+        assert.equal(info.name, 'general');
+        assert.equal(info.guild_name, 'Test Guild');
+        assert.equal(info.rate_limit_per_user, 7);
+    });
+
+    it('returns null for channels the account cannot access', async () => {
+        mock.addChannel({ id: '200', name: 'private', allowedUserIds: ['999'] });
+        assert.equal(await apiClient.getChannelInfo('200', 'token-a'), null);
+        assert.equal(await apiClient.fetchMessages('200', 'token-a'), null);
+    });
+
+    it('fetches the latest messages newest first', async () => {
+        for (let i = 0; i < 7; i++) {
+            mock.addMessage('100', { content: `msg ${i}`, author: { id: '2', username: 'someone' } });
+        }
+        const messages = await apiClient.fetchMessages('100', 'token-a');
+        assert.equal(messages.length, 5);
+        assert.equal(messages[0].content, 'msg 6');
+    });
+
+    it('sends a reply with a message reference and deletes it', async () => {
+        const original = mock.addMessage('100', { content: 'hi', author: { id: '2', username: 'someone' } });
+        const sent = await apiClient.sendMessage('100', 'hello back', 'token-a', original.id);
+        assert.equal(sent.content, 'hello back');
+        assert.equal(sent.message_reference.message_id, original.id);
+
+        assert.equal(await apiClient.deleteMessage('100', sent.id, 'token-a'), true);
+        assert.equal(await apiClient.deleteMessage('100', sent.id, 'token-a'), false);
+    });
+
+    it('retries a 429 after retry_after and logs the wait', async () => {
+        const logs = [];
+        apiClient.setLogHandler((level, message) => logs.push({ level, message }));
+        mock.injectFault('POST', '/api/v9/channels/100/messages', 429, { message: 'You are being rate limited.', retry_after: 0.2, global: false });
+
+        const started = Date.now();
+        const sent = await apiClient.sendMessage('100', 'hello', 'token-a');
+        assert.equal(sent.content, 'hello');
+        assert.ok(Date.now() - started >= 200);
+        assert.equal(mock.getRequests('POST', '/api/v9/channels/100/messages').length, 2);
+        assert.ok(logs.some(l => l.level === 'WAIT' && l.message.includes('POST /channels/100/messages')));
+    });
+
+    it('gives up on 429s that ask for a long wait (slow mode)', async () => {
+        const logs = [];
+        apiClient.setLogHandler((level, message) => logs.push({ level, message }));
+        mock.injectFault('POST', '/api/v9/channels/100/messages', 429, { message: 'Slowmode', retry_after: 600, code: 20016 });
+        assert.equal(await apiClient.sendMessage('100', 'hello', 'token-a'), null);
+        assert.equal(mock.getRequests('POST', '/api/v9/channels/100/messages').length, 1);
+        assert.ok(logs.some(l => l.level === 'ERROR' && l.message.startsWith('[Channel 100] [API] Failed to send message: {"message":"Slowmode"')));
+        assert.ok(logs.some(l => l.level === 'WARNING' && l.message.includes('Retry after: 600s')));
+    });
+
+    it('waits for an exhausted bucket to reset before the next request', async () => {
+        const logs = [];
+        apiClient.setLogHandler((level, message) => logs.push({ level, message }));
+        mock.injectFault('GET', '/api/v9/channels/100/messages', 200, [], {
+            'X-RateLimit-Bucket': 'abc123', 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset-After': '0.25'
+        });
+        await apiClient.fetchMessages('100', 'token-a');
+
+        const started = Date.now();
+        assert.deepEqual(await apiClient.fetchMessages('100', 'token-a'), []);
+        assert.ok(Date.now() - started >= 200);
+        assert.ok(logs.some(l => l.level === 'WAIT' && l.message.includes('bucket for GET /channels/100/messages exhausted')));
+
+        // Other accounts have their own buckets
+        mock.addUser('token-b', { id: '2', username: 'beta' });
+        mock.injectFault('GET', '/api/v9/channels/100/messages', 200, [], {
+            'X-RateLimit-Bucket': 'abc123', 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset-After': '5'
+        });
+        await apiClient.fetchMessages('100', 'token-a');
+        const otherStarted = Date.now();
+        await apiClient.fetchMessages('100', 'token-b');
+        assert.ok(Date.now() - otherStarted < 1000);
+    });
+
+    it('generates a Gemini reply and reports rate limits', async () => {
+        mock.aiReplies.push('  Sounds good!  ');
+        assert.equal(await apiClient.generateGeminiReply(prompt, 'key-ok'), 'Sounds good!');
+
+        const [request] = mock.getRequests('POST', /generateContent$/);
+        assert.equal(request.body.contents[0].parts[0].text, 'Reply to: "hi"');
+        assert.equal(request.body.systemInstruction, undefined);
+
+        mock.setGoogleKey('key-limited', 'rate_limited');
+        assert.equal(await apiClient.generateGeminiReply(prompt, 'key-limited'), 'RATE_LIMITED');
+        mock.setGoogleKey('key-forbidden', 'forbidden');
+        assert.equal(await apiClient.generateGeminiReply(prompt, 'key-forbidden'), null);
+    });
+
+    it('tells throttling, daily quota and invalid keys apart and validates keys', async () => {
+        const reports = [];
+        apiClient.setKeyStatusHandler((apiKey, status) => reports.push({ apiKey, ...status }));
+        mock.setGoogleKey('key-limited', 'rate_limited');
+        mock.setGoogleKey('key-daily', 'quota_exhausted');
+        assert.equal(await apiClient.generateGeminiReply(prompt, 'key-limited'), 'RATE_LIMITED');
+        assert.equal(await apiClient.generateGeminiReply(prompt, 'key-daily'), 'RATE_LIMITED');
+        assert.equal(await apiClient.generateGeminiReply(prompt, 'key-unknown'), null);
+        apiClient.setKeyStatusHandler(() => {});
+
+        assert.deepEqual(reports.map(({ apiKey, state, retryAfterSeconds }) => ({ apiKey, state, retryAfterSeconds })), [
+            { apiKey: 'key-limited', state: 'backoff', retryAfterSeconds: 30 },
+            { apiKey: 'key-daily', state: 'exhausted', retryAfterSeconds: null },
+            { apiKey: 'key-unknown', state: 'invalid', retryAfterSeconds: null }
+        ]);
+        assert.match(reports[1].reason, /^daily quota exhausted \(GenerateRequestsPerDay/);
+        assert.equal(reports[2].reason, '400 INVALID_ARGUMENT: API key not valid. Please pass a valid API key.');
+        assert.equal(reports[0].model, null); // The mock's quotas are for the whole project
+        const perModel = { response: { status: 429, data: { error: { details: [
+            { '@type': 'type.googleapis.com/google.rpc.QuotaFailure', violations: [{ quotaId: 'GenerateRequestsPerDayPerProjectPerModel-FreeTier' }] }
+        ] } } } };
+        assert.equal(apiClient.classifyGeminiError(perModel, 'gemini-2.0-flash').model, 'gemini-2.0-flash');
+        assert.equal(apiClient.classifyGeminiError({ response: { status: 500, data: {} } }), null);
+        mock.injectFault('POST', /generateContent$/, 404, { error: { code: 404, message: 'models/nope is not found for API version v1beta.', status: 'NOT_FOUND' } });
+        assert.equal(await apiClient.generateGeminiReply(prompt, 'key-ok', [], { model: 'nope' }), 'MODEL_UNAVAILABLE');
+
+        assert.equal((await apiClient.validateGeminiKey('key-ok', 'gemini-2.0-flash')).state, 'healthy');
+        assert.equal(mock.getRequests('GET', '/v1beta/models/gemini-2.0-flash').length, 1);
+        assert.equal((await apiClient.validateGeminiKey('key-daily')).state, 'exhausted');
+        assert.equal((await apiClient.validateGeminiKey('key-unknown')).state, 'invalid');
+        mock.setGoogleKey('key-forbidden', 'forbidden');
+        assert.equal((await apiClient.validateGeminiKey('key-forbidden')).state, 'invalid');
+    });
+
+    it('does not reject a key for a 403 about the model or the region', async () => {
+        const reports = [];
+        apiClient.setKeyStatusHandler((apiKey, status) => reports.push({ apiKey, ...status }));
+        mock.setGoogleKey('key-model', 'model_denied');
+        mock.setGoogleKey('key-region', 'region_blocked');
+        assert.equal(await apiClient.generateGeminiReply(prompt, 'key-model'), 'MODEL_UNAVAILABLE');
+        assert.equal(await apiClient.generateGeminiReply(prompt, 'key-region'), null);
+        assert.equal(await apiClient.validateGeminiKey('key-region'), null);
+        apiClient.setKeyStatusHandler(() => {});
+        assert.deepEqual(reports, []);
+    });
+
+    it('passes the safety threshold to Gemini and reports blocked replies', async () => {
+        const logs = [];
+        apiClient.setLogHandler((level, message) => logs.push({ level, message }));
+        mock.requests.length = 0;
+        mock.aiReplies.push(null);
+        assert.equal(await apiClient.generateGeminiReply(prompt, 'key-ok', [], { safetyThreshold: 'block_only_high' }), null);
+
+        const [request] = mock.getRequests('POST', /generateContent$/);
+        assert.equal(request.body.safetySettings.length, 4);
+        assert.ok(request.body.safetySettings.every(setting => setting.threshold === 'BLOCK_ONLY_HIGH'));
+        assert.ok(request.body.safetySettings.some(setting => setting.category === 'HARM_CATEGORY_DANGEROUS_CONTENT'));
+        assert.ok(logs.some(l => l.level === 'WARNING' && l.message === '[API] Gemini reply blocked by the safety settings (HARM_CATEGORY_HARASSMENT).'));
+    });
+
+    it('sends recent channel history to Gemini as a structured conversation', async () => {
+        mock.requests.length = 0;
+        const conversation = [
+            { author: 'alpha', content: 'Welcome!', isSelf: true, replyTo: null },
+            { author: 'bob', content: 'thanks', isSelf: false, replyTo: { author: 'alpha', content: 'Welcome!' } },
+            { author: 'carol', content: 'hi all', isSelf: false, replyTo: null },
+            { author: 'alpha', content: 'Hey carol', isSelf: true, replyTo: null },
+            { author: 'bob', content: 'what now?', isSelf: false, isTarget: true, replyTo: null }
+        ];
+        const rendered = promptTemplates.renderPrompt(promptTemplates.getBuiltInTemplate('en'), { message: 'what now?', languageCode: 'en' }, true);
+        await apiClient.generateGeminiReply({ ...rendered, system: 'You are alpha.' }, 'key-ok', conversation);
+
+        const [request] = mock.getRequests('POST', /generateContent$/);
+        const turns = request.body.contents.map(c => [c.role, c.parts[0].text]);
+        assert.deepEqual(request.body.systemInstruction, { parts: [{ text: 'You are alpha.' }] });
+        // The bot's opening message is dropped (Gemini starts with a user turn) and user lines are merged
+        assert.deepEqual(turns.map(t => t[0]), ['user', 'model', 'user']);
+        assert.equal(turns[0][1], 'bob (replying to alpha: "Welcome!"): thanks\ncarol: hi all');
+        assert.equal(turns[1][1], 'Hey carol');
+        assert.match(turns[2][1], /^bob: what now\?\n\nReply to the following message in English: "what now\?"\nUse the earlier messages/);
+    });
+
+    it('generates an OpenAI-compatible reply with or without a bearer key', async () => {
+        mock.setOpenAiKey('sk-ok', 'valid');
+        mock.aiReplies.push('Hey!');
+        assert.equal(await apiClient.generateOpenAiReply({ system: 'Be brief.', text: 'Reply to: "hi"' }, 'sk-ok', 'test-model'), 'Hey!');
+        assert.match(await apiClient.generateOpenAiReply(prompt, '', 'test-model'), /^Mock reply to: /);
+
+        const requests = mock.getRequests('POST', '/openai/v1/chat/completions');
+        assert.equal(requests[0].headers.authorization, 'Bearer sk-ok');
+        assert.equal(requests[0].body.model, 'test-model');
+        assert.deepEqual(requests[0].body.messages, [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Reply to: "hi"' }]);
+        assert.equal(requests[1].headers.authorization, undefined);
+
+        mock.setOpenAiKey('sk-limited', 'rate_limited');
+        assert.equal(await apiClient.generateOpenAiReply(prompt, 'sk-limited', 'test-model'), 'RATE_LIMITED');
+        assert.equal(await apiClient.generateOpenAiReply(prompt, 'sk-unknown', 'test-model'), null);
+    });
+
+    it('generates an Ollama reply and treats a busy server as rate limited', async () => {
+        mock.aiReplies.push('Local hello');
+        const rendered = promptTemplates.renderPrompt(promptTemplates.getBuiltInTemplate('id'), { message: 'hi', languageCode: 'id' });
+        assert.equal(await apiClient.generateOllamaReply(rendered, '', 'llama3'), 'Local hello');
+        const [request] = mock.getRequests('POST', '/ollama/api/chat');
+        assert.equal(request.body.stream, false);
+        assert.match(request.body.messages[0].content, /bahasa Indonesia: "hi"/);
+
+        mock.ollamaBusy = true;
+        assert.equal(await apiClient.generateOllamaReply(rendered, '', 'llama3'), 'RATE_LIMITED');
+    });
+});
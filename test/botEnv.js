@@ -0,0 +1,107 @@
+/**
+ * test/botEnv.js
+ * Shared setup of the BotLogic suites: the environment botLogic reads when it is required, a channels.json
+ * in a temporary folder, and a BotLogic wired to a local MockApiServer.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// One account, one key and channel 100 with Gemini replies in English; no delays, deletions or log files.
+// Every variable the repository's .env sets is listed, so dotenv does not change the defaults.
+const DEFAULT_ENV = {
+    DISCORD_TOKENS: 'token-a',
+    GOOGLE_API_KEYS: 'key-ok',
+    CHANNEL_IDS: '100',
+    LOG_DIR: 'null',
+    SHUTDOWN_TIMEOUT_SECONDS: '1',
+    USE_GEMINI_AI: 'true',
+    PROMPT_LANGUAGE: 'en',
+    READ_DELAY_SECONDS: '0',
+    INTERVAL_SECONDS: '60',
+    USE_SLOW_MODE: 'false',
+    USE_REPLY: 'true',
+    DELETE_MESSAGE_DELAY: 'null',
+    DELETE_IMMEDIATELY: 'false'
+};
+
+/**
+ * Creates an empty temporary folder for a suite's files.
+ * @param {string} name - Short suite name, part of the folder name.
+ * @returns {string} The folder.
+ */
+function createTempDir(name) {
+    return fs.mkdtempSync(path.join(os.tmpdir(), `botlogic-${name}-`));
+}
+
+/**
+ * Writes channels.json to the folder and sets the environment, with the state file and channels.json in
+ * the folder. botLogic reads its configuration at require time, so call this before requiring it.
+ * @param {string} tempDir - From createTempDir.
+ * @param {object} [options]
+ * @param {object} [options.env] - Variables to set on top of the defaults.
+ * @param {object} [options.channels] - Per-channel overrides for channels.json.
+ * @returns {string} The folder.
+ */
+function setupBotEnv(tempDir, { env = {}, channels = {} } = {}) {
+    fs.writeFileSync(path.join(tempDir, 'channels.json'), JSON.stringify({ channels }));
+    Object.assign(process.env, DEFAULT_ENV, {
+        CHANNEL_CONFIG_FILE: path.join(tempDir, 'channels.json'),
+        STATE_FILE: path.join(tempDir, 'state.json')
+    }, env);
+    return tempDir;
+}
+
+/**
+ * Creates a BotLogic for the enclosing describe block and a mock server apiClient points at while it runs.
+ * The bot is stopped and the mock shut down after the block, whether or not the suite started the bot.
+ * @returns {{mock: MockApiServer, bot: BotLogic, logs: Array<{level: string, message: string}>}} logs collects
+ *   every log record of the bot.
+ */
+function createBotHarness() {
+    const MockApiServer = require('./mockServer');
+    const apiClient = require('../apiClient');
+    const BotLogic = require('../botLogic');
+    const mock = new MockApiServer();
+    const bot = new BotLogic();
+    const logs = [];
+    bot.on('log', (level, line, record) => logs.push({ level, message: record.message }));
+
+    before(async () => {
+        apiClient.setApiBaseUrls(await mock.start());
+    });
+
+    after(async () => {
+        // Also for suites that drive processChannel without start(): stop() clears pending deletion timers
+        // (they stay in the state file instead)
+        bot.isRunning = true;
+        await bot.stop();
+        apiClient.setApiBaseUrls({ discord: null, google: null, openai: null, ollama: null });
+        await mock.stop();
+    });
+
+    return { mock, bot, logs };
+}
+
+/**
+ * Polls until the condition holds (fails the test after `timeoutMs`).
+ * @param {function(): boolean} condition
+ * @param {number} [timeoutMs]
+ */
+async function waitFor(condition, timeoutMs = 3000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        assert.ok(Date.now() < deadline, 'condition not met in time');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+module.exports = {
+    createTempDir,
+    setupBotEnv,
+    createBotHarness,
+    waitFor
+};
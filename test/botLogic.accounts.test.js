@@ -0,0 +1,92 @@
+/**
+ * test/botLogic.accounts.test.js
+ * Starts BotLogic against the local mock server with accounts assigned per channel in channels.json,
+ * then takes channel access away so the channels fail over to their backup accounts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTempDir, setupBotEnv, createBotHarness, waitFor } = require('./botEnv');
+
+const tempDir = createTempDir('accounts');
+const infoFile = path.join(tempDir, 'info.txt');
+fs.writeFileSync(infoFile, 'Hello from the file\n');
+setupBotEnv(tempDir, {
+    env: { DISCORD_TOKENS: 'token-a,token-b,token-c', CHANNEL_IDS: '100,200,300', USE_GEMINI_AI: 'false' },
+    channels: {
+        '100': { accounts: 'T2,T1', infoFile },
+        '200': { accounts: 't3, 1', infoFile }, // Refs are case-insensitive; "1" is a Discord user ID
+        '300': { infoFile }
+    }
+});
+
+describe('BotLogic account assignment', () => {
+    const { mock, bot, logs } = createBotHarness();
+    const senders = (channelId) => (mock.messages.get(channelId) || []).map(message => message.author.id);
+    const accountStates = (channelId) => bot.getAccountAssignments()[channelId].accounts
+        .map(({ token, failed }) => `${token}:${failed ? 'failed' : 'ok'}`);
+
+    before(async () => {
+        mock.addUser('token-a', { id: '1', username: 'alpha', discriminator: '0001' });
+        mock.addUser('token-b', { id: '2', username: 'beta', discriminator: '0002' });
+        mock.addUser('token-c', { id: '3', username: 'gamma', discriminator: '0003' });
+        mock.addChannel({ id: '100', name: 'general', allowedUserIds: ['1', '2'] });
+        mock.addChannel({ id: '200', name: 'offtopic', allowedUserIds: ['1'] });
+        mock.addChannel({ id: '300', name: 'news' });
+    });
+
+    it('uses the listed accounts and skips one without access at startup', async () => {
+        await bot.start();
+        await waitFor(() => ['100', '200', '300'].every(id => senders(id).length === 1));
+
+        assert.deepEqual(senders('100'), ['2']); // T2 is preferred
+        assert.deepEqual(senders('200'), ['1']); // T3 has no access
+        assert.deepEqual(senders('300'), ['1']); // Round-robin over the loaded accounts
+        assert.deepEqual(accountStates('200'), ['token-c:failed', 'token-a:ok']);
+        assert.ok(logs.some(l => l.level === 'WARNING' && l.message.startsWith('[Channel 200] Account gamma#0003 lost access (403 {"message":"Missing Access"') &&
+            l.message.endsWith('Failing over to alpha#0001.')));
+        assert.equal(bot.getChannelStats()['200'].account, 'alpha#0001');
+    });
+
+    it('sends an approved reply with the account the channel failed over to', async () => {
+        const item = bot.reviewQueue.add({
+            channelId: '200', token: 'token-c', botInfo: { id: '3', username: 'gamma' }, conversation: [],
+            message: { id: '999', author: 'someone', content: 'hi?' }, text: 'Approved answer'
+        }, 60 * 1000);
+        assert.equal(await bot.approveReply(item.id), true);
+        const [sent] = mock.messages.get('200').slice(-1);
+        assert.equal(sent.content, 'Approved answer');
+        assert.equal(sent.author.id, '1');
+    });
+
+    it('fails over to the backup account when a send is refused', async () => {
+        mock.channels.get('100').allowedUserIds = ['1'];
+        assert.ok(bot.runCycleNow('100'));
+        await waitFor(() => senders('100').length === 2);
+
+        assert.deepEqual(senders('100'), ['2', '1']);
+        assert.deepEqual(accountStates('100'), ['token-b:failed', 'token-a:ok']);
+        assert.equal(bot.getAccountAssignments()['100'].active, 'token-a');
+        assert.ok(logs.some(l => l.level === 'ERROR' && l.message === '[Channel 100 | Bot: beta] Failed to send message.'));
+    });
+
+    it('stops a channel once no account has access', async () => {
+        mock.channels.get('100').allowedUserIds = [];
+        assert.ok(bot.runCycleNow('100'));
+        await waitFor(() => logs.some(l => l.message.includes('No account with access left')));
+
+        assert.equal(bot.getAccountAssignments()['100'].active, null);
+        assert.equal(bot.getCycleStates()['100'].nextCycleAt, null);
+        assert.ok(logs.some(l => l.level === 'ERROR' && l.message.startsWith('[Channel 100] Account alpha#0001 lost access') &&
+            l.message.endsWith('and no backup account is left.')));
+    });
+
+    it('fails over every channel of an account whose token stops working', () => {
+        bot.handleAccessError('300', 'token-a', 401, '{"message":"401: Unauthorized","code":0}');
+        assert.equal(bot.getAccountAssignments()['200'].active, null);
+        assert.equal(bot.getAccountAssignments()['300'].active, null);
+        assert.equal(bot.getAccountAssignments()['300'].accounts[0].failed, '401 {"message":"401: Unauthorized","code":0}');
+    });
+});
@@ -0,0 +1,57 @@
+/**
+ * test/botLogic.controls.test.js
+ * Starts BotLogic against the local mock server and drives the runtime controls the TUI uses:
+ * switching a channel between AI and info.txt, running a cycle now and skipping a pending send.
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTempDir, setupBotEnv, createBotHarness, waitFor } = require('./botEnv');
+
+// Every cycle sits in a long read delay, so a send is always pending while it runs.
+setupBotEnv(createTempDir('controls'), { env: { READ_DELAY_SECONDS: '60' } });
+
+describe('BotLogic runtime controls', () => {
+    const { mock, bot, logs } = createBotHarness();
+    const cycleStarts = () => logs.filter(l => l.message.includes('Starting processing cycle')).length;
+
+    before(async () => {
+        mock.addUser('token-a', { id: '1', username: 'alpha', discriminator: '0001' });
+        mock.addChannel({ id: '100', name: 'general' });
+        mock.setGoogleKey('key-ok', 'valid');
+    });
+
+    it('switches a channel between AI replies and info.txt until restart', () => {
+        assert.equal(bot.isAiEnabled('100'), true);
+        assert.equal(bot.setAiEnabled('100', false), true);
+        assert.equal(bot.getChannelConfig('100').useGeminiAi, false);
+        assert.equal(bot.setAiEnabled('999', false), false);
+        bot.setAiEnabled('100', true);
+        assert.equal(bot.isAiEnabled('100'), true);
+    });
+
+    it('skips the pending send of a running cycle and schedules the next one', async () => {
+        await bot.start();
+        await waitFor(() => bot.getCycleStates()['100'].running, 2000);
+        assert.equal(bot.getChannelStats()['100'].account, 'alpha#0001');
+
+        assert.equal(bot.runCycleNow('100'), false); // Already running
+        assert.equal(bot.skipPendingSend('100'), true);
+        await waitFor(() => bot.getCycleStates()['100'].nextCycleAt !== null, 2000);
+
+        assert.ok(logs.some(l => l.message.includes('[Channel 100 | Bot: alpha] Pending send skipped.')));
+        assert.ok(!logs.some(l => l.level === 'ERROR'));
+        assert.equal(mock.getRequests('GET', '/api/v9/channels/100/messages').length, 0);
+        assert.equal(bot.skipPendingSend('100'), false); // Nothing running any more
+    });
+
+    it('runs the next cycle right away on request', async () => {
+        const { nextCycleAt } = bot.getCycleStates()['100'];
+        assert.ok(nextCycleAt - Date.now() > 50 * 1000);
+
+        assert.equal(bot.runCycleNow('100'), true);
+        await waitFor(() => cycleStarts() === 2, 2000);
+        assert.equal(bot.getCycleStates()['100'].running, true);
+        bot.skipPendingSend('100');
+    });
+});
@@ -0,0 +1,56 @@
+/**
+ * test/botLogic.dryRun.test.js
+ * Runs BotLogic.processChannel with DRY_RUN=true against the local mock server: messages are read
+ * and replies generated, but sends and deletions only end up in the dry-run file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTempDir, setupBotEnv, createBotHarness } = require('./botEnv');
+
+const tempDir = createTempDir('dryrun');
+const dryRunFile = path.join(tempDir, 'out', 'dry-run.jsonl');
+setupBotEnv(tempDir, {
+    env: { DELETE_MESSAGE_DELAY: '0', DELETE_IMMEDIATELY: 'true', DRY_RUN: 'true', DRY_RUN_FILE: dryRunFile }
+});
+
+describe('BotLogic dry run', () => {
+    const { mock, bot, logs } = createBotHarness();
+    const botInfo = { id: '1', username: 'alpha' };
+    const readEntries = () => fs.readFileSync(dryRunFile, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+
+    before(async () => {
+        mock.addUser('token-a', botInfo);
+        mock.addChannel({ id: '100', name: 'general' });
+        mock.setGoogleKey('key-ok', 'valid');
+    });
+
+    it('generates a reply but records the send and delete instead of making them', async () => {
+        mock.aiReplies.push('Dry answer');
+        const question = mock.addMessage('100', { content: 'anyone here?', author: { id: '2', username: 'someone' } });
+        await bot.processChannel('100', 'token-a', botInfo);
+        await Promise.allSettled([...bot.inFlight]); // The immediate deletion runs in the background
+
+        assert.equal(mock.getRequests('GET', '/api/v9/channels/100/messages').length, 1);
+        assert.equal(mock.getRequests('POST', /generateContent$/).length, 1);
+        assert.equal(mock.getRequests('POST', '/api/v9/channels/100/messages').length, 0);
+        assert.equal(mock.getRequests('DELETE', /\/messages\//).length, 0);
+
+        const [sent, deleted] = readEntries();
+        assert.equal(sent.action, 'sendMessage');
+        assert.equal(sent.channelId, '100');
+        assert.equal(sent.account, 'alpha');
+        assert.deepEqual(sent.payload, { content: 'Dry answer', message_reference: { channel_id: '100', message_id: question.id } });
+        assert.deepEqual({ ...deleted, timestamp: null }, { timestamp: null, action: 'deleteMessage', channelId: '100', account: null, messageId: sent.messageId });
+        assert.ok(logs.some(l => l.message === '[Channel 100 | Bot: alpha] [Dry run] sendMessage not executed; recorded in dry-run.jsonl.'));
+        assert.ok(logs.some(l => l.level === 'SUCCESS' && l.message === `[Channel 100 | Bot: alpha] Message sent (ID: ${sent.messageId}).`));
+    });
+
+    it('does not write the state file', () => {
+        bot.saveStateSync();
+        assert.equal(fs.existsSync(path.join(tempDir, 'state.json')), false);
+        assert.equal(bot.isDryRun(), true);
+    });
+});
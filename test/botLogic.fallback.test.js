@@ -0,0 +1,38 @@
+/**
+ * test/botLogic.fallback.test.js
+ * Drives BotLogic.processChannel with Gemini disabled (info.txt messages) against the local mock server.
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTempDir, setupBotEnv, createBotHarness } = require('./botEnv');
+
+setupBotEnv(createTempDir('fallback'), {
+    env: { GOOGLE_API_KEYS: '', USE_GEMINI_AI: 'false', DELETE_MESSAGE_DELAY: '0' }
+});
+
+describe('BotLogic (info.txt mode)', () => {
+    const { mock, bot } = createBotHarness();
+    const botInfo = { id: '1', username: 'alpha' };
+
+    before(async () => {
+        mock.addUser('token-a', botInfo);
+        mock.addChannel({ id: '100', name: 'dm-like' });
+        await bot.loadInfoFile();
+    });
+
+    it('sends a line from info.txt without a reply reference and deletes it immediately', async () => {
+        await bot.processChannel('100', 'token-a', botInfo);
+
+        const [send] = mock.getRequests('POST', '/api/v9/channels/100/messages');
+        assert.ok(send.body.content.length > 0);
+        assert.equal(send.body.message_reference, undefined);
+        assert.equal(mock.getRequests('GET', '/api/v9/channels/100/messages').length, 0);
+        assert.equal(bot.getChannelDetails()['100'].guild_name, 'Direct Message');
+
+        // Deletion runs in the background; give it a moment to land.
+        await bot.delay(100);
+        assert.equal(mock.getRequests('DELETE', /^\/api\/v9\/channels\/100\/messages\//).length, 1);
+        assert.equal(mock.messages.get('100').length, 0);
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * test/botLogic.gateway.test.js
+ * Starts BotLogic with USE_GATEWAY=true against the mock server: new messages wake the channel
+ * without polling (no sooner than INTERVAL_SECONDS after its last cycle), the gateway keeps the message cache and slow mode current, and REST takes over
+ * while the gateway is down. Channel 200 fails over to an account that gets its own gateway connection.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTempDir, setupBotEnv, createBotHarness, waitFor } = require('./botEnv');
+
+// The interval is short so wake-ups are quick; gateway mode skips the REST polling in between.
+const tempDir = createTempDir('gateway');
+const infoFile = path.join(tempDir, 'info.txt');
+fs.writeFileSync(infoFile, 'Hello from the file\n');
+setupBotEnv(tempDir, {
+    env: { DISCORD_TOKENS: 'token-a,token-b,token-c', CHANNEL_IDS: '100,200', USE_GATEWAY: 'true', INTERVAL_SECONDS: '2', USE_SLOW_MODE: 'true' },
+    channels: {
+        '100': { accounts: 'T1' },
+        '200': { accounts: 'T2,T3', useGeminiAi: false, infoFile, intervalSeconds: 60 }
+    }
+});
+
+describe('BotLogic gateway mode', () => {
+    const { mock, bot, logs } = createBotHarness();
+    const count = (method, route) => mock.getRequests(method, route).length;
+    const replies = () => count('POST', '/api/v9/channels/100/messages');
+    const idle = () => !bot.getCycleStates()['100'].running && bot.getCycleStates()['100'].nextCycleAt !== null;
+    const say = (content) => mock.addMessage('100', { content, author: { id: '2', username: 'someone' } });
+
+    before(async () => {
+        mock.addUser('token-a', { id: '1', username: 'alpha' });
+        mock.addUser('token-b', { id: '2', username: 'beta' });
+        mock.addUser('token-c', { id: '3', username: 'gamma' });
+        mock.addChannel({ id: '100', name: 'general', allowedUserIds: ['1'] });
+        mock.addChannel({ id: '200', name: 'offtopic', allowedUserIds: ['2', '3'] });
+        mock.setGoogleKey('key-ok', 'valid');
+    });
+
+    it('connects the gateway and answers new messages without polling', async () => {
+        await bot.start();
+        await waitFor(() => bot.isGatewayReady('token-a') && idle());
+        assert.ok(logs.some(l => l.level === 'SUCCESS' && l.message === '[Gateway | Bot: alpha] Connected to the gateway.'));
+        const channelFetches = count('GET', '/api/v9/channels/100');
+
+        say('first question');
+        await waitFor(() => replies() === 1 && idle());
+        const messageFetches = count('GET', '/api/v9/channels/100/messages'); // One REST fetch fills the cache
+
+        say('second question');
+        await waitFor(() => replies() === 2 && idle());
+        assert.equal(count('GET', '/api/v9/channels/100/messages'), messageFetches);
+        assert.equal(count('GET', '/api/v9/channels/100'), channelFetches); // Slow mode comes from CHANNEL_UPDATE
+        assert.match(mock.messages.get('100').at(-1).content, /second question/);
+    });
+
+    it('keeps a woken channel INTERVAL_SECONDS apart from its last cycle', async () => {
+        say('quick follow-up');
+        await new Promise(resolve => setTimeout(resolve, 300));
+        assert.equal(replies(), 2); // The previous cycle started less than two seconds ago
+        assert.ok(bot.getCycleStates()['100'].nextCycleAt > Date.now());
+        await waitFor(() => replies() === 3 && idle());
+        assert.match(mock.messages.get('100').at(-1).content, /quick follow-up/);
+    });
+
+    it('falls back to REST while the gateway is down and resumes afterwards', async () => {
+        const messageFetches = count('GET', '/api/v9/channels/100/messages');
+        mock.closeGatewayConnections();
+        await waitFor(() => !bot.isGatewayReady('token-a'));
+        assert.ok(logs.some(l => l.message === '[Gateway | Bot: alpha] Gateway disconnected; polling with REST until it reconnects.'));
+
+        say('asked while offline');
+        assert.equal(bot.runCycleNow('100'), true);
+        await waitFor(() => replies() === 4 && idle());
+        assert.equal(count('GET', '/api/v9/channels/100/messages'), messageFetches + 1);
+
+        await waitFor(() => logs.some(l => l.message === '[Gateway | Bot: alpha] Connected to the gateway (session resumed).'));
+        await waitFor(() => idle());
+        assert.equal(replies(), 4); // The replayed message was already answered
+    });
+
+    it('keeps edited messages current in the cache', async () => {
+        const question = say('original question');
+        await waitFor(() => replies() === 5 && idle());
+        const messageFetches = count('GET', '/api/v9/channels/100/messages');
+        mock.editMessage('100', question.id, 'edited question');
+        await new Promise(resolve => setTimeout(resolve, 100));
+        const cached = (await bot.getRecentMessages('100', 'token-a', 10)).find(message => message.id === question.id);
+        assert.equal(cached.content, 'edited question');
+        assert.equal(cached.author.username, 'someone'); // Fields the update leaves out are kept
+        assert.equal(count('GET', '/api/v9/channels/100/messages'), messageFetches);
+    });
+
+    it('connects the gateway of the account a channel fails over to', async () => {
+        assert.ok(bot.isGatewayReady('token-b'));
+        assert.ok(!bot.isGatewayReady('token-c'));
+        mock.channels.get('200').allowedUserIds = ['3'];
+        assert.ok(bot.runCycleNow('200'));
+        await waitFor(() => bot.isGatewayReady('token-c'));
+        assert.equal(bot.getAccountAssignments()['200'].active, 'token-c');
+        assert.ok(logs.some(l => l.level === 'SUCCESS' && l.message === '[Gateway | Bot: gamma] Connected to the gateway.'));
+    });
+
+    it('applies channel updates from the gateway', async () => {
+        mock.updateChannel('100', { name: 'renamed', rate_limit_per_user: 7 });
+        await waitFor(() => bot.getChannelDetails()['100'].slowModeDelay === 7);
+        assert.equal(bot.getChannelDetails()['100'].name, 'renamed');
+        assert.ok(logs.some(l => l.message === '[Channel 100] Channel updated: "renamed". Slow mode: 7s.'));
+        assert.ok(!logs.some(l => l.level === 'ERROR' && !l.message.startsWith('[Channel 200')));
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * test/botLogic.generation.test.js
+ * Drives BotLogic.generateReply against the local mock server with a Gemini model, generationConfig and
+ * fallback model set globally and overridden for one channel, and when the fallback model is used.
+ */
+
+const path = require('path');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTempDir, setupBotEnv, createBotHarness } = require('./botEnv');
+
+setupBotEnv(createTempDir('generation'), {
+    env: {
+        CHANNEL_IDS: '100,200',
+        GEMINI_MODEL: 'gemini-2.0-flash',
+        GEMINI_FALLBACK_MODEL: 'gemini-1.5-flash-8b',
+        GEMINI_TEMPERATURE: '0.9',
+        GEMINI_TOP_P: '0.95',
+        GEMINI_MAX_OUTPUT_TOKENS: '120',
+        GEMINI_STOP_SEQUENCES: 'END',
+        GEMINI_CANDIDATE_COUNT: '1'
+    },
+    channels: { '200': { geminiModel: 'gemini-1.5-pro', geminiFallbackModel: null, geminiTemperature: 0.2, geminiStopSequences: null } }
+});
+
+describe('BotLogic Gemini generation settings', () => {
+    const { mock, bot, logs } = createBotHarness();
+    const geminiRequests = () => mock.getRequests('POST', /generateContent$/).map(request => ({
+        model: request.path.match(/models\/([^:]+)/)[1],
+        generationConfig: request.body.generationConfig
+    }));
+
+    beforeEach(() => {
+        mock.reset();
+        mock.setGoogleKey('key-ok', 'valid');
+        logs.length = 0;
+    });
+
+    it('sends the configured model and generationConfig and logs them', async () => {
+        mock.aiReplies.push('Tuned reply');
+        assert.equal(await bot.generateReply('hello', '100'), 'Tuned reply');
+        assert.deepEqual(geminiRequests(), [{
+            model: 'gemini-2.0-flash',
+            generationConfig: { temperature: 0.9, topP: 0.95, maxOutputTokens: 120, stopSequences: ['END'], candidateCount: 1 }
+        }]);
+        assert.ok(logs.some(l => l.level === 'DEBUG' && l.message === '[Channel 100] Generation settings: model gemini-2.0-flash, temperature 0.9, topP 0.95, maxOutputTokens 120, stopSequences ["END"], candidateCount 1'));
+    });
+
+    it('retries on the fallback model when the primary one is not available', async () => {
+        mock.injectFault('POST', /gemini-2\.0-flash:generateContent$/, 404, { error: { code: 404, message: 'models/gemini-2.0-flash is not found for API version v1beta, or is not supported for generateContent.', status: 'NOT_FOUND' } });
+        mock.aiReplies.push('Fallback reply');
+        assert.equal(await bot.generateReply('hello again', '100'), 'Fallback reply');
+        assert.deepEqual(geminiRequests().map(request => request.model), ['gemini-2.0-flash', 'gemini-1.5-flash-8b']);
+        assert.ok(logs.some(l => l.level === 'WARNING' && l.message === '[Channel 100] Model gemini-2.0-flash is not available; retrying with the fallback model gemini-1.5-flash-8b.'));
+        assert.ok(logs.some(l => l.level === 'DEBUG' && l.message.startsWith('[Channel 100] Generation settings: model gemini-1.5-flash-8b, temperature 0.9')));
+    });
+
+    it('uses the channel overrides and no fallback where it is switched off', async () => {
+        mock.injectFault('POST', /gemini-1\.5-pro:generateContent$/, 500, { error: { code: 500, message: 'Internal error.', status: 'INTERNAL' } });
+        assert.equal(await bot.generateReply('hello', '200'), null);
+        assert.deepEqual(geminiRequests(), [{
+            model: 'gemini-1.5-pro',
+            generationConfig: { temperature: 0.2, topP: 0.95, maxOutputTokens: 120, candidateCount: 1 }
+        }]);
+        assert.ok(!logs.some(l => l.message.includes('fallback')));
+    });
+
+    it('retries on the fallback model when the primary one is over its quota, keeping the model benched on the key', async () => {
+        mock.injectFault('POST', /gemini-2\.0-flash:generateContent$/, 429, { error: {
+            code: 429, message: 'Resource has been exhausted (e.g. check quota).', status: 'RESOURCE_EXHAUSTED',
+            details: [
+                { '@type': 'type.googleapis.com/google.rpc.QuotaFailure', violations: [{ quotaId: 'GenerateRequestsPerMinutePerProjectPerModel-FreeTier' }] },
+                { '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '0s' }
+            ]
+        } });
+        mock.aiReplies.push('Quota fallback reply');
+        assert.equal(await bot.generateReply('hello', '100'), 'Quota fallback reply');
+        assert.deepEqual(geminiRequests().map(request => request.model), ['gemini-2.0-flash', 'gemini-1.5-flash-8b']);
+        assert.ok(logs.some(l => l.message === '[Channel 100] Model gemini-2.0-flash is over its quota; retrying with the fallback model gemini-1.5-flash-8b.'));
+        const health = bot.getKeyHealth().get('key-ok');
+        assert.equal(health.state, 'healthy'); // Only the model is benched
+        assert.equal(health.models['gemini-2.0-flash'].state, 'backoff'); // The fallback's success does not clear it
+    });
+
+    it('sends a model benched on the key straight to the fallback and keeps the key for other models', async () => {
+        mock.injectFault('POST', /gemini-2\.0-flash:generateContent$/, 429, { error: {
+            code: 429, message: 'Resource has been exhausted (e.g. check quota).', status: 'RESOURCE_EXHAUSTED',
+            details: [
+                { '@type': 'type.googleapis.com/google.rpc.QuotaFailure', violations: [{ quotaId: 'GenerateRequestsPerMinutePerProjectPerModel-FreeTier' }] },
+                { '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '1s' }
+            ]
+        } });
+        mock.aiReplies.push('First fallback reply', 'Second fallback reply', 'Pro reply');
+        assert.equal(await bot.generateReply('hello', '100'), 'First fallback reply');
+        assert.equal(await bot.generateReply('hello again', '100'), 'Second fallback reply');
+        assert.equal(await bot.generateReply('hello', '200'), 'Pro reply'); // Channel 200's model, without a fallback
+        assert.deepEqual(geminiRequests().map(request => request.model), ['gemini-2.0-flash', 'gemini-1.5-flash-8b', 'gemini-1.5-flash-8b', 'gemini-1.5-pro']);
+        assert.equal(bot.getRateLimitedKeys().size, 0);
+        const [saved] = Object.values(bot.getStateSnapshot().modelBenches); // Kept across restarts, by key fingerprint
+        assert.equal(saved['gemini-2.0-flash'].state, 'backoff');
+
+        await new Promise(resolve => setTimeout(resolve, 1000)); // The bench ends; the next reply uses the model again
+        mock.aiReplies.push('Primary reply');
+        assert.equal(await bot.generateReply('hello', '100'), 'Primary reply');
+        assert.equal(geminiRequests().at(-1).model, 'gemini-2.0-flash');
+    });
+
+    it('does not fall back on other errors or a rejected key', async () => {
+        mock.injectFault('POST', /gemini-2\.0-flash:generateContent$/, 503, { error: { code: 503, message: 'The model is overloaded.', status: 'UNAVAILABLE' } });
+        assert.equal(await bot.generateReply('hello', '100'), null);
+
+        mock.googleKeys.delete('key-ok'); // Answered with 400 API_KEY_INVALID
+        assert.equal(await bot.generateReply('hello', '100'), null);
+        assert.deepEqual(geminiRequests().map(request => request.model), ['gemini-2.0-flash', 'gemini-2.0-flash']);
+        assert.ok(!logs.some(l => l.message.includes('fallback')));
+    });
+});
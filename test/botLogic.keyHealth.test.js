@@ -0,0 +1,66 @@
+/**
+ * test/botLogic.keyHealth.test.js
+ * Startup key validation, backoff versus daily quota versus invalid keys, and how they steer key selection,
+ * against the local mock server.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTempDir, setupBotEnv, createBotHarness } = require('./botEnv');
+const { nextQuotaReset } = require('../keyHealth');
+
+const tempDir = setupBotEnv(createTempDir('keyhealth'), { env: { GOOGLE_API_KEYS: 'key-ok,key-slow,key-daily,key-bad' } });
+
+describe('BotLogic API key health', () => {
+    const { mock, bot, logs } = createBotHarness();
+    const keysUsed = () => mock.getRequests('POST', /generateContent$/).map(request => request.query.key);
+
+    before(async () => {
+        mock.setGoogleKey('key-ok', 'valid');
+        mock.setGoogleKey('key-slow', 'rate_limited');
+        mock.setGoogleKey('key-daily', 'quota_exhausted');
+    });
+
+    it('checks every key at startup and benches or drops the bad ones', async () => {
+        const started = Date.now();
+        await bot.validateApiKeys();
+        const health = bot.getKeyHealth();
+
+        assert.equal(mock.getRequests('GET', /\/models\/gemini-1\.5-flash-latest$/).length, 4);
+        assert.equal(health.get('key-ok').state, 'healthy');
+        assert.equal(health.get('key-slow').state, 'backoff');
+        assert.ok(Math.abs(health.get('key-slow').until - (started + 30 * 1000)) < 1000);
+        assert.equal(health.get('key-daily').state, 'exhausted');
+        assert.ok(Math.abs(health.get('key-daily').until - nextQuotaReset(started)) < 1000);
+        assert.equal(health.get('key-bad').state, 'invalid');
+        assert.ok(logs.some(l => l.level === 'SUCCESS' && l.message === 'Google Gemini API Key key-o... is valid.'));
+        assert.ok(logs.some(l => l.level === 'WARNING' && l.message.startsWith('Google Gemini API Key key-d... daily quota exhausted')));
+        assert.ok(logs.some(l => l.level === 'ERROR' && l.message.startsWith('Google Gemini API Key key-b... is invalid or revoked (400 INVALID_ARGUMENT')));
+        assert.equal(bot.getRateLimitedKeys().size, 2);
+    });
+
+    it('only uses the usable keys', async () => {
+        mock.aiReplies.push('One', 'Two');
+        assert.equal(await bot.generateReply('hello', '100'), 'One');
+        assert.equal(await bot.generateReply('hello again', '100'), 'Two');
+        assert.deepEqual(keysUsed(), ['key-ok', 'key-ok']);
+        assert.equal(bot.getKeyHealth().get('key-ok').weight, 10);
+    });
+
+    it('saves why keys are benched but not invalid keys', async () => {
+        await bot.saveState();
+        const saved = JSON.parse(fs.readFileSync(path.join(tempDir, 'state.json'), 'utf-8'));
+        assert.deepEqual(Object.values(saved.keyStates).map(entry => entry.state).sort(), ['backoff', 'exhausted']);
+        assert.equal(Object.keys(saved.rateLimitedKeys).length, 2);
+        assert.ok(!JSON.stringify(saved).includes('key-'));
+    });
+
+    it('drops a key rejected mid-run and reports when none is left', async () => {
+        mock.setGoogleKey('key-ok', 'forbidden');
+        assert.equal(await bot.generateReply('anyone?', '100'), null);
+        assert.equal(bot.getKeyHealth().get('key-ok').state, 'invalid');
+        assert.ok(logs.some(l => l.level === 'ERROR' && l.message === 'All Google Gemini API keys are currently unusable (2 rate-limited, 2 invalid). Waiting for cooldown.'));
+    });
+});
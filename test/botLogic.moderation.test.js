@@ -0,0 +1,71 @@
+/**
+ * test/botLogic.moderation.test.js
+ * Runs BotLogic.processChannel against the local mock server with moderation rules: rejected AI
+ * replies are regenerated once (or dropped), invites are stripped, and message-file sends are
+ * checked too.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTempDir, setupBotEnv, createBotHarness } = require('./botEnv');
+
+// Channel 200 never regenerates; channel 300 sends from a message file.
+const tempDir = createTempDir('moderation');
+const messageFile = path.join(tempDir, 'messages.txt');
+fs.writeFileSync(messageFile, 'Not a scam, promise\n');
+setupBotEnv(tempDir, {
+    env: {
+        CHANNEL_IDS: '100,200,300',
+        MODERATION_BLOCKLIST: 'scam',
+        MAX_REPLY_LENGTH: '100',
+        STRIP_INVITES: 'true',
+        GEMINI_SAFETY_THRESHOLD: 'block_low_and_above'
+    },
+    channels: {
+        '200': { regenerateRejected: false },
+        '300': { useGeminiAi: false, infoFile: messageFile }
+    }
+});
+
+describe('BotLogic moderation', () => {
+    const { mock, bot, logs } = createBotHarness();
+    const botInfo = { id: '1', username: 'alpha' };
+    const sent = (channelId) => mock.getRequests('POST', `/api/v9/channels/${channelId}/messages`).map(request => request.body.content);
+
+    before(async () => {
+        mock.addUser('token-a', botInfo);
+        ['100', '200', '300'].forEach(id => mock.addChannel({ id, name: `channel-${id}` }));
+        mock.setGoogleKey('key-ok', 'valid');
+        await bot.loadChannelMessageFiles();
+    });
+
+    it('regenerates a rejected reply once and strips invites from the new one', async () => {
+        mock.aiReplies.push('Sounds like a scam', 'Ask in discord.gg/helpdesk for details.');
+        mock.addMessage('100', { content: 'is this legit?', author: { id: '2', username: 'someone' } });
+        await bot.processChannel('100', 'token-a', botInfo);
+
+        assert.deepEqual(sent('100'), ['Ask in for details.']);
+        assert.ok(logs.some(l => l.level === 'WARNING' && l.message === '[Channel 100 | Bot: alpha] Message rejected by moderation: it contains the blocked word "scam".'));
+        assert.ok(logs.some(l => l.message === '[Channel 100 | Bot: alpha] Removed 1 link(s) from the message.'));
+        const [generation] = mock.getRequests('POST', /generateContent$/);
+        assert.ok(generation.body.safetySettings.every(setting => setting.threshold === 'BLOCK_LOW_AND_ABOVE'));
+    });
+
+    it('drops a rejected reply when regeneration is off', async () => {
+        mock.aiReplies.push('x'.repeat(150));
+        mock.addMessage('200', { content: 'tell me a story', author: { id: '2', username: 'someone' } });
+        await bot.processChannel('200', 'token-a', botInfo);
+
+        assert.deepEqual(sent('200'), []);
+        assert.ok(logs.some(l => l.message === '[Channel 200 | Bot: alpha] Message rejected by moderation: it is 150 characters long (limit 100).'));
+        assert.ok(logs.some(l => l.message === '[Channel 200 | Bot: alpha] No reply passed moderation. Skipping send.'));
+    });
+
+    it('checks messages from the message file as well', async () => {
+        await bot.processChannel('300', 'token-a', botInfo);
+        assert.deepEqual(sent('300'), []);
+        assert.ok(logs.some(l => l.message.startsWith('[Channel 300 | Bot: alpha] Message rejected by moderation')));
+    });
+});
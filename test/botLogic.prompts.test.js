@@ -0,0 +1,63 @@
+/**
+ * test/botLogic.prompts.test.js
+ * Runs BotLogic.processChannel against the local mock server with a persona template on one channel
+ * and the built-in template in another language on the other.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTempDir, setupBotEnv, createBotHarness } = require('./botEnv');
+
+const tempDir = createTempDir('prompts');
+fs.writeFileSync(path.join(tempDir, 'maya.txt'), [
+    '[system]',
+    'You are Maya, a regular of {server}. Never mention that you are a bot.',
+    '[prompt]',
+    '{author} wrote in #{channel}: "{message}"',
+    'Answer in {language}, in one short sentence.'
+].join('\n'));
+setupBotEnv(tempDir, {
+    env: { CHANNEL_IDS: '100,200', PROMPT_LANGUAGE: 'es', CONTEXT_MESSAGES: '1' },
+    channels: { '100': { promptTemplate: path.join(tempDir, 'maya.txt') } }
+});
+
+describe('BotLogic prompt templates', () => {
+    const { mock, bot } = createBotHarness();
+    const botInfo = { id: '1', username: 'alpha' };
+
+    before(async () => {
+        mock.addUser('token-a', botInfo);
+        mock.addGuild({ id: '10', name: 'Cafe' });
+        mock.addChannel({ id: '100', name: 'lounge', guild_id: '10' });
+        mock.addChannel({ id: '200', name: 'general', guild_id: '10' });
+        mock.setGoogleKey('key-ok', 'valid');
+    });
+
+    it('renders the channel template with the persona as the system instruction', async () => {
+        mock.addMessage('100', { content: 'any plans tonight?', author: { id: '2', username: 'bob' } });
+        await bot.processChannel('100', 'token-a', botInfo);
+
+        const [request] = mock.getRequests('POST', /generateContent$/);
+        assert.deepEqual(request.body.systemInstruction, { parts: [{ text: 'You are Maya, a regular of Cafe. Never mention that you are a bot.' }] });
+        assert.deepEqual(request.body.contents, [{ role: 'user', parts: [{ text: 'bob wrote in #lounge: "any plans tonight?"\nAnswer in Spanish, in one short sentence.' }] }]);
+    });
+
+    it('falls back to the built-in template in the configured language', async () => {
+        mock.addMessage('200', { content: 'hola', author: { id: '2', username: 'bob' } });
+        await bot.processChannel('200', 'token-a', botInfo);
+
+        const request = mock.getRequests('POST', /generateContent$/).at(-1);
+        assert.equal(request.body.systemInstruction, undefined);
+        assert.equal(request.body.contents[0].parts[0].text,
+            'Reply to the following message in Spanish: "hola"\n\nKeep it to one sentence in casual, everyday Spanish.');
+    });
+
+    it('reports the template of each channel', () => {
+        assert.deepEqual(bot.getPromptInfo(), {
+            '100': { template: 'maya.txt', language: 'es' },
+            '200': { template: 'built-in', language: 'es' }
+        });
+    });
+});
@@ -0,0 +1,43 @@
+/**
+ * test/botLogic.providers.test.js
+ * Drives BotLogic.generateReply through a non-Gemini provider (OpenAI-compatible) against the local mock server.
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTempDir, setupBotEnv, createBotHarness } = require('./botEnv');
+
+setupBotEnv(createTempDir('providers'), {
+    env: { GOOGLE_API_KEYS: '', AI_PROVIDER: 'openai', OPENAI_API_KEYS: 'sk-limited,sk-ok', OPENAI_MODEL: 'local-model', CHANNEL_IDS: '100,200' },
+    channels: { '200': { openAiModel: 'channel-model' } }
+});
+
+describe('BotLogic (OpenAI-compatible provider)', () => {
+    const { mock, bot } = createBotHarness();
+
+    before(async () => {
+        mock.setOpenAiKey('sk-limited', 'rate_limited');
+        mock.setOpenAiKey('sk-ok', 'valid');
+    });
+
+    it('uses the same key rotation and cooldown as Gemini', async () => {
+        mock.aiReplies.push('Self-hosted reply');
+        assert.equal(await bot.generateReply('hello', '100'), 'Self-hosted reply');
+
+        const expiry = bot.getRateLimitedKeys().get('sk-limited');
+        assert.ok(expiry > Date.now() && expiry <= Date.now() + 60 * 1000);
+        assert.deepEqual(bot.getAiApiKeys(), ['sk-limited', 'sk-ok']);
+        assert.equal(bot.getAiProviderLabel(), 'OpenAI-compatible');
+
+        const requests = mock.getRequests('POST', '/openai/v1/chat/completions');
+        assert.equal(requests.length, 2);
+        assert.equal(requests[1].body.model, 'local-model');
+        assert.equal(mock.getRequests('POST', /generateContent$/).length, 0);
+    });
+
+    it('sends the channel\'s model', async () => {
+        mock.aiReplies.push('Channel model reply');
+        assert.equal(await bot.generateReply('hello there', '200'), 'Channel model reply');
+        assert.equal(mock.getRequests('POST', '/openai/v1/chat/completions').at(-1).body.model, 'channel-model');
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * test/botLogic.review.test.js
+ * Runs BotLogic.processChannel with REVIEW_REPLIES=true against the local mock server: replies wait
+ * in the review queue until they are approved (sent as replies), edited, regenerated or rejected.
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTempDir, setupBotEnv, createBotHarness } = require('./botEnv');
+
+// Channel 200 sends its replies right away.
+setupBotEnv(createTempDir('review'), {
+    env: { CHANNEL_IDS: '100,200', MODERATION_BLOCKLIST: 'scam', REVIEW_REPLIES: 'true', REVIEW_TIMEOUT_SECONDS: '600' },
+    channels: { '200': { reviewReplies: false } }
+});
+
+describe('BotLogic review queue', () => {
+    const { mock, bot, logs } = createBotHarness();
+    const botInfo = { id: '1', username: 'alpha' };
+    const sent = (channelId) => mock.getRequests('POST', `/api/v9/channels/${channelId}/messages`).map(request => request.body);
+    let question = null;
+
+    before(async () => {
+        mock.addUser('token-a', botInfo);
+        mock.addChannel({ id: '100', name: 'general' });
+        mock.addChannel({ id: '200', name: 'direct' });
+        mock.setGoogleKey('key-ok', 'valid');
+    });
+
+    it('queues generated replies instead of sending them', async () => {
+        mock.aiReplies.push('First draft');
+        question = mock.addMessage('100', { content: 'what is new?', author: { id: '2', username: 'someone' } });
+        await bot.processChannel('100', 'token-a', botInfo);
+
+        assert.deepEqual(sent('100'), []);
+        const [item] = bot.getReviewQueue();
+        assert.deepEqual({ ...item, expiresAt: null }, {
+            id: 1, channelId: '100', account: 'alpha', author: 'someone', message: 'what is new?', reply: 'First draft', expiresAt: null, busy: false
+        });
+        assert.ok(item.expiresAt - Date.now() > 590 * 1000);
+        assert.ok(logs.some(l => l.message === '[Channel 100 | Bot: alpha] Reply #1 queued for review: "First draft"'));
+
+        mock.aiReplies.push('Direct answer');
+        mock.addMessage('200', { content: 'hello?', author: { id: '2', username: 'someone' } });
+        await bot.processChannel('200', 'token-a', botInfo);
+        assert.deepEqual(sent('200').map(body => body.content), ['Direct answer']);
+        assert.equal(bot.getReviewQueue().length, 1);
+    });
+
+    it('regenerates and edits a queued reply', async () => {
+        mock.aiReplies.push('Second draft');
+        assert.equal(await bot.regenerateReply(1), true);
+        assert.equal(bot.getReviewQueue()[0].reply, 'Second draft');
+        // The new prompt is built from the original message and context
+        assert.match(mock.getRequests('POST', /generateContent$/).at(-1).body.contents.at(-1).parts[0].text, /what is new\?/);
+
+        assert.equal(bot.editReply(1, '  Hand-written answer  '), true);
+        assert.equal(bot.getReviewQueue()[0].reply, 'Hand-written answer');
+        assert.equal(bot.editReply(1, '   '), false);
+        assert.equal(bot.editReply(99, 'nothing here'), false);
+    });
+
+    it('frees a reply whose regeneration or send is cut short', async () => {
+        const aborted = () => Promise.reject(new DOMException('This operation was aborted', 'AbortError'));
+        bot.generateReply = aborted; // As when stop() ends a key cooldown wait
+        assert.equal(await bot.regenerateReply(1), false);
+        assert.equal(bot.getReviewQueue()[0].reply, 'Hand-written answer');
+        delete bot.generateReply;
+
+        bot.sendMessage = aborted;
+        assert.equal(await bot.approveReply(1), false);
+        assert.ok(logs.some(l => l.message === '[Channel 100 | Bot: alpha] Reply #1 not sent: the bot is stopping.'));
+        bot.sendMessage = () => Promise.reject(new Error('socket hang up'));
+        await assert.rejects(bot.approveReply(1), /socket hang up/);
+        delete bot.sendMessage;
+
+        assert.equal(bot.getReviewQueue()[0].busy, false);
+        assert.deepEqual(sent('100'), []);
+    });
+
+    it('keeps a reply queued when moderation rejects it, and sends it as a reply once approved', async () => {
+        bot.editReply(1, 'Total scam');
+        assert.equal(await bot.approveReply(1), false);
+        assert.deepEqual(sent('100'), []);
+        assert.equal(bot.getReviewQueue().length, 1);
+
+        bot.editReply(1, 'Hand-written answer');
+        assert.equal(await bot.approveReply(1), true);
+        assert.deepEqual(sent('100'), [{ content: 'Hand-written answer', message_reference: { message_id: question.id } }]);
+        assert.deepEqual(bot.getReviewQueue(), []);
+        assert.equal(bot.getChannelStats()['100'].lastRepliedTo.content, 'what is new?');
+        assert.equal(await bot.approveReply(1), false); // Already sent
+    });
+
+    it('drops rejected replies', async () => {
+        mock.aiReplies.push('Unwanted');
+        mock.addMessage('100', { content: 'another one', author: { id: '2', username: 'someone' } });
+        await bot.processChannel('100', 'token-a', botInfo);
+        const [item] = bot.getReviewQueue();
+
+        assert.equal(bot.rejectReply(item.id), true);
+        assert.deepEqual(bot.getReviewQueue(), []);
+        assert.equal(sent('100').length, 1);
+        assert.ok(logs.some(l => l.message === `[Channel 100 | Bot: alpha] Reply #${item.id} rejected.`));
+    });
+});
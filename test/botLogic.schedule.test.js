@@ -0,0 +1,76 @@
+/**
+ * test/botLogic.schedule.test.js
+ * Runs BotLogic.processChannel (info.txt mode) against the local mock server with active hours,
+ * channel quotas and an account quota, and checks the schedule status shown in the TUI.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after, mock: testMock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTempDir, setupBotEnv, createBotHarness } = require('./botEnv');
+
+// The clock is pinned to a Wednesday noon (UTC), so the test cannot cross midnight while it runs.
+// Channel 100 may send once per hour, channel 200 only on Thursdays (UTC), channel 300 is unlimited.
+// The account may send twice a day across all channels.
+const NOW = Date.UTC(2026, 9, 21, 12, 0, 0);
+const tempDir = createTempDir('schedule');
+const messageFile = path.join(tempDir, 'messages.txt');
+fs.writeFileSync(messageFile, 'Scheduled hello\n');
+setupBotEnv(tempDir, {
+    env: { GOOGLE_API_KEYS: '', CHANNEL_IDS: '100,200,300', USE_GEMINI_AI: 'false', ACCOUNT_MAX_MESSAGES_PER_DAY: '2' },
+    channels: {
+        '100': { infoFile: messageFile, maxMessagesPerHour: 1 },
+        '200': { infoFile: messageFile, activeDays: 'thu', activeHours: '00:00-24:00', timezone: 'UTC' },
+        '300': { infoFile: messageFile }
+    }
+});
+
+describe('BotLogic active hours and quotas', () => {
+    const { mock, bot, logs } = createBotHarness();
+    const botInfo = { id: '1', username: 'alpha' };
+    const sends = (channelId) => mock.getRequests('POST', `/api/v9/channels/${channelId}/messages`).length;
+
+    before(async () => {
+        testMock.timers.enable({ apis: ['Date'], now: NOW }); // Timers stay real
+        mock.addUser('token-a', botInfo);
+        ['100', '200', '300'].forEach(id => mock.addChannel({ id, name: `channel-${id}` }));
+        await bot.loadChannelMessageFiles();
+    });
+
+    after(() => testMock.timers.reset());
+
+    it('stops a channel at its hourly quota', async () => {
+        await bot.processChannel('100', 'token-a', botInfo);
+        await bot.processChannel('100', 'token-a', botInfo);
+
+        assert.equal(sends('100'), 1);
+        assert.ok(logs.some(l => l.level === 'WAIT' && l.message.includes('[Channel 100 | Bot: alpha] Channel hourly quota reached (1 message(s)). Sleeping until')));
+        const status = bot.getScheduleStatus().channels['100'];
+        assert.equal(status.hourRemaining, 0);
+        assert.equal(status.dayRemaining, null);
+        assert.equal(status.scheduled, false);
+    });
+
+    it('sleeps until the next window outside the active days', async () => {
+        await bot.processChannel('200', 'token-a', botInfo);
+
+        assert.equal(sends('200'), 0);
+        assert.ok(logs.some(l => l.message.includes('[Channel 200 | Bot: alpha] Outside active hours. Sleeping until')));
+        const status = bot.getScheduleStatus().channels['200'];
+        assert.equal(status.active, false);
+        assert.equal(status.nextWindowAt, Date.UTC(2026, 9, 22)); // Thursday midnight
+    });
+
+    it('shares the account quota across channels and keeps send times in the state', async () => {
+        await bot.processChannel('300', 'token-a', botInfo);
+        await bot.processChannel('300', 'token-a', botInfo);
+
+        assert.equal(sends('300'), 1); // Second send of the account today
+        assert.ok(logs.some(l => l.message.includes('[Channel 300 | Bot: alpha] Account alpha daily quota reached (2 message(s)).')));
+
+        const { sendHistory } = bot.getStateSnapshot();
+        assert.equal(sendHistory.channels['100'].length, 1);
+        assert.equal(sendHistory.accounts['1'].length, 2);
+    });
+});
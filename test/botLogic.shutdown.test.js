@@ -0,0 +1,55 @@
+/**
+ * test/botLogic.shutdown.test.js
+ * Starts BotLogic against the local mock server and checks that stop() cancels waiting cycles,
+ * aborts requests that outlive the drain timeout and saves the state.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTempDir, setupBotEnv, createBotHarness } = require('./botEnv');
+
+// Channel 100 sits in a long read delay; channel 200 reads right away and its fetch is left hanging.
+const tempDir = setupBotEnv(createTempDir('shutdown'), {
+    env: { CHANNEL_IDS: '100,200', READ_DELAY_SECONDS: '60' },
+    channels: { '200': { readDelaySeconds: 0 } }
+});
+
+describe('BotLogic.stop', () => {
+    const { mock, bot, logs } = createBotHarness();
+
+    before(async () => {
+        mock.addUser('token-a', { id: '1', username: 'alpha', discriminator: '0001' });
+        mock.addChannel({ id: '100', name: 'general' });
+        mock.addChannel({ id: '200', name: 'busy' });
+        mock.setGoogleKey('key-ok', 'valid');
+    });
+
+    it('cancels waiting cycles, aborts hanging requests after the timeout and saves state', async () => {
+        mock.stallNext('GET', '/api/v9/channels/200/messages');
+        await bot.start();
+        while (mock.getRequests('GET', '/api/v9/channels/200/messages').length === 0) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+
+        let stopped = false;
+        bot.on('stopped', () => { stopped = true; });
+        const startedAt = Date.now();
+        await bot.stop();
+        const elapsed = Date.now() - startedAt;
+
+        assert.ok(elapsed >= 1000 && elapsed < 3000, `stop() took ${elapsed}ms`);
+        assert.ok(stopped);
+        assert.equal(bot.isRunningStatus(), false);
+        assert.ok(logs.some(l => l.message.includes('[Channel 100 | Bot: alpha] Cycle cancelled by shutdown.')));
+        assert.ok(logs.some(l => l.level === 'WARNING' && l.message.includes('still running after 1s')));
+        assert.ok(fs.existsSync(path.join(tempDir, 'state.json')));
+
+        // Nothing runs after stop(): no new cycles, no read for the cancelled channel
+        const requestCount = mock.requests.length;
+        await new Promise(resolve => setTimeout(resolve, 200));
+        assert.equal(mock.requests.length, requestCount);
+        assert.equal(mock.getRequests('GET', '/api/v9/channels/100/messages').length, 0);
+    });
+});
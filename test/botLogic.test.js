@@ -0,0 +1,234 @@
+/**
+ * test/botLogic.test.js
+ * Drives BotLogic.processChannel and generateReply (Gemini mode) against the local mock server.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTempDir, setupBotEnv, createBotHarness } = require('./botEnv');
+
+// Channel 200 overrides the global settings: no AI, its own message file, delayed deletion.
+const tempDir = createTempDir('test');
+const promoFile = path.join(tempDir, 'promo.txt');
+fs.writeFileSync(promoFile, 'Only promo line\n');
+setupBotEnv(tempDir, {
+    env: {
+        GOOGLE_API_KEYS: 'key-limited,key-ok',
+        CHANNEL_IDS: '100,200',
+        LOG_DIR: path.join(tempDir, 'logs'),
+        STATE_MAX_PROCESSED_IDS: '100'
+    },
+    channels: { '200': { useGeminiAi: false, infoFile: promoFile, useReply: false, deleteMessageDelay: 600 } }
+});
+
+describe('BotLogic (Gemini mode)', () => {
+    const { mock, bot, logs } = createBotHarness();
+    const botInfo = { id: '1', username: 'alpha' };
+
+    before(async () => {
+        mock.addUser('token-a', botInfo);
+        mock.addGuild({ id: '10', name: 'Test Guild' });
+        mock.addChannel({ id: '100', name: 'general', guild_id: '10' });
+        mock.addChannel({ id: '200', name: 'promo', guild_id: '10' });
+        mock.setGoogleKey('key-limited', 'rate_limited');
+        mock.setGoogleKey('key-ok', 'valid');
+    });
+
+    it('emits structured log records with the channel and account', () => {
+        let record = null;
+        bot.once('log', (level, message, entry) => { record = entry; });
+        bot.log('WAIT', '[Channel 100 | Bot: alpha] Next check in 60s...');
+        assert.equal(record.level, 'WAIT');
+        assert.equal(record.channel, '100');
+        assert.equal(record.account, 'alpha');
+        assert.equal(record.message, '[Channel 100 | Bot: alpha] Next check in 60s...');
+        assert.ok(!Number.isNaN(Date.parse(record.timestamp)));
+    });
+
+    it('writes log entries to the log file with tokens and keys redacted', () => {
+        bot.log('ERROR', '[Channel 100] [API] Failed: {"token":"token-a","url":"?key=key-ok"}');
+        const [logName] = fs.readdirSync(path.join(tempDir, 'logs'));
+        assert.match(logName, /^bot-\d{4}-\d{2}-\d{2}\.log$/);
+        const lines = fs.readFileSync(path.join(tempDir, 'logs', logName), 'utf-8').trim().split('\n');
+        assert.match(lines[lines.length - 1], /^\[[\d\-T:.Z]+\] ERROR   \[Channel 100\] \[API\] Failed: \{"token":"\[REDACTED\]","url":"\?key=\[REDACTED\]"\}$/);
+        assert.ok(!logs.some(l => l.message.includes('key-ok')));
+    });
+
+    it('rotates past a rate-limited key when generating a reply', async () => {
+        const reply = await bot.generateReply('how are you?', '100');
+        assert.equal(reply, 'Mock reply to: Reply to the following message in English: "how are you?"\n\nKeep it to one sentence in casual, everyday English.');
+        assert.ok(bot.getRateLimitedKeys().has('key-limited'));
+        assert.ok(!bot.getRateLimitedKeys().has('key-ok'));
+    });
+
+    it('replies to the newest message from another user', async () => {
+        mock.addMessage('100', { content: 'older message', author: { id: '2', username: 'bob' } });
+        const target = mock.addMessage('100', { content: 'anyone around?', author: { id: '2', username: 'bob' } });
+        mock.aiReplies.push('Yes, I am here!');
+
+        await bot.processChannel('100', 'token-a', botInfo);
+
+        const sends = mock.getRequests('POST', '/api/v9/channels/100/messages');
+        assert.equal(sends.length, 1);
+        assert.equal(sends[0].body.content, 'Yes, I am here!');
+        assert.equal(sends[0].body.message_reference.message_id, target.id);
+        assert.ok(logs.some(l => l.level === 'SUCCESS' && l.message.includes('Message sent')));
+        assert.equal(bot.getChannelDetails()['100'].guild_name, 'Test Guild');
+    });
+
+    it('works back through older unprocessed messages but never replies twice', async () => {
+        await bot.processChannel('100', 'token-a', botInfo);
+        const sends = mock.getRequests('POST', '/api/v9/channels/100/messages');
+        assert.equal(sends.length, 2);
+        assert.equal(sends[1].body.content, 'Mock reply to: Reply to the following message in English: "older message"\n\nKeep it to one sentence in casual, everyday English.');
+
+        await bot.processChannel('100', 'token-a', botInfo);
+        assert.equal(mock.getRequests('POST', '/api/v9/channels/100/messages').length, 2);
+        assert.ok(logs.some(l => l.message.includes('No valid new messages found')));
+    });
+
+    it('passes recent history, including its own replies, as conversation context', async () => {
+        const [firstReply, secondReply] = mock.messages.get('100').filter(m => m.author.id === botInfo.id);
+        mock.addMessage('100', {
+            content: 'that was quick',
+            author: { id: '3', username: 'carol', global_name: 'Carol' },
+            message_reference: { message_id: firstReply.id }
+        });
+        mock.requests.length = 0;
+
+        await bot.processChannel('100', 'token-a', botInfo);
+
+        const [request] = mock.getRequests('POST', /generateContent$/);
+        const contents = request.body.contents;
+        assert.deepEqual(contents.map(c => c.role), ['user', 'model', 'user']);
+        assert.equal(contents[0].parts[0].text, 'bob: older message\nbob: anyone around?');
+        assert.equal(contents[1].parts[0].text, `Yes, I am here!\n${secondReply.content}`);
+        assert.match(contents[2].parts[0].text, /^Carol \(replying to alpha: "Yes, I am here!"\): that was quick\n\nReply to/);
+    });
+
+    it('counts fetched and sent messages, AI calls and cycle durations', () => {
+        const metrics = bot.getMetrics();
+        assert.equal(metrics.get('discord_bot_messages_sent_total', { channel: '100' }), 3);
+        assert.ok(metrics.get('discord_bot_messages_fetched_total', { channel: '100' }) >= 3);
+        assert.equal(metrics.get('discord_bot_ai_requests_total', { provider: 'gemini', key: 'K1', result: 'rate_limited' }), 1);
+        assert.ok(metrics.get('discord_bot_ai_requests_total', { provider: 'gemini', key: 'K2', result: 'success' }) >= 3);
+        assert.match(metrics.render(), /discord_bot_cycle_duration_seconds_count\{channel="100"\} 4/);
+    });
+
+    it('keeps per-channel activity for the dashboard', () => {
+        const stats = bot.getChannelStats()['100'];
+        assert.equal(stats.sent, 3);
+        assert.equal(stats.failed, 0);
+        assert.deepEqual(stats.lastRepliedTo, { author: 'carol', content: 'that was quick' });
+        assert.ok(Date.now() - stats.lastSentAt < 5000);
+        assert.deepEqual(bot.getChannelStats()['200'], {
+            account: null, sent: 0, failed: 0, deleted: 0, lastRepliedTo: null, lastSentAt: null
+        });
+    });
+
+    it('skips cycles of paused channels until resumed', async () => {
+        assert.equal(bot.pause('999'), false);
+        assert.equal(bot.pause('100'), true);
+        mock.addMessage('100', { content: 'anyone paused?', author: { id: '2', username: 'bob' } });
+        mock.requests.length = 0;
+
+        await bot.processChannel('100', 'token-a', botInfo);
+        assert.equal(mock.requests.length, 0);
+        assert.ok(logs.some(l => l.message.includes('Paused; skipping this cycle')));
+        assert.equal(bot.getMetrics().get('discord_bot_channel_paused', { channel: '100' }), 1);
+
+        bot.resume('100');
+        bot.pause();
+        assert.equal(bot.isChannelPaused('100'), true);
+        bot.resume();
+        await bot.processChannel('100', 'token-a', botInfo);
+        assert.equal(mock.getRequests('POST', '/api/v9/channels/100/messages').length, 1);
+    });
+
+    it('skips the cycle when the channel cannot be read', async () => {
+        mock.addChannel({ id: '300', name: 'private', allowedUserIds: ['999'] });
+        logs.length = 0;
+        await bot.processChannel('300', 'token-a', botInfo);
+        assert.ok(logs.some(l => l.level === 'ERROR' && l.message.includes('Failed to get channel info')));
+        assert.equal(mock.getRequests('GET', '/api/v9/channels/300/messages').length, 0);
+    });
+
+    it('applies per-channel overrides from channels.json', async () => {
+        assert.deepEqual(bot.getChannelOverrides()['200'], { useGeminiAi: false, infoFile: promoFile, useReply: false, deleteMessageDelay: 600 });
+        assert.equal(bot.getChannelConfig('100').useGeminiAi, true);
+        assert.equal(bot.getChannelConfig('200').infoFilePath, promoFile);
+
+        mock.addMessage('200', { content: 'ignored in info mode', author: { id: '2', username: 'bob' } });
+        await bot.processChannel('200', 'token-a', botInfo);
+
+        const sends = mock.getRequests('POST', '/api/v9/channels/200/messages');
+        assert.equal(sends.length, 1);
+        assert.equal(sends[0].body.content, 'Only promo line');
+        assert.equal(mock.getRequests('GET', '/api/v9/channels/200/messages').length, 0);
+    });
+
+    it('returns null once every key is rate limited', async () => {
+        mock.setGoogleKey('key-ok', 'rate_limited');
+        assert.equal(await bot.generateReply('hello?', '100'), null);
+        assert.equal(bot.getRateLimitedKeys().size, 2);
+    });
+
+    it('saves processed IDs, key cooldowns and pending deletions without secrets', async () => {
+        await bot.saveState();
+
+        const saved = JSON.parse(fs.readFileSync(path.join(tempDir, 'state.json'), 'utf-8'));
+        assert.equal(saved.version, 1);
+        const processed = mock.messages.get('100').filter(m => m.author.id !== botInfo.id).map(m => m.id);
+        processed.forEach(id => assert.ok(saved.processedMessageIds.includes(id)));
+        assert.equal(Object.keys(saved.rateLimitedKeys).length, 2);
+        assert.ok(Object.values(saved.rateLimitedKeys).every(expiry => expiry > Date.now()));
+
+        const [promo] = mock.messages.get('200').filter(m => m.author.id === botInfo.id);
+        assert.equal(saved.pendingDeletions.length, 1);
+        assert.deepEqual(saved.pendingDeletions[0], {
+            messageId: promo.id, channelId: '200', accountId: '1', deleteAt: saved.pendingDeletions[0].deleteAt
+        });
+        assert.ok(!fs.readFileSync(path.join(tempDir, 'state.json'), 'utf-8').includes('key-ok'));
+        assert.ok(!fs.existsSync(path.join(tempDir, 'state.json.tmp')));
+    });
+
+    it('restores saved state so handled messages are not answered again', async () => {
+        const message = mock.addMessage('100', { content: 'handled before the restart', author: { id: '2', username: 'bob' } });
+        const saved = JSON.parse(fs.readFileSync(path.join(tempDir, 'state.json'), 'utf-8'));
+        saved.processedMessageIds.push(message.id);
+        fs.writeFileSync(path.join(tempDir, 'state.json'), JSON.stringify(saved));
+
+        const deletions = bot.loadState();
+        assert.equal(deletions.length, 1);
+        assert.ok(logs.some(l => l.message.includes('[State] Restored')));
+
+        mock.requests.length = 0;
+        await bot.processChannel('100', 'token-a', botInfo);
+        assert.equal(mock.getRequests('POST', '/api/v9/channels/100/messages').length, 0);
+    });
+
+    it('renders templates from the channel message file and reloads it when it changes', async () => {
+        fs.writeFileSync(promoFile, 'Hello #{channel} on {server}, {username} here!\n');
+        const later = new Date(Date.now() + 5000);
+        fs.utimesSync(promoFile, later, later);
+        mock.requests.length = 0;
+
+        await bot.processChannel('200', 'token-a', botInfo);
+
+        const [send] = mock.getRequests('POST', '/api/v9/channels/200/messages');
+        assert.equal(send.body.content, 'Hello #promo on Test Guild, alpha here!');
+        assert.ok(logs.some(l => l.message.includes('promo.txt changed on disk. Reloading.')));
+        // generateReply draws from the same file for channels without AI
+        assert.equal(await bot.generateReply('hi', '200', [], botInfo), 'Hello #promo on Test Guild, alpha here!');
+    });
+
+    it('keeps only the newest processed IDs', () => {
+        for (let i = 0; i < 150; i++) bot.markMessageProcessed(`retention-${i}`);
+        const ids = bot.getStateSnapshot().processedMessageIds;
+        assert.equal(ids.length, 100);
+        assert.equal(ids[0], 'retention-50');
+        assert.equal(ids[99], 'retention-149');
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * test/botLogic.triggers.test.js
+ * Runs BotLogic.processChannel (Gemini mode) with trigger rules against the local mock server:
+ * only mentions and replies are answered in channel 100, only a keyword in channel 200, and
+ * bots, webhooks and ignored users never are.
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTempDir, setupBotEnv, createBotHarness } = require('./botEnv');
+
+setupBotEnv(createTempDir('triggers'), {
+    env: { CHANNEL_IDS: '100,200', REPLY_TRIGGERS: 'mention,reply', IGNORE_USER_IDS: '3' },
+    channels: { '200': { replyTriggers: 'keyword', triggerKeywords: 'help' } }
+});
+
+describe('BotLogic trigger rules', () => {
+    const { mock, bot, logs } = createBotHarness();
+    const botInfo = { id: '1', username: 'alpha' };
+    const replies = (channelId) => mock.getRequests('POST', `/api/v9/channels/${channelId}/messages`).map(request => request.body);
+
+    before(async () => {
+        mock.addUser('token-a', botInfo);
+        mock.addChannel({ id: '100', name: 'general' });
+        mock.addChannel({ id: '200', name: 'support' });
+        mock.setGoogleKey('key-ok', 'valid');
+    });
+
+    it('answers a mention and skips messages that fire no trigger', async () => {
+        const mention = mock.addMessage('100', { content: '<@1> what do you think?', author: { id: '2', username: 'someone' } });
+        mock.addMessage('100', { content: 'just chatting', author: { id: '2', username: 'someone' } });
+        await bot.processChannel('100', 'token-a', botInfo);
+
+        assert.equal(replies('100').length, 1);
+        assert.equal(replies('100')[0].message_reference.message_id, mention.id);
+        assert.ok(logs.some(l => l.message === '[Channel 100 | Bot: alpha] New message from someone (trigger: mention): "<@1> what do you think?"'));
+        assert.ok(logs.some(l => l.message.endsWith('from someone (no trigger matched).')));
+    });
+
+    it('answers replies to its own messages', async () => {
+        const own = mock.messages.get('100').find(m => m.author.id === '1');
+        const reply = mock.addMessage('100', { content: 'good point', author: { id: '2', username: 'someone' }, referenced_message: own });
+        await bot.processChannel('100', 'token-a', botInfo);
+
+        assert.equal(replies('100').length, 2);
+        assert.equal(replies('100')[1].message_reference.message_id, reply.id);
+        assert.ok(logs.some(l => l.message.includes('(trigger: reply to the account)')));
+    });
+
+    it('never answers bots, webhooks or ignored users', async () => {
+        mock.addMessage('100', { content: '<@1> ping', author: { id: '4', username: 'helper', bot: true } });
+        mock.addMessage('100', { content: '<@1> ping', author: { id: '5', username: 'hook' }, webhook_id: '9' });
+        mock.addMessage('100', { content: '<@1> ping', author: { id: '3', username: 'muted' } });
+        await bot.processChannel('100', 'token-a', botInfo);
+
+        assert.equal(replies('100').length, 2);
+        ['helper (bot author)', 'hook (webhook)', 'muted (ignored user)'].forEach(reason => {
+            assert.ok(logs.some(l => l.message.endsWith(`from ${reason}.`)), reason);
+        });
+    });
+
+    it('applies per-channel triggers from channels.json', async () => {
+        mock.addMessage('200', { content: '<@1> hello', author: { id: '2', username: 'someone' } });
+        await bot.processChannel('200', 'token-a', botInfo);
+        assert.equal(replies('200').length, 0);
+
+        mock.addMessage('200', { content: 'Can anyone HELP me?', author: { id: '2', username: 'someone' } });
+        await bot.processChannel('200', 'token-a', botInfo);
+        assert.equal(replies('200').length, 1);
+        assert.ok(logs.some(l => l.message.includes('[Channel 200 | Bot: alpha] New message from someone (trigger: keyword "help")')));
+    });
+});
@@ -0,0 +1,36 @@
+/**
+ * test/channelConfig.test.js
+ * Unit tests for reading channels.json and resolving per-channel overrides.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const channelConfig = require('../channelConfig');
+
+const writeTempFile = (content) => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'channel-config-')), 'channels.json');
+    fs.writeFileSync(filePath, content);
+    return filePath;
+};
+
+describe('channelConfig', () => {
+    it('returns null for a missing file', () => {
+        assert.equal(channelConfig.readChannelConfigFile(path.join(os.tmpdir(), 'does-not-exist.json')), null);
+    });
+
+    it('parses a JSON object and rejects anything else', () => {
+        assert.deepEqual(channelConfig.readChannelConfigFile(writeTempFile('{"channels":{}}')), { channels: {} });
+        assert.throws(() => channelConfig.readChannelConfigFile(writeTempFile('{ nope')), /is not valid JSON/);
+        assert.throws(() => channelConfig.readChannelConfigFile(writeTempFile('[1, 2]')), /must contain a JSON object/);
+    });
+
+    it('resolves overrides on top of the global config', () => {
+        const base = { intervalSeconds: 60, useReply: true, infoFilePath: '/app/info.txt' };
+        const resolved = channelConfig.resolveChannelConfig(base, { intervalSeconds: 5, infoFile: 'promo.txt' }, '/app');
+        assert.deepEqual(resolved, { intervalSeconds: 5, useReply: true, infoFilePath: path.resolve('/app', 'promo.txt') });
+        assert.deepEqual(channelConfig.resolveChannelConfig(base, undefined, '/app'), base);
+    });
+});
@@ -0,0 +1,212 @@
+/**
+ * test/config.test.js
+ * Unit tests for the configuration schema and loader.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, ConfigError } = require('../config');
+
+// Each test gets its own folder so channels.json lookups never hit the real project file.
+const makeBaseDir = (channelsJson) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+    if (channelsJson !== undefined) {
+        fs.writeFileSync(path.join(dir, 'channels.json'), typeof channelsJson === 'string' ? channelsJson : JSON.stringify(channelsJson));
+    }
+    return dir;
+};
+
+const validEnv = {
+    DISCORD_TOKENS: 'token-a, token-b',
+    GOOGLE_API_KEYS: 'key-1',
+    CHANNEL_IDS: '100,200'
+};
+
+const problemsOf = (env, baseDir = makeBaseDir()) => {
+    try {
+        loadConfig(env, baseDir);
+    } catch (error) {
+        assert.ok(error instanceof ConfigError);
+        return error.problems;
+    }
+    assert.fail('expected a ConfigError');
+};
+
+describe('config.loadConfig', () => {
+    it('applies defaults for unset settings', () => {
+        const loaded = loadConfig(validEnv, makeBaseDir());
+        assert.deepEqual(loaded.discordTokens, ['token-a', 'token-b']);
+        assert.equal(loaded.aiProvider.name, 'gemini');
+        assert.deepEqual(loaded.aiApiKeys, ['key-1']);
+        assert.equal(loaded.settings.intervalSeconds, 60);
+        assert.equal(loaded.settings.promptLanguage, 'id');
+        assert.equal(loaded.settings.deleteMessageDelay, null);
+        assert.equal(loaded.settings.useGeminiAi, true);
+        assert.deepEqual(loaded.channelOverrides, {});
+    });
+
+    it('parses typed values', () => {
+        const loaded = loadConfig({ ...validEnv, INTERVAL_SECONDS: '15', DELETE_MESSAGE_DELAY: '0', USE_REPLY: 'No', PROMPT_LANGUAGE: 'EN' }, makeBaseDir());
+        assert.equal(loaded.settings.intervalSeconds, 15);
+        assert.equal(loaded.settings.deleteMessageDelay, 0);
+        assert.equal(loaded.settings.useReply, false);
+        assert.equal(loaded.settings.promptLanguage, 'en');
+    });
+
+    it('collects every problem at once, naming the variable', () => {
+        const problems = problemsOf({
+            DISCORD_TOKENS: '',
+            CHANNEL_IDS: '100,abc',
+            INTERVAL_SECONDS: 'abc',
+            DELETE_MESSAGE_DELAY: '-5',
+            DELETE_IMMEDIATELY: '30',
+            PROMPT_LANGUAGE: 'french!',
+            AI_PROVIDER: 'claude'
+        });
+        assert.deepEqual(problems, [
+            'DISCORD_TOKENS is required (comma-separated list)',
+            'CHANNEL_IDS contains "abc"; expected numeric Discord IDs',
+            'PROMPT_LANGUAGE is invalid: "french!" is not a language code (e.g. en, id, fr, pt-BR)',
+            'INTERVAL_SECONDS must be a whole number between 1 and 86400 (got "abc")',
+            'DELETE_MESSAGE_DELAY must be a whole number between 0 and 86400 (or null) (got "-5")',
+            'DELETE_IMMEDIATELY must be true or false (got "30")',
+            'AI_PROVIDER must be one of gemini, openai, ollama (got "claude")',
+            'GOOGLE_API_KEYS is required because AI replies are enabled (USE_GEMINI_AI=true) with AI_PROVIDER=gemini'
+        ]);
+    });
+
+    it('requires AI keys only when some channel uses AI', () => {
+        const noKeys = { ...validEnv, GOOGLE_API_KEYS: '' };
+        assert.deepEqual(problemsOf(noKeys), [
+            'GOOGLE_API_KEYS is required because AI replies are enabled (USE_GEMINI_AI=true) with AI_PROVIDER=gemini'
+        ]);
+        assert.ok(loadConfig({ ...noKeys, USE_GEMINI_AI: 'false' }, makeBaseDir()));
+        assert.ok(loadConfig({ ...noKeys, AI_PROVIDER: 'ollama' }, makeBaseDir()));
+
+        const channelEnablesAi = makeBaseDir({ channels: { '200': { useGeminiAi: true } } });
+        assert.deepEqual(problemsOf({ ...noKeys, USE_GEMINI_AI: 'false' }, channelEnablesAi), [
+            'GOOGLE_API_KEYS is required because AI replies are enabled (channels.json enables AI for 200) with AI_PROVIDER=gemini'
+        ]);
+    });
+
+    it('validates channels.json entries against the same schema', () => {
+        const baseDir = makeBaseDir({
+            channels: {
+                '100': { intervalSeconds: 0, promptLanguage: 'EN', colour: 'red', infoFile: 'promo.txt' },
+                '300': { useReply: false }
+            }
+        });
+        const problems = problemsOf(validEnv, baseDir);
+        assert.equal(problems.length, 2);
+        assert.equal(problems[0], 'channels.json: channels.100.intervalSeconds must be a whole number between 1 and 86400 (got 0)');
+        assert.match(problems[1], /^channels\.json: channels\.100\.colour is not a per-channel setting/);
+
+        const loaded = loadConfig(validEnv, makeBaseDir({ channels: { '100': { promptLanguage: 'EN' }, '300': {} } }));
+        assert.deepEqual(loaded.channelOverrides['100'], { promptLanguage: 'en' });
+        assert.deepEqual(loaded.warnings, ['channels.json: channel 300 is not in CHANNEL_IDS; its settings are unused.']);
+    });
+
+    it('checks active hours, days and time zones', () => {
+        assert.deepEqual(problemsOf({ ...validEnv, ACTIVE_HOURS: '9-17', ACTIVE_DAYS: 'weekdays', SCHEDULE_TIMEZONE: 'Mars/Base' }), [
+            'ACTIVE_HOURS is invalid: "9-17" is not HH:MM-HH:MM',
+            'ACTIVE_DAYS is invalid: "weekdays" is not a day (use mon, tue, ...)',
+            'SCHEDULE_TIMEZONE is not a known time zone (got "Mars/Base")'
+        ]);
+        assert.deepEqual(problemsOf(validEnv, makeBaseDir({ channels: { '100': { activeHours: '18:00-26:00' } } })), [
+            'channels.json: channels.100.activeHours is invalid: "18:00-26:00" has an invalid time'
+        ]);
+
+        const loaded = loadConfig({ ...validEnv, ACTIVE_HOURS: '09:00-17:00', MAX_MESSAGES_PER_DAY: '50' },
+            makeBaseDir({ channels: { '100': { activeDays: 'sat,sun', timezone: 'Asia/Jakarta', maxMessagesPerHour: 5 } } }));
+        assert.equal(loaded.settings.activeHours, '09:00-17:00');
+        assert.equal(loaded.settings.maxMessagesPerDay, 50);
+        assert.equal(loaded.settings.accountMaxMessagesPerHour, null);
+        assert.deepEqual(loaded.channelOverrides['100'], { activeDays: 'sat,sun', timezone: 'Asia/Jakarta', maxMessagesPerHour: 5 });
+    });
+
+    it('checks trigger rules and the keywords or pattern they need', () => {
+        assert.deepEqual(problemsOf({ ...validEnv, REPLY_TRIGGERS: 'mention,always', TRIGGER_REGEX: '(a', IGNORE_USER_IDS: '12,bob' }), [
+            'REPLY_TRIGGERS is invalid: "always" is not a trigger (use any, mention, reply, keyword, regex, random)',
+            'TRIGGER_REGEX is invalid: Invalid regular expression: /(a/i: Unterminated group',
+            'IGNORE_USER_IDS is invalid: "bob" is not a numeric Discord ID'
+        ]);
+        assert.deepEqual(problemsOf({ ...validEnv, TRIGGER_KEYWORDS: 'help' }, makeBaseDir({ channels: { '200': { replyTriggers: 'keyword,regex' } } })), [
+            'TRIGGER_REGEX is required because REPLY_TRIGGERS includes "regex" (channels 200)'
+        ]);
+
+        const loaded = loadConfig({ ...validEnv, REPLY_TRIGGERS: 'mention,reply' },
+            makeBaseDir({ channels: { '100': { replyTriggers: 'keyword', triggerKeywords: 'help', ignoreBots: false } } }));
+        assert.equal(loaded.settings.replyTriggers, 'mention,reply');
+        assert.equal(loaded.settings.ignoreWebhooks, true);
+        assert.deepEqual(loaded.channelOverrides['100'], { replyTriggers: 'keyword', triggerKeywords: 'help', ignoreBots: false });
+    });
+
+    it('checks moderation rules and the Gemini safety threshold', () => {
+        assert.deepEqual(problemsOf({ ...validEnv, MODERATION_BLOCKLIST: ',', MODERATION_DENY_PATTERN: '[a', MAX_REPLY_LENGTH: '4000', GEMINI_SAFETY_THRESHOLD: 'strict' }), [
+            'MODERATION_BLOCKLIST is invalid: no words given',
+            'MODERATION_DENY_PATTERN is invalid: Invalid regular expression: /[a/i: Unterminated character class',
+            'MAX_REPLY_LENGTH must be a whole number between 1 and 2000 (got "4000")',
+            'GEMINI_SAFETY_THRESHOLD must be one of block_none, block_only_high, block_medium_and_above, block_low_and_above (got "strict")'
+        ]);
+        const loaded = loadConfig({ ...validEnv, GEMINI_SAFETY_THRESHOLD: 'BLOCK_NONE' }, makeBaseDir({ channels: { '100': { stripLinks: true } } }));
+        assert.equal(loaded.settings.geminiSafetyThreshold, 'block_none');
+        assert.equal(loaded.settings.maxReplyLength, 2000);
+        assert.deepEqual(loaded.channelOverrides['100'], { stripLinks: true });
+    });
+
+    it('checks the Gemini model and generation settings', () => {
+        assert.deepEqual(problemsOf({ ...validEnv, GEMINI_MODEL: 'gemini pro', GEMINI_TEMPERATURE: 'warm', GEMINI_TOP_P: '1.5', GEMINI_STOP_SEQUENCES: 'a,b,c,d,e,f' }), [
+            'GEMINI_MODEL is invalid: "gemini pro" is not a model name (e.g. gemini-1.5-flash-latest)',
+            'GEMINI_TEMPERATURE must be a number between 0 and 2 (or null) (got "warm")',
+            'GEMINI_TOP_P must be a number between 0 and 1 (or null) (got "1.5")',
+            'GEMINI_STOP_SEQUENCES is invalid: 6 stop sequences given; at most 5 are allowed'
+        ]);
+        const loaded = loadConfig({ ...validEnv, GEMINI_MODEL: 'models/gemini-1.5-pro', GEMINI_TEMPERATURE: '0.75', GEMINI_TOP_P: '.9' },
+            makeBaseDir({ channels: { '100': { geminiTemperature: 1, geminiFallbackModel: 'gemini-1.5-flash' } } }));
+        assert.equal(loaded.settings.geminiModel, 'gemini-1.5-pro');
+        assert.equal(loaded.settings.geminiTemperature, 0.75);
+        assert.equal(loaded.settings.geminiTopP, 0.9);
+        assert.equal(loaded.settings.geminiFallbackModel, null);
+        assert.deepEqual(loaded.channelOverrides['100'], { geminiTemperature: 1, geminiFallbackModel: 'gemini-1.5-flash' });
+        assert.deepEqual(problemsOf(validEnv, makeBaseDir({ channels: { '100': { geminiTemperature: '0.5' } } })),
+            ['channels.json: channels.100.geminiTemperature must be a number between 0 and 2 (or null) (got "0.5")']);
+    });
+
+    it('loads prompt templates at startup and accepts any language code', () => {
+        const baseDir = makeBaseDir({ channels: { '100': { promptTemplate: 'prompts/pirate.txt', promptLanguage: 'PT-br' }, '200': { promptTemplate: 'missing.txt' } } });
+        fs.mkdirSync(path.join(baseDir, 'prompts'));
+        fs.writeFileSync(path.join(baseDir, 'prompts', 'pirate.txt'), '[system]\nYou are a pirate.\n[prompt]\nAnswer {author}: {message}\n');
+        fs.writeFileSync(path.join(baseDir, 'broken.txt'), '[prompt]\nAnswer {mesage}\n');
+        assert.deepEqual(problemsOf({ ...validEnv, PROMPT_TEMPLATE: 'broken.txt' }, baseDir), [
+            'Prompt template broken.txt (PROMPT_TEMPLATE) [prompt] uses unknown placeholder {mesage} (use {message}, {author}, {channel}, {server}, {language}, {languageCode}, {context})',
+            'Prompt template missing.txt (channels.200.promptTemplate) cannot be read (file not found)'
+        ]);
+
+        fs.writeFileSync(path.join(baseDir, 'channels.json'), JSON.stringify({ channels: { '100': { promptTemplate: 'prompts/pirate.txt', promptLanguage: 'PT-br' } } }));
+        const loaded = loadConfig({ ...validEnv, PROMPT_LANGUAGE: 'FR' }, baseDir);
+        assert.equal(loaded.settings.promptLanguage, 'fr');
+        assert.deepEqual(loaded.channelOverrides['100'], { promptTemplate: 'prompts/pirate.txt', promptLanguage: 'pt-BR' });
+        assert.deepEqual(loaded.promptTemplates, {
+            'prompts/pirate.txt': { name: 'pirate.txt', system: 'You are a pirate.', prompt: 'Answer {author}: {message}', context: null }
+        });
+    });
+
+    it('checks the accounts assigned to channels', () => {
+        assert.deepEqual(problemsOf(validEnv, makeBaseDir({ channels: { '100': { accounts: 'T1,bot-two' }, '200': { accounts: 'T3, t1, T3' } } })), [
+            'channels.json: channels.100.accounts is invalid: has "bot-two", which is not an account (T1, T2... or a Discord user ID)',
+            'channels.json: channels.200.accounts is invalid: lists T3 twice'
+        ]);
+        assert.deepEqual(problemsOf(validEnv, makeBaseDir({ channels: { '100': { accounts: 'T2,T3' } } })),
+            ['channels.json: channels.100.accounts names T3, but DISCORD_TOKENS has 2 token(s)']);
+        const loaded = loadConfig(validEnv, makeBaseDir({ channels: { '100': { accounts: ' t2, 123456789012345678' } } }));
+        assert.deepEqual(loaded.channelOverrides['100'], { accounts: 'T2,123456789012345678' });
+    });
+
+    it('reports an unreadable channels.json as a problem', () => {
+        assert.deepEqual(problemsOf(validEnv, makeBaseDir('{ nope')).length, 1);
+        assert.match(problemsOf(validEnv, makeBaseDir('{ nope'))[0], /^channels\.json: is not valid JSON/);
+    });
+});
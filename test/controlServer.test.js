@@ -0,0 +1,120 @@
+/**
+ * test/controlServer.test.js
+ * Routes, masking and local-only checks of the HTTP control API, driven against a stand-in bot.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const ControlServer = require('../controlServer');
+const { MetricsRegistry } = require('../metrics');
+
+/**
+ * Sends a request to the control server and resolves { status, headers, body }.
+ */
+function request(port, method, path, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, method, path, headers }, res => {
+            let raw = '';
+            res.on('data', chunk => { raw += chunk; });
+            res.on('end', () => {
+                const isJson = (res.headers['content-type'] || '').includes('json');
+                resolve({ status: res.statusCode, headers: res.headers, body: isJson ? JSON.parse(raw) : raw });
+            });
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+describe('ControlServer', () => {
+    const metrics = new MetricsRegistry();
+    metrics.define('discord_bot_messages_sent_total', 'counter', 'Messages sent successfully.');
+    metrics.inc('discord_bot_messages_sent_total', { channel: '100' }, 3);
+
+    const paused = new Set();
+    let botPaused = false;
+    const bot = {
+        isRunningStatus: () => true,
+        isPaused: () => botPaused,
+        isChannelPaused: (id) => botPaused || paused.has(id),
+        pause: (id = null) => {
+            if (id === null) { botPaused = true; return true; }
+            if (id !== '100') return false;
+            paused.add(id);
+            return true;
+        },
+        resume: (id = null) => {
+            if (id === null) { botPaused = false; return true; }
+            if (id !== '100') return false;
+            paused.delete(id);
+            return true;
+        },
+        getMetrics: () => metrics
+    };
+    const getStatusData = () => ({
+        botInfos: { 'token-secret-abcd': { id: '1', fullUsername: 'alpha#0001', tokenRef: 'token-secret-abcd' } },
+        channelDetails: { '100': { name: 'general', guild_name: 'Guild', slowModeDelay: 0 } },
+        discordTokens: ['token-secret-abcd'],
+        aiApiKeys: ['google-key-1234'],
+        aiProviderLabel: 'Google Gemini',
+        channelIds: ['100'],
+        keyHealth: new Map(),
+        isRunning: true,
+        isPaused: botPaused,
+        pausedChannels: [...paused]
+    });
+    const server = new ControlServer({ botLogic: bot, getStatusData, port: 0 });
+    let port;
+
+    before(async () => {
+        port = await server.start();
+    });
+
+    after(() => server.stop());
+
+    it('serves the status with secrets masked', async () => {
+        const { status, body } = await request(port, 'GET', '/status');
+        assert.equal(status, 200);
+        assert.equal(body.accounts[0].token, 'token...abcd');
+        assert.equal(body.accounts[0].username, 'alpha#0001');
+        assert.equal(body.channels[0].name, 'general');
+
+        const raw = JSON.stringify(body) + JSON.stringify((await request(port, 'GET', '/keys')).body);
+        assert.ok(!raw.includes('token-secret-abcd'));
+        assert.ok(!raw.includes('google-key-1234'));
+        assert.deepEqual((await request(port, 'GET', '/accounts')).body, body.accounts);
+    });
+
+    it('pauses and resumes channels and the whole bot', async () => {
+        let response = await request(port, 'POST', '/channels/100/pause');
+        assert.deepEqual(response.body, { ok: true, channel: '100', paused: true });
+        assert.equal((await request(port, 'GET', '/channels')).body[0].paused, true);
+
+        response = await request(port, 'POST', '/channels/999/pause');
+        assert.equal(response.status, 404);
+
+        await request(port, 'POST', '/channels/100/resume');
+        response = await request(port, 'POST', '/pause');
+        assert.deepEqual(response.body, { ok: true, paused: true });
+        assert.equal((await request(port, 'GET', '/health')).body.paused, true);
+        await request(port, 'POST', '/resume');
+        assert.equal(botPaused, false);
+    });
+
+    it('exposes Prometheus metrics', async () => {
+        const { status, headers, body } = await request(port, 'GET', '/metrics');
+        assert.equal(status, 200);
+        assert.match(headers['content-type'], /^text\/plain/);
+        assert.match(body, /# TYPE discord_bot_messages_sent_total counter/);
+        assert.match(body, /discord_bot_messages_sent_total\{channel="100"\} 3/);
+    });
+
+    it('rejects browser and non-local requests and unknown routes', async () => {
+        assert.equal((await request(port, 'POST', '/pause', { Origin: 'http://evil.example' })).status, 403);
+        assert.equal((await request(port, 'GET', '/status', { Host: 'evil.example' })).status, 403);
+        assert.equal(botPaused, false);
+        assert.equal((await request(port, 'GET', '/pause')).status, 405);
+        assert.equal((await request(port, 'GET', '/nope')).status, 404);
+    });
+});
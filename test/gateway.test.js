@@ -0,0 +1,145 @@
+/**
+ * test/gateway.test.js
+ * GatewayConnection against the mock server's fake gateway: identify, dispatches, resuming after
+ * drops and reconnect requests, zombie connections, oversized payloads and refused tokens.
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const MockApiServer = require('./mockServer');
+const { GatewayConnection, INTENTS } = require('../gateway');
+
+/**
+ * Resolves with the arguments of the next matching event (fails after two seconds).
+ */
+function nextEvent(emitter, name, filter = () => true) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`no '${name}' event in time`)), 2000);
+        const listener = (...args) => {
+            if (!filter(...args)) return;
+            clearTimeout(timer);
+            emitter.off(name, listener);
+            resolve(args);
+        };
+        emitter.on(name, listener);
+    });
+}
+
+describe('GatewayConnection', () => {
+    const mock = new MockApiServer();
+    let gateway = null;
+    const logs = [];
+
+    const connect = (token = 'token-a') => {
+        gateway = new GatewayConnection({ token, url: mock.getGatewayUrl(), log: (level, message) => logs.push({ level, message }), reconnectBaseMs: 20 });
+        gateway.connect();
+        return gateway;
+    };
+
+    before(async () => {
+        await mock.start();
+    });
+
+    afterEach(async () => {
+        await gateway?.close();
+        gateway = null;
+        mock.reset();
+        logs.length = 0;
+    });
+
+    after(async () => {
+        await mock.stop();
+    });
+
+    it('identifies and receives dispatches for the account', async () => {
+        mock.addUser('token-a', { id: '1', username: 'alpha' });
+        mock.addChannel({ id: '100', name: 'general' });
+        connect();
+        const [ready] = await nextEvent(gateway, 'ready');
+        assert.deepEqual(ready, { resumed: false });
+        const identify = mock.gatewayPayloads.find(payload => payload.op === 2);
+        assert.equal(identify.d.token, 'token-a');
+        assert.equal(identify.d.intents, INTENTS);
+
+        const created = nextEvent(gateway, 'dispatch', type => type === 'MESSAGE_CREATE');
+        mock.addMessage('100', { content: 'hi', author: { id: '2', username: 'someone' } });
+        const [, message] = await created;
+        assert.equal(message.content, 'hi');
+        assert.equal(message.channel_id, '100');
+
+        const updated = nextEvent(gateway, 'dispatch', type => type === 'CHANNEL_UPDATE');
+        mock.updateChannel('100', { rate_limit_per_user: 30 });
+        assert.equal((await updated)[1].rate_limit_per_user, 30);
+    });
+
+    it('resumes after a dropped connection and replays missed events', async () => {
+        mock.addUser('token-a', { id: '1', username: 'alpha' });
+        mock.addChannel({ id: '100', name: 'general' });
+        connect();
+        await nextEvent(gateway, 'ready');
+
+        const disconnected = nextEvent(gateway, 'disconnected');
+        mock.closeGatewayConnections();
+        await disconnected;
+        mock.addMessage('100', { content: 'while away', author: { id: '2', username: 'someone' } });
+
+        const replayed = nextEvent(gateway, 'dispatch', type => type === 'MESSAGE_CREATE');
+        const [resumed] = await nextEvent(gateway, 'ready');
+        assert.deepEqual(resumed, { resumed: true });
+        assert.equal((await replayed)[1].content, 'while away');
+        assert.equal(mock.gatewayPayloads.filter(payload => payload.op === 2).length, 1);
+        assert.equal(mock.gatewayPayloads.filter(payload => payload.op === 6).length, 1);
+    });
+
+    it('identifies again when the session cannot be resumed', async () => {
+        mock.addUser('token-a', { id: '1', username: 'alpha' });
+        connect();
+        await nextEvent(gateway, 'ready');
+
+        mock.closeGatewayConnections(4009, 'Session timed out.');
+        const [ready] = await nextEvent(gateway, 'ready');
+        assert.deepEqual(ready, { resumed: false });
+        assert.equal(mock.gatewayPayloads.filter(payload => payload.op === 2).length, 2);
+        assert.equal(mock.gatewayPayloads.filter(payload => payload.op === 6).length, 0);
+        assert.ok(logs.some(l => l.message === 'Gateway connection closed (4009 Session timed out.); starting a new session.'));
+    });
+
+    it('reconnects when asked to and when heartbeats go unanswered', async () => {
+        mock.addUser('token-a', { id: '1', username: 'alpha' });
+        connect();
+        await nextEvent(gateway, 'ready');
+
+        mock.requestGatewayReconnect();
+        assert.deepEqual((await nextEvent(gateway, 'ready'))[0], { resumed: true });
+        assert.ok(logs.some(l => l.message === 'Gateway asked for a reconnect.'));
+
+        // Reconnect with short heartbeats that are never acknowledged
+        mock.gatewayHeartbeatMs = 50;
+        mock.gatewayAcksHeartbeats = false;
+        mock.requestGatewayReconnect();
+        await nextEvent(gateway, 'ready');
+        await nextEvent(gateway, 'disconnected');
+        assert.ok(logs.some(l => l.level === 'WARNING' && l.message === 'Gateway heartbeat was not acknowledged; reconnecting.'));
+        assert.ok(mock.gatewayPayloads.some(payload => payload.op === 1));
+    });
+
+    it('drops a connection that sends an oversized payload and resumes', async () => {
+        mock.addUser('token-a', { id: '1', username: 'alpha' });
+        connect();
+        await nextEvent(gateway, 'ready');
+
+        const [client] = mock.gatewayClients;
+        const closed = nextEvent(client.socket, 'close');
+        client.socket.send(JSON.stringify({ op: 0, d: 'x'.repeat(8 * 1024 * 1024) }));
+        assert.equal((await closed)[0], 1009); // Message too big
+        assert.deepEqual((await nextEvent(gateway, 'ready'))[0], { resumed: true });
+        assert.ok(logs.some(l => l.message === 'Gateway socket error: Max payload size exceeded'));
+    });
+
+    it('gives up when the token is refused', async () => {
+        connect('token-unknown');
+        const [code] = await nextEvent(gateway, 'fatal');
+        assert.equal(code, 4004);
+        assert.ok(logs.some(l => l.level === 'ERROR' && l.message.includes('(4004 Authentication failed.); not reconnecting.')));
+    });
+});
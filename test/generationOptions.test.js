@@ -0,0 +1,44 @@
+/**
+ * test/generationOptions.test.js
+ * Gemini model names, stop sequences and the generationConfig built from the settings.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseModelName, parseStopSequences, createGenerationOptions, describeGenerationOptions } = require('../generationOptions');
+
+const unset = {
+    geminiModel: 'gemini-1.5-flash-latest', geminiFallbackModel: null, geminiTemperature: null, geminiTopP: null,
+    geminiMaxOutputTokens: null, geminiStopSequences: null, geminiCandidateCount: null
+};
+
+describe('generationOptions', () => {
+    it('checks model names and stop sequences', () => {
+        assert.equal(parseModelName('models/gemini-1.5-pro-002'), 'gemini-1.5-pro-002');
+        assert.throws(() => parseModelName('gemini pro'), /"gemini pro" is not a model name/);
+        assert.deepEqual(parseStopSequences(' END, ### ,'), ['END', '###']);
+        assert.throws(() => parseStopSequences(' , '), /no stop sequences given/);
+        assert.throws(() => parseStopSequences('a,b,c,d,e,f'), /6 stop sequences given; at most 5 are allowed/);
+    });
+
+    it('leaves unset values to Google', () => {
+        assert.deepEqual(createGenerationOptions(unset), { model: 'gemini-1.5-flash-latest', fallbackModel: null, generationConfig: {} });
+        assert.equal(describeGenerationOptions('gemini-1.5-flash-latest', {}), 'model gemini-1.5-flash-latest, default generationConfig');
+    });
+
+    it('builds the generationConfig and fallback model', () => {
+        const options = createGenerationOptions({
+            ...unset, geminiFallbackModel: 'gemini-1.5-flash-8b', geminiTemperature: 0.7, geminiTopP: 0.9,
+            geminiMaxOutputTokens: 120, geminiStopSequences: 'END', geminiCandidateCount: 2
+        });
+        assert.deepEqual(options, {
+            model: 'gemini-1.5-flash-latest',
+            fallbackModel: 'gemini-1.5-flash-8b',
+            generationConfig: { temperature: 0.7, topP: 0.9, maxOutputTokens: 120, stopSequences: ['END'], candidateCount: 2 }
+        });
+        assert.equal(describeGenerationOptions(options.model, options.generationConfig),
+            'model gemini-1.5-flash-latest, temperature 0.7, topP 0.9, maxOutputTokens 120, stopSequences ["END"], candidateCount 2');
+        // A fallback equal to the model would only repeat the request
+        assert.equal(createGenerationOptions({ ...unset, geminiFallbackModel: 'gemini-1.5-flash-latest' }).fallbackModel, null);
+    });
+});
@@ -0,0 +1,126 @@
+/**
+ * test/headless.test.js
+ * Option parsing, JSON-lines output and status snapshots of the headless reporter.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HeadlessReporter, getHeadlessOptions } = require('../headless');
+const { ConfigError } = require('../config');
+const { buildStatusSnapshot } = require('../statusSnapshot');
+
+const statusData = {
+    botInfos: { 'token-aaaaa-1234': { id: '1', fullUsername: 'alpha#0001', tokenRef: 'token-aaaaa-1234' } },
+    channelDetails: { '100': { name: 'general', guild_name: 'Guild', slowModeDelay: 5 } },
+    discordTokens: ['token-aaaaa-1234', 'token-bbbbb-5678'],
+    aiApiKeys: ['key-one-abcd', 'key-two-efgh'],
+    aiProviderLabel: 'Google Gemini',
+    channelIds: ['100', '200'],
+    channelOverrides: { '100': { intervalSeconds: 120 } },
+    keyHealth: new Map([
+        ['key-one-abcd', { state: 'healthy', until: null, reason: null, weight: 10 }],
+        ['key-two-efgh', { state: 'backoff', until: Date.now() + 90 * 1000, reason: 'rate limited', weight: 0 }]
+    ]),
+    isRunning: true,
+    schedules: {
+        channels: { '100': { scheduled: true, active: false, nextWindowAt: Date.parse('2026-10-19T02:00:00Z'), hourRemaining: null, dayRemaining: 4 } },
+        accounts: { '1': { name: 'alpha#0001', hourRemaining: 3, dayRemaining: null } }
+    },
+    prompts: { '100': { template: 'persona.txt', language: 'fr' } },
+    accountAssignments: {
+        '100': { active: 'token-aaaaa-1234', accounts: [{ token: 'token-bbbbb-5678', failed: '403 Missing Access' }, { token: 'token-aaaaa-1234', failed: null }] }
+    }
+};
+
+describe('getHeadlessOptions', () => {
+    it('defaults to the TUI', () => {
+        assert.deepEqual(getHeadlessOptions([], {}), { headless: false, logFile: null, statusIntervalSeconds: 60 });
+    });
+
+    it('reads the environment and lets flags win', () => {
+        const env = { HEADLESS: 'true', HEADLESS_LOG_FILE: '/var/log/bot.jsonl', STATUS_INTERVAL_SECONDS: '30' };
+        assert.deepEqual(getHeadlessOptions([], env), { headless: true, logFile: '/var/log/bot.jsonl', statusIntervalSeconds: 30 });
+        assert.deepEqual(getHeadlessOptions(['--headless', '--log-file=out.jsonl', '--status-interval=15'], { HEADLESS: 'false' }),
+            { headless: true, logFile: 'out.jsonl', statusIntervalSeconds: 15 });
+    });
+});
+
+describe('buildStatusSnapshot', () => {
+    it('mirrors the status box with masked secrets', () => {
+        const snapshot = buildStatusSnapshot(statusData);
+        assert.equal(snapshot.running, true);
+        assert.equal(snapshot.dryRun, false);
+        assert.deepEqual(snapshot.accounts, [
+            { ref: 'T1', token: 'token...1234', loaded: true, username: 'alpha#0001', id: '1', quota: { hourRemaining: 3, dayRemaining: null } },
+            { ref: 'T2', token: 'token...5678', loaded: false, username: null, id: null, quota: { hourRemaining: null, dayRemaining: null } }
+        ]);
+        assert.deepEqual(snapshot.aiKeys[0], { ref: 'K1', key: 'key-o...abcd', state: 'healthy', cooldownSeconds: 0, weight: 10, reason: null, benchedModels: [] });
+        assert.equal(snapshot.aiKeys[1].state, 'backoff');
+        assert.equal(snapshot.aiKeys[1].reason, 'rate limited');
+        assert.ok(snapshot.aiKeys[1].cooldownSeconds > 80);
+        assert.deepEqual(snapshot.channels[0], {
+            id: '100', name: 'general', guild: 'Guild', state: 'ok', paused: false, slowModeSeconds: 5, overrides: { intervalSeconds: 120 },
+            prompt: { template: 'persona.txt', language: 'fr' },
+            accounts: [
+                { ref: 'T2', username: null, state: 'failed', reason: '403 Missing Access' },
+                { ref: 'T1', username: 'alpha#0001', state: 'active', reason: null }
+            ],
+            schedule: { active: false, nextWindowAt: '2026-10-19T02:00:00.000Z', hourRemaining: null, dayRemaining: 4 }
+        });
+        assert.equal(snapshot.channels[1].state, 'init');
+        assert.ok(!JSON.stringify(snapshot).includes('key-one-abcd'));
+    });
+});
+
+describe('HeadlessReporter', () => {
+    let logFile;
+    let reporter;
+    const readLines = () => fs.readFileSync(logFile, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+
+    beforeEach(() => {
+        logFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'headless-test-')), 'bot.jsonl');
+        reporter = new HeadlessReporter({ logFile });
+    });
+
+    afterEach(() => reporter.destroy());
+
+    it('writes structured records and strips TUI tags from plain notices', () => {
+        const record = { timestamp: '2024-01-01T00:00:00.000Z', level: 'INFO', channel: '100', account: 'alpha', message: '[Channel 100 | Bot: alpha] hi' };
+        reporter.addLog('INFO', 'formatted line', record);
+        reporter.addLog('SUCCESS', '{green-fg}Bot Logic started successfully.{/green-fg}');
+
+        const [first, second] = readLines();
+        assert.deepEqual(first, record);
+        assert.equal(second.level, 'SUCCESS');
+        assert.equal(second.message, 'Bot Logic started successfully.');
+        assert.equal(second.channel, null);
+    });
+
+    it('writes status snapshots only when they change', () => {
+        reporter.updateStatus(statusData);
+        reporter.updateStatus(statusData);
+        reporter.updateStatus({ ...statusData, isRunning: false });
+
+        const lines = readLines();
+        assert.equal(lines.length, 2);
+        assert.equal(lines[0].level, 'STATUS');
+        assert.equal(lines[0].status.running, true);
+        assert.equal(lines[1].status.running, false);
+    });
+
+    it('reports a log file that cannot be opened as a configuration problem', () => {
+        const missingDir = path.join(path.dirname(logFile), 'missing', 'bot.jsonl');
+        assert.throws(() => new HeadlessReporter({ logFile: missingDir }), error => error instanceof ConfigError &&
+            error.problems[0].startsWith('HEADLESS_LOG_FILE / --log-file cannot be opened for writing (ENOENT'));
+    });
+
+    it('reports configuration problems as one FATAL line', () => {
+        reporter.showConfigError({ problems: ['CHANNEL_IDS is required (comma-separated list)'] });
+        const [line] = readLines();
+        assert.equal(line.level, 'FATAL');
+        assert.deepEqual(line.problems, ['CHANNEL_IDS is required (comma-separated list)']);
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * test/keyHealth.test.js
+ * Key states, backoff, weighted selection and the daily quota reset time.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { KeyHealthTracker, nextQuotaReset } = require('../keyHealth');
+
+const pickMany = (tracker, count, model = null) => Array.from({ length: count }, () => tracker.pick(model));
+
+describe('KeyHealthTracker', () => {
+    it('rotates evenly through keys with equal weights', () => {
+        const tracker = new KeyHealthTracker(['a', 'b', 'c']);
+        assert.deepEqual(pickMany(tracker, 6), ['a', 'b', 'c', 'a', 'b', 'c']);
+        assert.equal(tracker.get('a').state, 'unknown');
+        tracker.markValidated('a');
+        assert.equal(tracker.get('a').state, 'healthy');
+    });
+
+    it('picks keys with failing calls less often', () => {
+        const tracker = new KeyHealthTracker(['good', 'flaky']);
+        for (let i = 0; i < 9; i++) {
+            tracker.recordOutcome('good', true);
+            tracker.recordOutcome('flaky', i % 3 === 0);
+        }
+        assert.equal(tracker.getWeight('good'), 10);
+        assert.equal(tracker.getWeight('flaky'), 4);
+        const picks = pickMany(tracker, 14);
+        assert.equal(picks.filter(key => key === 'good').length, 10);
+        assert.equal(picks.filter(key => key === 'flaky').length, 4);
+    });
+
+    it('benches throttled keys with a retry hint or exponential backoff', () => {
+        const tracker = new KeyHealthTracker(['a', 'b']);
+        const now = 1_000_000;
+        assert.equal(tracker.markBackoff('a', 12, 'rate limited', now), now + 12 * 1000);
+        assert.equal(tracker.markBackoff('b', null, 'rate limited', now), now + 30 * 1000);
+        assert.equal(tracker.markBackoff('b', null, 'rate limited', now), now + 60 * 1000);
+        assert.equal(tracker.pick(), null);
+        assert.equal(tracker.nextAvailableAt(), now + 12 * 1000);
+
+        assert.deepEqual(tracker.releaseExpired(now + 20 * 1000), ['a']);
+        assert.ok(!tracker.isBenched('a', now + 20 * 1000));
+        assert.ok(tracker.isBenched('b', now + 20 * 1000));
+        assert.deepEqual(pickMany(tracker, 2), ['a', 'a']);
+
+        tracker.recordOutcome('b', true); // A success (e.g. with another model) clears the bench and the backoff step
+        assert.equal(tracker.get('b').state, 'healthy');
+        assert.equal(tracker.markBackoff('b', null, 'rate limited', now), now + 30 * 1000);
+    });
+
+    it('keeps a per-model bench through successes on other models', () => {
+        const tracker = new KeyHealthTracker(['a']);
+        tracker.markExhausted('a', 5_000_000, 'daily quota exhausted', 'gemini-2.0-flash');
+        tracker.recordOutcome('a', true, 'gemini-1.5-flash-8b');
+        assert.ok(tracker.isModelBenched('a', 'gemini-2.0-flash', 1000));
+        tracker.recordOutcome('a', true, 'gemini-2.0-flash');
+        assert.ok(!tracker.isModelBenched('a', 'gemini-2.0-flash', 1000));
+    });
+
+    it('benches only the model whose quota was hit and keeps the key for the others', () => {
+        const tracker = new KeyHealthTracker(['a', 'b']);
+        const now = 1_000_000;
+        tracker.markExhausted('a', now + 60_000, 'daily quota exhausted', 'gemini-2.0-flash');
+        assert.equal(tracker.markBackoff('b', null, 'rate limited', now, 'gemini-2.0-flash'), now + 30 * 1000);
+        assert.equal(tracker.markBackoff('b', null, 'rate limited', now, 'gemini-2.0-flash'), now + 60 * 1000);
+        assert.equal(tracker.get('a').state, 'unknown');
+        assert.ok(!tracker.isBenched('a', now));
+        assert.ok(tracker.isBenched('a', now, 'gemini-2.0-flash'));
+        assert.deepEqual(pickMany(tracker, 2), ['a', 'b']);
+        assert.deepEqual(pickMany(tracker, 2, 'gemini-1.5-pro'), ['a', 'b']);
+        assert.equal(tracker.pick('gemini-2.0-flash'), null);
+        assert.equal(tracker.nextAvailableAt(), null);
+        assert.equal(tracker.nextAvailableAt('gemini-2.0-flash'), now + 60_000);
+        assert.deepEqual(tracker.snapshot().get('a').models, { 'gemini-2.0-flash': { state: 'exhausted', until: now + 60_000, reason: 'daily quota exhausted' } });
+
+        tracker.markBackoff('b', 5, 'rate limited', now); // A whole-key bench on top
+        assert.deepEqual(tracker.releaseExpired(now + 60_000), ['b']);
+        assert.deepEqual(pickMany(tracker, 2, 'gemini-2.0-flash'), ['a', 'b']);
+        assert.deepEqual(tracker.snapshot().get('b').models, {});
+    });
+
+    it('keeps exhausted keys out until the reset and invalid keys for good', () => {
+        const tracker = new KeyHealthTracker(['a', 'b', 'c']);
+        tracker.markExhausted('a', 5000, 'daily quota exhausted');
+        tracker.markInvalid('b', '403 PERMISSION_DENIED');
+        assert.deepEqual(pickMany(tracker, 2), ['c', 'c']);
+        assert.deepEqual(tracker.releaseExpired(5000), ['a']);
+        assert.equal(tracker.getWeight('b'), 0);
+        assert.deepEqual(tracker.snapshot().get('b'), { state: 'invalid', until: null, reason: '403 PERMISSION_DENIED', weight: 0, models: {} });
+    });
+});
+
+describe('nextQuotaReset', () => {
+    it('returns the next midnight Pacific time', () => {
+        assert.equal(nextQuotaReset(Date.parse('2026-10-19T12:00:00Z')), Date.parse('2026-10-20T07:00:00Z')); // PDT
+        assert.equal(nextQuotaReset(Date.parse('2026-12-01T07:30:00Z')), Date.parse('2026-12-01T08:00:00Z')); // PST, 23:30 the day before
+    });
+
+    it('finds the next midnight on days when daylight saving time starts or ends', () => {
+        assert.equal(nextQuotaReset(Date.parse('2026-03-08T12:00:00Z')), Date.parse('2026-03-09T07:00:00Z')); // 23-hour day
+        assert.equal(nextQuotaReset(Date.parse('2026-03-08T07:59:59Z')), Date.parse('2026-03-08T08:00:00Z')); // Just before it, still PST
+        assert.equal(nextQuotaReset(Date.parse('2026-11-01T12:00:00Z')), Date.parse('2026-11-02T08:00:00Z')); // 25-hour day
+        assert.equal(nextQuotaReset(Date.parse('2026-11-01T06:30:00Z')), Date.parse('2026-11-01T07:00:00Z')); // 23:30 PDT the day before
+    });
+});
@@ -0,0 +1,59 @@
+/**
+ * test/logger.test.js
+ * Secret redaction and size/date rotation with retention of the log files.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RotatingLogFile, createRedactor } = require('../logger');
+
+const today = () => new Date().toISOString().substring(0, 10);
+
+describe('createRedactor', () => {
+    it('removes configured secrets and token-shaped strings', () => {
+        const redact = createRedactor(['secret-token-123', 'sk-openai-key', '']);
+        assert.equal(redact('auth secret-token-123 failed, key sk-openai-key'), 'auth [REDACTED] failed, key [REDACTED]');
+
+        const discordToken = `${'M'.repeat(24)}.GaBcDe.${'x'.repeat(38)}`;
+        const googleKey = `AIza${'B'.repeat(35)}`;
+        assert.equal(redact(`{"token":"${discordToken}","url":"?key=${googleKey}"}`), '{"token":"[REDACTED]","url":"?key=[REDACTED]"}');
+        assert.equal(redact('[Channel 100] Message sent (ID: 1234567890).'), '[Channel 100] Message sent (ID: 1234567890).');
+    });
+});
+
+describe('RotatingLogFile', () => {
+    it('continues in a numbered file once the size limit is reached', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-test-'));
+        const logFile = new RotatingLogFile({ dir, maxSizeBytes: 25, maxFiles: 10 });
+        logFile.write('first line of log'); // 18 bytes
+        logFile.write('second line'); // Would exceed 25 bytes
+        logFile.write('third');
+        logFile.close();
+
+        assert.deepEqual(fs.readdirSync(dir).sort(), [`bot-${today()}.1.log`, `bot-${today()}.log`]);
+        assert.equal(fs.readFileSync(path.join(dir, `bot-${today()}.log`), 'utf-8'), 'first line of log\n');
+        assert.equal(fs.readFileSync(path.join(dir, `bot-${today()}.1.log`), 'utf-8'), 'second line\nthird\n');
+
+        // A restart appends to the newest file of the day
+        const reopened = new RotatingLogFile({ dir, maxSizeBytes: 25, maxFiles: 10 });
+        reopened.write('after restart');
+        reopened.close();
+        assert.equal(fs.readdirSync(dir).length, 3);
+        assert.ok(fs.existsSync(path.join(dir, `bot-${today()}.2.log`)));
+    });
+
+    it('keeps only the newest files', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-test-'));
+        ['bot-2020-01-01.log', 'bot-2020-01-01.1.log', 'bot-2020-01-02.log', 'notes.txt']
+            .forEach(name => fs.writeFileSync(path.join(dir, name), 'old\n'));
+
+        const logFile = new RotatingLogFile({ dir, maxSizeBytes: 1024, maxFiles: 2 });
+        logFile.write('today');
+        logFile.close();
+
+        assert.deepEqual(fs.readdirSync(dir).sort(), ['bot-2020-01-02.log', `bot-${today()}.log`, 'notes.txt']);
+    });
+});
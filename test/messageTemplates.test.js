@@ -0,0 +1,68 @@
+/**
+ * test/messageTemplates.test.js
+ * Parsing, variable rendering and shuffled draw cycles of the message file templates.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MessageCycle, parseMessageFile, renderTemplate, getTimeOfDay } = require('../messageTemplates');
+
+describe('parseMessageFile', () => {
+    it('reads one message per line with optional weights', () => {
+        assert.deepEqual(parseMessageFile('Hello there\r\n\n[weight=3]  Popular line\n[weight=0] Rare\n'), [
+            { text: 'Hello there', weight: 1 },
+            { text: 'Popular line', weight: 3 },
+            { text: 'Rare', weight: 1 }
+        ]);
+    });
+
+    it('splits on --- lines into multi-line messages', () => {
+        const text = '[weight=2] Line one\n  indented line two  \n---\nSecond message\n---\n\n---  \n';
+        assert.deepEqual(parseMessageFile(text), [
+            { text: 'Line one\n  indented line two', weight: 2 },
+            { text: 'Second message', weight: 1 }
+        ]);
+    });
+});
+
+describe('renderTemplate', () => {
+    it('fills in channel, account and time variables and keeps unknown ones', () => {
+        const now = new Date(2024, 0, 6, 9, 5); // Saturday morning
+        assert.equal(
+            renderTemplate('Good {timeOfDay} #{channel} on {server}! {username} here at {time} on {weekday} {date}. {unknown}', {
+                channel: 'general', server: 'Guild', username: 'alpha'
+            }, now),
+            'Good morning #general on Guild! alpha here at 09:05 on Saturday 2024-01-06. {unknown}'
+        );
+        assert.equal(renderTemplate('{channel}|{server}', {}), '|');
+    });
+
+    it('names the part of the day', () => {
+        assert.deepEqual([5, 12, 17, 21, 2].map(hour => getTimeOfDay(new Date(2024, 0, 1, hour))),
+            ['morning', 'afternoon', 'evening', 'night', 'night']);
+    });
+});
+
+describe('MessageCycle', () => {
+    it('uses every message (weight) times per cycle without back-to-back repeats', () => {
+        const cycle = new MessageCycle([{ text: 'a', weight: 1 }, { text: 'b', weight: 2 }, { text: 'c', weight: 1 }]);
+        for (let round = 0; round < 20; round++) {
+            const drawn = [cycle.next(), cycle.next(), cycle.next(), cycle.next()];
+            assert.deepEqual([...drawn].sort(), ['a', 'b', 'b', 'c']);
+        }
+        // Also across cycle boundaries
+        const pair = new MessageCycle([{ text: 'x', weight: 1 }, { text: 'y', weight: 1 }]);
+        let previous = null;
+        for (let i = 0; i < 50; i++) {
+            const text = pair.next();
+            assert.notEqual(text, previous);
+            previous = text;
+        }
+    });
+
+    it('returns null without messages and repeats a single one', () => {
+        assert.equal(new MessageCycle([]).next(), null);
+        const single = new MessageCycle([{ text: 'only', weight: 1 }]);
+        assert.deepEqual([single.next(), single.next()], ['only', 'only']);
+    });
+});
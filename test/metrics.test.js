@@ -0,0 +1,50 @@
+/**
+ * test/metrics.test.js
+ * Prometheus text rendering of the metrics registry.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MetricsRegistry } = require('../metrics');
+
+describe('MetricsRegistry', () => {
+    it('renders counters and gauges per label set', () => {
+        const metrics = new MetricsRegistry();
+        metrics.define('requests_total', 'counter', 'Requests.');
+        metrics.define('paused', 'gauge', 'Paused.');
+        metrics.inc('requests_total', { key: 'abc"d' });
+        metrics.inc('requests_total', { key: 'abc"d' }, 2);
+        metrics.set('paused', { channel: '1' }, 1);
+
+        assert.equal(metrics.get('requests_total', { key: 'abc"d' }), 3);
+        assert.equal(metrics.get('requests_total', { key: 'other' }), 0);
+        assert.equal(metrics.render(), [
+            '# HELP requests_total Requests.',
+            '# TYPE requests_total counter',
+            'requests_total{key="abc\\"d"} 3',
+            '# HELP paused Paused.',
+            '# TYPE paused gauge',
+            'paused{channel="1"} 1',
+            ''
+        ].join('\n'));
+    });
+
+    it('renders cumulative histogram buckets', () => {
+        const metrics = new MetricsRegistry();
+        metrics.define('duration_seconds', 'histogram', 'Duration.', [1, 5]);
+        metrics.observe('duration_seconds', {}, 0.5);
+        metrics.observe('duration_seconds', {}, 3);
+        metrics.observe('duration_seconds', {}, 10);
+
+        const text = metrics.render();
+        assert.match(text, /duration_seconds_bucket\{le="1"\} 1\n/);
+        assert.match(text, /duration_seconds_bucket\{le="5"\} 2\n/);
+        assert.match(text, /duration_seconds_bucket\{le="\+Inf"\} 3\n/);
+        assert.match(text, /duration_seconds_sum 13.5\n/);
+        assert.match(text, /duration_seconds_count 3\n/);
+    });
+
+    it('refuses undeclared metrics', () => {
+        assert.throws(() => new MetricsRegistry().inc('missing_total'), /Unknown metric/);
+    });
+});
@@ -0,0 +1,552 @@
+/**
+ * test/mockServer.js
+ * Local stand-in for the Discord REST API and gateway and the AI backends (Gemini generateContent,
+ * OpenAI-compatible chat completions, Ollama /api/chat).
+ * Used by the test suite, and runnable on its own (`npm run mock`) to try the bot offline.
+ */
+
+const http = require('http');
+const { WebSocketServer } = require('ws');
+
+/**
+ * In-memory fake of the Discord and AI endpoints the bot uses.
+ *
+ * Discord routes (under /api/v9):
+ *   GET /gateway, GET /users/@me, GET /channels/:id, GET|POST /channels/:id/messages,
+ *   DELETE /channels/:id/messages/:messageId, GET /guilds/:id
+ * Discord gateway (WebSocket at /gateway):
+ *   HELLO, heartbeat ACKs, IDENTIFY -> READY, RESUME -> replay + RESUMED; MESSAGE_CREATE,
+ *   MESSAGE_DELETE and CHANNEL_UPDATE are dispatched when messages/channels change
+ * Google routes (under /v1beta):
+ *   GET /models/:model?key=..., POST /models/:model:generateContent?key=...
+ * OpenAI-compatible routes (under /openai/v1):
+ *   POST /chat/completions
+ * Ollama routes (under /ollama):
+ *   POST /api/chat
+ */
+class MockApiServer {
+    constructor() {
+        this.server = null;
+        this.gatewayServer = new WebSocketServer({ noServer: true }); // Upgrades /gateway requests of this.server
+        this.port = null;
+        this.reset();
+    }
+
+    /**
+     * Clears all seeded data, recorded requests and injected faults.
+     */
+    reset() {
+        this.gatewayClients?.forEach(client => client.socket.terminate());
+        this.users = new Map(); // token -> { id, username, discriminator }
+        this.channels = new Map(); // channelId -> { id, name, guild_id, rate_limit_per_user, allowedUserIds }
+        this.guilds = new Map(); // guildId -> { id, name }
+        this.messages = new Map(); // channelId -> [message] (oldest first)
+        this.googleKeys = new Map(); // apiKey -> 'valid' | 'rate_limited' | 'quota_exhausted' | 'forbidden' | 'region_blocked' | 'model_denied'
+        this.openAiKeys = new Map(); // apiKey -> 'valid' | 'rate_limited' | 'forbidden'; requests without a key are accepted
+        this.ollamaBusy = false; // When true, /api/chat answers 503 like a saturated Ollama queue
+        this.aiReplies = []; // Queue of canned replies (shared by all AI routes); falls back to an echo when empty; null = blocked by Gemini's safety settings
+        this.faults = []; // Injected one-shot failures [{ method, pattern, status, body }] or stalls [{ stall: true }]
+        this.requests = []; // Every request received [{ method, path, query, body }]
+        this.gatewayClients = new Set(); // Open gateway connections { socket, session }
+        this.gatewaySessions = new Map(); // sessionId -> { id, token, user, sequence, events } (events are replayed on RESUME)
+        this.gatewayPayloads = []; // Every payload clients sent on the gateway ({ op, d })
+        this.gatewayHeartbeatMs = 45000; // heartbeat_interval sent in HELLO
+        this.gatewayAcksHeartbeats = true; // When false, heartbeats go unanswered (a zombie connection)
+        this.nextId = 1000;
+    }
+
+    // --- Seeding helpers ---
+
+    addUser(token, user) {
+        const stored = { discriminator: '0', ...user };
+        this.users.set(token, stored);
+        return stored;
+    }
+
+    addGuild(guild) {
+        this.guilds.set(guild.id, { ...guild });
+        return guild;
+    }
+
+    addChannel(channel) {
+        const stored = { type: 0, rate_limit_per_user: 0, guild_id: null, allowedUserIds: null, ...channel };
+        this.channels.set(channel.id, stored);
+        if (!this.messages.has(channel.id)) this.messages.set(channel.id, []);
+        return stored;
+    }
+
+    /**
+     * Adds a message to a channel as if a user had posted it.
+     * @param {string} channelId - Target channel.
+     * @param {object} message - Partial message ({ content, author, type, ... }).
+     * @returns {object} The stored message.
+     */
+    addMessage(channelId, message) {
+        const stored = {
+            id: String(this.nextId++),
+            type: 0,
+            channel_id: channelId,
+            timestamp: new Date().toISOString(),
+            ...message
+        };
+        if (!this.messages.has(channelId)) this.messages.set(channelId, []);
+        this.messages.get(channelId).push(stored);
+        this.dispatchGatewayEvent('MESSAGE_CREATE', stored, channelId);
+        return stored;
+    }
+
+    /**
+     * Edits a stored message and dispatches MESSAGE_UPDATE.
+     * @param {string} channelId - The channel.
+     * @param {string} messageId - The message.
+     * @param {string} content - New text.
+     * @returns {object} The edited message.
+     */
+    editMessage(channelId, messageId, content) {
+        const message = this.messages.get(channelId).find(m => m.id === messageId);
+        Object.assign(message, { content, edited_timestamp: new Date().toISOString() });
+        this.dispatchGatewayEvent('MESSAGE_UPDATE', { id: messageId, channel_id: channelId, content, edited_timestamp: message.edited_timestamp }, channelId);
+        return message;
+    }
+
+    /**
+     * Changes a channel's fields (name, rate_limit_per_user, ...) and dispatches CHANNEL_UPDATE.
+     * @param {string} channelId - The channel.
+     * @param {object} changes - Fields to overwrite.
+     */
+    updateChannel(channelId, changes) {
+        const channel = this.channels.get(channelId);
+        Object.assign(channel, changes);
+        const { allowedUserIds, ...publicChannel } = channel;
+        this.dispatchGatewayEvent('CHANNEL_UPDATE', publicChannel, channelId);
+    }
+
+    /**
+     * Registers a Google API key with a behaviour.
+     * @param {string} apiKey - The key.
+     * @param {'valid'|'rate_limited'|'quota_exhausted'|'forbidden'|'region_blocked'|'model_denied'} state - How the Google
+     *   routes respond to it: rate_limited is a per-minute 429 with a 30s retry delay, quota_exhausted a per-day 429 (both
+     *   project-wide, not for one model), forbidden a 403 blocking the key, region_blocked and model_denied 403s that do
+     *   not blame the key.
+     *   Unregistered keys get 400 API_KEY_INVALID.
+     */
+    setGoogleKey(apiKey, state = 'valid') {
+        this.googleKeys.set(apiKey, state);
+    }
+
+    /**
+     * Registers an OpenAI-compatible bearer key with a behaviour (same states as setGoogleKey).
+     */
+    setOpenAiKey(apiKey, state = 'valid') {
+        this.openAiKeys.set(apiKey, state);
+    }
+
+    /**
+     * Makes the next request matching method/pattern fail with the given response.
+     * @param {string} method - HTTP method ('*' for any).
+     * @param {RegExp|string} pattern - Matched against the request path.
+     * @param {number} status - HTTP status to return.
+     * @param {object} body - JSON body to return.
+     * @param {object} [headers] - Extra response headers.
+     */
+    injectFault(method, pattern, status, body = {}, headers = {}) {
+        this.faults.push({ method, pattern, status, body, headers });
+    }
+
+    /**
+     * Makes the next request matching method/pattern hang without a response (until the client aborts or stop()).
+     * @param {string} method - HTTP method ('*' for any).
+     * @param {RegExp|string} pattern - Matched against the request path.
+     */
+    stallNext(method, pattern) {
+        this.faults.push({ method, pattern, stall: true });
+    }
+
+    /**
+     * Closes every gateway connection, as a network drop (no code) or with a close code.
+     * Sessions survive, so clients can RESUME and get the events they missed.
+     * @param {number} [code] - Close code; omitted to drop the sockets without a close frame.
+     * @param {string} [reason] - Close reason.
+     */
+    closeGatewayConnections(code = null, reason = '') {
+        this.gatewayClients.forEach(client => (code === null ? client.socket.terminate() : client.socket.close(code, reason)));
+    }
+
+    /**
+     * Sends op 7 RECONNECT to every gateway connection.
+     */
+    requestGatewayReconnect() {
+        this.gatewayClients.forEach(client => this.sendGateway(client, { op: 7, d: null }));
+    }
+
+    /**
+     * Returns recorded requests, optionally filtered by method and path pattern.
+     */
+    getRequests(method = null, pattern = null) {
+        return this.requests.filter(req =>
+            (!method || req.method === method) &&
+            (!pattern || (pattern instanceof RegExp ? pattern.test(req.path) : req.path === pattern)));
+    }
+
+    // --- Server lifecycle ---
+
+    /**
+     * Starts listening on localhost.
+     * @param {number} [port=0] - Port to bind (0 picks a free one).
+     * @returns {Promise<object>} Base URLs ({ discord, google, openai, ollama }) to hand to apiClient.setApiBaseUrls.
+     */
+    start(port = 0) {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this.handle(req, res));
+            this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', () => {
+                this.port = this.server.address().port;
+                resolve(this.getBaseUrls());
+            });
+        });
+    }
+
+    getBaseUrls() {
+        return {
+            discord: `http://127.0.0.1:${this.port}/api/v9`,
+            google: `http://127.0.0.1:${this.port}/v1beta`,
+            openai: `http://127.0.0.1:${this.port}/openai/v1`,
+            ollama: `http://127.0.0.1:${this.port}/ollama`
+        };
+    }
+
+    stop() {
+        return new Promise(resolve => {
+            if (!this.server) return resolve();
+            this.gatewayClients.forEach(client => client.socket.terminate());
+            this.server.closeAllConnections?.();
+            this.server.close(() => resolve());
+            this.server = null;
+        });
+    }
+
+    // --- Request handling ---
+
+    handle(req, res) {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://127.0.0.1');
+            let body = null;
+            if (raw) {
+                try { body = JSON.parse(raw); } catch (e) { body = raw; }
+            }
+            const record = { method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body, headers: req.headers };
+            this.requests.push(record);
+
+            const send = (status, payload, headers = {}) => {
+                res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+                res.end(payload === undefined ? '' : JSON.stringify(payload));
+            };
+
+            const faultIndex = this.faults.findIndex(f =>
+                (f.method === '*' || f.method === req.method) &&
+                (f.pattern instanceof RegExp ? f.pattern.test(url.pathname) : f.pattern === url.pathname));
+            if (faultIndex !== -1) {
+                const [fault] = this.faults.splice(faultIndex, 1);
+                if (fault.stall) return; // Leave the request hanging
+                return send(fault.status, fault.body, fault.headers);
+            }
+
+            if (url.pathname.startsWith('/api/v9/')) {
+                return this.handleDiscord(req.method, url.pathname.slice('/api/v9'.length), record, send);
+            }
+            if (url.pathname.startsWith('/v1beta/')) {
+                return this.handleGoogle(req.method, url.pathname.slice('/v1beta'.length), record, send);
+            }
+            if (url.pathname.startsWith('/openai/v1/')) {
+                return this.handleOpenAi(req.method, url.pathname.slice('/openai/v1'.length), record, send);
+            }
+            if (url.pathname.startsWith('/ollama/')) {
+                return this.handleOllama(req.method, url.pathname.slice('/ollama'.length), record, send);
+            }
+            send(404, { message: '404: Not Found', code: 0 });
+        });
+    }
+
+    handleDiscord(method, path, record, send) {
+        if (method === 'GET' && path === '/gateway') {
+            return send(200, { url: this.getGatewayUrl() });
+        }
+
+        const user = this.users.get(record.headers.authorization);
+        if (!user) {
+            return send(401, { message: '401: Unauthorized', code: 0 });
+        }
+
+        if (method === 'GET' && path === '/users/@me') {
+            return send(200, user);
+        }
+
+        let match = path.match(/^\/guilds\/([^/]+)$/);
+        if (match && method === 'GET') {
+            const guild = this.guilds.get(match[1]);
+            return guild ? send(200, guild) : send(404, { message: 'Unknown Guild', code: 10004 });
+        }
+
+        match = path.match(/^\/channels\/([^/]+)(\/messages(?:\/([^/]+))?)?$/);
+        if (!match) {
+            return send(404, { message: '404: Not Found', code: 0 });
+        }
+        const [, channelId, messagesPath, messageId] = match;
+        const channel = this.channels.get(channelId);
+        if (!channel) {
+            return send(404, { message: 'Unknown Channel', code: 10003 });
+        }
+        if (channel.allowedUserIds && !channel.allowedUserIds.includes(user.id)) {
+            return send(403, { message: 'Missing Access', code: 50001 });
+        }
+
+        if (!messagesPath) {
+            if (method !== 'GET') return send(405, { message: '405: Method Not Allowed', code: 0 });
+            const { allowedUserIds, ...publicChannel } = channel;
+            return send(200, publicChannel);
+        }
+
+        const channelMessages = this.messages.get(channelId);
+
+        if (!messageId && method === 'GET') {
+            const limit = Math.min(parseInt(record.query.limit || '50', 10), 100);
+            return send(200, channelMessages.slice(-limit).reverse()); // Newest first, like Discord
+        }
+
+        if (!messageId && method === 'POST') {
+            const payload = record.body || {};
+            if (!payload.content) {
+                return send(400, { message: 'Cannot send an empty message', code: 50006 });
+            }
+            const reference = payload.message_reference;
+            const message = this.addMessage(channelId, {
+                content: payload.content,
+                author: { id: user.id, username: user.username, discriminator: user.discriminator },
+                message_reference: reference ? { channel_id: channelId, ...reference } : undefined,
+                referenced_message: reference ? channelMessages.find(m => m.id === reference.message_id) || null : undefined
+            });
+            return send(200, message);
+        }
+
+        if (messageId && method === 'DELETE') {
+            const index = channelMessages.findIndex(m => m.id === messageId);
+            if (index === -1) {
+                return send(404, { message: 'Unknown Message', code: 10008 });
+            }
+            channelMessages.splice(index, 1);
+            this.dispatchGatewayEvent('MESSAGE_DELETE', { id: messageId, channel_id: channelId }, channelId);
+            return send(204);
+        }
+
+        send(405, { message: '405: Method Not Allowed', code: 0 });
+    }
+
+    // --- Gateway ---
+
+    getGatewayUrl() {
+        return `ws://127.0.0.1:${this.port}/gateway`;
+    }
+
+    handleUpgrade(req, socket, head) {
+        if (new URL(req.url, 'http://127.0.0.1').pathname !== '/gateway') {
+            socket.destroy();
+            return;
+        }
+        this.gatewayServer.handleUpgrade(req, socket, head, (webSocket) => this.acceptGatewayClient(webSocket));
+    }
+
+    acceptGatewayClient(webSocket) {
+        const client = { socket: webSocket, session: null };
+        this.gatewayClients.add(client);
+        client.socket.on('error', () => {}); // Clients dropping mid-write
+        client.socket.on('close', () => this.gatewayClients.delete(client));
+        client.socket.on('message', data => this.handleGatewayPayload(client, data.toString()));
+        this.sendGateway(client, { op: 10, d: { heartbeat_interval: this.gatewayHeartbeatMs } });
+    }
+
+    handleGatewayPayload(client, text) {
+        let payload;
+        try {
+            payload = JSON.parse(text);
+        } catch (error) {
+            client.socket.close(4002, 'Decode error.');
+            return;
+        }
+        this.gatewayPayloads.push(payload);
+        const { op, d } = payload;
+
+        if (op === 1 && this.gatewayAcksHeartbeats) {
+            this.sendGateway(client, { op: 11, d: null });
+        } else if (op === 2) {
+            const user = this.users.get(d?.token);
+            if (!user) {
+                client.socket.close(4004, 'Authentication failed.');
+                return;
+            }
+            const session = { id: `session-${this.nextId++}`, token: d.token, user, sequence: 0, events: [] };
+            this.gatewaySessions.set(session.id, session);
+            client.session = session;
+            this.dispatchToSession(session, 'READY', { v: 9, user, session_id: session.id, resume_gateway_url: this.getGatewayUrl(), guilds: [] });
+        } else if (op === 6) {
+            const session = this.gatewaySessions.get(d?.session_id);
+            if (!session || session.token !== d.token) {
+                this.sendGateway(client, { op: 9, d: false });
+                return;
+            }
+            client.session = session;
+            session.events.filter(event => event.s > d.seq).forEach(event => this.sendGateway(client, { op: 0, ...event }));
+            this.dispatchToSession(session, 'RESUMED', {});
+        }
+    }
+
+    sendGateway(client, payload) {
+        client.socket.send(JSON.stringify({ s: null, t: null, ...payload }));
+    }
+
+    /**
+     * Records an event in a session and sends it to the session's open connection, if any.
+     */
+    dispatchToSession(session, type, data) {
+        const event = { s: ++session.sequence, t: type, d: data };
+        session.events.push(event);
+        this.gatewayClients.forEach(client => {
+            if (client.session === session) this.sendGateway(client, { op: 0, ...event });
+        });
+    }
+
+    /**
+     * Dispatches an event to every gateway session whose account can see the channel.
+     */
+    dispatchGatewayEvent(type, data, channelId) {
+        const channel = this.channels.get(channelId);
+        this.gatewaySessions.forEach(session => {
+            if (!channel?.allowedUserIds || channel.allowedUserIds.includes(session.user.id)) {
+                this.dispatchToSession(session, type, data);
+            }
+        });
+    }
+
+    handleGoogle(method, path, record, send) {
+        const modelMatch = path.match(/^\/models\/([^/:]+)$/);
+        const match = path.match(/^\/models\/([^/:]+):generateContent$/);
+        if (!(modelMatch && method === 'GET') && !(match && method === 'POST')) {
+            return send(404, { error: { code: 404, message: 'Not found', status: 'NOT_FOUND' } });
+        }
+
+        const state = this.googleKeys.get(record.query.key);
+        if (state === 'rate_limited' || state === 'quota_exhausted') {
+            const quotaId = state === 'rate_limited' ? 'GenerateRequestsPerMinutePerProject-FreeTier' : 'GenerateRequestsPerDayPerProject-FreeTier';
+            const details = [{ '@type': 'type.googleapis.com/google.rpc.QuotaFailure', violations: [{ quotaMetric: 'generativelanguage.googleapis.com/generate_content_free_tier_requests', quotaId }] }];
+            if (state === 'rate_limited') {
+                details.push({ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '30s' });
+            }
+            return send(429, { error: { code: 429, message: 'Resource has been exhausted (e.g. check quota).', status: 'RESOURCE_EXHAUSTED', details } });
+        }
+        if (state === 'forbidden') {
+            return send(403, { error: {
+                code: 403, message: 'Requests from this API key are blocked.', status: 'PERMISSION_DENIED',
+                details: [{ '@type': 'type.googleapis.com/google.rpc.ErrorInfo', reason: 'API_KEY_SERVICE_BLOCKED', domain: 'googleapis.com' }]
+            } });
+        }
+        if (state === 'region_blocked') {
+            return send(403, { error: { code: 403, message: 'User location is not supported for the API use.', status: 'PERMISSION_DENIED' } });
+        }
+        if (state === 'model_denied') {
+            return send(403, { error: { code: 403, message: `Permission denied on model ${match ? match[1] : modelMatch[1]}.`, status: 'PERMISSION_DENIED' } });
+        }
+        if (state !== 'valid') {
+            return send(400, { error: {
+                code: 400, message: 'API key not valid. Please pass a valid API key.', status: 'INVALID_ARGUMENT',
+                details: [{ '@type': 'type.googleapis.com/google.rpc.ErrorInfo', reason: 'API_KEY_INVALID', domain: 'googleapis.com' }]
+            } });
+        }
+        if (modelMatch) {
+            return send(200, { name: `models/${modelMatch[1]}`, displayName: modelMatch[1], supportedGenerationMethods: ['generateContent'] });
+        }
+
+        const contents = record.body?.contents || [];
+        const lastText = contents.length > 0 ? contents[contents.length - 1].parts?.[0]?.text || '' : '';
+        const text = this.nextReply(lastText);
+        if (text === null) { // Canned null: the reply is held back by the safety settings
+            return send(200, {
+                candidates: [{
+                    finishReason: 'SAFETY',
+                    safetyRatings: [{ category: 'HARM_CATEGORY_HARASSMENT', probability: 'HIGH', blocked: true }]
+                }],
+                modelVersion: match[1]
+            });
+        }
+        send(200, {
+            candidates: [{ content: { role: 'model', parts: [{ text }] }, finishReason: 'STOP' }],
+            modelVersion: match[1]
+        });
+    }
+
+    handleOpenAi(method, path, record, send) {
+        if (path !== '/chat/completions' || method !== 'POST') {
+            return send(404, { error: { message: 'Not found', type: 'invalid_request_error' } });
+        }
+
+        const auth = record.headers.authorization;
+        if (auth) {
+            const state = this.openAiKeys.get(auth.replace(/^Bearer /, ''));
+            if (state === 'rate_limited') {
+                return send(429, { error: { message: 'Rate limit reached', type: 'requests', code: 'rate_limit_exceeded' } });
+            }
+            if (state !== 'valid') {
+                return send(401, { error: { message: 'Incorrect API key provided', type: 'invalid_request_error', code: 'invalid_api_key' } });
+            }
+        }
+
+        const messages = record.body?.messages || [];
+        const text = this.nextReply(messages.length > 0 ? messages[messages.length - 1].content : '');
+        send(200, {
+            id: `chatcmpl-${this.nextId++}`,
+            object: 'chat.completion',
+            model: record.body?.model,
+            choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }]
+        });
+    }
+
+    handleOllama(method, path, record, send) {
+        if (path !== '/api/chat' || method !== 'POST') {
+            return send(404, { error: 'not found' });
+        }
+        if (this.ollamaBusy) {
+            return send(503, { error: 'server busy, please try again' });
+        }
+        const messages = record.body?.messages || [];
+        const text = this.nextReply(messages.length > 0 ? messages[messages.length - 1].content : '');
+        send(200, { model: record.body?.model, message: { role: 'assistant', content: text }, done: true });
+    }
+
+    /**
+     * Pops the next canned AI reply, or echoes the prompt.
+     * @param {string} prompt - The last prompt text received.
+     * @returns {string}
+     */
+    nextReply(prompt) {
+        return this.aiReplies.length > 0 ? this.aiReplies.shift() : `Mock reply to: ${prompt}`;
+    }
+}
+
+module.exports = MockApiServer;
+
+// Standalone mode: seed one account, one channel and one Gemini key so the bot can run against it.
+if (require.main === module) {
+    const mock = new MockApiServer();
+    mock.addUser('mock-token', { id: '1', username: 'mockbot' });
+    mock.addGuild({ id: '10', name: 'Mock Server' });
+    mock.addChannel({ id: '100', name: 'general', guild_id: '10' });
+    mock.addMessage('100', { content: 'hello there', author: { id: '2', username: 'someone' } });
+    mock.setGoogleKey('mock-key', 'valid');
+    mock.start(parseInt(process.env.MOCK_PORT || '3999', 10)).then(bases => {
+        console.log(`Mock API server listening.\n  DISCORD_API_BASE=${bases.discord}\n  GOOGLE_API_BASE=${bases.google}`);
+        console.log(`  OPENAI_API_BASE=${bases.openai}\n  OLLAMA_API_BASE=${bases.ollama}`);
+        console.log('  DISCORD_TOKENS=mock-token  CHANNEL_IDS=100  GOOGLE_API_KEYS=mock-key');
+        console.log('  USE_GATEWAY=true also works: the gateway is served at /gateway');
+    });
+}
@@ -0,0 +1,54 @@
+/**
+ * test/moderation.test.js
+ * Invite and link stripping, blocklist words, the deny pattern and the length limit.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const moderation = require('../moderation');
+
+const rulesFor = (overrides) => moderation.createModerationRules({
+    moderationBlocklist: null,
+    moderationDenyPattern: null,
+    maxReplyLength: 2000,
+    stripLinks: false,
+    stripInvites: false,
+    ...overrides
+});
+
+describe('moderation', () => {
+    it('passes messages through unchanged when no rule applies', () => {
+        const text = 'See https://example.com and discord.gg/abc';
+        assert.deepEqual(moderation.moderateMessage(text, rulesFor({})), { text, removedLinks: 0, rejection: null });
+    });
+
+    it('strips invites and links', () => {
+        const invites = rulesFor({ stripInvites: true });
+        assert.deepEqual(moderation.moderateMessage('Join https://discord.gg/abc-1 or discord.com/invite/xyz today!', invites),
+            { text: 'Join or today!', removedLinks: 2, rejection: null });
+        assert.equal(moderation.moderateMessage('Docs: https://example.com/a?b=1.', invites).text, 'Docs: https://example.com/a?b=1.');
+
+        const links = rulesFor({ stripLinks: true });
+        assert.equal(moderation.moderateMessage('Docs at https://example.com/a?b=1 and www.example.org .', links).text, 'Docs at and.');
+        assert.deepEqual(moderation.moderateMessage('https://example.com', links).rejection,
+            { rule: 'empty', reason: 'is empty after removing links' });
+    });
+
+    it('rejects blocked words, deny pattern matches and long messages', () => {
+        const rules = rulesFor({ moderationBlocklist: 'scam, free money', moderationDenyPattern: '\\d{4}-\\d{4}|password', maxReplyLength: 20 });
+        const rejectionOf = (text) => moderation.moderateMessage(text, rules).rejection;
+
+        assert.deepEqual(rejectionOf('Total SCAM!'), { rule: 'blocklist', reason: 'contains the blocked word "scam"' });
+        assert.equal(rejectionOf('Get FREE money').reason, 'contains the blocked word "free money"');
+        assert.equal(rejectionOf('Get free  money'), null); // Phrases match as written
+        assert.equal(rejectionOf('scammer here'), null); // Part of a longer word
+        assert.equal(rejectionOf('call 1234-5678').rule, 'deny_pattern');
+        assert.equal(rejectionOf('my Password').reason, 'matches the deny pattern /\\d{4}-\\d{4}|password/i');
+        assert.deepEqual(rejectionOf('a'.repeat(21)), { rule: 'max_length', reason: 'is 21 characters long (limit 20)' });
+    });
+
+    it('rejects empty blocklists and invalid patterns', () => {
+        assert.throws(() => moderation.parseBlocklist(' , '), /no words given/);
+        assert.throws(() => moderation.compileDenyPattern('[unclosed'), SyntaxError);
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * test/promptTemplates.test.js
+ * Parsing, validation and rendering of prompt templates.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    parseLanguageCode, describeLanguage, parsePromptTemplate, getBuiltInTemplate, renderPrompt
+} = require('../promptTemplates');
+
+describe('parseLanguageCode', () => {
+    it('accepts language codes in their canonical form', () => {
+        assert.equal(parseLanguageCode('EN'), 'en');
+        assert.equal(parseLanguageCode('pt-br'), 'pt-BR');
+        assert.equal(describeLanguage('pt-BR'), 'Brazilian Portuguese');
+        assert.throws(() => parseLanguageCode('english'), /"english" is not a language code/);
+        assert.throws(() => parseLanguageCode('en_US'), /not a language code/);
+    });
+});
+
+describe('parsePromptTemplate', () => {
+    it('splits the sections', () => {
+        const template = parsePromptTemplate('[system]\r\nYou are Maya from {server}.\r\n\r\n[PROMPT]\r\n{author}: "{message}"\r\n{context}\r\n[context]\r\nMind the chat.\r\n');
+        assert.deepEqual(template, { system: 'You are Maya from {server}.', prompt: '{author}: "{message}"\n{context}', context: 'Mind the chat.' });
+    });
+
+    it('rejects templates that cannot work', () => {
+        assert.throws(() => parsePromptTemplate('Hello\n[prompt]\n{message}'), /^Error: line 1: text before the first section/);
+        assert.throws(() => parsePromptTemplate('[persona]\nx\n[prompt]\n{message}'), /line 1: unknown section \[persona\]/);
+        assert.throws(() => parsePromptTemplate('[prompt]\n{message}\n[prompt]\nagain'), /line 3: section \[prompt\] appears twice/);
+        assert.throws(() => parsePromptTemplate('[system]\nYou are a bot.'), /has no \[prompt\] section/);
+        assert.throws(() => parsePromptTemplate('[prompt]\nSay hi'), /\[prompt\] must contain \{message\}/);
+        assert.throws(() => parsePromptTemplate('[system]\n{context}\n[prompt]\n{message}'), /\[system\] uses unknown placeholder \{context\}/);
+        assert.throws(() => parsePromptTemplate('[prompt]\n{message}\n[context]\nEarlier chat'), /only used through a \{context\} placeholder/);
+    });
+});
+
+describe('renderPrompt', () => {
+    const template = parsePromptTemplate('[system]\nYou chat in #{channel} on {server}.\n[prompt]\nReply to {author} in {language} ({languageCode}): "{message}"\n{context}\nOne sentence.\n[context]\nUse the chat above.');
+    const values = { message: 'is {author} here?', author: 'bob', channel: 'general', server: 'Guild', languageCode: 'fr' };
+
+    it('fills in the placeholders once', () => {
+        assert.deepEqual(renderPrompt(template, values), {
+            system: 'You chat in #general on Guild.',
+            text: 'Reply to bob in French (fr): "is {author} here?"\nOne sentence.'
+        });
+        assert.equal(renderPrompt(template, values, true).text, 'Reply to bob in French (fr): "is {author} here?"\nUse the chat above.\nOne sentence.');
+    });
+
+    it('has built-in templates for any language', () => {
+        assert.equal(renderPrompt(getBuiltInTemplate('id'), { message: 'halo', languageCode: 'id' }).text,
+            'Balas pesan berikut dalam bahasa Indonesia: "halo"\n\nBuatlah menjadi 1 kalimat menggunakan bahasa sehari-hari manusia.');
+        const german = renderPrompt(getBuiltInTemplate('de'), { message: 'hallo', languageCode: 'de' }, true);
+        assert.deepEqual(german, {
+            system: null,
+            text: 'Reply to the following message in German: "hallo"\nUse the earlier messages in this conversation as context.\n\nKeep it to one sentence in casual, everyday German.'
+        });
+        assert.equal(getBuiltInTemplate('pt-BR').name, 'built-in');
+    });
+});
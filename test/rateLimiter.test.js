@@ -0,0 +1,92 @@
+/**
+ * test/rateLimiter.test.js
+ * Unit tests for the Discord bucket queue.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DiscordRateLimiter, parseRoute } = require('../rateLimiter');
+
+const ok = (headers = {}, data = {}) => Promise.resolve({ status: 200, headers, data });
+const rateLimited = (retryAfter, extra = {}) => {
+    const error = new Error('Request failed with status code 429');
+    error.response = { status: 429, headers: {}, data: { retry_after: retryAfter, ...extra } };
+    return Promise.reject(error);
+};
+
+describe('parseRoute', () => {
+    it('keeps the major parameter and masks other IDs', () => {
+        assert.deepEqual(parseRoute('delete', '/channels/123456/messages/987654'), { route: 'DELETE /channels/123456/messages/:id', major: '123456' });
+        assert.deepEqual(parseRoute('GET', '/channels/123456/messages?limit=5'), { route: 'GET /channels/123456/messages', major: '123456' });
+        assert.deepEqual(parseRoute('GET', '/users/@me'), { route: 'GET /users/@me', major: 'global' });
+    });
+});
+
+describe('DiscordRateLimiter', () => {
+    it('retries a 429 after the indicated delay', async () => {
+        const waits = [];
+        const limiter = new DiscordRateLimiter({ onWait: (message, ms) => waits.push(ms) });
+        let calls = 0;
+        const response = await limiter.schedule('t', 'POST', '/channels/1/messages', () => (++calls === 1 ? rateLimited(0.05) : ok({}, { id: 'x' })));
+        assert.equal(response.data.id, 'x');
+        assert.equal(calls, 2);
+        assert.equal(waits.length, 1);
+    });
+
+    it('stops after maxRetries and rethrows the 429', async () => {
+        const limiter = new DiscordRateLimiter({ maxRetries: 1 });
+        let calls = 0;
+        await assert.rejects(limiter.schedule('t', 'GET', '/channels/1', () => { calls++; return rateLimited(0.01); }), /429/);
+        assert.equal(calls, 2);
+    });
+
+    it('applies a global limit to every route of the same token only', async () => {
+        const waits = [];
+        const limiter = new DiscordRateLimiter({ onWait: (message) => waits.push(message) });
+        let calls = 0;
+        await limiter.schedule('t', 'GET', '/channels/1', () => (++calls === 1 ? rateLimited(0.1, { global: true }) : ok()));
+        assert.match(waits[0], /Global Discord rate limit/);
+
+        limiter.globalResetAt.set('t', Date.now() + 150);
+        const started = Date.now();
+        await limiter.schedule('other-token', 'GET', '/channels/2', () => ok());
+        assert.ok(Date.now() - started < 100);
+        await limiter.schedule('t', 'GET', '/channels/2', () => ok());
+        assert.ok(Date.now() - started >= 140);
+    });
+
+    it('queues requests of one route in order', async () => {
+        const limiter = new DiscordRateLimiter();
+        const order = [];
+        const first = limiter.schedule('t', 'GET', '/channels/1/messages', () =>
+            new Promise(resolve => setTimeout(() => { order.push(1); resolve({ headers: {} }); }, 50)));
+        const second = limiter.schedule('t', 'GET', '/channels/1/messages', () => { order.push(2); return ok(); });
+        await Promise.all([first, second]);
+        assert.deepEqual(order, [1, 2]);
+    });
+
+    it('shares bucket state between routes with the same bucket hash', async () => {
+        const limiter = new DiscordRateLimiter();
+        const headers = { 'x-ratelimit-bucket': 'shared', 'x-ratelimit-remaining': '0', 'x-ratelimit-reset-after': '0.1' };
+        await limiter.schedule('t', 'GET', '/channels/1/messages', () => ok(headers));
+        await limiter.schedule('t', 'GET', '/channels/1/messages/55', () => ok(headers));
+
+        const started = Date.now();
+        await limiter.schedule('t', 'GET', '/channels/1/messages/55', () => ok());
+        assert.ok(Date.now() - started >= 90);
+    });
+
+    it('abandons a bucket wait when the signal is aborted', async () => {
+        const limiter = new DiscordRateLimiter();
+        limiter.globalResetAt.set('t', Date.now() + 5000);
+        const controller = new AbortController();
+        let calls = 0;
+        const started = Date.now();
+        const pending = limiter.schedule('t', 'GET', '/channels/1', () => { calls++; return ok(); }, controller.signal);
+        setTimeout(() => controller.abort(), 50);
+
+        await assert.rejects(pending, { name: 'AbortError' });
+        assert.ok(Date.now() - started < 1000);
+        assert.equal(calls, 0);
+    });
+});
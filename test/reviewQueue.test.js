@@ -0,0 +1,41 @@
+/**
+ * test/reviewQueue.test.js
+ * Queue order, removal and expiry of replies waiting for review.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ReviewQueue } = require('../reviewQueue');
+
+describe('ReviewQueue', () => {
+    it('numbers items in order and removes them', () => {
+        const queue = new ReviewQueue();
+        const first = queue.add({ channelId: '100', text: 'one' }, 60000);
+        const second = queue.add({ channelId: '200', text: 'two' }, 60000);
+        assert.deepEqual(queue.list().map(item => [item.id, item.text]), [[1, 'one'], [2, 'two']]);
+        assert.equal(first.expiresAt - first.createdAt, 60000);
+
+        assert.equal(queue.remove(first.id).text, 'one');
+        assert.equal(queue.remove(first.id), null);
+        assert.equal(queue.get(second.id).text, 'two');
+        assert.equal(queue.clear(), 1);
+        assert.deepEqual(queue.list(), []);
+    });
+
+    it('expires items, waiting for busy ones to finish', async () => {
+        const queue = new ReviewQueue();
+        const expired = [];
+        queue.on('expired', item => expired.push(item.id));
+        queue.add({ text: 'idle' }, 20);
+        const busy = queue.add({ text: 'sending' }, 20);
+        busy.busy = true;
+
+        await new Promise(resolve => setTimeout(resolve, 60));
+        assert.deepEqual(expired, [1]);
+        assert.deepEqual(queue.list().map(item => item.id), [2]);
+
+        busy.busy = false;
+        await new Promise(resolve => setTimeout(resolve, 1050));
+        assert.deepEqual(expired, [1, 2]);
+    });
+});
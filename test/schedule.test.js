@@ -0,0 +1,58 @@
+/**
+ * test/schedule.test.js
+ * Active-hours parsing, next-window lookup across days and time zones, and rolling quotas.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const schedule = require('../schedule');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('schedule', () => {
+    it('parses time windows and day lists', () => {
+        assert.deepEqual(schedule.parseActiveHours('09:00-17:30, 22:00-02:00'), [
+            { start: 540, end: 1050 },
+            { start: 1320, end: 120 }
+        ]);
+        assert.deepEqual([...schedule.parseActiveDays('fri-mon')].sort(), [0, 1, 5, 6]);
+        assert.deepEqual([...schedule.parseActiveDays('Sat, sunday')].sort(), [0, 6]);
+        assert.throws(() => schedule.parseActiveHours('9-17'), /not HH:MM-HH:MM/);
+        assert.throws(() => schedule.parseActiveHours('09:00-25:00'), /invalid time/);
+        assert.throws(() => schedule.parseActiveDays('weekdays'), /not a day/);
+        assert.equal(schedule.isValidTimeZone('Asia/Jakarta'), true);
+        assert.equal(schedule.isValidTimeZone('Mars/Base'), false);
+    });
+
+    it('finds the next window in the schedule time zone', () => {
+        const office = schedule.createSchedule({ activeHours: '09:00-17:00', activeDays: 'mon-fri', timezone: 'Asia/Jakarta' });
+        const saturdayNoon = Date.parse('2026-10-17T05:00:00Z'); // 12:00 in Jakarta (UTC+7)
+        assert.equal(schedule.isActive(office, saturdayNoon), false);
+        assert.equal(schedule.nextActiveTime(office, saturdayNoon), Date.parse('2026-10-19T02:00:00Z')); // Monday 09:00
+
+        const mondayMorning = Date.parse('2026-10-19T03:30:00Z');
+        assert.equal(schedule.nextActiveTime(office, mondayMorning), mondayMorning);
+        assert.equal(schedule.nextActiveTime(null, mondayMorning), mondayMorning);
+        assert.equal(schedule.createSchedule({ activeHours: null, activeDays: null, timezone: 'UTC' }), null);
+    });
+
+    it('handles windows that cross midnight', () => {
+        const nights = schedule.createSchedule({ activeHours: '22:00-02:00', activeDays: null, timezone: 'UTC' });
+        assert.equal(schedule.isActive(nights, Date.parse('2026-10-19T23:30:00Z')), true);
+        assert.equal(schedule.isActive(nights, Date.parse('2026-10-20T01:59:00Z')), true);
+        assert.equal(schedule.isActive(nights, Date.parse('2026-10-20T02:00:00Z')), false);
+        assert.equal(schedule.nextActiveTime(nights, Date.parse('2026-10-20T12:00:30Z')), Date.parse('2026-10-20T22:00:00Z'));
+    });
+
+    it('counts sends in rolling hour and day windows', () => {
+        const now = Date.parse('2026-10-19T12:00:00Z');
+        const sends = [now - 20 * HOUR_MS, now - 50 * 60000, now - 10 * 60000];
+
+        assert.deepEqual(schedule.checkQuota(sends, { perHour: null, perDay: null }, now), { hourRemaining: null, dayRemaining: null, availableAt: now });
+        assert.deepEqual(schedule.checkQuota(sends, { perHour: 5, perDay: 5 }, now), { hourRemaining: 3, dayRemaining: 2, availableAt: now });
+        // Two per hour: a slot frees once the send from 50 minutes ago is an hour old
+        assert.deepEqual(schedule.checkQuota(sends, { perHour: 2, perDay: null }, now), { hourRemaining: 0, dayRemaining: null, availableAt: now + 10 * 60000 });
+        // Three per day: the oldest send leaves the day window in four hours
+        assert.equal(schedule.checkQuota(sends, { perHour: null, perDay: 3 }, now).availableAt, now + 4 * HOUR_MS);
+    });
+});
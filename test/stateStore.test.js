@@ -0,0 +1,84 @@
+/**
+ * test/stateStore.test.js
+ * Atomic saves and recovery from missing/corrupt state files.
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StateStore, fingerprintKey } = require('../stateStore');
+
+describe('StateStore', () => {
+    let tempDir;
+    let statePath;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-test-'));
+        statePath = path.join(tempDir, 'bot-state.json');
+    });
+
+    it('returns no state and no warning when the file does not exist', () => {
+        assert.deepEqual(new StateStore(statePath).load(), { state: null, warning: null });
+    });
+
+    it('round-trips saved state and leaves no temporary file behind', async () => {
+        const store = new StateStore(statePath);
+        await Promise.all([
+            store.save({ processedMessageIds: ['1'] }),
+            store.save({ processedMessageIds: ['1', '2'] })
+        ]);
+
+        const { state } = store.load();
+        assert.deepEqual(state.processedMessageIds, ['1', '2']); // Saves are applied in order
+        assert.equal(state.version, 1);
+        assert.deepEqual(fs.readdirSync(tempDir), ['bot-state.json']);
+
+        store.saveSync({ processedMessageIds: ['3'] });
+        assert.deepEqual(store.load().state.processedMessageIds, ['3']);
+    });
+
+    it('gives an async save and a shutdown save their own temporary files', async () => {
+        const store = new StateStore(statePath);
+        const write = store.save({ processedMessageIds: ['async'] });
+        store.saveSync({ processedMessageIds: ['sync'] }); // While the async save is queued
+        await write;
+        await store.pendingWrite;
+        store.saveSync({ processedMessageIds: ['final'] });
+
+        assert.deepEqual(store.load().state.processedMessageIds, ['final']);
+        assert.deepEqual(fs.readdirSync(tempDir), ['bot-state.json']);
+    });
+
+    it('removes its temporary file when a write fails', async () => {
+        const store = new StateStore(path.join(tempDir, 'blocked', 'bot-state.json'));
+        fs.mkdirSync(path.join(tempDir, 'blocked'));
+        fs.mkdirSync(path.join(tempDir, 'blocked', 'bot-state.json')); // rename() cannot replace a folder
+        await assert.rejects(store.save({ processedMessageIds: [] }));
+        assert.throws(() => store.saveSync({ processedMessageIds: [] }));
+        assert.deepEqual(fs.readdirSync(path.join(tempDir, 'blocked')), ['bot-state.json']);
+    });
+
+    it('moves a corrupt file aside and starts fresh', () => {
+        fs.writeFileSync(statePath, '{"processedMessageIds": [');
+        const { state, warning } = new StateStore(statePath).load();
+        assert.equal(state, null);
+        assert.match(warning, /invalid/);
+        assert.ok(fs.existsSync(`${statePath}.corrupt`));
+        assert.ok(!fs.existsSync(statePath));
+    });
+
+    it('ignores files written by an unknown version', () => {
+        fs.writeFileSync(statePath, JSON.stringify({ version: 99 }));
+        const { state, warning } = new StateStore(statePath).load();
+        assert.equal(state, null);
+        assert.match(warning, /version 99/);
+    });
+
+    it('fingerprints keys without exposing them', () => {
+        assert.equal(fingerprintKey('secret-key'), fingerprintKey('secret-key'));
+        assert.notEqual(fingerprintKey('secret-key'), fingerprintKey('other-key'));
+        assert.ok(!fingerprintKey('secret-key').includes('secret'));
+    });
+});
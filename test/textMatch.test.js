@@ -0,0 +1,25 @@
+/**
+ * test/textMatch.test.js
+ * Escaping and whole-word patterns shared by triggers, moderation and the log search.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeRegExp, compileWholeWord } = require('../textMatch');
+
+describe('textMatch', () => {
+    it('escapes regular-expression syntax', () => {
+        assert.equal(escapeRegExp('a.b*(c)?'), 'a\\.b\\*\\(c\\)\\?');
+        assert.ok(new RegExp(escapeRegExp('[x]')).test('see [x]'));
+    });
+
+    it('matches whole words only, case-insensitively and in any script', () => {
+        const help = compileWholeWord('help');
+        assert.ok(help.test('Can someone HELP me?'));
+        assert.ok(!help.test('that was helpful'));
+        assert.ok(!help.test('self_help'));
+        assert.ok(compileWholeWord('c++').test('I write c++ daily'));
+        assert.ok(compileWholeWord('привет').test('ну привет!'));
+        assert.ok(!compileWholeWord('привет').test('приветствую'));
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * test/triggers.test.js
+ * Trigger rule parsing, ignored authors and the order in which triggers are tried.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const triggers = require('../triggers');
+
+const botInfo = { id: '1', username: 'alpha' };
+const rulesFor = (overrides) => triggers.createTriggerRules({
+    replyTriggers: 'any',
+    triggerKeywords: null,
+    triggerRegex: null,
+    triggerChancePercent: 10,
+    ignoreBots: true,
+    ignoreWebhooks: true,
+    ignoreUserIds: null,
+    ...overrides
+});
+const message = (content, extra = {}) => ({ id: '50', content, author: { id: '2', username: 'someone' }, ...extra });
+
+describe('triggers', () => {
+    it('parses trigger lists and user IDs', () => {
+        assert.deepEqual(triggers.parseTriggerList('Mention, reply,mention'), ['mention', 'reply']);
+        assert.throws(() => triggers.parseTriggerList('mention,always'), /"always" is not a trigger/);
+        assert.throws(() => triggers.parseTriggerList(' , '), /no triggers given/);
+        assert.deepEqual([...triggers.parseUserIds('123, 456')], ['123', '456']);
+        assert.throws(() => triggers.parseUserIds('123,abc'), /"abc" is not a numeric Discord ID/);
+        assert.throws(() => triggers.compilePattern('(unclosed'), SyntaxError);
+    });
+
+    it('ignores webhooks, other bots and listed users', () => {
+        const rules = rulesFor({ ignoreUserIds: '3' });
+        assert.equal(triggers.getIgnoreReason(message('hi', { webhook_id: '9' }), rules), 'webhook');
+        assert.equal(triggers.getIgnoreReason(message('hi', { author: { id: '4', bot: true } }), rules), 'bot author');
+        assert.equal(triggers.getIgnoreReason(message('hi', { author: { id: '3' } }), rules), 'ignored user');
+        assert.equal(triggers.getIgnoreReason(message('hi'), rules), null);
+
+        const lenient = rulesFor({ ignoreBots: false, ignoreWebhooks: false });
+        assert.equal(triggers.getIgnoreReason(message('hi', { webhook_id: '9', author: { id: '4', bot: true } }), lenient), null);
+    });
+
+    it('fires mention, reply, keyword and regex triggers', () => {
+        const rules = rulesFor({ replyTriggers: 'mention,reply,keyword,regex', triggerKeywords: 'Price, airdrop', triggerRegex: '^when\\b.*\\?$' });
+        const fired = (msg) => triggers.findTrigger(msg, rules, botInfo)?.description ?? null;
+
+        assert.equal(fired(message('hey <@1> how are you')), 'mention');
+        assert.equal(fired(message('hey you', { mentions: [{ id: '1' }] })), 'mention');
+        assert.equal(fired(message('sure', { referenced_message: { author: { id: '1' } } })), 'reply to the account');
+        assert.equal(fired(message('sure', { referenced_message: { author: { id: '2' } } })), null);
+        assert.equal(fired(message('What is the PRICE today')), 'keyword "price"');
+        assert.equal(fired(message('When is the launch?')), 'regex /^when\\b.*\\?$/i');
+        assert.equal(fired(message('nice weather')), null);
+        // Keywords match whole words only
+        assert.equal(fired(message('what a priceless moment')), null);
+        assert.equal(fired(message('Airdrop!')), 'keyword "airdrop"');
+        const help = rulesFor({ replyTriggers: 'keyword', triggerKeywords: 'help, c++' });
+        assert.equal(triggers.findTrigger(message('that was helpful'), help, botInfo), null);
+        assert.equal(triggers.findTrigger(message('can someone help?'), help, botInfo)?.description, 'keyword "help"');
+        assert.equal(triggers.findTrigger(message('any C++ people here'), help, botInfo)?.description, 'keyword "c++"');
+        // Earlier triggers win when several fire
+        assert.equal(fired(message('<@1> airdrop?')), 'mention');
+    });
+
+    it('rolls the random trigger and lets "any" take every message', () => {
+        const random = rulesFor({ replyTriggers: 'random', triggerChancePercent: 25 });
+        assert.deepEqual(triggers.findTrigger(message('hi'), random, botInfo, () => 0.2), { name: 'random', description: 'random 25%' });
+        assert.equal(triggers.findTrigger(message('hi'), random, botInfo, () => 0.3), null);
+
+        assert.deepEqual(triggers.findTrigger(message('hi'), rulesFor({}), botInfo), { name: 'any', description: 'any message' });
+    });
+});
@@ -0,0 +1,56 @@
+/**
+ * test/ui.test.js
+ * Drives the TUI's review pane keys through blessed on in-memory streams.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const TUI = require('../ui');
+
+const reviewItem = (id) => ({ id, channelId: '100', author: 'bob', message: `question ${id}`, reply: `answer ${id}`, expiresAt: Date.now() + 60 * 1000, busy: false });
+
+describe('TUI review pane', () => {
+    let tui;
+    let events;
+    const press = (name) => tui.screen.program.emit('keypress', name.length === 1 ? name : undefined, { name, full: name, sequence: name });
+
+    beforeEach(() => {
+        const output = Object.assign(new PassThrough(), { columns: 160, rows: 50, isTTY: true });
+        output.resume(); // Discard the drawn screen
+        tui = new TUI({ input: new PassThrough(), output });
+        events = [];
+        ['reviewRegenerate', 'reviewApprove', 'shutdown', 'togglePause', 'toggleAi', 'runNow', 'skipSend'].forEach(event => tui.on(event, (...args) => events.push([event, ...args])));
+        tui.updateStatus({ channelIds: ['100'], reviewQueue: [reviewItem(1), reviewItem(2), reviewItem(3)] });
+        tui.toggleReviewPane();
+    });
+
+    afterEach(() => tui.destroy());
+
+    it('acts on the selected reply, not the first one', () => {
+        press('down');
+        press('down');
+        press('g');
+        press('y');
+        assert.deepEqual(events, [['reviewRegenerate', 3], ['reviewApprove', 3]]);
+    });
+
+    it('ignores channel controls and log filters while it has focus', () => {
+        const levelFilterIndex = tui.levelFilterIndex;
+        ['p', 'a', 'r', 's', 'c', 'l'].forEach(press);
+        assert.deepEqual(events, []);
+        assert.equal(tui.levelFilterIndex, levelFilterIndex);
+        assert.equal(tui.channelFilter, null);
+        press('escape');
+        press('r');
+        assert.deepEqual(events, [['runNow', '100']]);
+    });
+
+    it('closes the pane on Esc instead of quitting', () => {
+        press('escape');
+        assert.ok(tui.reviewPane.hidden);
+        assert.deepEqual(events, []);
+        press('escape');
+        assert.deepEqual(events, [['shutdown']]);
+    });
+});
@@ -0,0 +1,26 @@
+/**
+ * textMatch.js
+ * Regular-expression helpers shared by the trigger keywords, the moderation blocklist and the TUI log search.
+ */
+
+/**
+ * Escapes text for use inside a regular expression.
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compiles a word or phrase into a whole-word, case-insensitive pattern ("help" does not match "helpful").
+ * @param {string} word - The word or phrase, matched literally.
+ * @returns {RegExp}
+ */
+function compileWholeWord(word) {
+    // Lookarounds instead of \b so words in other scripts and ones ending in symbols ("c++") work too
+    return new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(word)}(?![\\p{L}\\p{N}_])`, 'iu');
+}
+
+module.exports = {
+    escapeRegExp,
+    compileWholeWord
+};
@@ -0,0 +1,154 @@
+/**
+ * triggers.js
+ * Trigger rules for AI replies (REPLY_TRIGGERS and friends): which new messages the account answers.
+ *
+ *   any      every message (the default)
+ *   mention  the message mentions the account
+ *   reply    the message replies to one of the account's messages
+ *   keyword  the text contains one of TRIGGER_KEYWORDS as a whole word (case-insensitive)
+ *   regex    the text matches TRIGGER_REGEX (case-insensitive)
+ *   random   a TRIGGER_CHANCE_PERCENT roll succeeds
+ *
+ * Messages from other bots, webhooks and IGNORE_USER_IDS are skipped before any trigger is tried.
+ */
+
+const { compileWholeWord } = require('./textMatch');
+
+const TRIGGER_NAMES = ['any', 'mention', 'reply', 'keyword', 'regex', 'random'];
+
+/**
+ * Parses a REPLY_TRIGGERS value.
+ * @param {string} text - Comma-separated trigger names.
+ * @returns {string[]} Trigger names, without duplicates.
+ * @throws {Error} On unknown names.
+ */
+function parseTriggerList(text) {
+    const names = text.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    for (const name of names) {
+        if (!TRIGGER_NAMES.includes(name)) {
+            throw new Error(`"${name}" is not a trigger (use ${TRIGGER_NAMES.join(', ')})`);
+        }
+    }
+    if (names.length === 0) {
+        throw new Error('no triggers given');
+    }
+    return [...new Set(names)];
+}
+
+/**
+ * Parses an IGNORE_USER_IDS value.
+ * @param {string} text - Comma-separated Discord user IDs.
+ * @returns {Set<string>}
+ * @throws {Error} On IDs that are not numeric.
+ */
+function parseUserIds(text) {
+    const ids = text.split(',').map(id => id.trim()).filter(Boolean);
+    const invalid = ids.find(id => !/^\d+$/.test(id));
+    if (invalid !== undefined) {
+        throw new Error(`"${invalid}" is not a numeric Discord ID`);
+    }
+    return new Set(ids);
+}
+
+/**
+ * Compiles a TRIGGER_REGEX value.
+ * @param {string} pattern - Regular expression source, without slashes.
+ * @returns {RegExp}
+ * @throws {SyntaxError} On an invalid pattern.
+ */
+function compilePattern(pattern) {
+    return new RegExp(pattern, 'i');
+}
+
+/**
+ * Builds the trigger rules of a channel from its effective settings.
+ * @param {object} settings - Channel settings (replyTriggers, triggerKeywords, triggerRegex, ...).
+ * @returns {object} { triggers, keywords ({word, pattern}[]), regex, chancePercent, ignoreBots, ignoreWebhooks, ignoreUserIds }
+ */
+function createTriggerRules(settings) {
+    return {
+        triggers: parseTriggerList(settings.replyTriggers),
+        keywords: settings.triggerKeywords
+            ? settings.triggerKeywords.split(',').map(word => word.trim().toLowerCase()).filter(Boolean)
+                .map(word => ({ word, pattern: compileWholeWord(word) }))
+            : [],
+        regex: settings.triggerRegex ? compilePattern(settings.triggerRegex) : null,
+        chancePercent: settings.triggerChancePercent,
+        ignoreBots: settings.ignoreBots,
+        ignoreWebhooks: settings.ignoreWebhooks,
+        ignoreUserIds: settings.ignoreUserIds ? parseUserIds(settings.ignoreUserIds) : new Set()
+    };
+}
+
+/**
+ * Tells why a message must not be answered, whatever its text says.
+ * @param {object} message - Discord message.
+ * @param {object} rules - From createTriggerRules.
+ * @returns {string|null} 'webhook', 'bot author' or 'ignored user'; null if the message may be answered.
+ */
+function getIgnoreReason(message, rules) {
+    if (rules.ignoreWebhooks && message.webhook_id) return 'webhook';
+    if (rules.ignoreBots && message.author?.bot) return 'bot author';
+    if (rules.ignoreUserIds.has(message.author?.id)) return 'ignored user';
+    return null;
+}
+
+/**
+ * Finds the first trigger, in the order of TRIGGER_NAMES, that fires for a message.
+ * @param {object} message - Discord message with text content.
+ * @param {object} rules - From createTriggerRules.
+ * @param {object} botInfo - The account ({ id }).
+ * @param {function(): number} [random=Math.random] - Source for the random trigger.
+ * @returns {{name: string, description: string}|null} The trigger that fired, or null.
+ */
+function findTrigger(message, rules, botInfo, random = Math.random) {
+    const content = message.content || '';
+    for (const name of TRIGGER_NAMES) {
+        if (!rules.triggers.includes(name)) continue;
+        switch (name) {
+            case 'any':
+                return { name, description: 'any message' };
+            case 'mention':
+                if ((message.mentions || []).some(user => user.id === botInfo.id) ||
+                    content.includes(`<@${botInfo.id}>`) || content.includes(`<@!${botInfo.id}>`)) {
+                    return { name, description: 'mention' };
+                }
+                break;
+            case 'reply':
+                if (message.referenced_message?.author?.id === botInfo.id) {
+                    return { name, description: 'reply to the account' };
+                }
+                break;
+            case 'keyword': {
+                const keyword = rules.keywords.find(({ pattern }) => pattern.test(content));
+                if (keyword !== undefined) {
+                    return { name, description: `keyword "${keyword.word}"` };
+                }
+                break;
+            }
+            case 'regex':
+                if (rules.regex && rules.regex.test(content)) {
+                    return { name, description: `regex ${rules.regex}` };
+                }
+                break;
+            case 'random':
+                if (random() * 100 < rules.chancePercent) {
+                    return { name, description: `random ${rules.chancePercent}%` };
+                }
+                break;
+            default:
+                break;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    TRIGGER_NAMES,
+    parseTriggerList,
+    parseUserIds,
+    compilePattern,
+    createTriggerRules,
+    getIgnoreReason,
+    findTrigger
+};
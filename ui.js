@@ -5,22 +5,85 @@
  */
 
 const blessed = require('blessed');
+const { escapeRegExp } = require('./textMatch');
+
+const DASHBOARD_HEADER = ['Channel', 'Account', 'Mode', 'Prompt', 'Slow', 'Sent', 'Fail', 'Del', 'Last Reply To', 'Last Sent', 'Next Cycle'];
+const REVIEW_HEADER = ['#', 'Channel', 'Message', 'Reply', 'Expires'];
+const DASHBOARD_REFRESH_MS = 1000;
+const MAX_LOG_HISTORY = 2000; // Main log entries kept for re-filtering
+const BANNER_TEXT = '{center}{bold}SEAL BOT -- BY CRYPTO WITH SHASHI | CWS{/bold}{/center}';
+const DRY_RUN_BANNER_TEXT = '{center}{bold}SEAL BOT -- DRY RUN: NOTHING IS SENT OR DELETED (see DRY_RUN_FILE){/bold}{/center}';
+
+// Level filters the 'l' key cycles through (null = every level)
+const LEVEL_FILTERS = [
+    { label: 'All', levels: null },
+    { label: 'No Debug', levels: ['INFO', 'WAIT', 'WARNING', 'ERROR', 'FATAL'] },
+    { label: 'Warnings+', levels: ['WARNING', 'ERROR', 'FATAL'] },
+    { label: 'Errors', levels: ['ERROR', 'FATAL'] }
+];
+
+/**
+ * Highlights case-insensitive matches of a search term in a tagged line, leaving the tags intact.
+ * @param {string} line - Line with blessed tags.
+ * @param {string} term - Search term ('' for none).
+ * @returns {string}
+ */
+function highlightMatches(line, term) {
+    if (!term) return line;
+    const pattern = new RegExp(escapeRegExp(term), 'gi');
+    return line.split(/(\{\/?[\w\-,;!#]*\})/).map((part, index) => index % 2 === 1
+        ? part // A tag
+        : part.replace(pattern, match => `{black-fg}{yellow-bg}${match}{/yellow-bg}{/black-fg}`)
+    ).join('');
+}
+
+/**
+ * Formats a duration for the dashboard countdowns ("45s", "2m 05s", "1h 03m").
+ * @param {number} ms - Duration in milliseconds.
+ * @returns {string}
+ */
+function formatDuration(ms) {
+    const seconds = Math.max(0, Math.ceil(ms / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+    return `${Math.floor(seconds / 3600)}h ${String(Math.floor(seconds / 60) % 60).padStart(2, '0')}m`;
+}
 
 class TUI {
-    constructor() {
+    /**
+     * @param {object} [streams] - { input, output } for the screen (default: the process's stdin/stdout; tests pass their own).
+     */
+    constructor(streams = {}) {
         // Create a screen object.
         this.screen = blessed.screen({
+            ...streams,
             smartCSR: true,
             title: 'DISCORD AUTO CHAT BY CWS',
             fullUnicode: true,
             dockBorders: true,
-            autoPadding: true
+            autoPadding: true,
+            ignoreLocked: ['C-c'] // Ctrl+C exits even while the search prompt has the keyboard
         });
 
         // --- Focus Management ---
         this.scrollablePanes = [];
         this.currentFocusIndex = 0;
 
+        // --- Channel Selection (targets of the channel keybindings) ---
+        this.channelIds = [];
+        this.pausedChannelIds = [];
+        this.aiChannelIds = [];
+        this.isPaused = false;
+        this.dryRun = false; // Banner shows the dry-run notice
+        this.reviewItems = []; // Rows of the review pane (see getSelectedReview)
+        this.refreshTimer = null; // Redraws the dashboard countdowns (see startDashboardRefresh)
+
+        // --- Main Log Filtering (entries are kept as records and re-rendered when a filter changes) ---
+        this.logHistory = []; // { level, channel, account, line }
+        this.levelFilterIndex = 0; // Index into LEVEL_FILTERS
+        this.channelFilter = null; // Channel ID or null for all
+        this.searchTerm = '';
+
         // --- Define common focus style ---
         this.focusStyle = {
              border: { fg: 'yellow' }
@@ -41,6 +104,7 @@ class TUI {
      */
     initComponents() {
         const bannerHeight = 3; // Height for the top banner box
+        const dashboardHeight = '30%'; // Channel dashboard below the main log
         const mainLogWidth = '65%';
         const sidePanelWidth = '35%';
         const sidePanelLeft = mainLogWidth;
@@ -49,7 +113,7 @@ class TUI {
         this.bannerBox = blessed.box({
             parent: this.screen,
             top: 0, left: 0, width: '100%', height: bannerHeight,
-            content: '{center}{bold}SEAL BOT -- BY CRYPTO WITH SHASHI | CWS{/bold}{/center}',
+            content: BANNER_TEXT,
             tags: true,
             style: { fg: 'white', bg: 'blue', bold: true, border: { fg: 'white' } },
             border: { type: 'line' }
@@ -60,7 +124,7 @@ class TUI {
             parent: this.screen,
             label: ' {bold}Main Log{/bold} ',
             tags: true,
-            top: bannerHeight, left: 0, width: mainLogWidth, height: `100%-${bannerHeight}`,
+            top: bannerHeight, left: 0, width: mainLogWidth, height: `70%-${bannerHeight}`,
             border: { type: 'line' },
             style: {
                 fg: 'white', bg: 'black',
@@ -75,10 +139,72 @@ class TUI {
         });
         this.scrollablePanes.push(this.mainLogBox);
 
+        // Search prompt on the last line of the main log, shown by '/'
+        this.searchInput = blessed.textbox({
+            parent: this.mainLogBox,
+            bottom: 0, left: 0, width: '100%-2', height: 1,
+            style: { fg: 'black', bg: 'yellow' },
+            hidden: true
+        });
+
+        // Box 3: Channel Dashboard (Bottom Left) - one selectable row per channel; the channel keybindings act on the selection
+        this.channelDashboard = blessed.listtable({
+            parent: this.screen,
+            label: ' {bold}Channels{/bold} ',
+            tags: true,
+            top: '70%', left: 0, width: mainLogWidth, height: dashboardHeight,
+            border: { type: 'line' },
+            align: 'left',
+            noCellBorders: true,
+            style: {
+                fg: 'white', bg: 'black',
+                border: { fg: 'magenta' }, // Default border
+                label: { fg: 'magenta', bold: true },
+                header: { fg: 'magenta', bold: true },
+                cell: { fg: 'white', selected: { fg: 'black', bg: 'magenta' } },
+                scrollbar: { bg: 'magenta', fg: 'black' },
+                focus: this.focusStyle // Apply yellow border on focus
+            },
+            rows: [DASHBOARD_HEADER],
+            scrollbar: { ch: ' ', track: { bg: 'grey' }, style: { inverse: true } },
+            mouse: true, keys: true, vi: true,
+        });
+        this.scrollablePanes.push(this.channelDashboard);
+
+        // Review queue (REVIEW_REPLIES) - shown over the main log by 'v'; replies wait here for approval
+        this.reviewPane = blessed.listtable({
+            parent: this.screen,
+            label: ' {bold}Review Queue{/bold} ',
+            tags: true,
+            top: bannerHeight, left: 0, width: mainLogWidth, height: `70%-${bannerHeight}`,
+            border: { type: 'line' },
+            align: 'left',
+            noCellBorders: true,
+            style: {
+                fg: 'white', bg: 'black',
+                border: { fg: 'red' },
+                label: { fg: 'red', bold: true },
+                header: { fg: 'red', bold: true },
+                cell: { fg: 'white', selected: { fg: 'black', bg: 'red' } },
+                focus: this.focusStyle
+            },
+            rows: [REVIEW_HEADER],
+            mouse: true, keys: true, vi: false, // vi mode would take 'g' (jump to the top) before the Regenerate key
+            hidden: true
+        });
+
+        // Edit prompt on the last line of the review pane, shown by 'e'
+        this.reviewInput = blessed.textbox({
+            parent: this.reviewPane,
+            bottom: 0, left: 0, width: '100%-2', height: 1,
+            style: { fg: 'black', bg: 'yellow' },
+            hidden: true
+        });
+
         // --- Right Panel Layout Correction ---
         // Define heights relative to screen height, position using top offset
 
-        // Box 3: Success Log Area (Top Right)
+        // Box 4: Success Log Area (Top Right)
         this.successLogBox = blessed.log({
             parent: this.screen,
             label: ' {bold}Success Log{/bold} ',
@@ -101,7 +227,7 @@ class TUI {
         });
         this.scrollablePanes.push(this.successLogBox);
 
-        // Box 4: Status / Info Area (Bottom Right)
+        // Box 5: Status / Info Area (Bottom Right)
         this.statusBox = blessed.box({
             parent: this.screen,
             label: ' {bold}Status & Info{/bold} ',
@@ -131,8 +257,8 @@ class TUI {
      */
     attachHandlers() {
         // Listen for 'log' events from BotLogic
-        this.on('log', (level, message) => {
-            this.addLog(level, message);
+        this.on('log', (level, message, record) => {
+            this.addLog(level, message, record);
         });
 
         // Listen for 'statusUpdate' events from BotLogic
@@ -145,11 +271,74 @@ class TUI {
             this.screen.render();
         });
 
-        // Handle Ctrl+C, q, escape for clean exit
+        // Handle Ctrl+C, q, escape for clean exit (escape only closes the review pane while it has focus)
         this.screen.key(['C-c', 'q', 'escape'], (ch, key) => {
+            if (key.name === 'escape' && this.screen.focused === this.reviewPane) return;
             this.emit('shutdown');
         });
 
+        // Channel controls act on the channel selected in the Channels pane; BotLogic is wired in index.js.
+        // They and the log filters are off while the review pane has focus, which hides that selection.
+        const reviewing = () => this.screen.focused === this.reviewPane;
+        this.screen.key(['p'], () => {
+            if (reviewing()) return;
+            const channelId = this.getSelectedChannelId();
+            if (channelId) this.emit('togglePause', channelId, !this.pausedChannelIds.includes(channelId));
+        });
+        this.screen.key(['S-p'], () => {
+            if (reviewing()) return;
+            this.emit('togglePause', null, !this.isPaused); // Whole bot
+        });
+        this.screen.key(['a'], () => {
+            if (reviewing()) return;
+            const channelId = this.getSelectedChannelId();
+            if (channelId) this.emit('toggleAi', channelId, !this.aiChannelIds.includes(channelId));
+        });
+        this.screen.key(['r'], () => {
+            if (reviewing()) return;
+            const channelId = this.getSelectedChannelId();
+            if (channelId) this.emit('runNow', channelId);
+        });
+        this.screen.key(['s'], () => {
+            if (reviewing()) return;
+            const channelId = this.getSelectedChannelId();
+            if (channelId) this.emit('skipSend', channelId);
+        });
+
+        // Review queue: 'v' shows/hides it; the other keys act on the selected reply while it has focus
+        this.screen.key(['v'], () => this.toggleReviewPane());
+        this.reviewPane.key(['escape'], () => this.toggleReviewPane());
+        this.reviewPane.key(['y'], () => {
+            const item = this.getSelectedReview();
+            if (item) this.emit('reviewApprove', item.id);
+        });
+        this.reviewPane.key(['e'], () => {
+            const item = this.getSelectedReview();
+            if (item) this.startReviewEdit(item);
+        });
+        this.reviewPane.key(['g'], () => {
+            const item = this.getSelectedReview();
+            if (item) this.emit('reviewRegenerate', item.id);
+        });
+        this.reviewPane.key(['n'], () => {
+            const item = this.getSelectedReview();
+            if (item) this.emit('reviewReject', item.id);
+        });
+
+        // Main log filters: level, selected channel and '/' search
+        this.screen.key(['l'], () => {
+            if (reviewing()) return;
+            this.levelFilterIndex = (this.levelFilterIndex + 1) % LEVEL_FILTERS.length;
+            this.renderMainLog();
+        });
+        this.screen.key(['c'], () => {
+            if (reviewing()) return;
+            const channelId = this.getSelectedChannelId();
+            this.channelFilter = this.channelFilter || !channelId ? null : channelId;
+            this.renderMainLog();
+        });
+        this.screen.key(['/'], () => this.startSearch());
+
         // Handle Tab key press to cycle focus forward
         this.screen.key(['tab'], (ch, key) => {
             this.currentFocusIndex = (this.currentFocusIndex + 1) % this.scrollablePanes.length;
@@ -170,15 +359,24 @@ class TUI {
 
     /**
      * Adds a log message (already formatted) to the appropriate log box.
+     * Main log entries are also kept in the history the filters re-render from.
      * @param {string} level - Log level (SUCCESS, ERROR, etc.).
      * @param {string} message - The pre-formatted log message string.
+     * @param {object} [record] - Structured record from BotLogic.log ({ channel, account, ... }).
      */
-    addLog(level, message) {
+    addLog(level, message, record = null) {
          try {
             if (level === 'SUCCESS') {
                 this.successLogBox.log(message);
             } else {
-                this.mainLogBox.log(message);
+                const entry = { level, channel: record?.channel ?? null, account: record?.account ?? null, line: message };
+                this.logHistory.push(entry);
+                if (this.logHistory.length > MAX_LOG_HISTORY) {
+                    this.logHistory.shift();
+                }
+                if (this.matchesLogFilter(entry)) {
+                    this.mainLogBox.log(highlightMatches(message, this.searchTerm));
+                }
             }
             this.screen.render();
         } catch (e) {
@@ -186,6 +384,166 @@ class TUI {
         }
     }
 
+    /**
+     * Whether a main log entry passes the level, channel and search filters.
+     * @param {object} entry - { level, channel, account, line }.
+     * @returns {boolean}
+     */
+    matchesLogFilter(entry) {
+        const { levels } = LEVEL_FILTERS[this.levelFilterIndex];
+        if (levels && !levels.includes(entry.level)) return false;
+        if (this.channelFilter && entry.channel !== this.channelFilter) return false;
+        if (this.searchTerm && !blessed.stripTags(entry.line).toLowerCase().includes(this.searchTerm.toLowerCase())) return false;
+        return true;
+    }
+
+    /**
+     * Re-renders the main log from the history with the current filters and updates its label.
+     */
+    renderMainLog() {
+        const filters = [];
+        if (this.levelFilterIndex > 0) filters.push(`Level: ${LEVEL_FILTERS[this.levelFilterIndex].label}`);
+        if (this.channelFilter) filters.push(`Channel: ${this.channelFilter}`);
+        if (this.searchTerm) filters.push(`/${blessed.escape(this.searchTerm)}`);
+        this.mainLogBox.setLabel(` {bold}Main Log{/bold}${filters.length > 0 ? ` [${filters.join(' | ')}]` : ''} `);
+
+        const lines = this.logHistory.filter(entry => this.matchesLogFilter(entry))
+            .map(entry => highlightMatches(entry.line, this.searchTerm));
+        this.mainLogBox.setContent(lines.join('\n'));
+        this.mainLogBox.setScrollPerc(100);
+        this.screen.render();
+    }
+
+    /**
+     * Opens the search prompt. The main log filters as you type; Enter keeps the search, Esc clears it.
+     */
+    startSearch() {
+        const onKey = () => setImmediate(() => { // The textbox updates its value after this listener
+            this.searchTerm = this.searchInput.getValue();
+            this.renderMainLog();
+        });
+        this.searchInput.setValue(this.searchTerm);
+        this.searchInput.show();
+        this.searchInput.on('keypress', onKey);
+        this.searchInput.readInput((err, value) => {
+            this.searchInput.removeListener('keypress', onKey);
+            this.searchInput.hide();
+            this.searchTerm = value === null || value === undefined ? '' : value; // Esc cancels
+            this.renderMainLog();
+        });
+        this.screen.render();
+    }
+
+    /**
+     * Shows the review queue over the main log (and focuses it), or hides it again.
+     */
+    toggleReviewPane() {
+        if (this.reviewPane.hidden) {
+            this.reviewPane.show();
+            this.reviewPane.focus();
+        } else {
+            this.reviewPane.hide();
+            this.scrollablePanes[this.currentFocusIndex].focus();
+        }
+        this.screen.render();
+    }
+
+    /**
+     * Opens the edit prompt with the reply's text. Enter saves the edit, Esc cancels it.
+     * @param {object} item - Review queue item ({ id, reply }).
+     */
+    startReviewEdit(item) {
+        this.reviewInput.setValue(item.reply);
+        this.reviewInput.show();
+        this.reviewInput.readInput((err, value) => {
+            this.reviewInput.hide();
+            this.reviewPane.focus();
+            if (value !== null && value !== undefined && value.trim().length > 0) {
+                this.emit('reviewEdit', item.id, value);
+            }
+            this.screen.render();
+        });
+        this.screen.render();
+    }
+
+    /**
+     * @returns {object|null} The reply selected in the review pane.
+     */
+    getSelectedReview() {
+        return this.reviewItems[this.reviewPane.selected - 1] || null; // Row 0 is the header
+    }
+
+    /**
+     * Formats one review queue row.
+     * @param {object} item - { id, channelId, author, message, reply, expiresAt, busy }.
+     * @param {object} channelDetails - Channel names by ID.
+     * @param {number} now - Current time (ms) for the countdown.
+     * @returns {string[]} Cells in REVIEW_HEADER order.
+     */
+    formatReviewRow(item, channelDetails, now) {
+        const shorten = (text, length) => blessed.escape(text.replace(/\s+/g, ' ').substring(0, length));
+        const name = channelDetails[item.channelId]?.name;
+        return [
+            String(item.id),
+            name ? shorten(name, 12) : `...${item.channelId.slice(-6)}`,
+            shorten(`${item.author}: ${item.message}`, 30),
+            shorten(item.reply, 40),
+            item.busy ? '{yellow-fg}Working{/yellow-fg}' : formatDuration(item.expiresAt - now)
+        ];
+    }
+
+    /**
+     * @returns {string|null} ID of the channel selected in the Channels pane.
+     */
+    getSelectedChannelId() {
+        return this.channelIds[this.channelDashboard.selected - 1] || null; // Row 0 is the header
+    }
+
+    /**
+     * Formats one dashboard row.
+     * @param {string} id - Channel ID.
+     * @param {object} statusData - Object from botLogic.
+     * @param {number} now - Current time (ms) for the countdown.
+     * @returns {string[]} Cells in DASHBOARD_HEADER order.
+     */
+    formatDashboardRow(id, statusData, now) {
+        const { channelDetails = {}, channelStats = {}, cycleStates = {}, prompts = {}, isPaused = false } = statusData;
+        const details = channelDetails[id];
+        const stats = channelStats[id] || {};
+        const cycle = cycleStates[id] || {};
+        // Shorten ID for display
+        const shortId = id.length > 6 ? `...${id.slice(-6)}` : id;
+        const name = details?.name ? ` ${blessed.escape(details.name.substring(0, 15))}` : '';
+        const channel = details?.error ? `{red-fg}${shortId}${name}{/red-fg}` : `${shortId}${name}`;
+        const mode = this.aiChannelIds.includes(id) ? 'AI' : 'File';
+        // Template file (or built-in) and language of AI replies
+        const prompt = mode === 'AI' && prompts[id] ? blessed.escape(`${prompts[id].template} (${prompts[id].language})`.substring(0, 24)) : '-';
+        const lastReply = stats.lastRepliedTo
+            ? blessed.escape(`${stats.lastRepliedTo.author}: ${stats.lastRepliedTo.content}`.replace(/\s+/g, ' ').substring(0, 28))
+            : '-';
+        const lastSent = stats.lastSentAt ? new Date(stats.lastSentAt).toTimeString().substring(0, 8) : '-';
+
+        let next = '-';
+        if (isPaused || this.pausedChannelIds.includes(id)) next = '{yellow-fg}Paused{/yellow-fg}';
+        else if (cycle.running) next = '{green-fg}Running{/green-fg}';
+        else if (cycle.nextCycleAt) next = `in ${formatDuration(cycle.nextCycleAt - now)}`;
+        else if (details?.error) next = '{red-fg}Failed{/red-fg}';
+
+        return [
+            channel,
+            stats.account ? blessed.escape(stats.account) : '-',
+            mode,
+            prompt,
+            details ? `${details.slowModeDelay || 0}s` : '-',
+            String(stats.sent || 0),
+            stats.failed ? `{red-fg}${stats.failed}{/red-fg}` : '0',
+            String(stats.deleted || 0),
+            lastReply,
+            lastSent,
+            next
+        ];
+    }
+
     /**
      * Formats the content for the status box, including instructions.
      * @param {object} statusData - Object from botLogic.
@@ -193,11 +551,15 @@ class TUI {
      */
     formatStatusContent(statusData) {
         const {
-            botInfos = {}, channelDetails = {}, discordTokens = [], googleApiKeys = [], channelIds = [],
-            rateLimitedKeys = new Map(), isRunning = false
+            botInfos = {}, discordTokens = [], aiApiKeys = [], aiProviderLabel = 'AI', channelIds = [],
+            channelOverrides = {}, keyHealth = new Map(), isRunning = false, isPaused = false, dryRun = false,
+            schedules = { channels: {}, accounts: {} }, reviewQueue = [], accountAssignments = {}
         } = statusData; // Destructure with defaults
 
-        let content = `{bold}Status:{/} ${isRunning ? '{green-fg}Running{/green-fg}' : '{red-fg}Stopped{/red-fg}'}\n`;
+        let state = isRunning ? '{green-fg}Running{/green-fg}' : '{red-fg}Stopped{/red-fg}';
+        if (isRunning && isPaused) state = '{yellow-fg}Paused{/yellow-fg}';
+        if (dryRun) state += ' {red-fg}(dry run){/red-fg}';
+        let content = `{bold}Status:{/} ${state}\n`;
 
         // Discord Tokens
         const loadedBotsCount = Object.keys(botInfos).length;
@@ -210,31 +572,79 @@ class TUI {
             });
         } else { content += " (None)\n"; }
 
-        // Google API Keys
-        content += `\n{bold}Google API Keys (${googleApiKeys.length}):{/}\n`;
-        if (googleApiKeys.length > 0) {
-            googleApiKeys.forEach((key, index) => {
-                const masked = `${key.substring(0, 5)}...${key.substring(key.length - 4)}`;
-                const expiry = rateLimitedKeys.get(key);
-                const limited = expiry && expiry > Date.now();
-                const remaining = limited ? ` (~${Math.ceil((expiry - Date.now()) / 1000 / 60)}m)` : '';
-                content += ` K${index + 1}: ${masked} ${limited ? `{red-fg}Limited${remaining}{/red-fg}` : '{green-fg}Active{/green-fg}'}\n`;
+        // AI API Keys (of the active provider)
+        content += `\n{bold}${aiProviderLabel} API Keys (${aiApiKeys.filter(Boolean).length}):{/}\n`;
+        if (aiApiKeys.length > 0) {
+            aiApiKeys.forEach((key, index) => {
+                const masked = key ? `${key.substring(0, 5)}...${key.substring(key.length - 4)}` : '(no key)';
+                const health = keyHealth.get(key) || { state: 'unknown', until: null, weight: 0 };
+                const remaining = health.until && health.until > Date.now() ? formatDuration(health.until - Date.now()) : '0s';
+                const label = {
+                    unknown: '{green-fg}Unchecked{/green-fg}',
+                    healthy: `{green-fg}Healthy{/green-fg} (w${health.weight})`,
+                    backoff: `{yellow-fg}Backoff ~${remaining}{/yellow-fg}`,
+                    exhausted: `{red-fg}Quota used ~${remaining}{/red-fg}`,
+                    invalid: '{red-fg}Invalid{/red-fg}'
+                }[health.state];
+                const models = Object.entries(health.models || {}).filter(([, bench]) => bench.until > Date.now())
+                    .map(([model, bench]) => ` {yellow-fg}${model} ${bench.state === 'exhausted' ? 'quota used' : 'backoff'} ~${formatDuration(bench.until - Date.now())}{/yellow-fg}`);
+                content += ` K${index + 1}: ${masked} ${label}${models.join('')}\n`;
             });
         } else { content += " (None)\n"; }
 
-        // Monitored Channels
-        content += `\n{bold}Channels (${channelIds.length}):{/}\n`;
-        if (channelIds.length > 0) {
-            channelIds.forEach((id) => {
-                const details = channelDetails[id];
-                // Shorten ID for display
+        // Accounts of each channel in order of preference: the active one green, failed ones red
+        const assigned = channelIds.filter(id => accountAssignments[id]);
+        if (assigned.length > 0) {
+            content += `\n{bold}Channel Accounts:{/}\n`;
+            assigned.forEach((id) => {
                 const shortId = id.length > 6 ? `...${id.slice(-6)}` : id;
-                const name = details?.name || '...';
-                // Check for the specific 'Missing Access' error if details indicate failure
-                const status = details ? (details.error ? '{red-fg}Fail{/red-fg}' : '{green-fg}OK{/green-fg}') : '{yellow-fg}Init{/yellow-fg}';
-                content += ` ${shortId}: ${name.substring(0,15)} (${status})\n`; // Show more name chars
+                const { active, accounts } = accountAssignments[id];
+                const chain = accounts.map(({ token, failed }) => {
+                    const ref = `T${discordTokens.indexOf(token) + 1}`;
+                    if (failed) return `{red-fg}${ref} (no access){/red-fg}`;
+                    return token === active ? `{green-fg}${ref} ${botInfos[token]?.fullUsername || ''}{/green-fg}` : ref;
+                });
+                content += ` ${shortId}: ${chain.join(' > ') || '{red-fg}(none){/red-fg}'}${active === null ? ' {red-fg}Stopped{/red-fg}' : ''}\n`;
             });
-        } else { content += " (None)\n"; }
+        }
+
+        // Per-channel overrides from channels.json (the channels themselves are listed in the Channels pane)
+        const overridden = channelIds.filter(id => Object.keys(channelOverrides[id] || {}).length > 0);
+        if (overridden.length > 0) {
+            content += `\n{bold}Channel Overrides (${overridden.length}):{/}\n`;
+            overridden.forEach((id) => {
+                const shortId = id.length > 6 ? `...${id.slice(-6)}` : id;
+                const overrides = Object.entries(channelOverrides[id]);
+                content += ` ${shortId}: {cyan-fg}${overrides.map(([key, value]) => `${key}=${value}`).join(', ')}{/cyan-fg}\n`;
+            });
+        }
+
+        // Active hours and remaining quotas (only channels and accounts that have any)
+        const formatRemaining = ({ hourRemaining, dayRemaining }) => [
+            hourRemaining !== null ? `${hourRemaining}/h` : null,
+            dayRemaining !== null ? `${dayRemaining}/d` : null
+        ].filter(Boolean).join(' ');
+        const limitedChannels = channelIds.filter(id => schedules.channels[id] &&
+            (schedules.channels[id].scheduled || formatRemaining(schedules.channels[id])));
+        const limitedAccounts = Object.values(schedules.accounts).filter(account => formatRemaining(account));
+        if (limitedChannels.length > 0 || limitedAccounts.length > 0) {
+            const now = Date.now();
+            content += `\n{bold}Schedules & Quotas:{/}\n`;
+            limitedChannels.forEach((id) => {
+                const shortId = id.length > 6 ? `...${id.slice(-6)}` : id;
+                const { active, nextWindowAt } = schedules.channels[id];
+                const remaining = formatRemaining(schedules.channels[id]);
+                let window = '';
+                if (schedules.channels[id].scheduled) {
+                    window = active ? '{green-fg}In window{/green-fg}' : '{yellow-fg}Off{/yellow-fg}';
+                    if (!active && nextWindowAt !== null) window += ` (opens in ${formatDuration(nextWindowAt - now)})`;
+                }
+                content += ` ${shortId}: ${[window, remaining ? `{cyan-fg}${remaining} left{/cyan-fg}` : ''].filter(Boolean).join(', ')}\n`;
+            });
+            limitedAccounts.forEach((account) => {
+                content += ` ${blessed.escape(account.name)}: {cyan-fg}${formatRemaining(account)} left{/cyan-fg}\n`;
+            });
+        }
 
         // Instructions
         content += `\n{bold}---------------------------------{/bold}\n`;
@@ -242,7 +652,14 @@ class TUI {
         content += ` {yellow-fg}Ctrl+C{/yellow-fg}, {yellow-fg}Q{/yellow-fg}, {yellow-fg}Esc{/yellow-fg}: Exit\n`;
         content += ` {yellow-fg}Tab{/yellow-fg}/{yellow-fg}S-Tab{/yellow-fg}    : Cycle Focus\n`;
         content += ` ({yellow-fg}Yellow Border{/yellow-fg} = Active Pane)\n`;
-        content += ` {yellow-fg}Arrows{/yellow-fg}/{yellow-fg}PgUp/Dn{/yellow-fg}: Scroll Focused Pane`;
+        content += ` {yellow-fg}Arrows{/yellow-fg}/{yellow-fg}PgUp/Dn{/yellow-fg}: Scroll Focused Pane\n`;
+        content += ` Selected channel ({yellow-fg}Channels{/yellow-fg} pane):\n`;
+        content += ` {yellow-fg}P{/yellow-fg}: Pause/Resume  {yellow-fg}Shift+P{/yellow-fg}: All\n`;
+        content += ` {yellow-fg}A{/yellow-fg}: Toggle AI / info.txt\n`;
+        content += ` {yellow-fg}R{/yellow-fg}: Run Cycle Now  {yellow-fg}S{/yellow-fg}: Skip Send\n`;
+        content += ` Main log: {yellow-fg}L{/yellow-fg}: Level Filter\n`;
+        content += ` {yellow-fg}C{/yellow-fg}: Selected Channel Only  {yellow-fg}/{/yellow-fg}: Search\n`;
+        content += ` {yellow-fg}V{/yellow-fg}: Review Queue (${reviewQueue.length} waiting)`;
 
         return content;
     }
@@ -254,7 +671,21 @@ class TUI {
      */
     updateStatus(statusData) {
         const formattedContent = this.formatStatusContent(statusData);
+        this.updateBanner(Boolean(statusData.dryRun));
+        this.channelIds = statusData.channelIds || [];
+        this.pausedChannelIds = statusData.pausedChannels || [];
+        this.aiChannelIds = statusData.aiChannels || [];
+        this.isPaused = Boolean(statusData.isPaused);
+        this.reviewItems = statusData.reviewQueue || [];
         try {
+            const selected = this.channelDashboard.selected;
+            const now = Date.now();
+            this.channelDashboard.setData([DASHBOARD_HEADER, ...this.channelIds.map(id => this.formatDashboardRow(id, statusData, now))]);
+            this.channelDashboard.select(Math.min(selected, this.channelIds.length));
+            const selectedReview = this.reviewPane.selected;
+            this.reviewPane.setLabel(` {bold}Review Queue{/bold} (${this.reviewItems.length}) - Y: Approve  E: Edit  G: Regenerate  N: Reject  V/Esc: Close `);
+            this.reviewPane.setData([REVIEW_HEADER, ...this.reviewItems.map(item => this.formatReviewRow(item, statusData.channelDetails || {}, now))]);
+            this.reviewPane.select(Math.max(1, Math.min(selectedReview, this.reviewItems.length)));
             this.statusBox.setContent(formattedContent);
             this.screen.render();
         } catch (e) {
@@ -262,6 +693,56 @@ class TUI {
         }
     }
 
+    /**
+     * Turns the banner red with a notice while dry-run mode is active.
+     * @param {boolean} dryRun - Whether DRY_RUN is on.
+     */
+    updateBanner(dryRun) {
+        if (dryRun === this.dryRun) {
+            return;
+        }
+        this.dryRun = dryRun;
+        this.bannerBox.setContent(dryRun ? DRY_RUN_BANNER_TEXT : BANNER_TEXT);
+        this.bannerBox.style.bg = dryRun ? 'red' : 'blue';
+    }
+
+    /**
+     * Refreshes the status box and channel dashboard every second, so counters and countdowns
+     * stay current between 'statusUpdate' events.
+     * @param {function(): object} getStatusData - Returns the current status data.
+     */
+    startDashboardRefresh(getStatusData) {
+        this.stopDashboardRefresh();
+        this.refreshTimer = setInterval(() => this.updateStatus(getStatusData()), DASHBOARD_REFRESH_MS);
+        this.refreshTimer.unref();
+    }
+
+    stopDashboardRefresh() {
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+
+    /**
+     * Shows configuration problems (a ConfigError) in the log and status boxes.
+     * @param {ConfigError} error - Error carrying a `problems` array.
+     */
+    showConfigError(error) {
+        const problems = error.problems || [error.message];
+        this.addLog('ERROR', `{red-fg}Configuration is invalid (${problems.length} problem${problems.length === 1 ? '' : 's'}). The bot was not started.{/red-fg}`);
+        problems.forEach(problem => this.addLog('ERROR', `{red-fg} - ${blessed.escape(problem)}{/red-fg}`));
+
+        let content = `{bold}Status:{/} {red-fg}Configuration Error{/red-fg}\n\n`;
+        content += `Fix these in {bold}.env{/bold} / {bold}channels.json{/bold} and restart:\n\n`;
+        content += problems.map(problem => ` {red-fg}•{/red-fg} ${blessed.escape(problem)}`).join('\n');
+        content += `\n\n {yellow-fg}Ctrl+C{/yellow-fg}, {yellow-fg}Q{/yellow-fg}, {yellow-fg}Esc{/yellow-fg}: Exit`;
+        try {
+            this.statusBox.setContent(content);
+            this.screen.render();
+        } catch (e) {
+             console.error("TUI Status Update Error:", e);
+        }
+    }
+
     /** Renders the TUI screen. */
     render() {
         if (this.screen) {
@@ -271,6 +752,7 @@ class TUI {
 
     /** Destroys the TUI screen. */
     destroy() {
+        this.stopDashboardRefresh();
         if (this.screen) {
             this.screen.destroy();
             this.screen = null;